@@ -1,33 +1,66 @@
+const config = require("./config"); // 환경 변수가 잘못되었으면 여기서 바로 실패합니다.
 const express = require("express");
+const cors = require("cors");
 const cookieParser = require("cookie-parser");
-const usersRouter = require("./routes/users.route");
-const postsRouter = require("./routes/posts.route");
-const commentsRouter = require("./routes/comments.route");
+const routers = require("./routes");
+const requestId = require("./middlewares/request-id-middleware");
+const locale = require("./middlewares/locale-middleware");
+const securityHeaders = require("./middlewares/security-headers-middleware");
+const { notFoundHandler, errorHandler } = require("./middlewares/error-middleware");
+const { contractValidator } = require("./middlewares/contract-middleware");
 
 const app = express();
-const PORT = 8000;
+app.disable("x-powered-by");
 
-const cors = require("cors");
-let corsOptions = {
-    origin: "*", // 출처 허용 옵션
-    credential: true, // 사용자 인증이 필요한 리소스(쿠키 ..등) 접근
-};
-app.use(cors(corsOptions));
+// 프록시 뒤에서는 X-Forwarded-For의 클라이언트 IP를 req.ip로 사용합니다. (요청 수 제한)
+app.set("trust proxy", config.trustProxyHops);
+
+app.use(requestId);
+app.use(securityHeaders);
+app.use(locale);
+
+// Swagger 연동 코드 (문서는 routes/의 라우터와 schemas/의 스키마로 만듭니다.)
+const { swaggerUi, specs } = require("./swagger/swagger");
+
+// 테스트에서는 모든 응답을 OpenAPI 문서와 대조합니다.
+if (config.contractTest) {
+    app.use(contractValidator(specs));
+}
+
+// 쿠키를 포함한 다른 출처의 요청은 CORS_ORIGINS에 등록한 출처만 허용합니다.
+app.use(cors({
+    origin: config.corsOrigins,
+    credentials: true,
+    // 클라이언트가 읽을 수 있는 응답 헤더
+    exposedHeaders: [
+        "X-Request-Id",
+        "Content-Language",
+        "Retry-After",
+        "RateLimit-Policy",
+        "RateLimit-Limit",
+        "RateLimit-Remaining",
+        "RateLimit-Reset",
+    ],
+}));
 
 app.use(cookieParser());
 app.use(express.json());
 
+app.use('/api', routers);
 
-// Swagger 연동 코드
-const { swaggerUi, specs } = require("./swagger/swagger");
-
-app.use('/api', [usersRouter, postsRouter, commentsRouter]);
+// 클라이언트 코드 생성 등에 사용하는 OpenAPI 문서 (JSON)
+app.get("/api-docs.json", (req, res) => {
+    res.json(specs);
+});
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(specs));
 
 app.get('/', (req, res) => {
     res.send('게시판 첫페이지 - 장종현');
 });
 
-app.listen(PORT, () => {
-    console.log(PORT, '포트 번호로 서버가 실행되었습니다.');
-});
\ No newline at end of file
+// 모든 에러는 { code, message, requestId } 형식으로 응답합니다.
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+// 서버 실행은 server.js에서 합니다. 테스트는 app을 직접 불러와 사용합니다.
+module.exports = app;
@@ -0,0 +1,7 @@
+/**
+ * @brief sequelize-cli 설정 (.sequelizerc)
+ * @note 현재 NODE_ENV의 접속 정보는 환경 변수로 정합니다. (config/database.js)
+ */
+const { loadDatabaseConfig } = require("./database");
+
+module.exports = { [process.env.NODE_ENV || "development"]: loadDatabaseConfig() };
@@ -0,0 +1,45 @@
+/**
+ * @brief 데이터베이스 접속 설정 (models/index.js, sequelize-cli에서 사용)
+ * @note DB_DIALECT=sqlite(기본값)이면 MySQL 없이 파일 또는 메모리(:memory:) DB로 실행합니다.
+ * 서버 설정(config/index.js)과 분리하여 마이그레이션 등에는 JWT_SECRET이 필요하지 않도록 합니다.
+ */
+const { createEnvReader } = require("./env");
+
+/**
+ * @brief 접속 정보를 읽습니다. 잘못된 값은 env(createEnvReader)에 모입니다.
+ */
+function readDatabaseConfig(env) {
+    const dialect = env.string("DB_DIALECT", { fallback: "sqlite", oneOf: ["sqlite", "mysql"] });
+    const logging = env.boolean("DB_LOGGING") ? console.log : false;
+
+    if (dialect === "mysql") {
+        return {
+            dialect,
+            host: env.string("DB_HOST", { required: true }),
+            port: env.integer("DB_PORT", { fallback: 3306, min: 1 }),
+            database: env.string("DB_NAME", { required: true }),
+            username: env.string("DB_USER", { required: true }),
+            password: env.string("DB_PASSWORD", { required: true }),
+            logging,
+        };
+    }
+
+    return {
+        dialect,
+        // 테스트는 기본적으로 메모리 DB를 사용합니다.
+        storage: env.string("DB_STORAGE", { fallback: process.env.NODE_ENV === "test" ? ":memory:" : "database.sqlite" }),
+        logging,
+    };
+}
+
+/**
+ * @brief 접속 정보만 읽고 검사합니다. (서버 설정 없이 DB만 사용하는 models/index.js, sequelize-cli용)
+ */
+function loadDatabaseConfig() {
+    const env = createEnvReader();
+    const database = readDatabaseConfig(env);
+    env.assertValid();
+    return database;
+}
+
+module.exports = { readDatabaseConfig, loadDatabaseConfig };
@@ -0,0 +1,82 @@
+/**
+ * @brief 환경 변수를 읽고 검사하는 도우미
+ * @note 잘못된 값은 모아 두었다가 assertValid()에서 한 번에 알려주어, 서버가 시작할 때 바로 실패하도록 합니다.
+ */
+function createEnvReader(source = process.env) {
+    const errors = [];
+
+    const read = (name) => {
+        const value = source[name];
+        return value === undefined || value === "" ? undefined : value;
+    };
+
+    return {
+        string(name, { fallback, required = false, oneOf } = {}) {
+            const value = read(name) ?? fallback;
+            if (value === undefined) {
+                if (required) {
+                    errors.push(`${name}: 필수 값입니다.`);
+                }
+                return undefined;
+            }
+            if (oneOf && !oneOf.includes(value)) {
+                errors.push(`${name}: ${oneOf.join(", ")} 중 하나여야 합니다. (현재 값: ${value})`);
+            }
+            return value;
+        },
+
+        integer(name, { fallback, min = 0 } = {}) {
+            const value = read(name);
+            if (value === undefined) {
+                return fallback;
+            }
+            if (!/^\d+$/.test(value) || Number(value) < min) {
+                errors.push(`${name}: ${min} 이상의 정수여야 합니다. (현재 값: ${value})`);
+                return fallback;
+            }
+            return Number(value);
+        },
+
+        boolean(name, { fallback = false } = {}) {
+            const value = read(name);
+            if (value === undefined) {
+                return fallback;
+            }
+            if (!["true", "false", "1", "0"].includes(value)) {
+                errors.push(`${name}: true 또는 false여야 합니다. (현재 값: ${value})`);
+                return fallback;
+            }
+            return value === "true" || value === "1";
+        },
+
+        // 쉼표로 구분한 목록 (pattern: 각 항목의 형식)
+        list(name, { fallback = [], pattern } = {}) {
+            const value = read(name);
+            if (value === undefined) {
+                return fallback;
+            }
+            const items = value.split(",").map((item) => item.trim()).filter(Boolean);
+            const invalid = pattern ? items.filter((item) => !pattern.test(item)) : [];
+            if (invalid.length) {
+                errors.push(`${name}: 형식이 올바르지 않은 항목이 있습니다. (${invalid.join(", ")})`);
+                return fallback;
+            }
+            return items;
+        },
+
+        // 여러 환경 변수를 함께 확인해야 하는 조건
+        check(condition, message) {
+            if (!condition) {
+                errors.push(message);
+            }
+        },
+
+        assertValid() {
+            if (errors.length) {
+                throw new Error(`환경 변수 설정이 올바르지 않습니다.\n- ${errors.join("\n- ")}`);
+            }
+        },
+    };
+}
+
+module.exports = { createEnvReader };
@@ -0,0 +1,96 @@
+/**
+ * @brief 서버 설정
+ * @note 모든 설정은 환경 변수로 정하고, 필수 값이 없거나 형식이 잘못되면 서버 시작 시 바로 에러를 냅니다.
+ * 사용할 수 있는 환경 변수는 .env.example을 참고하세요.
+ */
+const { createEnvReader } = require("./env");
+const { readDatabaseConfig } = require("./database");
+
+const env = createEnvReader();
+
+const nodeEnv = env.string("NODE_ENV", { fallback: "development", oneOf: ["development", "test", "production"] });
+const port = env.integer("PORT", { fallback: 8000, min: 1 });
+
+const config = {
+    env: nodeEnv,
+    port,
+    // Swagger 문서의 서버 주소
+    publicUrl: env.string("PUBLIC_URL", { fallback: `http://localhost:${port}` }),
+    database: readDatabaseConfig(env),
+    jwt: {
+        secret: env.string("JWT_SECRET", { required: true }),
+        accessTokenExpiresIn: env.string("ACCESS_TOKEN_EXPIRES_IN", { fallback: "15m" }),
+        refreshTokenExpiresInDays: env.integer("REFRESH_TOKEN_EXPIRES_IN_DAYS", { fallback: 14, min: 1 }),
+    },
+    // 답글을 달 수 있는 최대 깊이 (최상위 댓글은 0)
+    commentMaxDepth: env.integer("COMMENT_MAX_DEPTH", { fallback: 5 }),
+    // 휴지통 보관 기간 (일)
+    trashRetentionDays: env.integer("TRASH_RETENTION_DAYS", { fallback: 30, min: 1 }),
+    // 요청 수 제한 (구간(초)마다 최대 요청 수, middlewares/rate-limit-middleware.js)
+    rateLimit: {
+        enabled: env.boolean("RATE_LIMIT_ENABLED", { fallback: true }),
+        store: env.string("RATE_LIMIT_STORE", { fallback: "memory", oneOf: ["memory"] }),
+        // 로그인: IP별
+        login: {
+            max: env.integer("RATE_LIMIT_LOGIN_MAX", { fallback: 20, min: 1 }),
+            windowSeconds: env.integer("RATE_LIMIT_LOGIN_WINDOW_SECONDS", { fallback: 15 * 60, min: 1 }),
+        },
+        // 회원가입: IP별
+        signup: {
+            max: env.integer("RATE_LIMIT_SIGNUP_MAX", { fallback: 10, min: 1 }),
+            windowSeconds: env.integer("RATE_LIMIT_SIGNUP_WINDOW_SECONDS", { fallback: 60 * 60, min: 1 }),
+        },
+        // 게시글/댓글 작성: 사용자별
+        write: {
+            max: env.integer("RATE_LIMIT_WRITE_MAX", { fallback: 30, min: 1 }),
+            windowSeconds: env.integer("RATE_LIMIT_WRITE_WINDOW_SECONDS", { fallback: 60, min: 1 }),
+        },
+    },
+    // 로그인 잠금: 닉네임별로 연속 실패 횟수가 threshold에 이르면 잠그고, 이후 실패할 때마다 잠금 시간을 두 배로 늘립니다.
+    loginLockout: {
+        threshold: env.integer("LOGIN_LOCKOUT_THRESHOLD", { fallback: 5, min: 1 }),
+        baseSeconds: env.integer("LOGIN_LOCKOUT_BASE_SECONDS", { fallback: 60, min: 1 }),
+        maxSeconds: env.integer("LOGIN_LOCKOUT_MAX_SECONDS", { fallback: 60 * 60, min: 1 }),
+    },
+    // 쿠키(credentials)를 포함한 요청을 허용할 출처 (예: https://board.example.com, 비어 있으면 다른 출처 요청을 허용하지 않습니다.)
+    corsOrigins: env.list("CORS_ORIGINS", { pattern: /^https?:\/\/[^/\s]+$/ }),
+    // 인증 쿠키(authorization, refreshToken, csrfToken) 속성 (utils/auth-cookies.js)
+    cookie: {
+        // HTTPS로만 전송 (production에서는 기본값 true)
+        secure: env.boolean("COOKIE_SECURE", { fallback: nodeEnv === "production" }),
+        sameSite: env.string("COOKIE_SAME_SITE", { fallback: "lax", oneOf: ["strict", "lax", "none"] }),
+        domain: env.string("COOKIE_DOMAIN"),
+    },
+    // 게시글 첨부파일 (utils/attachment-storage.js, middlewares/upload-middleware.js)
+    attachments: {
+        storage: env.string("ATTACHMENT_STORAGE", { fallback: "local", oneOf: ["local"] }),
+        // local 저장소의 파일 저장 경로
+        dir: env.string("ATTACHMENT_DIR", { fallback: "uploads" }),
+        // 파일 하나의 최대 크기 (MB)
+        maxFileSizeMb: env.integer("ATTACHMENT_MAX_FILE_SIZE_MB", { fallback: 10, min: 1 }),
+        // 한 번에 올릴 수 있는 파일 수, 게시글마다 첨부할 수 있는 파일 수
+        maxFilesPerRequest: env.integer("ATTACHMENT_MAX_FILES_PER_REQUEST", { fallback: 5, min: 1 }),
+        maxFilesPerPost: env.integer("ATTACHMENT_MAX_FILES_PER_POST", { fallback: 10, min: 1 }),
+    },
+    // 실시간 이벤트 (Server-Sent Events, utils/event-hub.js, routes/events.route.js)
+    events: {
+        // 다시 연결한 클라이언트에게 보낼 수 있도록 서버 메모리에 보관하는 최근 이벤트 수
+        replaySize: env.integer("EVENTS_REPLAY_SIZE", { fallback: 1000, min: 1 }),
+        // 연결이 끊기지 않도록 heartbeat를 보내는 간격 (초)
+        heartbeatSeconds: env.integer("EVENTS_HEARTBEAT_SECONDS", { fallback: 15, min: 1 }),
+    },
+    // 프록시(로드 밸런서 등) 뒤에서 실행할 때 신뢰할 프록시 수 (요청 IP를 X-Forwarded-For에서 읽습니다.)
+    trustProxyHops: env.integer("TRUST_PROXY_HOPS", { fallback: 0 }),
+    // 모든 응답을 OpenAPI 문서와 대조합니다. (테스트용, middlewares/contract-middleware.js)
+    contractTest: env.boolean("CONTRACT_TEST", { fallback: false }),
+};
+
+// SameSite=None 쿠키는 Secure 속성이 있어야 브라우저가 저장합니다.
+env.check(
+    config.cookie.sameSite !== "none" || config.cookie.secure,
+    "COOKIE_SAME_SITE: none은 COOKIE_SECURE=true일 때만 사용할 수 있습니다."
+);
+
+env.assertValid();
+
+module.exports = config;
@@ -0,0 +1,82 @@
+const { Op } = require("sequelize");
+const { Posts, Comments, Attachments, sequelize } = require("../models");
+const { deleteAttachmentFiles } = require("../utils/attachments");
+const config = require("../config");
+
+// 휴지통 보관 기간(일). 이 기간이 지난 게시글과 댓글은 영구 삭제합니다.
+const TRASH_RETENTION_DAYS = config.trashRetentionDays;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @brief 조건에 맞는 댓글을 답글이 없는 댓글부터 영구 삭제합니다.
+ * @note 답글이 남아 있는 댓글은 스레드가 끊기지 않도록 답글이 모두 삭제될 때까지 남겨둡니다.
+ * @returns 영구 삭제한 댓글 수
+ */
+async function purgeComments(where, transaction) {
+    // 답글이 없는 댓글부터 지우고, 그로 인해 답글이 없어진 부모 댓글을 다시 지웁니다.
+    let count = 0;
+    for (;;) {
+        const leaves = await Comments.findAll({
+            attributes: ["commentId"],
+            where: {
+                ...where,
+                commentId: {
+                    [Op.notIn]: sequelize.literal("(SELECT ParentId FROM Comments WHERE ParentId IS NOT NULL)"),
+                },
+            },
+            paranoid: false,
+            transaction,
+        });
+        if (!leaves.length) {
+            return count;
+        }
+        count += await Comments.destroy({
+            where: { commentId: leaves.map((note) => note.commentId) },
+            force: true,
+            transaction,
+        });
+    }
+}
+
+/**
+ * @brief 보관 기간이 지난 휴지통의 게시글과 댓글을 영구 삭제합니다.
+ * @note 한 트랜잭션으로 삭제하며, 영구 삭제할 게시글의 댓글(휴지통에 없는 댓글 포함)도 답글부터 함께 삭제합니다.
+ * 게시글의 첨부파일은 트랜잭션이 끝난 뒤 저장소에서도 삭제합니다. (휴지통에서 복원할 수 있도록 그 전에는 남겨둡니다.)
+ * @returns 영구 삭제한 { posts, comments } 개수
+ */
+async function purgeTrash(retentionDays = TRASH_RETENTION_DAYS) {
+    const cutoff = new Date(Date.now() - retentionDays * DAY);
+
+    const { posts, comments, attachments } = await sequelize.transaction(async (transaction) => {
+        const expired = await Posts.findAll({
+            attributes: ["postId"],
+            where: { deletedAt: { [Op.lt]: cutoff } },
+            paranoid: false,
+            transaction,
+        });
+        const postIds = expired.map((post) => post.postId);
+
+        const comments = await purgeComments({
+            [Op.or]: [{ deletedAt: { [Op.lt]: cutoff } }, { PostId: postIds }],
+        }, transaction);
+
+        const attachments = await Attachments.findAll({
+            attributes: ["storageKey", "thumbnailKey"],
+            where: { PostId: postIds },
+            transaction,
+        });
+        // 게시글의 첨부파일, 좋아요, 태그, 수정 이력 등은 외래 키(onDelete: CASCADE)로 함께 삭제됩니다.
+        const posts = await Posts.destroy({
+            where: { postId: postIds },
+            force: true,
+            transaction,
+        });
+
+        return { posts, comments, attachments };
+    });
+    await deleteAttachmentFiles(attachments);
+
+    return { posts, comments };
+}
+
+module.exports = { purgeTrash, TRASH_RETENTION_DAYS };
@@ -0,0 +1,125 @@
+/**
+ * @brief 영어 메세지
+ * @note 없는 키는 한국어 메세지(ko.js)로 대체됩니다.
+ */
+module.exports = {
+    // 공통 에러
+    VALIDATION_FAILED: "The request data is invalid.",
+    INVALID_JSON: "The request body is not valid JSON.",
+    PAYLOAD_TOO_LARGE: "The request body is too large.",
+    INVALID_CURSOR: "The cursor is invalid.",
+    FORBIDDEN: "You do not have permission.",
+    CSRF_TOKEN_INVALID: "The CSRF token is missing or invalid. Send the csrfToken cookie value in the X-CSRF-Token header.",
+    ROUTE_NOT_FOUND: "The requested API does not exist.",
+    TOO_MANY_REQUESTS: "Too many requests. Please try again in {retryAfter} seconds.",
+    INTERNAL_ERROR: "An internal server error occurred.",
+
+    // 인증
+    TOKEN_MISSING: "The authentication token is missing.",
+    TOKEN_MALFORMED: "The token is malformed.",
+    TOKEN_EXPIRED: "The token has expired.",
+    TOKEN_REVOKED: "The token has been revoked.",
+    USER_NOT_FOUND: "The token user does not exist.",
+    REFRESH_TOKEN_MISSING: "The refresh token is missing.",
+    REFRESH_TOKEN_INVALID: "The refresh token is invalid.",
+    REFRESH_TOKEN_REUSED: "The refresh token was already used. The session has been revoked.",
+
+    // 회원가입/로그인
+    PASSWORD_MISMATCH: "The passwords do not match.",
+    PASSWORD_CONTAINS_NICKNAME: "The password must not contain the nickname.",
+    DUPLICATE_NICKNAME: "The nickname is already taken.",
+    LOGIN_FAILED: "Please check your nickname or password.",
+    LOGIN_LOCKED: "Login is locked after repeated failures. Please try again in {retryAfter} seconds.",
+    SIGNUP_SUCCESS: "Sign-up completed.",
+    LOGIN_SUCCESS: "Logged in.",
+    TOKEN_REFRESHED: "Tokens have been reissued.",
+    LOGOUT_SUCCESS: "Logged out.",
+    SETTINGS_UPDATED: "Settings have been updated.",
+
+    // 계정 관리
+    CURRENT_PASSWORD_INCORRECT: "The current password is incorrect.",
+    PASSWORD_CHANGED: "The password has been changed. Please log in again on your other devices.",
+    NICKNAME_CHANGED: "The nickname has been changed.",
+    ACCOUNT_DELETED: "Your account has been deleted.",
+
+    // 사용자 프로필
+    PROFILE_NOT_FOUND: "The user does not exist.",
+    ACTIVITY_HIDDEN: "This user has not made their activity public.",
+
+    // 게시글
+    POST_NOT_FOUND: "The post does not exist.",
+    ALREADY_LIKED: "You have already liked this post.",
+    NOT_LIKED: "You have not liked this post.",
+    REVISION_NOT_FOUND: "The revision does not exist.",
+    POST_UPDATED: "The post has been updated.",
+    POST_DELETED: "The post has been deleted.",
+
+    // 게시판
+    BOARD_NOT_FOUND: "The board does not exist.",
+    BOARD_WRITE_FORBIDDEN: "You do not have permission to post on this board.",
+
+    // 첨부파일
+    ATTACHMENT_REQUIRED: "Send the files to attach in the files field.",
+    INVALID_MULTIPART: "The multipart/form-data request is malformed.",
+    TOO_MANY_ATTACHMENTS: "You can attach up to {max} files.",
+    ATTACHMENT_TOO_LARGE: "Each file must be {maxSize}MB or smaller.",
+    UNSUPPORTED_ATTACHMENT_TYPE: "This file type cannot be attached. ({name})",
+    ATTACHMENT_NOT_FOUND: "The attachment does not exist.",
+    THUMBNAIL_NOT_FOUND: "This attachment has no thumbnail.",
+    ATTACHMENT_DELETED: "The attachment has been deleted.",
+
+    // 댓글
+    COMMENT_NOT_FOUND: "The comment does not exist.",
+    PARENT_COMMENT_NOT_FOUND: "The comment you are replying to does not exist.",
+    REPLY_DEPTH_EXCEEDED: "You cannot reply any deeper.",
+    REACTION_NOT_FOUND: "You have not reacted to this comment.",
+    COMMENT_UPDATED: "The comment has been updated.",
+    COMMENT_DELETED: "The comment has been deleted.",
+    REACTION_REMOVED: "The reaction has been removed.",
+    DELETED_COMMENT: "This comment has been deleted.",
+
+    // 알림
+    NOTIFICATION_NOT_FOUND: "The notification does not exist.",
+    NOTIFICATION_READ: "The notification has been marked as read.",
+    ALL_NOTIFICATIONS_READ: "All notifications have been marked as read.",
+
+    // 검색
+    EMPTY_SEARCH_QUERY: "Please enter a search term.",
+
+    // 휴지통
+    TRASHED_POST_NOT_FOUND: "The post is not in the trash.",
+    TRASHED_COMMENT_NOT_FOUND: "The comment is not in the trash.",
+    POST_DELETED_BY_MODERATOR: "A post deleted by a moderator cannot be restored.",
+    COMMENT_DELETED_BY_MODERATOR: "A comment deleted by a moderator cannot be restored.",
+    POST_IN_TRASH: "The comment cannot be restored because its post has been deleted.",
+    POST_RESTORED: "The post has been restored.",
+    COMMENT_RESTORED: "The comment has been restored.",
+
+    // 관리자
+    ROLE_FORBIDDEN: "This action requires the {role} role or higher.",
+    TARGET_USER_NOT_FOUND: "The user does not exist.",
+    CANNOT_CHANGE_OWN_ROLE: "You cannot change your own role.",
+    ROLE_CHANGED: "The role has been changed.",
+
+    // 요청 검사 (schemas/*.schema.js의 x-message)
+    FIELD_REQUIRED: "{field} is required.",
+    FIELD_INVALID: "{field} is invalid.",
+    INVALID_NICKNAME_FORMAT: "The nickname format is invalid.",
+    INVALID_PASSWORD_FORMAT: "The password format is invalid.",
+    INVALID_LOCALE: "The language is not supported.",
+    BIO_TOO_LONG: "The bio must be 300 characters or fewer.",
+    INVALID_BOARD: "The board is invalid.",
+    INVALID_TAG: "Tags may contain letters, digits, _ and - (up to 30 characters), with at most 10 tags.",
+    INVALID_CONTENT_OPTION: "The content option must be either anonymize or remove.",
+    TITLE_REQUIRED: "Please enter a title.",
+    CONTENT_REQUIRED: "Please enter the content.",
+    COMMENT_REQUIRED: "Please enter a comment.",
+    INVALID_LIMIT: "The limit is invalid.",
+    INVALID_SORT: "The sort order is invalid.",
+    INVALID_DATE_RANGE: "The date range is invalid.",
+    INVALID_DEPTH: "The depth is invalid.",
+    INVALID_EMOJI: "The reaction type is invalid.",
+    INVALID_REVISION_RANGE: "The revision numbers to compare are invalid.",
+    INVALID_ROLE: "The role is invalid.",
+    INVALID_TARGET_TYPE: "The targetType is invalid.",
+};
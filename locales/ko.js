@@ -0,0 +1,125 @@
+/**
+ * @brief 한국어 메세지 (기본 언어)
+ * @note 키는 에러 코드(utils/errors.js) 또는 응답/검사 메세지 키입니다. {name}은 params 값으로 바뀝니다.
+ */
+module.exports = {
+    // 공통 에러
+    VALIDATION_FAILED: "요청한 데이터 형식이 올바르지 않습니다.",
+    INVALID_JSON: "요청 본문이 올바른 JSON 형식이 아닙니다.",
+    PAYLOAD_TOO_LARGE: "요청 본문이 너무 큽니다.",
+    INVALID_CURSOR: "커서가 올바르지 않습니다.",
+    FORBIDDEN: "권한이 없습니다.",
+    CSRF_TOKEN_INVALID: "CSRF 토큰이 없거나 올바르지 않습니다. csrfToken 쿠키 값을 X-CSRF-Token 헤더로 보내주세요.",
+    ROUTE_NOT_FOUND: "요청한 API가 존재하지 않습니다.",
+    TOO_MANY_REQUESTS: "요청이 너무 많습니다. {retryAfter}초 후에 다시 시도해주세요.",
+    INTERNAL_ERROR: "서버 오류가 발생했습니다.",
+
+    // 인증
+    TOKEN_MISSING: "인증 토큰이 존재하지 않습니다.",
+    TOKEN_MALFORMED: "토큰 형식이 올바르지 않습니다.",
+    TOKEN_EXPIRED: "토큰이 만료되었습니다.",
+    TOKEN_REVOKED: "폐기된 토큰입니다.",
+    USER_NOT_FOUND: "토큰 사용자가 존재하지 않습니다.",
+    REFRESH_TOKEN_MISSING: "Refresh Token이 존재하지 않습니다.",
+    REFRESH_TOKEN_INVALID: "유효하지 않은 Refresh Token입니다.",
+    REFRESH_TOKEN_REUSED: "이미 사용된 Refresh Token입니다. 세션이 폐기되었습니다.",
+
+    // 회원가입/로그인
+    PASSWORD_MISMATCH: "패스워드가 일치하지 않습니다.",
+    PASSWORD_CONTAINS_NICKNAME: "패스워드에 닉네임이 포함되어 있습니다.",
+    DUPLICATE_NICKNAME: "중복된 닉네임입니다.",
+    LOGIN_FAILED: "닉네임 또는 패스워드를 확인해주세요.",
+    LOGIN_LOCKED: "로그인에 여러 번 실패하여 잠겼습니다. {retryAfter}초 후에 다시 시도해주세요.",
+    SIGNUP_SUCCESS: "회원가입이 완료되었습니다.",
+    LOGIN_SUCCESS: "로그인 성공",
+    TOKEN_REFRESHED: "토큰이 재발급되었습니다.",
+    LOGOUT_SUCCESS: "로그아웃 되었습니다.",
+    SETTINGS_UPDATED: "설정이 변경되었습니다.",
+
+    // 계정 관리
+    CURRENT_PASSWORD_INCORRECT: "현재 비밀번호가 일치하지 않습니다.",
+    PASSWORD_CHANGED: "비밀번호가 변경되었습니다. 다른 기기에서는 다시 로그인해주세요.",
+    NICKNAME_CHANGED: "닉네임이 변경되었습니다.",
+    ACCOUNT_DELETED: "회원 탈퇴가 완료되었습니다.",
+
+    // 사용자 프로필
+    PROFILE_NOT_FOUND: "사용자가 존재하지 않습니다.",
+    ACTIVITY_HIDDEN: "사용자가 활동 내역을 공개하지 않았습니다.",
+
+    // 게시글
+    POST_NOT_FOUND: "게시글이 존재하지 않습니다.",
+    ALREADY_LIKED: "이미 좋아요를 누른 게시글입니다.",
+    NOT_LIKED: "좋아요를 누르지 않은 게시글입니다.",
+    REVISION_NOT_FOUND: "수정 이력이 존재하지 않습니다.",
+    POST_UPDATED: "게시글이 수정되었습니다.",
+    POST_DELETED: "게시글이 삭제되었습니다.",
+
+    // 게시판
+    BOARD_NOT_FOUND: "게시판이 존재하지 않습니다.",
+    BOARD_WRITE_FORBIDDEN: "이 게시판에 글을 작성할 권한이 없습니다.",
+
+    // 첨부파일
+    ATTACHMENT_REQUIRED: "첨부할 파일을 files 필드로 보내주세요.",
+    INVALID_MULTIPART: "multipart/form-data 요청 형식이 올바르지 않습니다.",
+    TOO_MANY_ATTACHMENTS: "첨부파일은 최대 {max}개까지 올릴 수 있습니다.",
+    ATTACHMENT_TOO_LARGE: "파일 하나의 크기는 {maxSize}MB 이하여야 합니다.",
+    UNSUPPORTED_ATTACHMENT_TYPE: "첨부할 수 없는 파일 형식입니다. ({name})",
+    ATTACHMENT_NOT_FOUND: "첨부파일이 존재하지 않습니다.",
+    THUMBNAIL_NOT_FOUND: "썸네일이 없는 첨부파일입니다.",
+    ATTACHMENT_DELETED: "첨부파일이 삭제되었습니다.",
+
+    // 댓글
+    COMMENT_NOT_FOUND: "댓글이 존재하지 않습니다.",
+    PARENT_COMMENT_NOT_FOUND: "답글을 달 댓글이 존재하지 않습니다.",
+    REPLY_DEPTH_EXCEEDED: "더 이상 답글을 작성할 수 없습니다.",
+    REACTION_NOT_FOUND: "반응을 남기지 않은 댓글입니다.",
+    COMMENT_UPDATED: "댓글이 수정되었습니다.",
+    COMMENT_DELETED: "댓글이 삭제되었습니다.",
+    REACTION_REMOVED: "반응이 취소되었습니다.",
+    DELETED_COMMENT: "삭제된 댓글입니다.",
+
+    // 알림
+    NOTIFICATION_NOT_FOUND: "알림이 존재하지 않습니다.",
+    NOTIFICATION_READ: "알림을 읽음으로 표시했습니다.",
+    ALL_NOTIFICATIONS_READ: "모든 알림을 읽음으로 표시했습니다.",
+
+    // 검색
+    EMPTY_SEARCH_QUERY: "검색어를 입력해주세요.",
+
+    // 휴지통
+    TRASHED_POST_NOT_FOUND: "휴지통에 게시글이 존재하지 않습니다.",
+    TRASHED_COMMENT_NOT_FOUND: "휴지통에 댓글이 존재하지 않습니다.",
+    POST_DELETED_BY_MODERATOR: "관리자가 삭제한 게시글은 복원할 수 없습니다.",
+    COMMENT_DELETED_BY_MODERATOR: "관리자가 삭제한 댓글은 복원할 수 없습니다.",
+    POST_IN_TRASH: "게시글이 삭제되어 댓글을 복원할 수 없습니다.",
+    POST_RESTORED: "게시글이 복원되었습니다.",
+    COMMENT_RESTORED: "댓글이 복원되었습니다.",
+
+    // 관리자
+    ROLE_FORBIDDEN: "{role} 이상의 역할이 필요합니다.",
+    TARGET_USER_NOT_FOUND: "사용자가 존재하지 않습니다.",
+    CANNOT_CHANGE_OWN_ROLE: "자신의 역할은 변경할 수 없습니다.",
+    ROLE_CHANGED: "역할이 변경되었습니다.",
+
+    // 요청 검사 (schemas/*.schema.js의 x-message)
+    FIELD_REQUIRED: "{field} 값을 입력해주세요.",
+    FIELD_INVALID: "{field} 값이 올바르지 않습니다.",
+    INVALID_NICKNAME_FORMAT: "닉네임의 형식이 일치하지 않습니다.",
+    INVALID_PASSWORD_FORMAT: "패스워드 형식이 일치하지 않습니다.",
+    INVALID_LOCALE: "지원하지 않는 언어입니다.",
+    BIO_TOO_LONG: "소개는 300자 이하로 입력해주세요.",
+    INVALID_BOARD: "게시판 값이 올바르지 않습니다.",
+    INVALID_TAG: "태그는 한글, 영문, 숫자, _, - 30자 이하로 최대 10개까지 입력할 수 있습니다.",
+    INVALID_CONTENT_OPTION: "작성한 글 처리 방법은 anonymize 또는 remove 중 하나여야 합니다.",
+    TITLE_REQUIRED: "제목을 입력해주세요.",
+    CONTENT_REQUIRED: "내용을 입력해주세요.",
+    COMMENT_REQUIRED: "댓글 내용을 입력해주세요.",
+    INVALID_LIMIT: "limit 값이 올바르지 않습니다.",
+    INVALID_SORT: "정렬 기준이 올바르지 않습니다.",
+    INVALID_DATE_RANGE: "조회 기간이 올바르지 않습니다.",
+    INVALID_DEPTH: "depth 값이 올바르지 않습니다.",
+    INVALID_EMOJI: "반응 종류가 올바르지 않습니다.",
+    INVALID_REVISION_RANGE: "비교할 버전 번호가 올바르지 않습니다.",
+    INVALID_ROLE: "역할이 올바르지 않습니다.",
+    INVALID_TARGET_TYPE: "targetType 값이 올바르지 않습니다.",
+};
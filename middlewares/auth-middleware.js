@@ -1,28 +1,112 @@
 const jwt = require("jsonwebtoken");
 const { Users } = require("../models");
+const { verifyAccessToken, isSessionActive } = require("../utils/token");
+const { clearAccessTokenCookie, isCsrfTokenValid } = require("../utils/auth-cookies");
+const { AppError } = require("../utils/errors");
+
+/**
+ * @brief 요청에서 토큰 문자열을 꺼냅니다.
+ * @note Authorization 헤더를 우선하고, 없으면 authorization 쿠키를 사용합니다.
+ * 두 곳 모두 "Bearer <token>" 형식이어야 합니다.
+ */
+function extractToken(req) {
+    const header = req.headers.authorization;
+    const cookie = req.cookies && req.cookies.authorization;
+    const source = header ? "header" : cookie ? "cookie" : null;
+
+    if (!source) {
+        return { source, error: "TOKEN_MISSING" };
+    }
+
+    const [tokenType, token, ...rest] = (source === "header" ? header : cookie).trim().split(/\s+/);
+    if (tokenType !== "Bearer" || !token || rest.length) {
+        return { source, error: "TOKEN_MALFORMED" };
+    }
+
+    return { source, token };
+}
+
+/**
+ * @brief 요청의 토큰을 검증하고 토큰 사용자를 조회합니다.
+ * @note 쿠키로 인증하는 상태 변경 요청은 CSRF 토큰도 확인합니다. (utils/auth-cookies.js)
+ * @returns 성공 시 { source, user, sessionId }, 실패 시 { source, error }
+ */
+async function authenticate(req) {
+    const { source, token, error } = extractToken(req);
+    if (error) {
+        return { source, error };
+    }
+
+    // 브라우저가 자동으로 보내는 쿠키만 다른 사이트에서 위조한 요청에 쓰일 수 있습니다.
+    if (source === "cookie" && !isCsrfTokenValid(req)) {
+        return { source, error: "CSRF_TOKEN_INVALID" };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = verifyAccessToken(token);
+    } catch (err) {
+        return { source, error: err instanceof jwt.TokenExpiredError ? "TOKEN_EXPIRED" : "TOKEN_MALFORMED" };
+    }
+
+    const { userId, sid } = decodedToken;
+
+    // 로그아웃 등으로 폐기된 세션의 토큰은 만료 전이라도 거부합니다.
+    if (!sid || !(await isSessionActive(sid))) {
+        return { source, error: "TOKEN_REVOKED" };
+    }
+
+    const user = await Users.findOne({ where: { userId } });
+    if (!user) {
+        return { source, error: "USER_NOT_FOUND" };
+    }
+
+    return { source, user, sessionId: sid };
+}
 
 module.exports = async (req, res, next) => {
     try {
-        const { authorization } = req.cookies;
-        const [tokenType, token] = authorization.split(" ");
+        const { source, user, sessionId, error } = await authenticate(req);
 
-        if (tokenType !== "Bearer") {
-            return res.status(401).json({ message: "토큰 타입이 일치하지 않습니다." });
+        if (error) {
+            // 쿠키로 전달된 토큰만 쿠키를 정리합니다.
+            // CSRF 토큰이 틀린 요청은 다른 사이트가 보냈을 수 있으므로 쿠키를 그대로 둡니다.
+            if (source === "cookie" && error !== "CSRF_TOKEN_INVALID") {
+                clearAccessTokenCookie(res);
+            }
+            return next(new AppError(error));
         }
+        res.locals.user = user;
+        res.locals.sessionId = sessionId;
 
-        const decodedToken = jwt.verify(token, "customized_secret_key");
-        const userId = decodedToken.userId;
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+// OpenAPI 문서에 싣는 인증 방식과 에러 코드 (swagger/swagger.js)
+module.exports.openapi = {
+    security: "required",
+    errors: ["TOKEN_MISSING", "TOKEN_MALFORMED", "TOKEN_EXPIRED", "TOKEN_REVOKED", "USER_NOT_FOUND", "CSRF_TOKEN_INVALID"],
+};
 
-        const user = await Users.findOne({ where: { userId } });
-        if (!user) {
-            res.clearCookie("authorization");
-            return res.status(401).json({ message: "토큰 사용자가 존재하지 않습니다." });
+/**
+ * @brief 로그인하지 않아도 접근할 수 있는 API용 미들웨어
+ * @note 유효한 토큰이 있으면 res.locals.user를 채우고, 없거나 유효하지 않으면 비로그인 사용자로 처리합니다.
+ */
+module.exports.optional = async (req, res, next) => {
+    try {
+        const { user, sessionId } = await authenticate(req);
+        if (user) {
+            res.locals.user = user;
+            res.locals.sessionId = sessionId;
         }
-        res.locals.user = user;
 
         next();
-    } catch (error) {
-        res.clearCookie("authorization");
-        return res.status(401).json({ message: "비정상적인 요청입니다." });
+    } catch (err) {
+        next(err);
     }
-}
\ No newline at end of file
+}
+
+module.exports.optional.openapi = { security: "optional", errors: [] };
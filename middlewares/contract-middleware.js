@@ -0,0 +1,98 @@
+const { createAjv } = require("../utils/json-schema");
+const { errorSchema } = require("../swagger/swagger");
+
+// 요청 ID별 계약 위반 기록 (takeViolations로 꺼냅니다.)
+const violations = new Map();
+
+/**
+ * @brief OpenAPI 문서의 operation마다 경로 패턴과 상태 코드별 응답 검사 함수를 만듭니다.
+ * @note 고정된 경로가 파라미터 경로보다 먼저 일치하도록 파라미터가 적은 경로부터 확인합니다.
+ * (/posts/{postId}/revisions/diff, /posts/{postId}/revisions/{revision})
+ */
+function compileOperations(spec, ajv) {
+    const operations = [];
+    for (const [path, methods] of Object.entries(spec.paths)) {
+        const pattern = new RegExp(`^${path.replace(/\{\w+\}/g, "[^/]+")}$`);
+        const paramCount = (path.match(/\{/g) || []).length;
+
+        for (const [method, operation] of Object.entries(methods)) {
+            // 파일 다운로드 등 JSON이 아닌 응답은 null (res.json()으로 보내면 위반)
+            const responses = Object.fromEntries(Object.entries(operation.responses).map(([status, response]) => {
+                const json = response.content["application/json"];
+                return [status, json ? ajv.compile(json.schema) : null];
+            }));
+            operations.push({ method: method.toUpperCase(), path, pattern, paramCount, responses });
+        }
+    }
+    return operations.sort((a, b) => a.paramCount - b.paramCount);
+}
+
+/**
+ * @brief 응답이 OpenAPI 문서와 다르면 위반 내용을 반환합니다.
+ * @note 문서에 없는 경로의 에러 응답(ROUTE_NOT_FOUND 등)은 공통 에러 형식으로 검사하고, 그 밖의 응답은 검사하지 않습니다.
+ */
+function findViolation(operations, checkError, req, status, body) {
+    const path = req.originalUrl.split("?")[0];
+    const operation = operations.find((op) => op.method === req.method && op.pattern.test(path));
+
+    let check;
+    if (operation) {
+        check = operation.responses[status];
+        if (check === undefined) {
+            return { operation: `${operation.method} ${operation.path}`, message: `문서에 없는 상태 코드 ${status}` };
+        }
+        if (check === null) {
+            return { operation: `${operation.method} ${operation.path}`, message: `JSON이 아닌 응답 ${status}` };
+        }
+    } else if (status >= 400) {
+        check = checkError;
+    } else {
+        return null;
+    }
+
+    // Date, Sequelize 모델 등은 실제로 응답되는 JSON 형태로 바꾼 뒤 검사합니다.
+    if (check(JSON.parse(JSON.stringify(body)))) {
+        return null;
+    }
+    return {
+        operation: operation ? `${operation.method} ${operation.path}` : null,
+        message: check.errors.map((error) => `${error.instancePath || "(body)"} ${error.message}`).join(", "),
+    };
+}
+
+/**
+ * @brief 모든 JSON 응답을 OpenAPI 문서와 대조하는 미들웨어 (CONTRACT_TEST=true일 때만 연결)
+ * @param spec swagger/swagger.js에서 만든 OpenAPI 문서
+ * @note 문서에 없는 상태 코드나 스키마와 다른 응답을 위반으로 기록하고 서버 로그에 남깁니다. 응답은 그대로 보냅니다.
+ * 테스트는 응답의 X-Request-Id로 takeViolations()를 호출해 위반이 없는지 확인합니다. (test/helpers/server.js)
+ */
+function contractValidator(spec) {
+    const ajv = createAjv();
+    const operations = compileOperations(spec, ajv);
+    const checkError = ajv.compile(errorSchema());
+
+    return (req, res, next) => {
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            const violation = findViolation(operations, checkError, req, res.statusCode, body);
+            if (violation) {
+                const record = { requestId: req.id, request: `${req.method} ${req.originalUrl}`, status: res.statusCode, ...violation };
+                violations.set(req.id, [...(violations.get(req.id) || []), record]);
+                console.error(`[${req.id}] OpenAPI 계약 위반`, record);
+            }
+            return json(body);
+        };
+        next();
+    };
+}
+
+/**
+ * @brief 요청 ID의 계약 위반 기록을 꺼냅니다. (꺼낸 기록은 지웁니다.)
+ */
+function takeViolations(requestId) {
+    const found = violations.get(requestId) || [];
+    violations.delete(requestId);
+    return found;
+}
+
+module.exports = { contractValidator, takeViolations };
@@ -0,0 +1,52 @@
+const { AppError } = require("../utils/errors");
+const { resolveLocale, translate } = require("../utils/i18n");
+
+// body-parser 등 http-errors 형식의 에러 종류별 코드
+const HTTP_ERROR_CODES = {
+    "entity.parse.failed": "INVALID_JSON",
+    "entity.too.large": "PAYLOAD_TOO_LARGE",
+};
+
+/**
+ * @brief 일치하는 라우터가 없는 요청
+ */
+function notFoundHandler(req, res, next) {
+    next(new AppError("ROUTE_NOT_FOUND"));
+}
+
+/**
+ * @brief 모든 에러를 { code, message, requestId } 형식으로 응답합니다.
+ * @note 메세지는 요청한 언어로 바꿉니다. 요청 검사 에러는 첫 번째 필드의 메세지를 message로 응답합니다.
+ * AppError가 아닌 에러는 스택을 서버 로그에 남기고 500으로 응답합니다. (내부 메세지는 응답하지 않습니다.)
+ */
+function errorHandler(err, req, res, next) {
+    let error = err;
+    if (!(error instanceof AppError)) {
+        const code = HTTP_ERROR_CODES[err.type];
+        if (!code) {
+            console.error(`[${req.id}] ${req.method} ${req.originalUrl}`, err);
+        }
+        error = new AppError(code || "INTERNAL_ERROR");
+    }
+
+    // 이미 응답을 보내기 시작했다면 Express 기본 핸들러가 연결을 정리합니다.
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    const locale = resolveLocale(req, res);
+    const errors = error.errors && error.errors.map(({ messageKey, params, ...rest }) => ({
+        ...rest,
+        message: translate(locale, messageKey, params),
+    }));
+
+    res.set("Content-Language", locale);
+    return res.status(error.status).json({
+        code: error.code,
+        message: errors && errors.length ? errors[0].message : translate(locale, error.code, error.params),
+        requestId: req.id,
+        ...(errors && { errors }),
+    });
+}
+
+module.exports = { notFoundHandler, errorHandler };
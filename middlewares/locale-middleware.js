@@ -0,0 +1,15 @@
+const { resolveLocale, translate } = require("../utils/i18n");
+
+/**
+ * @brief 응답 메세지를 요청한 언어로 바꾸는 res.t(key, params)를 추가합니다.
+ * @note 언어는 호출하는 시점에 정하므로, authMiddleware 이후에는 사용자의 언어 설정이 반영됩니다.
+ */
+module.exports = (req, res, next) => {
+    res.vary("Accept-Language");
+    res.t = (key, params) => {
+        const locale = resolveLocale(req, res);
+        res.set("Content-Language", locale);
+        return translate(locale, key, params);
+    };
+    next();
+};
@@ -0,0 +1,61 @@
+const { Users } = require("../models");
+const { AppError } = require("../utils/errors");
+
+/**
+ * @brief 사용자의 역할이 지정한 역할 이상인지 확인합니다. (user < moderator < admin)
+ */
+function hasRole(user, role) {
+    return Users.ROLES.indexOf(user.role) >= Users.ROLES.indexOf(role);
+}
+
+/**
+ * @brief 지정한 역할 이상의 사용자만 통과시키는 미들웨어
+ * @note authMiddleware 다음에 사용합니다. 역할이 부족하면 ROLE_FORBIDDEN(403)으로 응답합니다.
+ */
+function requireRole(role) {
+    const middleware = (req, res, next) => {
+        if (!res.locals.user || !hasRole(res.locals.user, role)) {
+            return next(new AppError("ROLE_FORBIDDEN", { params: { role } }));
+        }
+        next();
+    };
+
+    middleware.openapi = { errors: ["ROLE_FORBIDDEN"], description: `${role} 이상의 역할이 필요합니다.` };
+    return middleware;
+}
+
+/**
+ * @brief 작성자 본인 또는 moderator 이상의 사용자만 통과시키는 미들웨어
+ * @param findResource (req) => 대상 게시글/댓글을 조회하는 함수 (없으면 null)
+ * @param notFoundCode 대상이 없을 때의 에러 코드 (utils/errors.js)
+ * @note 통과하면 res.locals.resource에 대상을 담고,
+ * 다른 사용자의 글을 관리자 권한으로 다루는 경우 res.locals.moderating을 true로 설정합니다.
+ */
+function ownerOrModerator(findResource, notFoundCode) {
+    const middleware = async (req, res, next) => {
+        try {
+            const { user } = res.locals;
+            const resource = await findResource(req);
+
+            if (!resource) {
+                return next(new AppError(notFoundCode));
+            }
+
+            const isOwner = resource.UserId === user.userId;
+            if (!isOwner && !hasRole(user, "moderator")) {
+                return next(new AppError("FORBIDDEN"));
+            }
+
+            res.locals.resource = resource;
+            res.locals.moderating = !isOwner;
+            next();
+        } catch (err) {
+            next(err);
+        }
+    };
+
+    middleware.openapi = { errors: [notFoundCode, "FORBIDDEN"], description: "작성자 본인 또는 moderator 이상만 가능합니다." };
+    return middleware;
+}
+
+module.exports = { hasRole, requireRole, ownerOrModerator };
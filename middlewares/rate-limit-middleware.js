@@ -0,0 +1,56 @@
+const config = require("../config");
+const { store } = require("../utils/rate-limit-store");
+const { AppError } = require("../utils/errors");
+
+// 요청 IP별로 제한합니다. (프록시 뒤에서는 TRUST_PROXY_HOPS 설정이 필요합니다.)
+const byIp = (req) => `ip:${req.ip}`;
+
+// 로그인 사용자별로 제한합니다. authMiddleware 다음에 사용하며, 비로그인 요청은 IP별로 제한합니다.
+const byUser = (req, res) => (res.locals.user ? `user:${res.locals.user.userId}` : byIp(req));
+
+/**
+ * @brief 구간(window)마다 요청 수를 제한하는 미들웨어
+ * @param name 제한 이름 (같은 이름의 제한은 요청 수를 함께 셉니다.)
+ * @param options.max 구간마다 허용하는 요청 수
+ * @param options.windowSeconds 구간 길이 (초)
+ * @param options.key (req, res) => 요청을 구분할 키 (byIp, byUser)
+ * @note RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset 헤더로 남은 요청 수를 알려주고,
+ * 초과하면 Retry-After 헤더와 함께 TOO_MANY_REQUESTS(429)로 응답합니다. RATE_LIMIT_ENABLED=false이면 제한하지 않습니다.
+ */
+function rateLimit(name, { max, windowSeconds, key }) {
+    const middleware = async (req, res, next) => {
+        if (!config.rateLimit.enabled) {
+            return next();
+        }
+
+        try {
+            const { count, resetAt } = await store.increment(`rate:${name}:${key(req, res)}`, windowSeconds * 1000);
+            const reset = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+            res.set({
+                "RateLimit-Policy": `${max};w=${windowSeconds}`,
+                "RateLimit-Limit": String(max),
+                "RateLimit-Remaining": String(Math.max(0, max - count)),
+                "RateLimit-Reset": String(reset),
+            });
+
+            if (count > max) {
+                res.set("Retry-After", String(reset));
+                return next(new AppError("TOO_MANY_REQUESTS", { params: { retryAfter: reset } }));
+            }
+            next();
+        } catch (err) {
+            next(err);
+        }
+    };
+
+    middleware.openapi = { errors: ["TOO_MANY_REQUESTS"], description: `요청 수 제한: ${windowSeconds}초에 ${max}회` };
+    return middleware;
+}
+
+// 라우터에서 사용하는 제한 (config.rateLimit)
+const loginLimit = rateLimit("login", { ...config.rateLimit.login, key: byIp });
+const signupLimit = rateLimit("signup", { ...config.rateLimit.signup, key: byIp });
+const writeLimit = rateLimit("write", { ...config.rateLimit.write, key: byUser });
+
+module.exports = { rateLimit, byIp, byUser, loginLimit, signupLimit, writeLimit };
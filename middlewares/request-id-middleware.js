@@ -0,0 +1,15 @@
+const { randomUUID } = require("crypto");
+
+// 프록시 등에서 전달한 요청 ID는 이 형식일 때만 그대로 사용합니다.
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+/**
+ * @brief 요청마다 ID를 붙여 에러 응답과 서버 로그를 연결합니다.
+ * @note X-Request-Id 헤더가 있으면 사용하고, 없으면 새로 만듭니다. 응답의 X-Request-Id 헤더로도 전달합니다.
+ */
+module.exports = (req, res, next) => {
+    const requestId = req.get("X-Request-Id");
+    req.id = requestId && REQUEST_ID_PATTERN.test(requestId) ? requestId : randomUUID();
+    res.set("X-Request-Id", req.id);
+    next();
+};
@@ -0,0 +1,35 @@
+const config = require("../config");
+
+// API 응답(JSON)은 어떤 리소스도 불러오지 않고, 다른 페이지에 포함되지 않습니다.
+const API_POLICY = "default-src 'none'; frame-ancestors 'none'";
+// Swagger UI(/api-docs)는 같은 출처의 스크립트와 인라인 스타일, data: 아이콘을 사용합니다.
+const DOCS_POLICY = [
+    "default-src 'self'",
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data:",
+    "frame-ancestors 'none'",
+].join("; ");
+
+// HTTPS로만 접속하도록 브라우저에 기억시키는 기간 (180일)
+const HSTS_MAX_AGE = 180 * 24 * 60 * 60;
+
+/**
+ * @brief 모든 응답에 보안 헤더를 붙입니다.
+ * @note 에러 응답에도 붙도록 라우터보다 먼저 연결합니다.
+ * Strict-Transport-Security는 HTTPS로 서비스할 때(COOKIE_SECURE=true)만 보냅니다.
+ */
+module.exports = (req, res, next) => {
+    const isDocs = req.path === "/api-docs" || req.path.startsWith("/api-docs/");
+
+    res.set({
+        "Content-Security-Policy": isDocs ? DOCS_POLICY : API_POLICY,
+        "X-Content-Type-Options": "nosniff",
+        "X-Frame-Options": "DENY",
+        "Referrer-Policy": "no-referrer",
+        "Cross-Origin-Opener-Policy": "same-origin",
+    });
+    if (config.cookie.secure) {
+        res.set("Strict-Transport-Security", `max-age=${HSTS_MAX_AGE}; includeSubDomains`);
+    }
+    next();
+};
@@ -0,0 +1,69 @@
+const multer = require("multer");
+const config = require("../config");
+const { AppError } = require("../utils/errors");
+
+const { maxFileSizeMb, maxFilesPerRequest } = config.attachments;
+
+// multipart/form-data에서 파일을 담는 필드 이름
+const FILE_FIELD = "files";
+
+// multer 에러 종류별 코드 (그 밖의 형식 오류는 INVALID_MULTIPART)
+const MULTER_ERROR_CODES = {
+    LIMIT_FILE_SIZE: "ATTACHMENT_TOO_LARGE",
+    LIMIT_FILE_COUNT: "TOO_MANY_ATTACHMENTS",
+};
+
+// 파일을 메모리로 읽습니다. 형식 검사와 썸네일 생성이 끝난 뒤 저장소에 저장합니다. (utils/attachments.js)
+const parse = multer({
+    limits: {
+        fileSize: maxFileSizeMb * 1024 * 1024,
+        files: maxFilesPerRequest,
+        fields: 0,
+    },
+    // 브라우저는 파일 이름을 UTF-8 그대로 보냅니다.
+    defParamCharset: "utf8",
+}).array(FILE_FIELD);
+
+/**
+ * @brief multipart/form-data 요청의 files 필드를 req.files로 읽는 미들웨어
+ * @note 권한을 확인한 뒤에 연결하여, 권한이 없는 요청의 파일은 읽지 않습니다.
+ * 파일이 하나도 없으면 ATTACHMENT_REQUIRED(400)로 응답합니다.
+ */
+function uploadFiles(req, res, next) {
+    if (!req.is("multipart/form-data")) {
+        return next(new AppError("ATTACHMENT_REQUIRED"));
+    }
+
+    parse(req, res, (error) => {
+        if (error) {
+            const code = (error instanceof multer.MulterError && MULTER_ERROR_CODES[error.code]) || "INVALID_MULTIPART";
+            return next(new AppError(code, { params: { maxSize: maxFileSizeMb, max: maxFilesPerRequest } }));
+        }
+        if (!req.files || !req.files.length) {
+            return next(new AppError("ATTACHMENT_REQUIRED"));
+        }
+        next();
+    });
+}
+
+// OpenAPI 문서의 요청 형식 (swagger/swagger.js)
+uploadFiles.openapi = {
+    requestBody: {
+        required: true,
+        content: {
+            "multipart/form-data": {
+                schema: {
+                    type: "object",
+                    required: [FILE_FIELD],
+                    properties: {
+                        [FILE_FIELD]: { type: "array", items: { type: "string", format: "binary" } },
+                    },
+                },
+            },
+        },
+    },
+    errors: ["ATTACHMENT_REQUIRED", "ATTACHMENT_TOO_LARGE", "TOO_MANY_ATTACHMENTS", "INVALID_MULTIPART"],
+    description: `첨부파일: 파일마다 ${maxFileSizeMb}MB 이하, 한 번에 ${maxFilesPerRequest}개까지`,
+};
+
+module.exports = { uploadFiles };
@@ -0,0 +1,73 @@
+const { createAjv } = require("../utils/json-schema");
+const { AppError } = require("../utils/errors");
+
+// params, query는 항상 문자열로 들어오므로 스키마의 타입으로 변환하고 기본값을 채웁니다.
+// body는 클라이언트가 보낸 JSON 타입을 그대로 검사합니다.
+const coercing = createAjv({ coerceTypes: true, useDefaults: true });
+const exact = createAjv({ useDefaults: true });
+
+const SOURCES = [
+    { key: "params", ajv: coercing },
+    { key: "query", ajv: coercing },
+    { key: "body", ajv: exact },
+];
+
+/**
+ * @brief ajv 에러를 { in, field, messageKey, params } 형식으로 바꿉니다.
+ * @note 필드 스키마에 x-message(메세지 키)가 있으면 그 키를, 없으면 기본 키를 사용합니다.
+ * 메세지는 error-middleware에서 요청한 언어로 바꿉니다.
+ */
+function toFieldError(source, error) {
+    let field = error.instancePath.split("/").slice(1).join(".");
+    let fieldSchema = error.parentSchema;
+
+    if (error.keyword === "required") {
+        const { missingProperty } = error.params;
+        field = field ? `${field}.${missingProperty}` : missingProperty;
+        fieldSchema = (error.parentSchema.properties || {})[missingProperty] || {};
+    }
+
+    const messageKey = fieldSchema["x-message"] || (error.keyword === "required" ? "FIELD_REQUIRED" : "FIELD_INVALID");
+
+    return { in: source, field: field || null, messageKey, params: { field: field || source } };
+}
+
+/**
+ * @brief 요청의 params, query, body를 JSON Schema로 검사하는 미들웨어
+ * @param schema { params, query, body } 중 검사할 부분의 JSON Schema (schemas/*.schema.js)
+ * @note 실패한 필드를 모두 모아 VALIDATION_FAILED(400)로 응답합니다. message에는 첫 번째 에러의 메세지를 담습니다.
+ * 통과하면 params, query의 값은 스키마의 타입으로 변환되고 기본값이 채워집니다.
+ */
+function validate(schema) {
+    const validators = SOURCES
+        .filter(({ key }) => schema[key])
+        .map(({ key, ajv }) => ({ key, check: ajv.compile(schema[key]) }));
+
+    const middleware = (req, res, next) => {
+        const errors = [];
+        for (const { key, check } of validators) {
+            // body가 없는 요청도 빈 객체로 검사합니다.
+            if (key === "body" && (req.body === undefined || req.body === null)) {
+                req.body = {};
+            }
+            if (!check(req[key])) {
+                errors.push(...check.errors.map((error) => toFieldError(key, error)));
+            }
+        }
+
+        // 한 필드가 여러 조건에 실패한 경우 첫 번째 에러만 남깁니다.
+        const fieldErrors = errors.filter((error, i) =>
+            errors.findIndex((other) => other.in === error.in && other.field === error.field) === i
+        );
+        if (fieldErrors.length) {
+            return next(new AppError("VALIDATION_FAILED", { errors: fieldErrors }));
+        }
+        next();
+    };
+
+    // OpenAPI 문서를 만들 때 라우터에서 스키마를 찾습니다. (swagger/swagger.js)
+    middleware.openapi = { schema, errors: ["VALIDATION_FAILED"] };
+    return middleware;
+}
+
+module.exports = { validate };
@@ -0,0 +1,58 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('RefreshTokens', {
+      tokenId: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      UserId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Users',
+          key: 'userId',
+        },
+        onDelete: 'CASCADE'
+      },
+      familyId: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      tokenHash: {
+        allowNull: false,
+        type: Sequelize.STRING,
+        unique: true
+      },
+      expiresAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      replacedAt: {
+        allowNull: true,
+        type: Sequelize.DATE
+      },
+      revokedAt: {
+        allowNull: true,
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP")
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP")
+      }
+    });
+    await queryInterface.addIndex('RefreshTokens', ['familyId']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('RefreshTokens');
+  }
+};
@@ -0,0 +1,36 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // FULLTEXT 인덱스는 MySQL에서만 생성합니다. (SQLite는 LIKE 검색으로 대체)
+    if (queryInterface.sequelize.getDialect() !== 'mysql') {
+      return;
+    }
+
+    // 한글 검색을 위해 ngram 파서를 사용합니다.
+    await queryInterface.addIndex('Posts', ['title'], {
+      name: 'posts_title_fulltext',
+      type: 'FULLTEXT',
+      parser: 'ngram',
+    });
+    await queryInterface.addIndex('Posts', ['title', 'content'], {
+      name: 'posts_title_content_fulltext',
+      type: 'FULLTEXT',
+      parser: 'ngram',
+    });
+    await queryInterface.addIndex('Comments', ['comment'], {
+      name: 'comments_comment_fulltext',
+      type: 'FULLTEXT',
+      parser: 'ngram',
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    if (queryInterface.sequelize.getDialect() !== 'mysql') {
+      return;
+    }
+
+    await queryInterface.removeIndex('Comments', 'comments_comment_fulltext');
+    await queryInterface.removeIndex('Posts', 'posts_title_content_fulltext');
+    await queryInterface.removeIndex('Posts', 'posts_title_fulltext');
+  }
+};
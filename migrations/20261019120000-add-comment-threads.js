@@ -0,0 +1,34 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Comments', 'ParentId', {
+      allowNull: true,
+      type: Sequelize.INTEGER,
+      references: {
+        model: 'Comments', // 부모 댓글 참조
+        key: 'commentId',
+      },
+      onDelete: 'CASCADE',
+    });
+    // 최상위 댓글은 0, 답글은 부모 댓글의 depth + 1
+    await queryInterface.addColumn('Comments', 'depth', {
+      allowNull: false,
+      type: Sequelize.INTEGER,
+      defaultValue: 0,
+    });
+    // 답글이 남아 있는 댓글을 삭제하면 "삭제된 댓글입니다."로 표시합니다.
+    await queryInterface.addColumn('Comments', 'isDeleted', {
+      allowNull: false,
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+    });
+    await queryInterface.addIndex('Comments', ['ParentId']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('Comments', ['ParentId']);
+    await queryInterface.removeColumn('Comments', 'isDeleted');
+    await queryInterface.removeColumn('Comments', 'depth');
+    await queryInterface.removeColumn('Comments', 'ParentId');
+  }
+};
@@ -0,0 +1,45 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // paranoid 모드: destroy 시 행을 지우지 않고 deletedAt에 삭제 시각을 기록합니다.
+    await queryInterface.addColumn('Posts', 'deletedAt', {
+      allowNull: true,
+      type: Sequelize.DATE,
+    });
+    await queryInterface.addColumn('Comments', 'deletedAt', {
+      allowNull: true,
+      type: Sequelize.DATE,
+    });
+
+    // "삭제된 댓글입니다."로 표시하던 댓글(isDeleted)도 deletedAt으로 통합합니다.
+    await queryInterface.sequelize.query(
+      'UPDATE Comments SET deletedAt = updatedAt WHERE isDeleted = 1'
+    );
+    // SQLite의 removeColumn은 테이블을 다시 만들면서 외래 키의 ON DELETE CASCADE를 잃으므로 MySQL에서만 삭제합니다.
+    // (SQLite에는 사용하지 않는 isDeleted 컬럼이 기본값 false로 남습니다.)
+    if (queryInterface.sequelize.getDialect() === 'mysql') {
+      await queryInterface.removeColumn('Comments', 'isDeleted');
+    }
+
+    await queryInterface.addIndex('Posts', ['deletedAt']);
+    await queryInterface.addIndex('Comments', ['deletedAt']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('Comments', ['deletedAt']);
+    await queryInterface.removeIndex('Posts', ['deletedAt']);
+
+    if (queryInterface.sequelize.getDialect() === 'mysql') {
+      await queryInterface.addColumn('Comments', 'isDeleted', {
+        allowNull: false,
+        type: Sequelize.BOOLEAN,
+        defaultValue: false,
+      });
+    }
+    await queryInterface.sequelize.query(
+      'UPDATE Comments SET isDeleted = 1 WHERE deletedAt IS NOT NULL'
+    );
+    await queryInterface.removeColumn('Comments', 'deletedAt');
+    await queryInterface.removeColumn('Posts', 'deletedAt');
+  }
+};
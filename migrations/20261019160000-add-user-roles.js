@@ -0,0 +1,15 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // user: 일반 사용자, moderator: 모든 게시글/댓글 수정·삭제, admin: moderator 권한 + 사용자 역할 관리
+    await queryInterface.addColumn('Users', 'role', {
+      allowNull: false,
+      type: Sequelize.STRING,
+      defaultValue: 'user',
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Users', 'role');
+  }
+};
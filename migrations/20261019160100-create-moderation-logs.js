@@ -0,0 +1,53 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('ModerationLogs', {
+      logId: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      ModeratorId: {
+        allowNull: true,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Users',
+          key: 'userId',
+        },
+        onDelete: 'SET NULL', // 관리자 계정이 삭제되어도 기록은 남겨둡니다.
+      },
+      action: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      targetType: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      targetId: {
+        allowNull: false,
+        type: Sequelize.INTEGER
+      },
+      detail: {
+        allowNull: true,
+        type: Sequelize.STRING
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP")
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP")
+      }
+    });
+    await queryInterface.addIndex('ModerationLogs', ['targetType', 'targetId']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('ModerationLogs');
+  }
+};
@@ -0,0 +1,14 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // 응답 메세지 언어 설정 (null이면 Accept-Language 헤더를 따릅니다.)
+    await queryInterface.addColumn('Users', 'locale', {
+      allowNull: true,
+      type: Sequelize.STRING(10),
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Users', 'locale');
+  }
+};
@@ -0,0 +1,21 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // 프로필 소개
+    await queryInterface.addColumn('Users', 'bio', {
+      allowNull: true,
+      type: Sequelize.STRING(300),
+    });
+    // 프로필에 작성한 게시글/댓글 목록을 공개할지 여부
+    await queryInterface.addColumn('Users', 'showActivity', {
+      allowNull: false,
+      type: Sequelize.BOOLEAN,
+      defaultValue: true,
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Users', 'showActivity');
+    await queryInterface.removeColumn('Users', 'bio');
+  }
+};
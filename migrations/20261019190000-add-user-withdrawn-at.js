@@ -0,0 +1,14 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // 탈퇴 시각 (탈퇴한 계정은 작성한 글을 남겨두기 위해 행을 지우지 않고 개인정보만 지웁니다.)
+    await queryInterface.addColumn('Users', 'withdrawnAt', {
+      allowNull: true,
+      type: Sequelize.DATE,
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Users', 'withdrawnAt');
+  }
+};
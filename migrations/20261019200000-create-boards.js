@@ -0,0 +1,72 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Boards', {
+      boardId: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      // 주소에 사용하는 게시판 식별자 (/api/boards/:slug/posts)
+      slug: {
+        allowNull: false,
+        type: Sequelize.STRING(30),
+        unique: true
+      },
+      name: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      description: {
+        allowNull: true,
+        type: Sequelize.STRING
+      },
+      // 게시글을 작성할 수 있는 최소 역할 (user | moderator | admin)
+      writeRole: {
+        allowNull: false,
+        type: Sequelize.STRING,
+        defaultValue: 'user'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP")
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP")
+      }
+    });
+
+    const now = new Date();
+    await queryInterface.bulkInsert('Boards', [
+      { slug: 'notice', name: '공지사항', description: '운영진 공지', writeRole: 'admin', createdAt: now, updatedAt: now },
+      { slug: 'qna', name: 'Q&A', description: '질문과 답변', writeRole: 'user', createdAt: now, updatedAt: now },
+      { slug: 'free', name: '자유게시판', description: '자유롭게 이야기하는 곳', writeRole: 'user', createdAt: now, updatedAt: now },
+    ]);
+
+    await queryInterface.addColumn('Posts', 'BoardId', {
+      allowNull: true,
+      type: Sequelize.INTEGER,
+      references: {
+        model: 'Boards',
+        key: 'boardId',
+      },
+      onDelete: 'RESTRICT', // 게시글이 남아 있는 게시판은 삭제할 수 없습니다.
+    });
+
+    // 기존 게시글은 모두 자유게시판으로 옮깁니다.
+    await queryInterface.sequelize.query(
+      "UPDATE Posts SET BoardId = (SELECT boardId FROM Boards WHERE slug = 'free')"
+    );
+    await queryInterface.addIndex('Posts', ['BoardId', 'createdAt']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('Posts', ['BoardId', 'createdAt']);
+    await queryInterface.removeColumn('Posts', 'BoardId');
+    await queryInterface.dropTable('Boards');
+  }
+};
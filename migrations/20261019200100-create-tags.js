@@ -0,0 +1,74 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Tags', {
+      tagId: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      // 소문자로 저장합니다. (utils/tags.js)
+      name: {
+        allowNull: false,
+        type: Sequelize.STRING(30),
+        unique: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP")
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP")
+      }
+    });
+
+    // 게시글과 태그의 N:M 관계
+    await queryInterface.createTable('PostTags', {
+      postTagId: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      PostId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Posts',
+          key: 'postId',
+        },
+        onDelete: 'CASCADE'
+      },
+      TagId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Tags',
+          key: 'tagId',
+        },
+        onDelete: 'CASCADE',
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP")
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP")
+      }
+    });
+    await queryInterface.addIndex('PostTags', ['PostId', 'TagId'], { unique: true });
+    await queryInterface.addIndex('PostTags', ['TagId']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('PostTags');
+    await queryInterface.dropTable('Tags');
+  }
+};
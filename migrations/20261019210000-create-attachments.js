@@ -0,0 +1,80 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Attachments', {
+      attachmentId: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      PostId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Posts',
+          key: 'postId',
+        },
+        onDelete: 'CASCADE'
+      },
+      // 올린 사용자
+      UserId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Users',
+          key: 'userId',
+        },
+        onDelete: 'CASCADE'
+      },
+      // 클라이언트가 보낸 파일 이름 (다운로드할 때 사용)
+      originalName: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      // 파일 내용으로 판별한 형식 (utils/mime-sniff.js)
+      mimeType: {
+        allowNull: false,
+        type: Sequelize.STRING(100)
+      },
+      size: {
+        allowNull: false,
+        type: Sequelize.INTEGER
+      },
+      // 저장소(utils/attachment-storage.js)의 파일 key
+      storageKey: {
+        allowNull: false,
+        type: Sequelize.STRING,
+        unique: true
+      },
+      // 이미지가 아니면 null
+      thumbnailKey: {
+        allowNull: true,
+        type: Sequelize.STRING
+      },
+      width: {
+        allowNull: true,
+        type: Sequelize.INTEGER
+      },
+      height: {
+        allowNull: true,
+        type: Sequelize.INTEGER
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP")
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP")
+      }
+    });
+    await queryInterface.addIndex('Attachments', ['PostId']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('Attachments');
+  }
+};
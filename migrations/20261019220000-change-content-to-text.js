@@ -0,0 +1,44 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // SQLite는 VARCHAR 길이를 검사하지 않으므로 MySQL에서만 변경합니다.
+    // (SQLite의 changeColumn은 테이블을 다시 만들기 때문에 외래 키로 연결된 행이 함께 삭제될 수 있습니다.)
+    if (queryInterface.sequelize.getDialect() !== 'mysql') {
+      return;
+    }
+
+    // 게시글/댓글 내용은 Markdown 원문입니다. (utils/markdown.js)
+    await queryInterface.changeColumn('Posts', 'content', {
+      allowNull: false,
+      type: Sequelize.TEXT
+    });
+    await queryInterface.changeColumn('PostRevisions', 'content', {
+      allowNull: false,
+      type: Sequelize.TEXT
+    });
+    await queryInterface.changeColumn('Comments', 'comment', {
+      allowNull: false,
+      type: Sequelize.TEXT
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    if (queryInterface.sequelize.getDialect() !== 'mysql') {
+      return;
+    }
+
+    // 255자보다 긴 내용이 있으면 실패합니다. (strict mode)
+    await queryInterface.changeColumn('Comments', 'comment', {
+      allowNull: false,
+      type: Sequelize.STRING
+    });
+    await queryInterface.changeColumn('PostRevisions', 'content', {
+      allowNull: false,
+      type: Sequelize.STRING
+    });
+    await queryInterface.changeColumn('Posts', 'content', {
+      allowNull: false,
+      type: Sequelize.STRING
+    });
+  }
+};
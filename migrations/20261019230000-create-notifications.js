@@ -0,0 +1,78 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Notifications', {
+      notificationId: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      // 알림을 받는 사용자
+      UserId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Users',
+          key: 'userId',
+        },
+        onDelete: 'CASCADE'
+      },
+      // 댓글을 작성하거나 멘션한 사용자
+      ActorId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Users',
+          key: 'userId',
+        },
+        onDelete: 'CASCADE'
+      },
+      // comment, reply, mention
+      type: {
+        allowNull: false,
+        type: Sequelize.STRING(20)
+      },
+      PostId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Posts',
+          key: 'postId',
+        },
+        onDelete: 'CASCADE'
+      },
+      // 게시글 본문에서 멘션한 경우 null
+      CommentId: {
+        allowNull: true,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Comments',
+          key: 'commentId',
+        },
+        onDelete: 'CASCADE'
+      },
+      // 읽지 않은 알림은 null
+      readAt: {
+        allowNull: true,
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP")
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP")
+      }
+    });
+    // 알림함 목록과 읽지 않은 알림 수 조회
+    await queryInterface.addIndex('Notifications', ['UserId', 'readAt']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('Notifications');
+  }
+};
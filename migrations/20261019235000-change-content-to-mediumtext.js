@@ -0,0 +1,36 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // SQLite의 TEXT는 길이 제한이 없으므로 MySQL에서만 변경합니다.
+    if (queryInterface.sequelize.getDialect() !== 'mysql') {
+      return;
+    }
+
+    // TEXT는 65,535 byte까지 저장하므로 4 byte 문자(이모지 등)만으로 된 게시글은 최대 길이(20,000자)를 담지 못합니다.
+    // MEDIUMTEXT는 16MB까지 저장합니다. 댓글은 최대 길이(2,000자)가 짧아 TEXT로 충분합니다.
+    await queryInterface.changeColumn('Posts', 'content', {
+      allowNull: false,
+      type: Sequelize.TEXT('medium')
+    });
+    await queryInterface.changeColumn('PostRevisions', 'content', {
+      allowNull: false,
+      type: Sequelize.TEXT('medium')
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    if (queryInterface.sequelize.getDialect() !== 'mysql') {
+      return;
+    }
+
+    // 65,535 byte보다 긴 내용이 있으면 실패합니다. (strict mode)
+    await queryInterface.changeColumn('PostRevisions', 'content', {
+      allowNull: false,
+      type: Sequelize.TEXT
+    });
+    await queryInterface.changeColumn('Posts', 'content', {
+      allowNull: false,
+      type: Sequelize.TEXT
+    });
+  }
+};
@@ -0,0 +1,67 @@
+'use strict';
+const { Model } = require('sequelize');
+
+// models/users.js의 ROLES와 같은 목록 (게시글을 작성할 수 있는 최소 역할)
+const WRITE_ROLES = ['user', 'moderator', 'admin'];
+module.exports = (sequelize, DataTypes) => {
+  class Boards extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+
+      // 1. Boards 모델에서
+      this.hasMany(models.Posts, { // 2. Posts 모델에게 1:N 관계 설정을 합니다.
+        sourceKey: 'boardId',  // 3. Boards 모델의 boardId 컬럼을
+        foreignKey: 'BoardId', // 4. Posts 모델의 BoardId 컬럼과 연결합니다.
+      });
+
+    }
+  }
+  Boards.init({
+    boardId: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: DataTypes.INTEGER
+    },
+    slug: {
+      allowNull: false,
+      type: DataTypes.STRING(30),
+      unique: true
+    },
+    name: {
+      allowNull: false,
+      type: DataTypes.STRING
+    },
+    description: {
+      allowNull: true,
+      type: DataTypes.STRING
+    },
+    writeRole: {
+      allowNull: false,
+      type: DataTypes.STRING,
+      defaultValue: 'user',
+      validate: {
+        isIn: [WRITE_ROLES],
+      }
+    },
+    createdAt: {
+      allowNull: false,
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      allowNull: false,
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    sequelize,
+    modelName: 'Boards',
+  });
+  return Boards;
+};
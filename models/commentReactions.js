@@ -0,0 +1,73 @@
+'use strict';
+const { Model } = require('sequelize');
+
+// 댓글에 남길 수 있는 반응 종류
+const REACTION_EMOJIS = ['like', 'love', 'haha', 'wow', 'sad', 'angry'];
+
+module.exports = (sequelize, DataTypes) => {
+  class CommentReactions extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+
+      // 1. CommentReactions 모델에서
+      this.belongsTo(models.Users, { // 2. Users 모델에게 N:1 관계 설정을 합니다.
+        targetKey: 'userId',  // 3. Users 모델의 userId 컬럼을
+        foreignKey: 'UserId', // 4. CommentReactions 모델의 UserId 컬럼과 연결합니다.
+      });
+
+      // 1. CommentReactions 모델에서
+      this.belongsTo(models.Comments, { // 2. Comments 모델에게 N:1 관계 설정을 합니다.
+        targetKey: 'commentId',  // 3. Comments 모델의 commentId 컬럼을
+        foreignKey: 'CommentId', // 4. CommentReactions 모델의 CommentId 컬럼과 연결합니다.
+      });
+
+    }
+  }
+  CommentReactions.init({
+    reactionId: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: DataTypes.INTEGER
+    },
+    UserId: {
+      allowNull: false,
+      type: DataTypes.INTEGER,
+    },
+    CommentId: {
+      allowNull: false,
+      type: DataTypes.INTEGER,
+    },
+    emoji: {
+      allowNull: false,
+      type: DataTypes.STRING,
+      validate: {
+        isIn: [REACTION_EMOJIS],
+      }
+    },
+    createdAt: {
+      allowNull: false,
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      allowNull: false,
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    sequelize,
+    modelName: 'CommentReactions',
+    indexes: [
+      // 사용자는 댓글마다 하나의 반응만 남길 수 있습니다.
+      { unique: true, fields: ['CommentId', 'UserId'] },
+    ],
+  });
+  CommentReactions.EMOJIS = REACTION_EMOJIS;
+  return CommentReactions;
+};
@@ -22,6 +22,26 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'PostId', // 4. Comments 모델의 PostId 컬럼과 연결합니다.
       });
 
+      // 1. Comments 모델에서
+      this.belongsTo(models.Comments, { // 2. 부모 댓글에게 N:1 관계 설정을 합니다.
+        as: 'Parent',
+        targetKey: 'commentId', // 3. 부모 댓글의 commentId 컬럼을
+        foreignKey: 'ParentId', // 4. Comments 모델의 ParentId 컬럼과 연결합니다.
+      });
+
+      // 1. Comments 모델에서
+      this.hasMany(models.Comments, { // 2. 답글에게 1:N 관계 설정을 합니다.
+        as: 'Replies',
+        sourceKey: 'commentId', // 3. Comments 모델의 commentId 컬럼을
+        foreignKey: 'ParentId', // 4. 답글의 ParentId 컬럼과 연결합니다.
+      });
+
+      // 1. Comments 모델에서
+      this.hasMany(models.CommentReactions, { // 2. CommentReactions 모델에게 1:N 관계 설정을 합니다.
+        sourceKey: 'commentId',  // 3. Comments 모델의 commentId 컬럼을
+        foreignKey: 'CommentId', // 4. CommentReactions 모델의 CommentId 컬럼과 연결합니다.
+      });
+
     }
   }
   Comments.init({
@@ -39,9 +59,19 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       type: DataTypes.INTEGER,
     },
+    ParentId: {
+      allowNull: true,
+      type: DataTypes.INTEGER,
+    },
+    // Markdown 원문 (일부 문법만 렌더링합니다.)
     comment: {
       allowNull: false,
-      type: DataTypes.STRING
+      type: DataTypes.TEXT
+    },
+    depth: {
+      allowNull: false,
+      type: DataTypes.INTEGER,
+      defaultValue: 0
     },
     createdAt: {
       allowNull: false,
@@ -52,10 +82,15 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
+    },
+    deletedAt: {
+      allowNull: true,
+      type: DataTypes.DATE
     }
   }, {
     sequelize,
     modelName: 'Comments',
+    paranoid: true, // destroy 시 deletedAt만 기록하는 soft delete (휴지통)
   });
   return Comments;
 };
\ No newline at end of file
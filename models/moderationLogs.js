@@ -0,0 +1,68 @@
+'use strict';
+const { Model } = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class ModerationLogs extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+
+      // 1. ModerationLogs 모델에서
+      this.belongsTo(models.Users, { // 2. Users 모델에게 N:1 관계 설정을 합니다.
+        as: 'Moderator',
+        targetKey: 'userId',       // 3. Users 모델의 userId 컬럼을
+        foreignKey: 'ModeratorId', // 4. ModerationLogs 모델의 ModeratorId 컬럼과 연결합니다.
+      });
+
+    }
+  }
+  ModerationLogs.init({
+    logId: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: DataTypes.INTEGER
+    },
+    // 조치를 한 관리자
+    ModeratorId: {
+      allowNull: true,
+      type: DataTypes.INTEGER,
+    },
+    // update, delete, restore, role
+    action: {
+      allowNull: false,
+      type: DataTypes.STRING
+    },
+    // post, comment, user
+    targetType: {
+      allowNull: false,
+      type: DataTypes.STRING
+    },
+    targetId: {
+      allowNull: false,
+      type: DataTypes.INTEGER
+    },
+    // 사유 또는 변경 내용 (예: "user -> moderator")
+    detail: {
+      allowNull: true,
+      type: DataTypes.STRING
+    },
+    createdAt: {
+      allowNull: false,
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      allowNull: false,
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    sequelize,
+    modelName: 'ModerationLogs',
+  });
+  return ModerationLogs;
+};
@@ -0,0 +1,96 @@
+'use strict';
+const { Model } = require('sequelize');
+
+// 알림 종류 (comment: 내 게시글에 댓글, reply: 내 댓글에 답글, mention: 게시글/댓글에서 내 닉네임 멘션)
+const NOTIFICATION_TYPES = ['comment', 'reply', 'mention'];
+
+module.exports = (sequelize, DataTypes) => {
+  class Notifications extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+
+      // 1. Notifications 모델에서
+      this.belongsTo(models.Users, { // 2. 알림을 받는 사용자에게 N:1 관계 설정을 합니다.
+        targetKey: 'userId',  // 3. Users 모델의 userId 컬럼을
+        foreignKey: 'UserId', // 4. Notifications 모델의 UserId 컬럼과 연결합니다.
+      });
+
+      // 1. Notifications 모델에서
+      this.belongsTo(models.Users, { // 2. 알림을 만든 사용자에게 N:1 관계 설정을 합니다.
+        as: 'Actor',
+        targetKey: 'userId',   // 3. Users 모델의 userId 컬럼을
+        foreignKey: 'ActorId', // 4. Notifications 모델의 ActorId 컬럼과 연결합니다.
+      });
+
+      // 1. Notifications 모델에서
+      this.belongsTo(models.Posts, { // 2. Posts 모델에게 N:1 관계 설정을 합니다.
+        targetKey: 'postId',  // 3. Posts 모델의 postId 컬럼을
+        foreignKey: 'PostId', // 4. Notifications 모델의 PostId 컬럼과 연결합니다.
+      });
+
+      // 1. Notifications 모델에서
+      this.belongsTo(models.Comments, { // 2. Comments 모델에게 N:1 관계 설정을 합니다.
+        targetKey: 'commentId',  // 3. Comments 모델의 commentId 컬럼을
+        foreignKey: 'CommentId', // 4. Notifications 모델의 CommentId 컬럼과 연결합니다.
+      });
+
+    }
+  }
+  Notifications.init({
+    notificationId: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: DataTypes.INTEGER
+    },
+    // 알림을 받는 사용자
+    UserId: {
+      allowNull: false,
+      type: DataTypes.INTEGER,
+    },
+    // 댓글을 작성하거나 멘션한 사용자
+    ActorId: {
+      allowNull: false,
+      type: DataTypes.INTEGER,
+    },
+    type: {
+      allowNull: false,
+      type: DataTypes.STRING(20),
+      validate: {
+        isIn: [NOTIFICATION_TYPES],
+      }
+    },
+    PostId: {
+      allowNull: false,
+      type: DataTypes.INTEGER,
+    },
+    CommentId: {
+      allowNull: true,
+      type: DataTypes.INTEGER,
+    },
+    readAt: {
+      allowNull: true,
+      type: DataTypes.DATE,
+    },
+    createdAt: {
+      allowNull: false,
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      allowNull: false,
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    sequelize,
+    modelName: 'Notifications',
+  });
+  Notifications.TYPES = NOTIFICATION_TYPES;
+  return Notifications;
+};
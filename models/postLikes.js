@@ -0,0 +1,61 @@
+'use strict';
+const { Model } = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class PostLikes extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+
+      // 1. PostLikes 모델에서
+      this.belongsTo(models.Users, { // 2. Users 모델에게 N:1 관계 설정을 합니다.
+        targetKey: 'userId',  // 3. Users 모델의 userId 컬럼을
+        foreignKey: 'UserId', // 4. PostLikes 모델의 UserId 컬럼과 연결합니다.
+      });
+
+      // 1. PostLikes 모델에서
+      this.belongsTo(models.Posts, { // 2. Posts 모델에게 N:1 관계 설정을 합니다.
+        targetKey: 'postId',  // 3. Posts 모델의 postId 컬럼을
+        foreignKey: 'PostId', // 4. PostLikes 모델의 PostId 컬럼과 연결합니다.
+      });
+
+    }
+  }
+  PostLikes.init({
+    likeId: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: DataTypes.INTEGER
+    },
+    UserId: {
+      allowNull: false,
+      type: DataTypes.INTEGER,
+    },
+    PostId: {
+      allowNull: false,
+      type: DataTypes.INTEGER,
+    },
+    createdAt: {
+      allowNull: false,
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      allowNull: false,
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    sequelize,
+    modelName: 'PostLikes',
+    indexes: [
+      // 사용자는 게시글마다 한 번만 좋아요를 누를 수 있습니다.
+      { unique: true, fields: ['PostId', 'UserId'] },
+    ],
+  });
+  return PostLikes;
+};
@@ -0,0 +1,75 @@
+'use strict';
+const { Model } = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class PostRevisions extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+
+      // 1. PostRevisions 모델에서
+      this.belongsTo(models.Posts, { // 2. Posts 모델에게 N:1 관계 설정을 합니다.
+        targetKey: 'postId',  // 3. Posts 모델의 postId 컬럼을
+        foreignKey: 'PostId', // 4. PostRevisions 모델의 PostId 컬럼과 연결합니다.
+      });
+
+      // 1. PostRevisions 모델에서
+      this.belongsTo(models.Users, { // 2. Users 모델에게 N:1 관계 설정을 합니다.
+        as: 'Editor',
+        targetKey: 'userId',    // 3. Users 모델의 userId 컬럼을
+        foreignKey: 'EditorId', // 4. PostRevisions 모델의 EditorId 컬럼과 연결합니다.
+      });
+
+    }
+  }
+  PostRevisions.init({
+    revisionId: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: DataTypes.INTEGER
+    },
+    PostId: {
+      allowNull: false,
+      type: DataTypes.INTEGER,
+    },
+    // 게시글마다 1부터 증가하는 버전 번호 (1은 최초 작성본)
+    revision: {
+      allowNull: false,
+      type: DataTypes.INTEGER,
+    },
+    // 해당 버전을 작성한 사용자
+    EditorId: {
+      allowNull: true,
+      type: DataTypes.INTEGER,
+    },
+    title: {
+      allowNull: false,
+      type: DataTypes.STRING
+    },
+    content: {
+      allowNull: false,
+      type: DataTypes.TEXT('medium')
+    },
+    createdAt: {
+      allowNull: false,
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      allowNull: false,
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    sequelize,
+    modelName: 'PostRevisions',
+    indexes: [
+      { unique: true, fields: ['PostId', 'revision'] },
+    ],
+  });
+  return PostRevisions;
+};
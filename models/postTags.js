@@ -0,0 +1,61 @@
+'use strict';
+const { Model } = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class PostTags extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+
+      // 1. PostTags 모델에서
+      this.belongsTo(models.Posts, { // 2. Posts 모델에게 N:1 관계 설정을 합니다.
+        targetKey: 'postId',  // 3. Posts 모델의 postId 컬럼을
+        foreignKey: 'PostId', // 4. PostTags 모델의 PostId 컬럼과 연결합니다.
+      });
+
+      // 1. PostTags 모델에서
+      this.belongsTo(models.Tags, { // 2. Tags 모델에게 N:1 관계 설정을 합니다.
+        targetKey: 'tagId',  // 3. Tags 모델의 tagId 컬럼을
+        foreignKey: 'TagId', // 4. PostTags 모델의 TagId 컬럼과 연결합니다.
+      });
+
+    }
+  }
+  PostTags.init({
+    postTagId: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: DataTypes.INTEGER
+    },
+    PostId: {
+      allowNull: false,
+      type: DataTypes.INTEGER,
+    },
+    TagId: {
+      allowNull: false,
+      type: DataTypes.INTEGER,
+    },
+    createdAt: {
+      allowNull: false,
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      allowNull: false,
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    sequelize,
+    modelName: 'PostTags',
+    indexes: [
+      // 게시글마다 같은 태그는 한 번만 붙습니다.
+      { unique: true, fields: ['PostId', 'TagId'] },
+    ],
+  });
+  return PostTags;
+};
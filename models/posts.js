@@ -22,6 +22,37 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'PostId', // 4. Comments 모델의 PostId 컬럼과 연결합니다.
       });
 
+      // 1. Posts 모델에서
+      this.hasMany(models.PostLikes, { // 2. PostLikes 모델에게 1:N 관계 설정을 합니다.
+        sourceKey: 'postId',  // 3. Posts 모델의 postId 컬럼을
+        foreignKey: 'PostId', // 4. PostLikes 모델의 PostId 컬럼과 연결합니다.
+      });
+
+      // 1. Posts 모델에서
+      this.hasMany(models.PostRevisions, { // 2. PostRevisions 모델에게 1:N 관계 설정을 합니다.
+        sourceKey: 'postId',  // 3. Posts 모델의 postId 컬럼을
+        foreignKey: 'PostId', // 4. PostRevisions 모델의 PostId 컬럼과 연결합니다.
+      });
+
+      // 1. Posts 모델에서
+      this.belongsTo(models.Boards, { // 2. Boards 모델에게 N:1 관계 설정을 합니다.
+        targetKey: 'boardId',  // 3. Boards 모델의 boardId 컬럼을
+        foreignKey: 'BoardId', // 4. Posts 모델의 BoardId 컬럼과 연결합니다.
+      });
+
+      // 1. Posts 모델에서
+      this.hasMany(models.Attachments, { // 2. Attachments 모델에게 1:N 관계 설정을 합니다.
+        sourceKey: 'postId',  // 3. Posts 모델의 postId 컬럼을
+        foreignKey: 'PostId', // 4. Attachments 모델의 PostId 컬럼과 연결합니다.
+      });
+
+      // 1. Posts 모델에서
+      this.belongsToMany(models.Tags, { // 2. Tags 모델에게 N:M 관계 설정을 합니다.
+        through: models.PostTags, // 3. PostTags 테이블을 거쳐
+        foreignKey: 'PostId',     // 4. PostTags 모델의 PostId, TagId 컬럼으로 연결합니다.
+        otherKey: 'TagId',
+      });
+
     }
   }
   Posts.init({
@@ -35,13 +66,18 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       type: DataTypes.INTEGER,
     },
+    BoardId: {
+      allowNull: false,
+      type: DataTypes.INTEGER,
+    },
     title: {
       allowNull: false,
       type: DataTypes.STRING
     },
+    // Markdown 원문
     content: {
       allowNull: false,
-      type: DataTypes.STRING
+      type: DataTypes.TEXT('medium')
     },
     createdAt: {
       allowNull: false,
@@ -52,10 +88,15 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
+    },
+    deletedAt: {
+      allowNull: true,
+      type: DataTypes.DATE
     }
   }, {
     sequelize,
     modelName: 'Posts',
+    paranoid: true, // destroy 시 deletedAt만 기록하는 soft delete (휴지통)
   });
   return Posts;
 };
\ No newline at end of file
@@ -0,0 +1,71 @@
+'use strict';
+const { Model } = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class RefreshTokens extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+
+      // 1. RefreshTokens 모델에서
+      this.belongsTo(models.Users, { // 2. Users 모델에게 N:1 관계 설정을 합니다.
+        targetKey: 'userId',  // 3. Users 모델의 userId 컬럼을
+        foreignKey: 'UserId', // 4. RefreshTokens 모델의 UserId 컬럼과 연결합니다.
+      });
+
+    }
+  }
+  RefreshTokens.init({
+    tokenId: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: DataTypes.INTEGER
+    },
+    UserId: {
+      allowNull: false,
+      type: DataTypes.INTEGER,
+    },
+    // 로그인 한 번으로 시작되는 세션(토큰 패밀리) 식별자. 회전된 토큰은 모두 같은 값을 가집니다.
+    familyId: {
+      allowNull: false,
+      type: DataTypes.STRING
+    },
+    // 토큰 원문 대신 SHA-256 해시만 저장합니다.
+    tokenHash: {
+      allowNull: false,
+      type: DataTypes.STRING,
+      unique: true
+    },
+    expiresAt: {
+      allowNull: false,
+      type: DataTypes.DATE
+    },
+    // 회전되어 새 토큰으로 교체된 시각. 값이 있는 토큰이 다시 사용되면 탈취로 간주합니다.
+    replacedAt: {
+      allowNull: true,
+      type: DataTypes.DATE
+    },
+    revokedAt: {
+      allowNull: true,
+      type: DataTypes.DATE
+    },
+    createdAt: {
+      allowNull: false,
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      allowNull: false,
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    sequelize,
+    modelName: 'RefreshTokens',
+  });
+  return RefreshTokens;
+};
@@ -0,0 +1,49 @@
+'use strict';
+const { Model } = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class Tags extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+
+      // 1. Tags 모델에서
+      this.belongsToMany(models.Posts, { // 2. Posts 모델에게 N:M 관계 설정을 합니다.
+        through: models.PostTags, // 3. PostTags 테이블을 거쳐
+        foreignKey: 'TagId',      // 4. PostTags 모델의 TagId, PostId 컬럼으로 연결합니다.
+        otherKey: 'PostId',
+      });
+
+    }
+  }
+  Tags.init({
+    tagId: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: DataTypes.INTEGER
+    },
+    name: {
+      allowNull: false,
+      type: DataTypes.STRING(30),
+      unique: true
+    },
+    createdAt: {
+      allowNull: false,
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      allowNull: false,
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    sequelize,
+    modelName: 'Tags',
+  });
+  return Tags;
+};
@@ -1,5 +1,11 @@
 'use strict';
 const { Model } = require('sequelize');
+const { SUPPORTED_LOCALES } = require('../utils/i18n');
+
+// 사용자 역할 (뒤로 갈수록 권한이 큽니다.)
+const ROLES = ['user', 'moderator', 'admin'];
+// 프로필 소개 최대 길이
+const BIO_MAX_LENGTH = 300;
 module.exports = (sequelize, DataTypes) => {
   class Users extends Model {
     /**
@@ -23,6 +29,42 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'UserId', // 4. Comments 모델의 UserId 컬럼과 연결합니다.
       });
 
+      // 1. Users 모델에서
+      this.hasMany(models.RefreshTokens, { // 2. RefreshTokens 모델에게 1:N 관계 설정을 합니다.
+        sourceKey: 'userId',  // 3. Users 모델의 userId 컬럼을
+        foreignKey: 'UserId', // 4. RefreshTokens 모델의 UserId 컬럼과 연결합니다.
+      });
+
+      // 1. Users 모델에서
+      this.hasMany(models.PostLikes, { // 2. PostLikes 모델에게 1:N 관계 설정을 합니다.
+        sourceKey: 'userId',  // 3. Users 모델의 userId 컬럼을
+        foreignKey: 'UserId', // 4. PostLikes 모델의 UserId 컬럼과 연결합니다.
+      });
+
+      // 1. Users 모델에서
+      this.hasMany(models.CommentReactions, { // 2. CommentReactions 모델에게 1:N 관계 설정을 합니다.
+        sourceKey: 'userId',  // 3. Users 모델의 userId 컬럼을
+        foreignKey: 'UserId', // 4. CommentReactions 모델의 UserId 컬럼과 연결합니다.
+      });
+
+      // 1. Users 모델에서
+      this.hasMany(models.PostRevisions, { // 2. PostRevisions 모델에게 1:N 관계 설정을 합니다.
+        sourceKey: 'userId',    // 3. Users 모델의 userId 컬럼을
+        foreignKey: 'EditorId', // 4. PostRevisions 모델의 EditorId 컬럼과 연결합니다.
+      });
+
+      // 1. Users 모델에서
+      this.hasMany(models.ModerationLogs, { // 2. ModerationLogs 모델에게 1:N 관계 설정을 합니다.
+        sourceKey: 'userId',       // 3. Users 모델의 userId 컬럼을
+        foreignKey: 'ModeratorId', // 4. ModerationLogs 모델의 ModeratorId 컬럼과 연결합니다.
+      });
+
+      // 1. Users 모델에서
+      this.hasMany(models.Notifications, { // 2. Notifications 모델에게 1:N 관계 설정을 합니다.
+        sourceKey: 'userId',  // 3. Users 모델의 userId 컬럼을
+        foreignKey: 'UserId', // 4. Notifications 모델의 UserId 컬럼과 연결합니다.
+      });
+
     }
   }
 
@@ -42,6 +84,38 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       type: DataTypes.STRING
     },
+    role: {
+      allowNull: false,
+      type: DataTypes.STRING,
+      defaultValue: 'user',
+      validate: {
+        isIn: [ROLES],
+      }
+    },
+    locale: {
+      allowNull: true,
+      type: DataTypes.STRING(10),
+      validate: {
+        isIn: [SUPPORTED_LOCALES],
+      }
+    },
+    bio: {
+      allowNull: true,
+      type: DataTypes.STRING(BIO_MAX_LENGTH),
+      validate: {
+        len: [0, BIO_MAX_LENGTH],
+      }
+    },
+    showActivity: {
+      allowNull: false,
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+    },
+    // 탈퇴 시각 (탈퇴한 계정은 닉네임이 deleted_<userId>로 바뀌고 로그인할 수 없습니다.)
+    withdrawnAt: {
+      allowNull: true,
+      type: DataTypes.DATE
+    },
     createdAt: {
       allowNull: false,
       type: DataTypes.DATE,
@@ -57,5 +131,7 @@ module.exports = (sequelize, DataTypes) => {
     sequelize,
     modelName: 'Users',
   });
+  Users.ROLES = ROLES;
+  Users.BIO_MAX_LENGTH = BIO_MAX_LENGTH;
   return Users;
 };
\ No newline at end of file
@@ -0,0 +1,74 @@
+const express = require("express");
+const { Users, ModerationLogs } = require("../models");
+const authMiddleware = require("../middlewares/auth-middleware");
+const { requireRole } = require("../middlewares/permission-middleware");
+const { validate } = require("../middlewares/validation-middleware");
+const { logModeration } = require("../utils/moderation");
+const { asyncHandler } = require("../utils/async-handler");
+const { AppError } = require("../utils/errors");
+const { findKeysetPage } = require("../utils/pagination");
+const schemas = require("../schemas/admin.schema");
+const router = express.Router();
+
+
+/**
+ * @brief 사용자 역할 변경 API
+ * @request 역할 (user | moderator | admin)
+ * @note admin만 사용자 역할을 변경할 수 있음. 자신의 역할은 변경할 수 없음
+ */
+router.patch("/admin/users/:userId/role", authMiddleware, requireRole("admin"), validate(schemas.changeRole), asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { user } = res.locals;
+    const { role } = req.body;
+
+    const target = await Users.findOne({ where: { userId } });
+    if (!target) {
+        throw new AppError("TARGET_USER_NOT_FOUND");
+    } else if (target.userId === user.userId) {
+        // 마지막 admin이 스스로 권한을 잃지 않도록 자신의 역할은 변경할 수 없습니다.
+        throw new AppError("CANNOT_CHANGE_OWN_ROLE");
+    }
+
+    const previousRole = target.role;
+    if (previousRole !== role) {
+        await target.update({ role });
+        await logModeration(user, "role", "user", target.userId, `${previousRole} -> ${role}`);
+    }
+
+    return res.status(200).json({ message: res.t("ROLE_CHANGED") });
+}));
+
+
+/**
+ * @brief 관리자 조치 기록 조회 API
+ * @request limit, cursor, moderator(관리자 닉네임), targetType
+ * @note moderator 이상만 조회 가능. 최신순 정렬
+ */
+router.get("/admin/moderation-logs", authMiddleware, requireRole("moderator"), validate(schemas.listModerationLogs), asyncHandler(async (req, res) => {
+    const { limit, cursor, moderator, targetType } = req.query;
+
+    const where = {};
+    if (targetType) {
+        where.targetType = targetType;
+    }
+
+    const page = await findKeysetPage(ModerationLogs, {
+        idKey: "logId",
+        attributes: ["logId", "action", "targetType", "targetId", "detail", "createdAt"],
+        include: [
+            {
+                model: Users,
+                as: "Moderator",
+                attributes: ["nickname"],
+                ...(moderator && { where: { nickname: moderator } }),
+            }
+        ],
+        where,
+        limit,
+        cursor,
+    });
+
+    return res.status(200).json(page);
+}));
+
+module.exports = router;
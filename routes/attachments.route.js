@@ -0,0 +1,146 @@
+const express = require("express");
+const { pipeline } = require("stream");
+const { Posts, Attachments } = require("../models");
+const authMiddleware = require("../middlewares/auth-middleware");
+const { ownerOrModerator } = require("../middlewares/permission-middleware");
+const { validate } = require("../middlewares/validation-middleware");
+const { writeLimit } = require("../middlewares/rate-limit-middleware");
+const { uploadFiles } = require("../middlewares/upload-middleware");
+const { storage } = require("../utils/attachment-storage");
+const { saveAttachments, deleteAttachmentFiles, toAttachmentResponse } = require("../utils/attachments");
+const { logModeration } = require("../utils/moderation");
+const { asyncHandler } = require("../utils/async-handler");
+const { AppError } = require("../utils/errors");
+const config = require("../config");
+const schemas = require("../schemas/attachments.schema");
+const router = express.Router();
+
+// 첨부파일을 올리거나 지울 게시글 조회 (작성자 본인 또는 moderator 이상)
+const canModifyPost = ownerOrModerator(
+    (req) => Posts.findOne({ where: { postId: req.params.postId } }),
+    "POST_NOT_FOUND"
+);
+
+/**
+ * @brief 다운로드할 첨부파일을 조회합니다.
+ * @note 휴지통에 있는 게시글의 첨부파일은 없는 것으로 봅니다.
+ */
+async function findAttachment(attachmentId) {
+    const attachment = await Attachments.findOne({
+        where: { attachmentId },
+        include: [{ model: Posts, attributes: ["postId"], required: true }],
+    });
+    if (!attachment) {
+        throw new AppError("ATTACHMENT_NOT_FOUND");
+    }
+    return attachment;
+}
+
+/**
+ * @brief 저장소의 파일을 응답으로 보냅니다.
+ * @param downloadName 있으면 이 이름으로 저장하도록 Content-Disposition: attachment를 보냅니다.
+ * @note 응답을 보내는 도중 저장소에서 에러가 나면 에러 미들웨어로 넘깁니다. (서버 로그에 남기고 연결을 끊습니다.)
+ */
+async function sendStoredFile(req, res, next, key, headers, downloadName) {
+    const file = await storage.open(key);
+    if (!file) {
+        throw new AppError("ATTACHMENT_NOT_FOUND");
+    }
+
+    if (downloadName) {
+        // res.attachment()는 확장자로 Content-Type을 정하므로 headers로 다시 설정합니다.
+        res.attachment(downloadName);
+    }
+    res.status(200).set(headers);
+    pipeline(file, res, (error) => {
+        // 클라이언트가 먼저 연결을 끊은 경우는 에러로 보지 않습니다.
+        if (error && error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+            next(error);
+        }
+    });
+}
+
+
+/**
+ * @brief 첨부파일 업로드 API
+ * @request multipart/form-data의 files 필드 (여러 개 가능)
+ * @response 저장한 첨부파일 목록 (이미지는 크기와 썸네일 주소 포함)
+ * @note 게시글 작성자 본인 또는 moderator 이상만 가능. 파일 형식은 내용으로 판별하기 (클라이언트가 보낸 형식은 무시)
+ */
+router.post("/posts/:postId/attachments", authMiddleware, writeLimit, validate(schemas.uploadAttachments), canModifyPost, uploadFiles, asyncHandler(async (req, res) => {
+    const { user, resource: post, moderating } = res.locals;
+
+    // 게시글마다 첨부할 수 있는 파일 수를 넘지 않아야 합니다.
+    const { maxFilesPerPost } = config.attachments;
+    const count = await Attachments.count({ where: { PostId: post.postId } });
+    if (count + req.files.length > maxFilesPerPost) {
+        throw new AppError("TOO_MANY_ATTACHMENTS", { params: { max: maxFilesPerPost } });
+    }
+
+    const attachments = await saveAttachments(post, user, req.files);
+
+    // 다른 사용자의 게시글에 올린 경우 관리자 조치로 기록합니다.
+    if (moderating) {
+        await logModeration(user, "update", "post", post.postId);
+    }
+
+    return res.status(201).json({ data: attachments.map(toAttachmentResponse) });
+}));
+
+
+
+/**
+ * @brief 첨부파일 다운로드 API
+ * @response 파일 내용 (Content-Type은 파일 내용으로 판별한 형식, 올린 파일 이름으로 저장하도록 Content-Disposition: attachment)
+ */
+router.get("/attachments/:attachmentId", validate(schemas.downloadAttachment), asyncHandler(async (req, res, next) => {
+    const attachment = await findAttachment(req.params.attachmentId);
+    await sendStoredFile(req, res, next, attachment.storageKey, {
+        "Content-Type": attachment.mimeType === "text/plain" ? "text/plain; charset=utf-8" : attachment.mimeType,
+        "Content-Length": attachment.size,
+    }, attachment.originalName);
+}));
+
+
+
+/**
+ * @brief 첨부파일 썸네일 API
+ * @response 이미지 첨부파일의 썸네일 (WebP, 긴 변 320px 이하)
+ */
+router.get("/attachments/:attachmentId/thumbnail", validate(schemas.getAttachmentThumbnail), asyncHandler(async (req, res, next) => {
+    const attachment = await findAttachment(req.params.attachmentId);
+    if (!attachment.thumbnailKey) {
+        throw new AppError("THUMBNAIL_NOT_FOUND");
+    }
+
+    await sendStoredFile(req, res, next, attachment.thumbnailKey, { "Content-Type": "image/webp" });
+}));
+
+
+
+/**
+ * @brief 첨부파일 삭제 API
+ * @note 게시글 작성자 본인 또는 moderator 이상만 가능. 저장소의 파일도 바로 삭제하기
+ */
+router.delete("/posts/:postId/attachments/:attachmentId", authMiddleware, validate(schemas.deleteAttachment), canModifyPost, asyncHandler(async (req, res) => {
+    const { user, resource: post, moderating } = res.locals;
+
+    const attachment = await Attachments.findOne({
+        where: { attachmentId: req.params.attachmentId, PostId: post.postId },
+    });
+    if (!attachment) {
+        throw new AppError("ATTACHMENT_NOT_FOUND");
+    }
+
+    await attachment.destroy();
+    await deleteAttachmentFiles([attachment]);
+
+    if (moderating) {
+        await logModeration(user, "update", "post", post.postId, req.body.reason ?? null);
+    }
+
+    return res.status(200).json({ message: res.t("ATTACHMENT_DELETED") });
+}));
+
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require("express");
+const { Boards } = require("../models");
+const authMiddleware = require("../middlewares/auth-middleware");
+const { hasRole } = require("../middlewares/permission-middleware");
+const { validate } = require("../middlewares/validation-middleware");
+const { asyncHandler } = require("../utils/async-handler");
+const schemas = require("../schemas/boards.schema");
+const router = express.Router();
+
+
+/**
+ * @brief 게시판 목록 API
+ * @response 게시판 식별자(slug), 이름, 설명, 작성 가능한 최소 역할, 현재 사용자의 작성 가능 여부
+ * @note 게시판별 게시글 목록은 GET /boards/:slug/posts (posts.route.js)
+ */
+router.get("/boards", authMiddleware.optional, validate(schemas.listBoards), asyncHandler(async (req, res) => {
+    const { user } = res.locals;
+    const boards = await Boards.findAll({
+        attributes: ["slug", "name", "description", "writeRole"],
+        order: [["boardId", "ASC"]],
+    });
+
+    return res.status(200).json({
+        data: boards.map((board) => ({
+            ...board.toJSON(),
+            canWrite: Boolean(user) && hasRole(user, board.writeRole),
+        })),
+    });
+}));
+
+module.exports = router;
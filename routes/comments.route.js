@@ -1,69 +1,153 @@
 const express = require("express");
-const { Op } = require("sequelize");
-const { Users, Comments } = require("../models");
+const { Users, Posts, Comments, CommentReactions, sequelize } = require("../models");
 const authMiddleware = require("../middlewares/auth-middleware");
+const { ownerOrModerator } = require("../middlewares/permission-middleware");
+const { validate } = require("../middlewares/validation-middleware");
+const { writeLimit } = require("../middlewares/rate-limit-middleware");
+const { logModeration } = require("../utils/moderation");
+const { asyncHandler } = require("../utils/async-handler");
+const { AppError } = require("../utils/errors");
+const { renderCommentHtml } = require("../utils/markdown");
+const { notifyComment, notifyMentions } = require("../utils/notifications");
+const { eventHub } = require("../utils/event-hub");
+const schemas = require("../schemas/comments.schema");
+const config = require("../config");
 const router = express.Router();
 
+// 답글을 달 수 있는 최대 깊이 (최상위 댓글은 0)
+const COMMENT_MAX_DEPTH = config.commentMaxDepth;
+
+// 수정/삭제 권한 확인 대상 댓글 조회 (작성자 본인 또는 moderator 이상)
+const canModifyComment = ownerOrModerator(
+    (req) => Comments.findOne({ where: { commentId: req.params.commentId, PostId: req.params.postId } }),
+    "COMMENT_NOT_FOUND"
+);
+
 /**
- * @brief 댓글 목록 조회 API
- * @note 조회하는 게시글에 작성된 모든 댓글을 목록 형식으로 볼 수 있도록 하기
- * 작성 날짜 기준으로 내림차순 정렬하기
+ * @brief 댓글 목록을 부모/자식 트리로 만듭니다.
+ * @note 최상위 댓글은 작성 날짜 내림차순, 답글은 작성 날짜 오름차순으로 정렬합니다.
+ * 삭제된 댓글은 삭제되지 않은 답글이 남아 있는 경우에만 "삭제된 댓글입니다."로 표시합니다. (commentHtml은 null)
+ * maxDepth보다 깊은 답글은 replies에 포함하지 않고 replyCount로만 알려줍니다.
+ * @param deletedMessage 삭제된 댓글 대신 표시할 메세지 (요청한 언어)
+ */
+function buildCommentTree(comments, maxDepth, deletedMessage) {
+    const nodes = new Map();
+    const children = new Map();
+    for (const note of comments) {
+        const isDeleted = !!note.deletedAt;
+        nodes.set(note.commentId, {
+            commentId: note.commentId,
+            ParentId: note.ParentId,
+            UserId: isDeleted ? null : note.UserId,
+            comment: isDeleted ? deletedMessage : note.comment,
+            commentHtml: isDeleted ? null : renderCommentHtml(note.comment),
+            isDeleted,
+            depth: note.depth,
+            createdAt: note.createdAt,
+            User: isDeleted ? null : note.User,
+            reactions: {},
+            myReaction: null,
+            replyCount: 0,
+            replies: [],
+        });
+        children.set(note.commentId, []);
+    }
+
+    const roots = [];
+    for (const node of nodes.values()) {
+        if (node.ParentId && nodes.has(node.ParentId)) {
+            children.get(node.ParentId).push(node);
+        } else if (node.depth === 0) {
+            roots.push(node);
+        }
+    }
+
+    const byCreatedAt = (a, b) => a.createdAt - b.createdAt || a.commentId - b.commentId;
+
+    // 자신이 삭제되지 않았거나, 표시되는 답글이 하나라도 있으면 표시합니다.
+    const isVisible = (node) => {
+        const visibleChildren = children.get(node.commentId).filter(isVisible);
+        node.replyCount = visibleChildren.length;
+        node.replies = visibleChildren.filter((child) => child.depth <= maxDepth).sort(byCreatedAt);
+        return !node.isDeleted || visibleChildren.length > 0;
+    };
+
+    return roots.filter(isVisible).sort((a, b) => byCreatedAt(b, a));
+}
+
+/**
+ * @brief 댓글 트리의 각 댓글에 반응별 개수와 현재 사용자의 반응을 채웁니다.
  */
+async function attachReactions(tree, user) {
+    const nodes = new Map();
+    const collect = (list) => list.forEach((node) => {
+        nodes.set(node.commentId, node);
+        collect(node.replies);
+    });
+    collect(tree);
+
+    const commentIds = [...nodes.keys()];
+    if (!commentIds.length) {
+        return tree;
+    }
+
+    const counts = await CommentReactions.findAll({
+        attributes: ["CommentId", "emoji", [sequelize.fn("COUNT", sequelize.col("reactionId")), "count"]],
+        where: { CommentId: commentIds },
+        group: ["CommentId", "emoji"],
+        raw: true,
+    });
+    counts.forEach(({ CommentId, emoji, count }) => {
+        nodes.get(CommentId).reactions[emoji] = Number(count);
+    });
+
+    if (user) {
+        const mine = await CommentReactions.findAll({
+            attributes: ["CommentId", "emoji"],
+            where: { CommentId: commentIds, UserId: user.userId },
+        });
+        mine.forEach(({ CommentId, emoji }) => {
+            nodes.get(CommentId).myReaction = emoji;
+        });
+    }
+
+    return tree;
+}
 
 /**
- * @swagger
- * /api/posts/{postId}/comments:
- *   get:
- *     summary: 댓글 목록 조회 API
- *     description: 해당 게시물의 모든 댓글을 조회합니다.
- *     parameters:
- *        - in: path
- *          name: postId
- *          required: true
- *          schema:
- *            type: integer
- *          description: Unique identifier of the post
- *     tags:
- *       - Comments
- *     requestBody:
- *       required: false
- *     responses:
- *       '200':
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 data:
- *                   type: json
- *                   example: 
- *                        {
- *                           postId: 1,
- *                           title: "제목",
- *                           comment: "내용",
- *                           UserId: 3,
- *                           createdAt: "2023-11-06T11:41:33.000Z",
- *                           User: {
- *                               nickname: "jongjong"
- *                           }
- *                        }
+ * @brief 댓글 목록 조회 API
+ * @note 조회하는 게시글에 작성된 모든 댓글을 답글 트리 형식으로 볼 수 있도록 하기
+ * 최상위 댓글은 작성 날짜 기준으로 내림차순, 답글은 오름차순 정렬하기
+ * 답글이 남아 있는 삭제된 댓글은 "삭제된 댓글입니다."로 표시하기
+ * 댓글마다 반응별 개수와 현재 사용자의 반응을 함께 조회하기
  */
-router.get("/posts/:postId/comments", async (req, res) => {
+router.get("/posts/:postId/comments", authMiddleware.optional, validate(schemas.listComments), asyncHandler(async (req, res) => {
     const { postId } = req.params;
+    const { depth } = req.query;
+
+    // 휴지통에 있는 게시글의 댓글은 조회할 수 없습니다.
+    const post = await Posts.findOne({ attributes: ["postId"], where: { postId } });
+    if (!post) {
+        throw new AppError("POST_NOT_FOUND");
+    }
+
+    const maxDepth = depth === undefined ? COMMENT_MAX_DEPTH : Math.min(depth, COMMENT_MAX_DEPTH);
+
     const comments = await Comments.findAll({
-        attributes: ["commentId", "UserId", "comment", "createdAt"],
+        attributes: ["commentId", "ParentId", "UserId", "comment", "depth", "createdAt", "deletedAt"],
         include: [
             {
                 model: Users,
                 attributes: ["nickname"]
             }
         ],
-        order: [['createdAt', 'DESC']],
-        where: { PostId: postId }
+        where: { PostId: postId },
+        paranoid: false, // 답글이 남아 있는 삭제된 댓글을 표시하기 위해 함께 조회합니다.
     });
 
-    return res.status(200).json({ data: comments });
-});
+    const tree = buildCommentTree(comments, maxDepth, res.t("DELETED_COMMENT"));
+    return res.status(200).json({ data: await attachReactions(tree, res.locals.user) });
+}));
 
 
 /**
@@ -71,211 +155,161 @@ router.get("/posts/:postId/comments", async (req, res) => {
  * @note 로그인 토큰을 검사하여, 유효한 토큰일 경우에만 댓글 작성 가능
  * 댓글 내용을 비워둔 채 댓글 작성 API를 호출하면 "댓글 내용을 입력해주세요" 라는 메세지를 return하기
  * 댓글 내용을 입력하고 댓글 작성 API를 호출한 경우 작성한 댓글을 추가하기
+ * parentId를 전달하면 해당 댓글의 답글로 추가하기
+ * 게시글 작성자, 부모 댓글 작성자, 멘션한 사용자에게 알림 보내기
  */
-
-/**
- * @swagger
- * /api/posts/{postId}/comments:
- *   post:
- *     summary: 댓글 작성 API
- *     description: "로그인 토큰을 검사하여, 유효한 토큰일 경우에만 댓글 작성 가능"
- *     parameters:
- *        - in: path
- *          name: postId
- *          required: true
- *          schema:
- *            type: integer
- *          description: Unique identifier of the post
- *     tags:
- *       - Comments
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - comment
- *             properties:
- *               comment:
- *                 type: string
- *                 description: 댓글 내용
- *     responses:
- *       '201':
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 data:
- *                   type: json
- *                   example: 
- *                        { 
- *                           userId: 3,
- *                           postId: 1, 
- *                           comment: "아주 좋아요" 
- *                       }
- *       '400':
- *         description: "댓글 내용을 입력해주세요."     
- */
-router.post("/posts/:postId/comments", authMiddleware, async (req, res) => {
+router.post("/posts/:postId/comments", authMiddleware, writeLimit, validate(schemas.createComment), asyncHandler(async (req, res) => {
     const { postId } = req.params;
-    const { userId } = res.locals.user;
-    const { comment } = req.body;
-    
-    if (!comment.length) {
-        return res.status(400).json({ message: "댓글 내용을 입력해주세요." })
+    const { user } = res.locals;
+    const { comment, parentId } = req.body;
+
+    // 휴지통에 있는 게시글에는 댓글을 작성할 수 없습니다.
+    const post = await Posts.findOne({ attributes: ["postId", "UserId"], where: { postId } });
+    if (!post) {
+        throw new AppError("POST_NOT_FOUND");
+    }
+
+    // 답글인 경우 같은 게시글의 삭제되지 않은 댓글에만 작성할 수 있습니다.
+    let depth = 0;
+    let parent = null;
+    if (parentId !== undefined && parentId !== null) {
+        parent = await Comments.findOne({ where: { commentId: parentId, PostId: postId } });
+        if (!parent) {
+            throw new AppError("PARENT_COMMENT_NOT_FOUND");
+        } else if (parent.depth >= COMMENT_MAX_DEPTH) {
+            throw new AppError("REPLY_DEPTH_EXCEEDED");
+        }
+        depth = parent.depth + 1;
     }
 
-    const note = await Comments.create({
-        UserId: userId,
-        PostId: postId,
-        comment,
+    // 알림을 만들지 못하면 댓글도 저장하지 않습니다.
+    const note = await sequelize.transaction(async (transaction) => {
+        const created = await Comments.create({
+            UserId: user.userId,
+            PostId: postId,
+            ParentId: parentId ?? null,
+            comment,
+            depth,
+        }, { transaction });
+
+        await notifyComment(user, created, post, parent, { transaction });
+        return created;
     });
 
+    eventHub.publish("comment.created", { postId: post.postId, commentId: note.commentId, ParentId: note.ParentId });
+
     return res.status(201).json({ data: note });
-});
+}));
 
 
 /**
  * @brief 댓글 수정 API
- * @note 로그인 토큰을 검사하여, 해당 사용자가 작성한 댓글만 수정 가능
+ * @note 로그인 토큰을 검사하여, 해당 사용자가 작성한 댓글만 수정 가능 (moderator 이상은 모든 댓글 수정 가능)
  * 댓글 내용을 비워둔 채 댓글 수정 API를 호출하면 "댓글 내용을 입력해주세요" 라는 메세지를 return하기
  * 댓글 내용을 입력하고 댓글 수정 API를 호출한 경우 작성한 댓글을 수정하기
+ * 수정하면서 새로 멘션한 사용자에게 알림 보내기
  */
-/**
- * @swagger
- * /api/posts/{postId}/comments/{commentId}:
- *   put:
- *     summary: 댓글 수정 API
- *     description: "로그인 토큰을 검사하여, 해당 사용자가 작성한 댓글만 수정 가능"
- *     parameters:
- *        - in: path
- *          name: postId
- *          required: true
- *          schema:
- *            type: integer
- *          description: Unique identifier of the comment 
- *        - in: path
- *          name: commentId
- *          required: true
- *          schema:
- *          type: integer
- *          description: Unique identifier of the comment
- *     tags:
- *       - Comments
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - comment
- *             properties:
- *               comment:
- *                 type: string
- *                 description: 댓글 내용
- * 
- *     responses:
- *       '200':
- *         description: "댓글이 수정되었습니다."
- *       '400':
- *         description: "댓글 내용을 입력해주세요."
- *       '401':
- *         description: "권한이 없습니다."
- *       '404':
- *         description: "댓글이 존재하지 않습니다."
- */
-router.put("/posts/:postId/comments/:commentId", authMiddleware, async (req, res) => {
-    const { postId, commentId } = req.params;
-    const { userId } = res.locals.user;
+router.put("/posts/:postId/comments/:commentId", authMiddleware, validate(schemas.updateComment), canModifyComment, asyncHandler(async (req, res) => {
+    const { user, resource: note, moderating } = res.locals;
     const { comment } = req.body;
 
-    // 댓글을 조회합니다.
-    const note = await Comments.findOne({ where: { commentId } });
-    
-    if (!note) {
-        return res.status(404).json({ message: "댓글이 존재하지 않습니다." });
-    } else if (note.UserId !== userId) {
-        return res.status(401).json({ message: "권한이 없습니다." });
-    } else if (!comment.length) {
-        return res.status(400).json({ message: "댓글 내용을 입력해주세요." });
-    }
-
-    // 댓글의 권한을 확인하고, 댓글을 수정합니다.
-    await Comments.update(
-        { comment },
-        {
-            where: {
-                [Op.and]: [{ commentId }, { PostId: postId }, { UserId: userId }],
+    await sequelize.transaction(async (transaction) => {
+        // 댓글을 수정합니다. (권한은 canModifyComment에서 확인)
+        await Comments.update(
+            { comment },
+            {
+                where: { commentId: note.commentId },
+                transaction,
             }
+        );
+
+        // 다른 사용자의 댓글을 수정한 경우 관리자 조치로 기록합니다.
+        if (moderating) {
+            await logModeration(user, "update", "comment", note.commentId, req.body.reason ?? null, { transaction });
         }
-    );
 
-    return res.status(200).json({ message: "댓글이 수정되었습니다." });
-});
+        // 수정하면서 새로 멘션한 사용자에게 알림을 보냅니다.
+        await notifyMentions(user, { PostId: note.PostId, CommentId: note.commentId }, comment, note.comment, { transaction });
+    });
+
+    eventHub.publish("comment.updated", { postId: note.PostId, commentId: note.commentId });
+
+    return res.status(200).json({ message: res.t("COMMENT_UPDATED") });
+}));
 
 
 /**
  * @brief 댓글 삭제 API
- * @note 로그인 토큰을 검사하여, 해당 사용자가 작성한 댓글만 삭제 가능
- * 원하는 댓글을 삭제하기
+ * @note 로그인 토큰을 검사하여, 해당 사용자가 작성한 댓글만 삭제 가능 (moderator 이상은 모든 댓글 삭제 가능)
+ * 원하는 댓글을 휴지통으로 옮기기 (복원 가능, 보관 기간이 지나면 영구 삭제)
+ * 답글이 남아 있는 댓글은 "삭제된 댓글입니다."로 남겨두어 스레드가 끊기지 않도록 하기
  */
+router.delete("/posts/:postId/comments/:commentId", authMiddleware, validate(schemas.deleteComment), canModifyComment, asyncHandler(async (req, res) => {
+    const { user, resource: note, moderating } = res.locals;
+
+    // 댓글을 휴지통으로 옮깁니다. (soft delete, 권한은 canModifyComment에서 확인)
+    // 답글이 남아 있는 댓글은 목록에서 "삭제된 댓글입니다."로 표시됩니다.
+    await Comments.destroy({ where: { commentId: note.commentId } });
+
+    // 다른 사용자의 댓글을 삭제한 경우 관리자 조치로 기록합니다.
+    if (moderating) {
+        await logModeration(user, "delete", "comment", note.commentId, req.body.reason ?? null);
+    }
+
+    eventHub.publish("comment.deleted", { postId: note.PostId, commentId: note.commentId });
+
+    return res.status(200).json({ message: res.t("COMMENT_DELETED") });
+}));
+
+
 /**
- * @swagger
- * /api/posts/{postId}/comments/{commentId}:
- *   delete:
- *     summary: 댓글 삭제 API
- *     description: "로그인 토큰을 검사하여, 해당 사용자가 작성한 댓글만 삭제 가능"
- *     parameters:
- *        - in: path
- *          name: postId
- *          required: true
- *          schema:
- *            type: integer
- *          description: Unique identifier of the comment
- *        - in: path
- *          name: commentId
- *          required: true
- *          schema:
- *            type: integer
- *          description: Unique identifier of the comment
- *     tags:
- *       - Comments
- *     requestBody:
- *       required: false
- * 
- *     responses:
- *       '200':
- *         description: "댓글이 삭제되었습니다."
- *       '401':
- *         description: "권한이 없습니다."
- *       '404':
- *         description: "댓글을 찾을 수 없습니다."
+ * @brief 댓글 반응 API
+ * @note 로그인 토큰을 검사하여, 유효한 토큰일 경우에만 반응 가능
+ * 댓글마다 하나의 반응만 남길 수 있으며, 다른 반응을 보내면 기존 반응을 교체하기
  */
-router.delete("/posts/:postId/comments/:commentId", authMiddleware, async (req, res) => {
+router.post("/posts/:postId/comments/:commentId/reactions", authMiddleware, validate(schemas.addReaction), asyncHandler(async (req, res) => {
     const { postId, commentId } = req.params;
     const { userId } = res.locals.user;
+    const { emoji } = req.body;
 
-    // 댓글을 조회합니다.
-    const note = await Comments.findOne({ where: { commentId } });
-
-    if (!note) {
-        return res.status(404).json({ message: "댓글이 존재하지 않습니다." });
-    } else if (note.UserId !== userId) {
-        return res.status(401).json({ message: "권한이 없습니다." });
+    const comment = await Comments.findOne({ where: { commentId, PostId: postId } });
+    if (!comment) {
+        throw new AppError("COMMENT_NOT_FOUND");
     }
 
-    // 댓글의 권한을 확인하고, 댓글을 삭제합니다.
-    await Comments.destroy({
-        where: {
-            [Op.and]: [{ commentId }, { PostId: postId }, { UserId: userId }],
-        }
+    // 이미 반응을 남긴 경우 반응 종류만 교체합니다.
+    const [reaction, created] = await CommentReactions.findOrCreate({
+        where: { CommentId: comment.commentId, UserId: userId },
+        defaults: { emoji },
     });
-    
-    return res.status(200).json({ message: "댓글이 삭제되었습니다." });
-});
+    if (!created && reaction.emoji !== emoji) {
+        await reaction.update({ emoji });
+    }
+
+    return res.status(200).json({ data: { commentId: comment.commentId, emoji } });
+}));
+
+
+/**
+ * @brief 댓글 반응 취소 API
+ * @note 로그인 토큰을 검사하여, 해당 사용자가 남긴 반응만 취소 가능
+ */
+router.delete("/posts/:postId/comments/:commentId/reactions", authMiddleware, validate(schemas.removeReaction), asyncHandler(async (req, res) => {
+    const { postId, commentId } = req.params;
+    const { userId } = res.locals.user;
+
+    const comment = await Comments.findOne({ where: { commentId, PostId: postId } });
+    if (!comment) {
+        throw new AppError("COMMENT_NOT_FOUND");
+    }
+
+    const deleted = await CommentReactions.destroy({ where: { CommentId: comment.commentId, UserId: userId } });
+    if (!deleted) {
+        throw new AppError("REACTION_NOT_FOUND");
+    }
+
+    return res.status(200).json({ message: res.t("REACTION_REMOVED") });
+}));
 
 module.exports = router;
 
@@ -0,0 +1,88 @@
+const express = require("express");
+const { Posts } = require("../models");
+const { validate } = require("../middlewares/validation-middleware");
+const { eventHub } = require("../utils/event-hub");
+const { asyncHandler } = require("../utils/async-handler");
+const { AppError } = require("../utils/errors");
+const config = require("../config");
+const schemas = require("../schemas/events.schema");
+const router = express.Router();
+
+// 연결이 끊긴 클라이언트가 다시 연결하기까지 기다리는 시간 (ms, EventSource의 retry)
+const RETRY_MS = 3000;
+
+// 보내지 못하고 쌓인 데이터가 이보다 많으면 연결을 끊습니다. (다시 연결하면 Last-Event-ID로 이어받습니다.)
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+/**
+ * @brief 이벤트를 text/event-stream 형식으로 바꿉니다.
+ */
+function formatEvent({ id, type, data }) {
+    return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+
+/**
+ * @brief 실시간 이벤트 API (Server-Sent Events)
+ * @request postId를 보내면 그 게시글과 댓글의 이벤트만, 생략하면 모든 이벤트
+ * @response 게시글/댓글이 작성, 수정, 삭제될 때마다 이벤트 (heartbeat는 주석 줄)
+ * @note 다시 연결할 때 Last-Event-ID 다음 이벤트부터 보내기. 놓친 이벤트가 버퍼에 남아 있지 않으면 reset 이벤트를 보내 목록을 다시 조회하도록 하기
+ */
+router.get("/events", validate(schemas.streamEvents), asyncHandler(async (req, res) => {
+    const { postId, lastEventId: lastEventIdQuery } = req.query;
+
+    // 휴지통에 있는 게시글은 구독할 수 없습니다.
+    if (postId !== undefined) {
+        const post = await Posts.findOne({ attributes: ["postId"], where: { postId } });
+        if (!post) {
+            throw new AppError("POST_NOT_FOUND");
+        }
+    }
+
+    res.status(200).set({
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        // nginx 등 프록시가 응답을 모아서 보내지 않도록 합니다.
+        "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const write = (chunk) => {
+        if (res.writableEnded) {
+            return;
+        }
+        res.write(chunk);
+        if (res.writableLength > MAX_BUFFERED_BYTES) {
+            res.end();
+        }
+    };
+    const send = (event) => {
+        if (postId === undefined || event.data.postId === postId) {
+            write(formatEvent(event));
+        }
+    };
+
+    // 놓친 이벤트를 먼저 보낸 뒤 구독합니다. (같은 틱에서 실행되어 그 사이의 이벤트를 놓치지 않습니다.)
+    const lastEventId = req.get("Last-Event-ID") ?? lastEventIdQuery;
+    if (lastEventId !== undefined) {
+        const missed = eventHub.eventsAfter(lastEventId);
+        if (missed) {
+            missed.forEach(send);
+        } else {
+            write(formatEvent({ id: eventHub.lastEventId(), type: "reset", data: {} }));
+        }
+    }
+    const unsubscribe = eventHub.subscribe(send);
+
+    const heartbeat = setInterval(() => write(": heartbeat\n\n"), config.events.heartbeatSeconds * 1000);
+
+    res.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+}));
+
+
+module.exports = router;
@@ -0,0 +1,18 @@
+/**
+ * @brief /api 아래에 연결하는 라우터 목록
+ * @note app.js에서 연결하고, swagger/swagger.js에서 OpenAPI 문서를 만들 때 같은 목록을 사용합니다.
+ */
+module.exports = [
+    require("./users.route"),
+    require("./posts.route"),
+    require("./boards.route"),
+    require("./tags.route"),
+    require("./comments.route"),
+    require("./search.route"),
+    require("./trash.route"),
+    require("./revisions.route"),
+    require("./attachments.route"),
+    require("./notifications.route"),
+    require("./events.route"),
+    require("./admin.route"),
+];
@@ -0,0 +1,99 @@
+const express = require("express");
+const { Users, Posts, Notifications } = require("../models");
+const authMiddleware = require("../middlewares/auth-middleware");
+const { validate } = require("../middlewares/validation-middleware");
+const { asyncHandler } = require("../utils/async-handler");
+const { AppError } = require("../utils/errors");
+const { findKeysetPage } = require("../utils/pagination");
+const schemas = require("../schemas/notifications.schema");
+const router = express.Router();
+
+// 휴지통에 있는 게시글의 알림은 목록과 읽지 않은 알림 수에서 제외합니다.
+const POST_INCLUDE = { model: Posts, attributes: ["title"], required: true };
+
+
+/**
+ * @brief 알림 목록 조회 API
+ * @note 로그인 토큰을 검사하여, 해당 사용자가 받은 알림만 최신순으로 조회
+ * unread=true면 읽지 않은 알림만 조회하기
+ */
+router.get("/notifications", authMiddleware, validate(schemas.listNotifications), asyncHandler(async (req, res) => {
+    const { userId } = res.locals.user;
+    const { limit, cursor, unread } = req.query;
+
+    const where = { UserId: userId };
+    if (unread) {
+        where.readAt = null;
+    }
+
+    const page = await findKeysetPage(Notifications, {
+        idKey: "notificationId",
+        attributes: ["notificationId", "type", "PostId", "CommentId", "readAt", "createdAt"],
+        include: [
+            { model: Users, as: "Actor", attributes: ["nickname"] },
+            POST_INCLUDE,
+        ],
+        where,
+        limit,
+        cursor,
+    });
+
+    return res.status(200).json(page);
+}));
+
+
+
+/**
+ * @brief 읽지 않은 알림 수 조회 API
+ * @note 로그인 토큰을 검사하여, 해당 사용자가 읽지 않은 알림 수를 조회
+ */
+router.get("/notifications/unread-count", authMiddleware, validate(schemas.countUnreadNotifications), asyncHandler(async (req, res) => {
+    const { userId } = res.locals.user;
+
+    const count = await Notifications.count({
+        include: [POST_INCLUDE],
+        where: { UserId: userId, readAt: null },
+    });
+
+    return res.status(200).json({ data: { count } });
+}));
+
+
+
+/**
+ * @brief 모든 알림 읽음 표시 API
+ * @note 로그인 토큰을 검사하여, 해당 사용자가 읽지 않은 알림을 모두 읽음으로 표시
+ */
+router.post("/notifications/read-all", authMiddleware, validate(schemas.readAllNotifications), asyncHandler(async (req, res) => {
+    const { userId } = res.locals.user;
+
+    await Notifications.update({ readAt: new Date() }, { where: { UserId: userId, readAt: null } });
+
+    return res.status(200).json({ message: res.t("ALL_NOTIFICATIONS_READ") });
+}));
+
+
+
+/**
+ * @brief 알림 읽음 표시 API
+ * @note 로그인 토큰을 검사하여, 해당 사용자가 받은 알림만 읽음으로 표시 가능 (이미 읽은 알림은 그대로)
+ */
+router.post("/notifications/:notificationId/read", authMiddleware, validate(schemas.readNotification), asyncHandler(async (req, res) => {
+    const { userId } = res.locals.user;
+
+    const notification = await Notifications.findOne({
+        where: { notificationId: req.params.notificationId, UserId: userId },
+    });
+    if (!notification) {
+        throw new AppError("NOTIFICATION_NOT_FOUND");
+    }
+
+    if (!notification.readAt) {
+        await notification.update({ readAt: new Date() });
+    }
+
+    return res.status(200).json({ message: res.t("NOTIFICATION_READ") });
+}));
+
+
+module.exports = router;
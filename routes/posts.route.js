@@ -1,309 +1,419 @@
 const express = require("express");
-const { Op } = require("sequelize");
-const { Users, Posts } = require("../models");
+const { Op, UniqueConstraintError } = require("sequelize");
+const { Users, Posts, PostLikes, PostRevisions, Boards, Tags, sequelize } = require("../models");
 const authMiddleware = require("../middlewares/auth-middleware");
+const { hasRole, ownerOrModerator } = require("../middlewares/permission-middleware");
+const { logModeration } = require("../utils/moderation");
+const { asyncHandler } = require("../utils/async-handler");
+const { AppError } = require("../utils/errors");
+const { validate } = require("../middlewares/validation-middleware");
+const { writeLimit } = require("../middlewares/rate-limit-middleware");
+const { findKeysetPage } = require("../utils/pagination");
+const { setPostTags, findTagNames } = require("../utils/tags");
+const { findPostAttachments } = require("../utils/attachments");
+const { renderPostHtml } = require("../utils/markdown");
+const { notifyMentions } = require("../utils/notifications");
+const { eventHub } = require("../utils/event-hub");
+const schemas = require("../schemas/posts.schema");
 const router = express.Router();
 
+// 게시글별 댓글 수 (목록 응답 및 댓글순 정렬에 사용)
+const COMMENT_COUNT = sequelize.literal(
+    "(SELECT COUNT(*) FROM Comments WHERE Comments.PostId = Posts.postId AND Comments.deletedAt IS NULL)"
+);
+
+// 게시글별 좋아요 수 (목록/상세 응답 및 좋아요순 정렬에 사용)
+const LIKE_COUNT = sequelize.literal(
+    "(SELECT COUNT(*) FROM PostLikes WHERE PostLikes.PostId = Posts.postId)"
+);
 
 /**
- * @brief 게시글 작성 API
- * @request 제목, 작성내용 입력 (작성자명, 비밀번호 X)
- * @note 토큰을 검사하여, 유효한 토큰일 경우에만 게시글 작성 가능
+ * @brief 게시글 목록 정렬 옵션
+ * @note expr: 정렬 기준, direction: 정렬 방향, toCursor/fromCursor: 커서에 담을 정렬 키 변환
+ * 정렬 기준이 같은 경우 postId를 같은 방향으로 정렬하여 순서를 고정합니다.
  */
+const POST_SORTS = {
+    newest: {
+        expr: sequelize.col("Posts.createdAt"),
+        direction: "DESC",
+        toCursor: (post) => post.createdAt.toISOString(),
+        fromCursor: (value) => new Date(value),
+    },
+    oldest: {
+        expr: sequelize.col("Posts.createdAt"),
+        direction: "ASC",
+        toCursor: (post) => post.createdAt.toISOString(),
+        fromCursor: (value) => new Date(value),
+    },
+    comments: {
+        expr: COMMENT_COUNT,
+        direction: "DESC",
+        toCursor: (post) => Number(post.get("commentCount")),
+        fromCursor: (value) => Number(value),
+    },
+    likes: {
+        expr: LIKE_COUNT,
+        direction: "DESC",
+        toCursor: (post) => Number(post.get("likeCount")),
+        fromCursor: (value) => Number(value),
+    },
+};
+
+// 수정/삭제 권한 확인 대상 게시글 조회 (작성자 본인 또는 moderator 이상)
+const canModifyPost = ownerOrModerator(
+    (req) => Posts.findOne({ where: { postId: req.params.postId } }),
+    "POST_NOT_FOUND"
+);
+
+// 응답에 포함하는 게시판 정보
+const BOARD_INCLUDE = { model: Boards, attributes: ["slug", "name"] };
 
 /**
- * @swagger
- * /api/posts:
- *   post:
- *     summary: 게시글 작성 API
- *     description: "토큰을 검사하여, 유효한 토큰일 경우에만 게시글 작성 가능"
- *     tags:
- *       - Posts
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - title
- *               - content
- *             properties:
- *               title:
- *                 type: string
- *                 description: 제목
- *               content:
- *                 type: string
- *                 description: 작성 내용
- *     responses:
- *       '201':
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 data:
- *                   type: json
- *                   example: 
- *                        { 
- *                           UserId: userId,
- *                           title: "제목", 
- *                           content: "작성 내용" 
- *                       }    
+ * @brief 게시글을 작성할(옮길) 게시판을 찾고 사용자의 작성 권한을 확인합니다.
  */
-router.post("/posts", authMiddleware, async (req, res) => {
-    const { userId } = res.locals.user;
-    const { title, content } = req.body;
+async function findWritableBoard(slug, user) {
+    const board = await Boards.findOne({ where: { slug } });
+    if (!board) {
+        throw new AppError("BOARD_NOT_FOUND");
+    }
+    if (!hasRole(user, board.writeRole)) {
+        throw new AppError("BOARD_WRITE_FORBIDDEN");
+    }
+    return board;
+}
 
-    const post = await Posts.create({
-        UserId: userId,
-        title,
-        content,
-    });
+/**
+ * @brief 응답에 게시글의 태그 목록을 추가합니다.
+ * @param items withLikes의 결과
+ */
+async function withTags(items) {
+    const tagNames = await findTagNames(items.map((item) => item.postId));
+    return items.map((item) => ({ ...item, tags: tagNames.get(item.postId) }));
+}
 
-    return res.status(201).json({ data: post });
-});
+/**
+ * @brief 응답에 좋아요 수와 현재 사용자의 좋아요 여부를 추가합니다.
+ * @note 로그인하지 않은 경우 liked는 항상 false
+ */
+async function withLikes(posts, user) {
+    const likedPostIds = new Set();
+    if (user && posts.length) {
+        const likes = await PostLikes.findAll({
+            attributes: ["PostId"],
+            where: { UserId: user.userId, PostId: posts.map((post) => post.postId) },
+        });
+        likes.forEach((like) => likedPostIds.add(like.PostId));
+    }
 
+    return posts.map((post) => {
+        const data = post.toJSON();
+        if (data.commentCount !== undefined) {
+            data.commentCount = Number(data.commentCount);
+        }
+        data.likeCount = Number(data.likeCount);
+        data.liked = likedPostIds.has(post.postId);
+        return data;
+    });
+}
 
 
 /**
- * @brief 전체 게시글 목록 조회 API 
- * @response 제목, 작성자명, 작성날짜
+ * @brief 게시글 작성 API
+ * @request 제목, 작성내용 입력 (작성자명, 비밀번호 X)
+ * @note 토큰을 검사하여, 유효한 토큰일 경우에만 게시글 작성 가능
  */
+router.post("/posts", authMiddleware, writeLimit, validate(schemas.createPost), asyncHandler(async (req, res) => {
+    const { user } = res.locals;
+    const { title, content, tags = [] } = req.body;
+
+    // 게시판마다 작성할 수 있는 역할이 다릅니다. (공지사항은 admin만 작성)
+    const board = await findWritableBoard(req.body.board, user);
+
+    const data = await sequelize.transaction(async (transaction) => {
+        const post = await Posts.create({
+            UserId: user.userId,
+            BoardId: board.boardId,
+            title,
+            content,
+        }, { transaction });
+
+        // 본문에서 멘션한 사용자에게 알림을 보냅니다.
+        await notifyMentions(user, { PostId: post.postId }, content, "", { transaction });
+
+        return { ...post.toJSON(), tags: await setPostTags(post, tags, { transaction }) };
+    });
+
+    eventHub.publish("post.created", { postId: data.postId, board: board.slug });
+
+    return res.status(201).json({ data });
+}));
+
+
+
 /**
- * @swagger 
- * /api/posts:
- *   get: 
- *     summary: "전체 게시글 목록 조회 API"
- *     description: "전체 게시글 목록을 작성 날짜 최신순으로 조회"
- *     tags:
- *       - Posts
- *     responses:
- *       '200':
- *         description: "Successful operation"
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   postId:
- *                     type: integer
- *                   title:
- *                     type: string
- *                   createdAt:
- *                     type: string
- *                   User:
- *                     type: object
- *                     properties:
- *                       nickname:
- *                         type: string
- * 
+ * @brief 게시글 목록을 커서 기반으로 한 페이지 조회합니다. (전체, 게시판별, 태그별 목록)
+ * @param query 검사를 통과한 목록 쿼리 (schemas/posts.schema.js의 listQuery)
+ * @param user 현재 사용자 (좋아요 여부 표시, 비로그인 시 undefined)
+ * @param scope 목록의 범위를 정하는 추가 조건 (게시판, 태그)
+ * @returns { data, nextCursor }
  */
-router.get("/posts", async (req, res) => {
-    const posts = await Posts.findAll({
-        attributes: ["postId", "title", "createdAt"],
+async function findPostPage(query, user, scope = []) {
+    const { limit, cursor, nickname, from, to, sort: sortName } = query;
+    const sort = POST_SORTS[sortName];
+
+    const where = [...scope];
+    if (from) {
+        where.push({ createdAt: { [Op.gte]: new Date(from) } });
+    }
+    if (to) {
+        where.push({ createdAt: { [Op.lte]: new Date(to) } });
+    }
+
+    const { data, nextCursor } = await findKeysetPage(Posts, {
+        sortKey: sort,
+        idKey: "postId",
+        direction: sort.direction,
+        scope: sortName, // 다른 정렬 기준으로 만들어진 커서는 사용할 수 없습니다.
+        attributes: [
+            "postId",
+            "title",
+            "createdAt",
+            [COMMENT_COUNT, "commentCount"],
+            [LIKE_COUNT, "likeCount"],
+        ],
         include: [
             {
                 model: Users,
                 attributes: ["nickname"],
-            }
+                ...(nickname && { where: { nickname } }), // 작성자 닉네임으로 필터링
+            },
+            BOARD_INCLUDE,
         ],
-        order: [['createdAt', 'DESC']], // 작성 날짜 기준 내림차순 정렬
+        where,
+        limit,
+        cursor,
     });
 
-    return res.status(200).json({ data: posts });
-});
+    return { data: await withTags(await withLikes(data, user)), nextCursor };
+}
+
+
+/**
+ * @brief 전체 게시글 목록 조회 API 
+ * @request limit, cursor, sort(newest | oldest | comments | likes), nickname, from, to
+ * @response 제목, 작성자명, 작성날짜, 댓글 수, 좋아요 수, 좋아요 여부, 게시판, 태그, 다음 페이지 커서
+ * @note 커서 기반 페이지네이션. 응답의 nextCursor를 다음 요청의 cursor로 전달하기
+ */
+router.get("/posts", authMiddleware.optional, validate(schemas.listPosts), asyncHandler(async (req, res) => {
+    return res.status(200).json(await findPostPage(req.query, res.locals.user));
+}));
 
 
 
 /**
- * @brief 게시글 조회 API
- * @response 제목, 작성자명, 작성날짜, 작성내용
+ * @brief 게시판별 게시글 목록 조회 API
+ * @request 게시판(slug), 전체 게시글 목록 조회 API와 같은 쿼리
  */
+router.get("/boards/:slug/posts", authMiddleware.optional, validate(schemas.listBoardPosts), asyncHandler(async (req, res) => {
+    const board = await Boards.findOne({ where: { slug: req.params.slug } });
+    if (!board) {
+        throw new AppError("BOARD_NOT_FOUND");
+    }
+
+    return res.status(200).json(await findPostPage(req.query, res.locals.user, [{ BoardId: board.boardId }]));
+}));
+
+
 
 /**
- * @swagger 
- * /api/posts/{postId}:
- *   get: 
- *     summary: "게시글 조회 API"
- *     description: "해당 게시글을 상세 조회"
- *     tags:
- *       - Posts
- *     parameters:
- *       - in: path
- *         name: postId
- *         required: true
- *         schema:
- *           type: integer
- *         description: 해당 게시글 ID
- *     responses:
- *       '200':
- *         description: "Successful operation"
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 postId:
- *                   type: integer
- *                 title:
- *                   type: string
- *                 content:
- *                   type: string
- *                 createdAt:
- *                   type: string
- *                 updatedAt:
- *                   type: string
- *                 User:
- *                   type: object
- *                   properties:
- *                     nickname:
- *                       type: string
+ * @brief 태그별 게시글 목록 조회 API
+ * @request 태그(대소문자 구분 없음), 전체 게시글 목록 조회 API와 같은 쿼리
+ * @note 없는 태그는 빈 목록으로 응답하기
  */
+router.get("/tags/:tag/posts", authMiddleware.optional, validate(schemas.listTagPosts), asyncHandler(async (req, res) => {
+    const tag = await Tags.findOne({ where: { name: req.params.tag.toLowerCase() } });
+    if (!tag) {
+        return res.status(200).json({ data: [], nextCursor: null });
+    }
+
+    // tagId는 DB에서 읽은 정수이므로 그대로 쿼리에 넣어도 안전합니다.
+    const tagged = { postId: { [Op.in]: sequelize.literal(`(SELECT PostId FROM PostTags WHERE TagId = ${tag.tagId})`) } };
+    return res.status(200).json(await findPostPage(req.query, res.locals.user, [tagged]));
+}));
 
-router.get("/posts/:postId", async (req, res) => {
+
+
+/**
+ * @brief 게시글 조회 API
+ * @response 제목, 작성자명, 작성날짜, 작성내용(Markdown 원문과 HTML), 좋아요 수, 좋아요 여부, 수정 여부와 수정 이력 수, 게시판, 태그, 첨부파일
+ */
+router.get("/posts/:postId", authMiddleware.optional, validate(schemas.getPost), asyncHandler(async (req, res) => {
     const { postId } = req.params;
     const post = await Posts.findOne({
-        attributes: ["postId", "title", "content", "createdAt", "updatedAt"],
+        attributes: ["postId", "title", "content", "createdAt", "updatedAt", [LIKE_COUNT, "likeCount"]],
         include: [
             {
                 model: Users,
                 attributes: ["nickname"]
-            }
+            },
+            BOARD_INCLUDE,
         ],
         where: { postId }
     });
 
-    return res.status(200).json({ data: post });
-});
+    if (!post) {
+        return res.status(200).json({ data: post });
+    }
+
+    const [data] = await withTags(await withLikes([post], res.locals.user));
+    data.contentHtml = renderPostHtml(data.content);
+    data.revisionCount = await PostRevisions.count({ where: { PostId: post.postId } });
+    data.edited = data.revisionCount > 0;
+    data.attachments = await findPostAttachments(post.postId);
+    return res.status(200).json({ data });
+}));
 
 
 /**
  * @brief 게시글 수정 API
- * @note 토큰을 검사하여, 해당 사용자가 작성한 게시글만 수정 가능
- */
-/**
- * @swagger
- * /api/posts/{postId}:
- *   put:
- *     summary: 게시글 수정 API
- *     description: "로그인 토큰을 검사하여, 해당 사용자가 작성한 게시글만 수정 가능"
- *     parameters:
- *        - in: path
- *          name: postId
- *          required: true
- *          schema:
- *            type: integer
- *          description: Unique identifier of the post
- *     tags:
- *       - Posts
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - title
- *               - content
- *             properties:
- *               title:
- *                 type: string
- *                 description: 게시글 수정 제목
- *               content:
- *                 type: string
- *                 description: 게시글 수정 내용 
- * 
- *     responses:
- *       '200':
- *         description: "게시글이 수정되었습니다."
- *       '404':
- *         description: "게시글이 존재하지 않습니다."
- *       '401':
- *         description: "권한이 없습니다."
+ * @note 토큰을 검사하여, 해당 사용자가 작성한 게시글만 수정 가능 (moderator 이상은 모든 게시글 수정 가능)
+ * 수정할 때마다 PostRevisions 테이블에 수정 이력을 저장하기 (게시판, 태그 변경은 이력에 남기지 않음)
  */
-router.put("/posts/:postId", authMiddleware, async (req, res) => {
-    const { postId } = req.params;
-    const { userId } = res.locals.user;
-    const { title, content } = req.body;
+router.put("/posts/:postId", authMiddleware, validate(schemas.updatePost), canModifyPost, asyncHandler(async (req, res) => {
+    const { user, resource: post, moderating } = res.locals;
+    const { userId } = user;
+    const { title, content, tags } = req.body;
 
-    // 게시글을 조회합니다.
-    const post = await Posts.findOne({ where: { postId } });
+    const nextTitle = title ?? post.title;
+    const nextContent = content ?? post.content;
 
-    if (!post) {
-        return res.status(404).json({ message: "게시글이 존재하지 않습니다." });
-    } else if (post.UserId !== userId) {
-        return res.status(401).json({ message: "권한이 없습니다." });
-    }
+    // 다른 게시판으로 옮기는 경우 옮길 게시판의 작성 권한이 있어야 합니다.
+    const board = req.body.board && await findWritableBoard(req.body.board, user);
 
-    // 게시글의 권한을 확인하고, 게시글을 수정합니다.
-    await Posts.update(
-        { title, content }, // title과 content 컬럼을 수정합니다.
-        {
-            where: {
-                [Op.and]: [{ postId }, { UserId: userId }],
+    await sequelize.transaction(async (transaction) => {
+        // 게시글을 수정합니다. (권한은 canModifyPost에서 확인)
+        await Posts.update(
+            { title, content, ...(board && { BoardId: board.boardId }) }, // title, content, BoardId 컬럼을 수정합니다.
+            {
+                where: { postId: post.postId },
+                transaction,
             }
+        );
+
+        // 태그를 보낸 경우에만 기존 태그를 모두 교체합니다.
+        if (tags) {
+            await setPostTags(post, tags, { transaction });
+        }
+
+        // 다른 사용자의 게시글을 수정한 경우 관리자 조치로 기록합니다.
+        if (moderating) {
+            await logModeration(user, "update", "post", post.postId, req.body.reason ?? null, { transaction });
+        }
+
+        // 수정하면서 새로 멘션한 사용자에게 알림을 보냅니다.
+        await notifyMentions(user, { PostId: post.postId }, nextContent, post.content, { transaction });
+
+        // 내용이 바뀐 경우에만 수정 이력을 남깁니다.
+        if (nextTitle === post.title && nextContent === post.content) {
+            return;
         }
-    );
 
-    return res.status(200).json({ message: "게시글이 수정되었습니다." });
-});
+        const lastRevision = await PostRevisions.max("revision", { where: { PostId: post.postId }, transaction });
+
+        // 이력이 없는 게시글은 수정 전 내용을 최초 작성본(1번)으로 먼저 저장합니다.
+        if (!lastRevision) {
+            await PostRevisions.create({
+                PostId: post.postId,
+                revision: 1,
+                EditorId: post.UserId,
+                title: post.title,
+                content: post.content,
+                createdAt: post.createdAt,
+            }, { transaction });
+        }
+
+        await PostRevisions.create({
+            PostId: post.postId,
+            revision: (lastRevision || 1) + 1,
+            EditorId: userId,
+            title: nextTitle,
+            content: nextContent,
+        }, { transaction });
+    });
+
+    eventHub.publish("post.updated", { postId: post.postId });
+
+    return res.status(200).json({ message: res.t("POST_UPDATED") });
+}));
 
 
 /**
  * @brief 게시글 삭제 API
- * @note 토큰을 검사하여, 해당 사용자가 작성한 게시글만 삭제 가능
+ * @note 토큰을 검사하여, 해당 사용자가 작성한 게시글만 삭제 가능 (moderator 이상은 모든 게시글 삭제 가능)
+ * 삭제한 게시글은 휴지통으로 옮겨지며, 보관 기간이 지나면 영구 삭제됨 (첨부파일은 영구 삭제할 때 함께 삭제)
  */
+router.delete("/posts/:postId", authMiddleware, validate(schemas.deletePost), canModifyPost, asyncHandler(async (req, res) => {
+    const { user, resource: post, moderating } = res.locals;
+
+    // 게시글을 휴지통으로 옮깁니다. (soft delete, 권한은 canModifyPost에서 확인)
+    await Posts.destroy({ where: { postId: post.postId } });
+
+    // 다른 사용자의 게시글을 삭제한 경우 관리자 조치로 기록합니다.
+    if (moderating) {
+        await logModeration(user, "delete", "post", post.postId, req.body.reason ?? null);
+    }
+
+    eventHub.publish("post.deleted", { postId: post.postId });
+
+    return res.status(200).json({ message: res.t("POST_DELETED") });
+}));
+
+
+
 /**
- * @swagger
- * /api/posts/{postId}:
- *   delete:
- *     summary: 게시글 삭제 API
- *     description: "로그인 토큰을 검사하여, 해당 사용자가 작성한 게시글만 삭제 가능"
- *     parameters:
- *        - in: path
- *          name: postId
- *          required: true
- *          schema:
- *            type: integer
- *          description: Unique identifier of the post
- *     tags:
- *       - Posts
- *     requestBody:
- *       required: false
- * 
- *     responses:
- *       '200':
- *         description: "게시글이 삭제되었습니다."
- *       '404':
- *         description: "게시글이 존재하지 않습니다."
- *       '401':
- *         description: "권한이 없습니다."
+ * @brief 게시글 좋아요 API
+ * @note 토큰을 검사하여, 유효한 토큰일 경우에만 좋아요 가능. 게시글마다 한 번만 누를 수 있음
  */
-router.delete("/posts/:postId", authMiddleware, async (req, res) => {
+router.post("/posts/:postId/likes", authMiddleware, validate(schemas.likePost), asyncHandler(async (req, res) => {
     const { postId } = req.params;
     const { userId } = res.locals.user;
 
-    // 게시글을 조회합니다.
     const post = await Posts.findOne({ where: { postId } });
-
     if (!post) {
-        return res.status(404).json({ message: "게시글이 존재하지 않습니다." });
-    } else if (post.UserId !== userId) {
-        return res.status(401).json({ message: "권한이 없습니다." });
+        throw new AppError("POST_NOT_FOUND");
     }
 
-    // 게시글의 권한을 확인하고, 게시글을 삭제합니다.
-    await Posts.destroy({
-        where: {
-            [Op.and]: [{ postId }, { UserId: userId }],
+    try {
+        await PostLikes.create({ PostId: post.postId, UserId: userId });
+    } catch (error) {
+        // (PostId, UserId) 유니크 인덱스로 중복 좋아요를 막습니다.
+        if (error instanceof UniqueConstraintError) {
+            throw new AppError("ALREADY_LIKED");
         }
-    });
+        throw error;
+    }
+
+    const likeCount = await PostLikes.count({ where: { PostId: post.postId } });
+    return res.status(201).json({ data: { likeCount, liked: true } });
+}));
+
+
+/**
+ * @brief 게시글 좋아요 취소 API
+ * @note 토큰을 검사하여, 해당 사용자가 누른 좋아요만 취소 가능
+ */
+router.delete("/posts/:postId/likes", authMiddleware, validate(schemas.unlikePost), asyncHandler(async (req, res) => {
+    const { postId } = req.params;
+    const { userId } = res.locals.user;
+
+    const deleted = await PostLikes.destroy({ where: { PostId: postId, UserId: userId } });
+    if (!deleted) {
+        throw new AppError("NOT_LIKED");
+    }
 
-    return res.status(200).json({ message: "게시글이 삭제되었습니다." });
-});
+    const likeCount = await PostLikes.count({ where: { PostId: postId } });
+    return res.status(200).json({ data: { likeCount, liked: false } });
+}));
 
 
 module.exports = router;
\ No newline at end of file
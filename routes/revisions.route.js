@@ -0,0 +1,107 @@
+const express = require("express");
+const { Users, Posts, PostRevisions } = require("../models");
+const { validate } = require("../middlewares/validation-middleware");
+const { diffLines } = require("../utils/diff");
+const { asyncHandler } = require("../utils/async-handler");
+const { AppError } = require("../utils/errors");
+const schemas = require("../schemas/revisions.schema");
+const router = express.Router();
+
+
+/**
+ * @brief 게시글 수정 이력 목록 조회 API
+ * @response 버전 번호, 제목, 수정한 사용자, 수정 날짜
+ * @note 1번은 최초 작성본. 수정된 적 없는 게시글은 빈 목록
+ */
+router.get("/posts/:postId/revisions", validate(schemas.listRevisions), asyncHandler(async (req, res) => {
+    const { postId } = req.params;
+
+    const post = await Posts.findOne({ attributes: ["postId"], where: { postId } });
+    if (!post) {
+        throw new AppError("POST_NOT_FOUND");
+    }
+
+    const revisions = await PostRevisions.findAll({
+        attributes: ["revision", "title", "createdAt"],
+        include: [
+            {
+                model: Users,
+                as: "Editor",
+                attributes: ["nickname"],
+            }
+        ],
+        where: { PostId: post.postId },
+        order: [["revision", "DESC"]],
+    });
+
+    return res.status(200).json({ data: revisions });
+}));
+
+
+/**
+ * @brief 게시글 수정 이력 비교 API
+ * @request from, to (비교할 두 버전 번호)
+ * @response 제목과 내용의 줄 단위 diff
+ */
+router.get("/posts/:postId/revisions/diff", validate(schemas.diffRevisions), asyncHandler(async (req, res) => {
+    const { postId } = req.params;
+    const { from, to } = req.query;
+
+    const post = await Posts.findOne({ attributes: ["postId"], where: { postId } });
+    if (!post) {
+        throw new AppError("POST_NOT_FOUND");
+    }
+
+    const revisions = await PostRevisions.findAll({
+        attributes: ["revision", "title", "content"],
+        where: { PostId: post.postId, revision: [from, to] },
+    });
+    const before = revisions.find((row) => row.revision === from);
+    const after = revisions.find((row) => row.revision === to);
+
+    if (!before || !after) {
+        throw new AppError("REVISION_NOT_FOUND");
+    }
+
+    return res.status(200).json({
+        data: {
+            from: before.revision,
+            to: after.revision,
+            title: diffLines(before.title, after.title),
+            content: diffLines(before.content, after.content),
+        },
+    });
+}));
+
+
+/**
+ * @brief 게시글 수정 이력 조회 API
+ * @response 해당 버전의 제목, 내용, 수정한 사용자, 수정 날짜
+ */
+router.get("/posts/:postId/revisions/:revision", validate(schemas.getRevision), asyncHandler(async (req, res) => {
+    const { postId, revision } = req.params;
+
+    const post = await Posts.findOne({ attributes: ["postId"], where: { postId } });
+    if (!post) {
+        throw new AppError("POST_NOT_FOUND");
+    }
+
+    const row = await PostRevisions.findOne({
+        attributes: ["revision", "title", "content", "createdAt"],
+        include: [
+            {
+                model: Users,
+                as: "Editor",
+                attributes: ["nickname"],
+            }
+        ],
+        where: { PostId: post.postId, revision },
+    });
+    if (!row) {
+        throw new AppError("REVISION_NOT_FOUND");
+    }
+
+    return res.status(200).json({ data: row });
+}));
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require("express");
+const { Op, QueryTypes } = require("sequelize");
+const { Users, Posts, Comments, sequelize } = require("../models");
+const { validate } = require("../middlewares/validation-middleware");
+const { encodeCursor, decodeCursor } = require("../utils/pagination");
+const { tokenize, escapeLike, buildSnippet } = require("../utils/search");
+const { asyncHandler } = require("../utils/async-handler");
+const { AppError } = require("../utils/errors");
+const schemas = require("../schemas/search.schema");
+const router = express.Router();
+
+// 게시글마다 스니펫에 사용할 댓글 수
+const COMMENT_SNIPPETS_PER_POST = 3;
+
+// 커서로 이어서 조회할 수 있는 최대 offset (관련도 점수는 매번 처음부터 계산하므로 깊은 페이지는 제한합니다.)
+const MAX_OFFSET = 1000;
+
+/**
+ * @brief MySQL FULLTEXT 인덱스로 관련도 점수를 계산합니다.
+ * @note 제목 일치에 가중치를 주고, 일치하는 댓글의 점수를 게시글 점수에 더합니다.
+ */
+async function searchWithFulltext(query, limit, offset) {
+    return sequelize.query(
+        `SELECT p.postId,
+                MATCH(p.title) AGAINST(:query IN NATURAL LANGUAGE MODE) * 2
+                + MATCH(p.title, p.content) AGAINST(:query IN NATURAL LANGUAGE MODE)
+                + COALESCE(c.score, 0) AS score
+         FROM Posts p
+         LEFT JOIN (
+             SELECT PostId, SUM(MATCH(comment) AGAINST(:query IN NATURAL LANGUAGE MODE)) AS score
+             FROM Comments
+             WHERE MATCH(comment) AGAINST(:query IN NATURAL LANGUAGE MODE) AND deletedAt IS NULL
+             GROUP BY PostId
+         ) c ON c.PostId = p.postId
+         WHERE p.deletedAt IS NULL
+           AND (MATCH(p.title, p.content) AGAINST(:query IN NATURAL LANGUAGE MODE) OR c.PostId IS NOT NULL)
+         ORDER BY score DESC, p.postId DESC
+         LIMIT :limit OFFSET :offset`,
+        { replacements: { query, limit, offset }, type: QueryTypes.SELECT }
+    );
+}
+
+/**
+ * @brief FULLTEXT를 지원하지 않는 DB(SQLite 등)를 위한 LIKE 기반 검색
+ * @note 검색어마다 제목 일치 3점, 내용 일치 1점, 일치하는 댓글 1개당 1점을 더합니다.
+ */
+async function searchWithLike(terms, limit, offset) {
+    const replacements = { limit, offset };
+    const scores = terms.map((term, i) => {
+        replacements[`term${i}`] = `%${escapeLike(term)}%`;
+        return `(CASE WHEN LOWER(p.title) LIKE :term${i} ESCAPE '!' THEN 3 ELSE 0 END)
+                + (CASE WHEN LOWER(p.content) LIKE :term${i} ESCAPE '!' THEN 1 ELSE 0 END)
+                + (SELECT COUNT(*) FROM Comments c
+                   WHERE c.PostId = p.postId AND c.deletedAt IS NULL
+                     AND LOWER(c.comment) LIKE :term${i} ESCAPE '!')`;
+    });
+
+    return sequelize.query(
+        `SELECT postId, score FROM (
+             SELECT p.postId, (${scores.join(" + ")}) AS score FROM Posts p WHERE p.deletedAt IS NULL
+         ) ranked
+         WHERE score > 0
+         ORDER BY score DESC, postId DESC
+         LIMIT :limit OFFSET :offset`,
+        { replacements, type: QueryTypes.SELECT }
+    );
+}
+
+
+/**
+ * @brief 게시글 검색 API
+ * @request q(검색어), limit, cursor
+ * @response 관련도 순으로 정렬된 게시글과 검색어가 하이라이트된 스니펫
+ * @note 게시글 제목, 내용, 댓글 내용을 대상으로 검색하기.
+ * MySQL에서는 FULLTEXT 인덱스를, 그 외 DB에서는 LIKE 검색을 사용하기
+ */
+router.get("/search", validate(schemas.search), asyncHandler(async (req, res) => {
+    const { q, limit, cursor } = req.query;
+    const terms = tokenize(q);
+
+    if (!terms.length) {
+        throw new AppError("EMPTY_SEARCH_QUERY");
+    }
+
+    // 관련도 점수는 정렬 키로 비교하기 어려우므로 커서에 검색어와 offset을 담습니다.
+    let offset = 0;
+    if (cursor) {
+        const decoded = decodeCursor(cursor);
+        if (!decoded || decoded.q !== terms.join(" ") || !Number.isSafeInteger(decoded.o) || decoded.o < 0 || decoded.o > MAX_OFFSET) {
+            throw new AppError("INVALID_CURSOR");
+        }
+        offset = decoded.o;
+    }
+
+    const ranked = sequelize.getDialect() === "mysql"
+        ? await searchWithFulltext(terms.join(" "), limit + 1, offset)
+        : await searchWithLike(terms, limit + 1, offset);
+
+    const hasNext = ranked.length > limit;
+    const page = hasNext ? ranked.slice(0, limit) : ranked;
+    const postIds = page.map((row) => row.postId);
+
+    const [posts, comments] = await Promise.all([
+        Posts.findAll({
+            attributes: ["postId", "title", "content", "createdAt"],
+            include: [
+                {
+                    model: Users,
+                    attributes: ["nickname"],
+                }
+            ],
+            where: { postId: postIds },
+        }),
+        Comments.findAll({
+            attributes: ["PostId", "comment"],
+            where: {
+                PostId: postIds,
+                [Op.or]: terms.map((term) => sequelize.literal(
+                    `LOWER(comment) LIKE ${sequelize.escape(`%${escapeLike(term)}%`)} ESCAPE '!'`
+                )),
+            },
+            order: [["createdAt", "DESC"]],
+        }),
+    ]);
+
+    const postsById = new Map(posts.map((post) => [post.postId, post]));
+    const data = page
+        .filter((row) => postsById.has(row.postId))
+        .map((row) => {
+            const post = postsById.get(row.postId);
+            const commentSnippets = comments
+                .filter((note) => note.PostId === row.postId)
+                .map((note) => buildSnippet(note.comment, terms))
+                .filter(Boolean)
+                .slice(0, COMMENT_SNIPPETS_PER_POST);
+
+            return {
+                postId: post.postId,
+                title: post.title,
+                createdAt: post.createdAt,
+                score: Number(row.score),
+                User: post.User,
+                highlights: {
+                    title: buildSnippet(post.title, terms),
+                    content: buildSnippet(post.content, terms),
+                    comments: commentSnippets,
+                },
+            };
+        });
+
+    const nextCursor = hasNext && offset + limit <= MAX_OFFSET ? encodeCursor({ q: terms.join(" "), o: offset + limit }) : null;
+
+    return res.status(200).json({ data, nextCursor });
+}));
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require("express");
+const { Op } = require("sequelize");
+const { Tags, sequelize } = require("../models");
+const { validate } = require("../middlewares/validation-middleware");
+const { escapeLike } = require("../utils/search");
+const { asyncHandler } = require("../utils/async-handler");
+const schemas = require("../schemas/tags.schema");
+const router = express.Router();
+
+// 태그가 붙은 게시글 수 (휴지통에 있는 게시글 제외)
+const POST_COUNT = sequelize.literal(
+    `(SELECT COUNT(*) FROM PostTags
+      JOIN Posts ON Posts.postId = PostTags.PostId AND Posts.deletedAt IS NULL
+      WHERE PostTags.TagId = Tags.tagId)`
+);
+
+
+/**
+ * @brief 태그 자동 완성 API
+ * @request q(태그 앞부분), limit
+ * @response 태그 이름, 게시글 수 (게시글 수가 많은 순, 같으면 이름순)
+ * @note 게시글이 모두 삭제된 태그는 제외하기. 태그별 게시글 목록은 GET /tags/:tag/posts (posts.route.js)
+ */
+router.get("/tags", validate(schemas.suggestTags), asyncHandler(async (req, res) => {
+    const { q, limit } = req.query;
+
+    // 태그는 소문자로 저장되어 있습니다. (utils/tags.js)
+    const prefix = `${escapeLike(q.trim().toLowerCase())}%`;
+    const tags = await Tags.findAll({
+        attributes: ["name", [POST_COUNT, "postCount"]],
+        where: {
+            [Op.and]: [
+                sequelize.literal(`Tags.name LIKE ${sequelize.escape(prefix)} ESCAPE '!'`),
+                sequelize.where(POST_COUNT, Op.gt, 0),
+            ],
+        },
+        order: [[POST_COUNT, "DESC"], ["name", "ASC"]],
+        limit,
+    });
+
+    return res.status(200).json({
+        data: tags.map((tag) => ({ name: tag.name, postCount: Number(tag.get("postCount")) })),
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,150 @@
+const express = require("express");
+const { Op } = require("sequelize");
+const { Posts, Comments } = require("../models");
+const authMiddleware = require("../middlewares/auth-middleware");
+const { hasRole } = require("../middlewares/permission-middleware");
+const { validate } = require("../middlewares/validation-middleware");
+const { logModeration, isDeletedByModerator } = require("../utils/moderation");
+const { asyncHandler } = require("../utils/async-handler");
+const { AppError } = require("../utils/errors");
+const { findKeysetPage } = require("../utils/pagination");
+const { TRASH_RETENTION_DAYS } = require("../jobs/purge-trash");
+const schemas = require("../schemas/trash.schema");
+const router = express.Router();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @brief 휴지통 목록을 삭제 시각 내림차순으로 페이지 단위 조회합니다.
+ * @note 삭제 시각이 같으면 primaryKey 내림차순으로 정렬합니다.
+ * @returns { data, nextCursor }, 커서가 잘못된 경우 INVALID_CURSOR(400)
+ */
+async function findTrash(model, primaryKey, attributes, { userId, limit, cursor }) {
+    const { data, nextCursor } = await findKeysetPage(model, {
+        sortKey: "deletedAt",
+        idKey: primaryKey,
+        attributes: [...attributes, "deletedAt"],
+        where: { UserId: userId, deletedAt: { [Op.ne]: null } },
+        paranoid: false,
+        limit,
+        cursor,
+    });
+
+    return {
+        data: data.map((row) => ({
+            ...row.toJSON(),
+            // 이 시각이 지나면 영구 삭제됩니다.
+            purgeAt: new Date(row.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY),
+        })),
+        nextCursor,
+    };
+}
+
+
+/**
+ * @brief 휴지통 게시글 목록 조회 API
+ * @note 로그인 토큰을 검사하여, 해당 사용자가 삭제한 게시글만 조회
+ */
+router.get("/trash/posts", authMiddleware, validate(schemas.listTrashPosts), asyncHandler(async (req, res) => {
+    const { userId } = res.locals.user;
+    const { limit, cursor } = req.query;
+
+    const result = await findTrash(Posts, "postId", ["postId", "title", "createdAt"], { userId, limit, cursor });
+
+    return res.status(200).json(result);
+}));
+
+
+/**
+ * @brief 휴지통 댓글 목록 조회 API
+ * @note 로그인 토큰을 검사하여, 해당 사용자가 삭제한 댓글만 조회
+ */
+router.get("/trash/comments", authMiddleware, validate(schemas.listTrashComments), asyncHandler(async (req, res) => {
+    const { userId } = res.locals.user;
+    const { limit, cursor } = req.query;
+
+    const result = await findTrash(Comments, "commentId", ["commentId", "PostId", "comment", "createdAt"], {
+        userId,
+        limit,
+        cursor,
+    });
+
+    return res.status(200).json(result);
+}));
+
+
+/**
+ * @brief 게시글 복원 API
+ * @note 로그인 토큰을 검사하여, 해당 사용자가 삭제한 게시글만 복원 가능
+ * moderator 이상은 모든 게시글을 복원할 수 있으며, 관리자가 삭제한 게시글은 작성자가 복원할 수 없음
+ */
+router.post("/trash/posts/:postId/restore", authMiddleware, validate(schemas.restorePost), asyncHandler(async (req, res) => {
+    const { postId } = req.params;
+    const { user } = res.locals;
+
+    const post = await Posts.findOne({
+        where: { postId, deletedAt: { [Op.ne]: null } },
+        paranoid: false,
+    });
+
+    const moderating = hasRole(user, "moderator");
+    if (!post) {
+        throw new AppError("TRASHED_POST_NOT_FOUND");
+    } else if (post.UserId !== user.userId && !moderating) {
+        throw new AppError("FORBIDDEN");
+    } else if (!moderating && (await isDeletedByModerator("post", post.postId, post.deletedAt))) {
+        throw new AppError("POST_DELETED_BY_MODERATOR");
+    }
+
+    await post.restore();
+
+    // 다른 사용자의 게시글을 복원한 경우 관리자 조치로 기록합니다.
+    if (post.UserId !== user.userId) {
+        await logModeration(user, "restore", "post", post.postId);
+    }
+
+    return res.status(200).json({ message: res.t("POST_RESTORED") });
+}));
+
+
+/**
+ * @brief 댓글 복원 API
+ * @note 로그인 토큰을 검사하여, 해당 사용자가 삭제한 댓글만 복원 가능
+ * moderator 이상은 모든 댓글을 복원할 수 있으며, 관리자가 삭제한 댓글은 작성자가 복원할 수 없음
+ * 게시글이 휴지통에 있는 경우 게시글을 먼저 복원해야 함
+ */
+router.post("/trash/comments/:commentId/restore", authMiddleware, validate(schemas.restoreComment), asyncHandler(async (req, res) => {
+    const { commentId } = req.params;
+    const { user } = res.locals;
+
+    const note = await Comments.findOne({
+        where: { commentId, deletedAt: { [Op.ne]: null } },
+        paranoid: false,
+    });
+
+    const moderating = hasRole(user, "moderator");
+    if (!note) {
+        throw new AppError("TRASHED_COMMENT_NOT_FOUND");
+    } else if (note.UserId !== user.userId && !moderating) {
+        throw new AppError("FORBIDDEN");
+    } else if (!moderating && (await isDeletedByModerator("comment", note.commentId, note.deletedAt))) {
+        throw new AppError("COMMENT_DELETED_BY_MODERATOR");
+    }
+
+    const post = await Posts.findOne({ attributes: ["postId"], where: { postId: note.PostId } });
+    if (!post) {
+        throw new AppError("POST_IN_TRASH");
+    }
+
+    // 삭제된 부모 댓글은 "삭제된 댓글입니다."로 다시 표시됩니다.
+    await note.restore();
+
+    // 다른 사용자의 댓글을 복원한 경우 관리자 조치로 기록합니다.
+    if (note.UserId !== user.userId) {
+        await logModeration(user, "restore", "comment", note.commentId);
+    }
+
+    return res.status(200).json({ message: res.t("COMMENT_RESTORED") });
+}));
+
+module.exports = router;
@@ -1,7 +1,92 @@
+const crypto = require("crypto");
 const express = require("express");
-const { Users } = require("../models");
+const { UniqueConstraintError } = require("sequelize");
+const { Users, Posts, Comments, PostLikes, CommentReactions, sequelize } = require("../models");
+const authMiddleware = require("../middlewares/auth-middleware");
+const { validate } = require("../middlewares/validation-middleware");
+const { loginLimit, signupLimit } = require("../middlewares/rate-limit-middleware");
+const schemas = require("../schemas/users.schema");
 const router = express.Router();
-const jwt = require("jsonwebtoken");
+const { hashPassword, verifyPassword, needsRehash, getDummyHash } = require("../utils/password");
+const { issueTokenPair, rotateRefreshToken, revokeSession, revokeSessionByRefreshToken, revokeUserSessions } = require("../utils/token");
+const { setAuthCookies, clearAuthCookies, isCsrfTokenValid } = require("../utils/auth-cookies");
+const { getLockRemaining, recordFailure, clearFailures } = require("../utils/login-lockout");
+const { findKeysetPage } = require("../utils/pagination");
+const { asyncHandler } = require("../utils/async-handler");
+const { AppError } = require("../utils/errors");
+
+/**
+ * @brief 회원가입, 비밀번호 변경에서 확인하는 비밀번호 규칙
+ * @note 비밀번호 길이는 스키마에서 확인합니다. (schemas/users.schema.js)
+ */
+function checkPasswordRules(nickname, password, confirmPassword) {
+    // 비밀번호가 일치하지 않는 경우
+    if (password !== confirmPassword) {
+        throw new AppError("PASSWORD_MISMATCH");
+    }
+
+    // 비밀번호에 닉네임이 포함되어있는 경우 (대소문자 구분 없음)
+    if (password.toLowerCase().includes(nickname.toLowerCase())) {
+        throw new AppError("PASSWORD_CONTAINS_NICKNAME");
+    }
+}
+
+/**
+ * @brief 계정을 변경하기 전에 현재 비밀번호를 확인합니다.
+ * @note 탈취된 토큰만으로 비밀번호 변경, 회원 탈퇴 등을 할 수 없도록 합니다.
+ */
+async function verifyCurrentPassword(user, password) {
+    if (!(await verifyPassword(password, user.password))) {
+        throw new AppError("CURRENT_PASSWORD_INCORRECT");
+    }
+}
+
+// 프로필을 조회할 수 있는 사용자 (탈퇴한 계정 제외)
+function findProfileUser(nickname) {
+    return Users.findOne({ where: { nickname, withdrawnAt: null } });
+}
+
+/**
+ * @brief 작성한 게시글/댓글 수
+ * @note 휴지통에 있는 글과 삭제된 게시글에 단 댓글은 세지 않습니다.
+ */
+async function countActivity(userId) {
+    const [postCount, commentCount] = await Promise.all([
+        Posts.count({ where: { UserId: userId } }),
+        Comments.count({
+            where: { UserId: userId },
+            include: [{ model: Posts, attributes: [], required: true }],
+        }),
+    ]);
+    return { postCount, commentCount };
+}
+
+function toProfile(user, counts) {
+    return {
+        nickname: user.nickname,
+        bio: user.bio,
+        joinedAt: user.createdAt,
+        showActivity: user.showActivity,
+        ...counts,
+    };
+}
+
+/**
+ * @brief 활동 목록을 조회할 프로필의 사용자를 찾습니다.
+ * @note 활동 내역을 공개하지 않은 사용자의 목록은 본인만 조회할 수 있습니다.
+ */
+async function findActivityOwner(req, res) {
+    const user = await findProfileUser(req.params.nickname);
+    if (!user) {
+        throw new AppError("PROFILE_NOT_FOUND");
+    }
+
+    const viewer = res.locals.user;
+    if (!user.showActivity && (!viewer || viewer.userId !== user.userId)) {
+        throw new AppError("ACTIVITY_HIDDEN");
+    }
+    return user;
+}
 
 
 router.get("/", (req, res) => {
@@ -18,100 +103,24 @@ router.get("/", (req, res) => {
  * 데이터베이스에 존재하는 닉네임을 입력한 채 회원가입 버튼을 누른 경우,
  * "중복된 닉네임입니다." 라는 에러메세지를 response에 포함하기
  */
-
-/**
- * @swagger
- * /api/users:
- *   post:
- *     summary: 회원 가입 API
- *     description: 새로운 사용자 생성
- *     tags: [Users]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - nickname
- *               - password
- *               - confirmPassword
- *             properties:
- *               nickname:
- *                 type: string
- *                 description: 유저 고유 닉네임 (3자 이상, 알파벳 대소문자와 숫자)
- *               password:
- *                 type: string
- *                 description: 비밀번호 (4자 이상)
- *               confirmPassword:
- *                 type: string
- *                 description: 비밀번호 확인
- *     responses:
- *       '201':
- *         description: 회원가입이 완료되었습니다.
- *       '400':
- *         description: "요청의 형식이 잘못되었습니다. (예: 비밀번호나 닉네임 형식 불일치)"
- *       '401':
- *         description: 비밀번호와 비밀번호 확인이 일치하지 않습니다.
- *       '409':
- *         description: 닉네임이 이미 존재하거나 비밀번호가 닉네임을 포함합니다.
- */
-router.post("/users", async (req, res) => {
+router.post("/users", signupLimit, validate(schemas.signup), asyncHandler(async (req, res) => {
     const { nickname, password, confirmPassword } = req.body;
 
-    try {
-        const nicknamePattern = /^[a-zA-Z0-9]{3,}$/;
-        const passwordLengthRegex = /^.{4,}$/
-        const nicknameRegex = new RegExp(nickname, "i");
-
-        // 닉네임 형식이 비정상적인 경우
-        if (!nicknamePattern.test(nickname)) {
-            res.status(400).json({
-                errorMessage: "닉네임의 형식이 일치하지 않습니다.",
-            });
-            return;
-        }
-
-        // 비밀번호가 일치하지 않는 경우
-        if (password !== confirmPassword) {
-            res.status(401).json({
-                errorMessage: "패스워드가 일치하지 않습니다.",
-            });
-            return;
-        } 
-
-        // 비밀번호 형식이 비정상적인 경우
-        if (!passwordLengthRegex.test(password)) {
-            res.status(400).json({
-                errorMessage: "패스워드 형식이 일치하지 않습니다.",
-            });
-            return;
-        }
-
-        // 비밀번호에 닉네임이 포함되어있는 경우
-        if (nicknameRegex.test(password)) {
-            res.status(409).json({
-                errorMessage: "패스워드에 닉네임이 포함되어 있습니다.",
-            });
-            return;
-        }
-
-        // 닉네임이 중복된 경우
-        const isExistUser = await Users.findOne({ where: { nickname } });
-        if (isExistUser) {
-            return res.status(409).json({ errorMessage: "중복된 닉네임입니다." });
-        }
-
-        // Users 테이블에 사용자를 추가합니다.
-        const user = await Users.create({ nickname, password });
+    // 닉네임, 비밀번호 형식은 validate(schemas.signup)에서 확인합니다.
+    checkPasswordRules(nickname, password, confirmPassword);
 
-        return res.status(201).json({ message: "회원가입이 완료되었습니다." });
-    } catch (error) {
-        // 예외 케이스에서 처리하지 못한 에러
-        res.status(400).json({ errorMessage: "요청한 데이터 형식이 올바르지 않습니다." });
+    // 닉네임이 중복된 경우
+    const isExistUser = await Users.findOne({ where: { nickname } });
+    if (isExistUser) {
+        throw new AppError("DUPLICATE_NICKNAME");
     }
 
-});
+    // 비밀번호를 해시한 뒤 Users 테이블에 사용자를 추가합니다.
+    const hashedPassword = await hashPassword(password);
+    await Users.create({ nickname, password: hashedPassword });
+
+    return res.status(201).json({ message: res.t("SIGNUP_SUCCESS") });
+}));
 
 
 
@@ -122,80 +131,314 @@ router.post("/users", async (req, res) => {
  * 하나라도 맞지 않는 정보가 있다면 "닉네임 또는 패스워드를 확인해주세요."라는
  * 에러 메세지를 response에 포함하기.
  * 로그인 성공 시, 로그인에 성공한 유저의 정보를 JWT를 활용하여 클라이언트에게 Cookie로 전달하기
+ * 같은 닉네임으로 연속해서 실패하면 잠금 시간이 점점 늘어나도록 잠그기 (utils/login-lockout.js)
  */
-
-/**
- * @swagger
- * /api/login:
- *   post:
- *     summary: 로그인 API
- *     description: 로그인 합니다.
- *     tags: [Users]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - nickname
- *               - password
- *             properties:
- *               nickname:
- *                 type: string
- *                 description: 유저 고유 닉네임 (3자 이상, 알파벳 대소문자와 숫자)
- *               password:
- *                 type: string
- *                 description: 비밀번호 (4자 이상)
- *     responses:
- *       "200":
- *         description: 로그인 성공
- *       "412":
- *         description: 닉네임 또는 패스워드를 확인해주세요.
- */
-router.post("/login", async (req, res) => {
+router.post("/login", loginLimit, validate(schemas.login), asyncHandler(async (req, res) => {
     const { nickname, password } = req.body;
+
+    // 연속으로 실패해 잠긴 닉네임은 비밀번호를 확인하지 않습니다.
+    const lockRemaining = await getLockRemaining(nickname);
+    if (lockRemaining) {
+        res.set("Retry-After", String(lockRemaining));
+        throw new AppError("LOGIN_LOCKED", { params: { retryAfter: lockRemaining } });
+    }
+
     const user = await Users.findOne({ where: { nickname } });
 
-    try {
-        if (!user || user.password !== password) {
-            return res.status(412).json({ errorMessage: "닉네임 또는 패스워드를 확인해주세요." });
-        } 
-        
-        // 사용자 정보를 JWT로 생성
-        const token = jwt.sign(
-            { userId: user.userId },  // 해당 데이터를 payload에 할당
-            "customized_secret_key",  // JWT의 비밀키를 customized_secret_key라는 문자열로 할당
-            // { expiresIn: "1h" } // JWT의 인증 만료시간을 1시간으로 설정
-        );
-        
-        // token 변수를 authorization 이름을 가진 쿠키에 Bearer 토큰 형식으로 할당
-        res.cookie("authorization", `Bearer ${token}`); // JWT를 Cookie로 할당합니다.
-        return res.status(200).json({ message: "로그인 성공" });
-    } catch (error) {
-        // 예외 케이스에서 처리하지 못한 에러
-        res.status(400).json({ errorMessage: "로그인에 실패하였습니다." });
+    // 없는 닉네임도 더미 해시와 비교하여 응답 시간으로 가입 여부를 드러내지 않습니다.
+    const verified = await verifyPassword(password, user ? user.password : await getDummyHash());
+    if (!user || !verified) {
+        await recordFailure(nickname);
+        throw new AppError("LOGIN_FAILED");
+    }
+    await clearFailures(nickname);
+
+    // 평문으로 저장되어 있던 비밀번호는 로그인에 성공한 시점에 해시로 교체합니다.
+    if (needsRehash(user.password)) {
+        await user.update({ password: await hashPassword(password) });
+    }
+
+    // 새 세션을 시작하고 Access/Refresh Token 쌍을 발급합니다.
+    const tokens = await issueTokenPair(user.userId);
+    setAuthCookies(res, tokens);
+    return res.status(200).json({
+        message: res.t("LOGIN_SUCCESS"),
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+    });
+}));
+
+
+
+/**
+ * @brief 토큰 재발급 API
+ * @request Refresh Token (refreshToken 쿠키 또는 body, 쿠키를 사용하면 X-CSRF-Token 헤더 필요)
+ * @note Refresh Token을 회전하여 새 Access/Refresh Token 쌍을 발급하기.
+ * 이미 사용된 Refresh Token이 다시 사용되면 탈취로 간주하여 해당 세션의 모든 토큰을 폐기하기
+ */
+router.post("/token/refresh", validate(schemas.refreshToken), asyncHandler(async (req, res) => {
+    const fromCookie = Boolean(req.cookies.refreshToken);
+    const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
+
+    if (!refreshToken) {
+        throw new AppError("REFRESH_TOKEN_MISSING");
     }
+    if (fromCookie && !isCsrfTokenValid(req)) {
+        throw new AppError("CSRF_TOKEN_INVALID");
+    }
+
+    const result = await rotateRefreshToken(refreshToken);
+    if (result.error) {
+        clearAuthCookies(res);
+        throw new AppError(result.error === "REUSED" ? "REFRESH_TOKEN_REUSED" : "REFRESH_TOKEN_INVALID");
+    }
+
+    setAuthCookies(res, result);
+    return res.status(200).json({
+        message: res.t("TOKEN_REFRESHED"),
+        accessToken: result.accessToken,
+        refreshToken: result.refreshToken,
+    });
+}));
+
+
+
+/**
+ * @brief 로그아웃 API
+ * @request Refresh Token (refreshToken 쿠키 또는 body), 없으면 Access Token
+ * @note Access Token이 만료되어도 로그아웃할 수 있도록 Refresh Token으로 세션을 찾아 폐기하고 인증 쿠키를 모두 삭제하기
+ * refreshToken 쿠키는 /api/token 경로에만 전달되므로 쿠키를 쓰는 클라이언트는 /api/token/logout으로 요청합니다.
+ */
+const logout = asyncHandler(async (req, res) => {
+    const { sessionId } = res.locals;
+    const fromCookie = Boolean(req.cookies.refreshToken);
+    const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
+
+    if (!refreshToken && !sessionId) {
+        throw new AppError("REFRESH_TOKEN_MISSING");
+    }
+    if (fromCookie && !isCsrfTokenValid(req)) {
+        throw new AppError("CSRF_TOKEN_INVALID");
+    }
+
+    // 이미 폐기되었거나 모르는 토큰이어도 쿠키는 지웁니다.
+    if (refreshToken) {
+        await revokeSessionByRefreshToken(refreshToken);
+    }
+    if (sessionId) {
+        await revokeSession(sessionId);
+    }
+
+    clearAuthCookies(res);
+    return res.status(200).json({ message: res.t("LOGOUT_SUCCESS") });
 });
 
+router.post("/logout", authMiddleware.optional, validate(schemas.logout), logout);
+router.post("/token/logout", authMiddleware.optional, validate(schemas.logout), logout);
 
-// // 사용자 조회
-// router.get("/users/:userId", async (req, res) => {
-//     const { userId } = req.params;
 
-//     const user = await Users.findOne({
-//         attributes: ["userId", "email", "createdAt", "updatedAt"],
-//         include: [
-//             {
-//                 model: UserInfos, // 1:1 관계를 맺고있는 UserInfos 테이블을 조회합니다.
-//                 attributes: ["nume", "age", "gender", "profileImage"],
-//             }
-//         ],
-//         where: { userId }
-//     });
 
-//     return res.status(200).json({ data: user });
-// });
+/**
+ * @brief 내 정보 조회 API
+ * @response 닉네임, 역할, 언어 설정, 소개, 가입 날짜, 활동 내역 공개 여부, 작성한 게시글/댓글 수
+ */
+router.get("/me", authMiddleware, validate(schemas.getMe), asyncHandler(async (req, res) => {
+    const { user } = res.locals;
+
+    return res.status(200).json({
+        data: {
+            userId: user.userId,
+            role: user.role,
+            locale: user.locale,
+            ...toProfile(user, await countActivity(user.userId)),
+        },
+    });
+}));
+
+
+
+/**
+ * @brief 내 설정 변경 API
+ * @note 로그인 토큰을 검사하여, 응답 메세지 언어(locale), 프로필 소개(bio), 활동 내역 공개 여부(showActivity)를 변경하기
+ * 보내지 않은 항목은 그대로 둡니다. 설정한 언어는 Accept-Language 헤더보다 우선합니다.
+ */
+router.patch("/me", authMiddleware, validate(schemas.updateMe), asyncHandler(async (req, res) => {
+    const { user } = res.locals;
+    const { locale, bio, showActivity } = req.body;
+
+    await user.update({
+        ...(locale !== undefined && { locale }),
+        // 빈 소개는 삭제합니다.
+        ...(bio !== undefined && { bio: bio && bio.trim() ? bio.trim() : null }),
+        ...(showActivity !== undefined && { showActivity }),
+    });
+
+    return res.status(200).json({ message: res.t("SETTINGS_UPDATED") });
+}));
+
+
+
+/**
+ * @brief 비밀번호 변경 API
+ * @request 현재 비밀번호, 새 비밀번호, 새 비밀번호 확인
+ * @note 회원가입과 같은 비밀번호 규칙을 적용하기.
+ * 비밀번호가 유출되었을 수 있으므로 현재 세션을 제외한 모든 세션을 로그아웃하기
+ */
+router.put("/me/password", authMiddleware, validate(schemas.changePassword), asyncHandler(async (req, res) => {
+    const { user, sessionId } = res.locals;
+    const { currentPassword, newPassword, confirmPassword } = req.body;
+
+    await verifyCurrentPassword(user, currentPassword);
+    checkPasswordRules(user.nickname, newPassword, confirmPassword);
+
+    await user.update({ password: await hashPassword(newPassword) });
+    await revokeUserSessions(user.userId, { except: sessionId });
+
+    return res.status(200).json({ message: res.t("PASSWORD_CHANGED") });
+}));
+
+
+
+/**
+ * @brief 닉네임 변경 API
+ * @request 현재 비밀번호, 새 닉네임
+ * @note 회원가입과 같은 닉네임 규칙과 중복 검사를 적용하고, 비밀번호에 새 닉네임이 포함되면 변경하지 않기
+ */
+router.put("/me/nickname", authMiddleware, validate(schemas.changeNickname), asyncHandler(async (req, res) => {
+    const { user } = res.locals;
+    const { currentPassword, nickname } = req.body;
+
+    await verifyCurrentPassword(user, currentPassword);
+    if (currentPassword.toLowerCase().includes(nickname.toLowerCase())) {
+        throw new AppError("PASSWORD_CONTAINS_NICKNAME");
+    }
+
+    if (nickname !== user.nickname) {
+        const isExistUser = await Users.findOne({ where: { nickname } });
+        if (isExistUser) {
+            throw new AppError("DUPLICATE_NICKNAME");
+        }
+        try {
+            await user.update({ nickname });
+        } catch (err) {
+            // 동시에 같은 닉네임으로 변경한 경우 (unique 제약 조건)
+            if (err instanceof UniqueConstraintError) {
+                throw new AppError("DUPLICATE_NICKNAME");
+            }
+            throw err;
+        }
+    }
+
+    return res.status(200).json({ message: res.t("NICKNAME_CHANGED") });
+}));
+
+
+
+/**
+ * @brief 회원 탈퇴 API
+ * @request 현재 비밀번호, 작성한 글 처리 방법(content: anonymize | remove)
+ * @note 작성한 글을 남기기 위해 사용자 행은 지우지 않고, 닉네임을 deleted_<userId>로 바꾸고 개인정보를 지우기.
+ * (deleted_처럼 _가 들어간 닉네임은 회원가입 규칙에 맞지 않아 다른 사용자와 겹치지 않습니다.)
+ * remove를 선택하면 작성한 게시글/댓글을 휴지통으로 옮기고 좋아요/반응을 지우기. 휴지통의 글은 보관 기간이 지나면 영구 삭제됩니다.
+ * 모든 세션을 로그아웃하고 인증 쿠키를 삭제하기
+ */
+router.delete("/me", authMiddleware, validate(schemas.deleteMe), asyncHandler(async (req, res) => {
+    const { user } = res.locals;
+    const { userId } = user;
+    const { currentPassword, content } = req.body;
+
+    await verifyCurrentPassword(user, currentPassword);
+
+    // 다시 로그인할 수 없도록 아무도 모르는 비밀번호로 바꿉니다.
+    const unusablePassword = await hashPassword(crypto.randomBytes(32).toString("base64url"));
+
+    await sequelize.transaction(async (transaction) => {
+        if (content === "remove") {
+            await Posts.destroy({ where: { UserId: userId }, transaction });
+            await Comments.destroy({ where: { UserId: userId }, transaction });
+            await PostLikes.destroy({ where: { UserId: userId }, transaction });
+            await CommentReactions.destroy({ where: { UserId: userId }, transaction });
+        }
+
+        await user.update({
+            nickname: `deleted_${userId}`,
+            password: unusablePassword,
+            role: "user",
+            locale: null,
+            bio: null,
+            showActivity: false,
+            withdrawnAt: new Date(),
+        }, { transaction });
+    });
+
+    await revokeUserSessions(userId);
+    clearAuthCookies(res);
+
+    return res.status(200).json({ message: res.t("ACCOUNT_DELETED") });
+}));
+
+
+
+/**
+ * @brief 프로필 조회 API
+ * @response 닉네임, 소개, 가입 날짜, 활동 내역 공개 여부, 작성한 게시글/댓글 수
+ */
+router.get("/users/:nickname", validate(schemas.getProfile), asyncHandler(async (req, res) => {
+    const user = await findProfileUser(req.params.nickname);
+    if (!user) {
+        throw new AppError("PROFILE_NOT_FOUND");
+    }
+
+    return res.status(200).json({ data: toProfile(user, await countActivity(user.userId)) });
+}));
+
+
+
+/**
+ * @brief 사용자 게시글 목록 API
+ * @request limit, cursor
+ * @note 최신순, 커서 기반 페이지네이션. 활동 내역을 공개하지 않은 사용자는 본인만 조회 가능
+ */
+router.get("/users/:nickname/posts", authMiddleware.optional, validate(schemas.listProfilePosts), asyncHandler(async (req, res) => {
+    const user = await findActivityOwner(req, res);
+    const { limit, cursor } = req.query;
+
+    const page = await findKeysetPage(Posts, {
+        sortKey: "createdAt",
+        idKey: "postId",
+        attributes: ["postId", "title", "createdAt"],
+        where: { UserId: user.userId },
+        limit,
+        cursor,
+    });
+
+    return res.status(200).json(page);
+}));
+
+
+
+/**
+ * @brief 사용자 댓글 목록 API
+ * @request limit, cursor
+ * @response 댓글 내용, 작성 날짜, 댓글을 단 게시글 (휴지통에 있는 게시글의 댓글 제외)
+ * @note 최신순, 커서 기반 페이지네이션. 활동 내역을 공개하지 않은 사용자는 본인만 조회 가능
+ */
+router.get("/users/:nickname/comments", authMiddleware.optional, validate(schemas.listProfileComments), asyncHandler(async (req, res) => {
+    const user = await findActivityOwner(req, res);
+    const { limit, cursor } = req.query;
+
+    const page = await findKeysetPage(Comments, {
+        sortKey: "createdAt",
+        idKey: "commentId",
+        attributes: ["commentId", "comment", "createdAt"],
+        include: [{ model: Posts, attributes: ["postId", "title"], required: true }],
+        where: { UserId: user.userId },
+        limit,
+        cursor,
+    });
+
+    return res.status(200).json(page);
+}));
 
 
 
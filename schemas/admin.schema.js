@@ -0,0 +1,65 @@
+/**
+ * @brief 관리자 API 요청/응답 스키마
+ */
+const { pathParams, pageQuery, timestamp, author, messageResponse, pageResponse } = require("./common");
+
+// models/users.js의 ROLES와 같은 목록
+const ROLES = ["user", "moderator", "admin"];
+
+const TARGET_TYPES = ["post", "comment", "user"];
+
+const moderationLog = {
+    type: "object",
+    required: ["logId", "action", "targetType", "targetId", "detail", "createdAt", "Moderator"],
+    properties: {
+        logId: { type: "integer" },
+        action: { type: "string", example: "delete" },
+        targetType: { type: "string", enum: TARGET_TYPES },
+        targetId: { type: "integer" },
+        detail: { type: "string", nullable: true, description: "조치 사유 또는 변경 내용" },
+        createdAt: timestamp,
+        Moderator: { ...author, nullable: true },
+    },
+};
+
+const changeRole = {
+    summary: "사용자 역할 변경 API",
+    description: "admin만 사용자 역할을 변경할 수 있습니다.",
+    params: pathParams("userId"),
+    body: {
+        type: "object",
+        required: ["role"],
+        properties: {
+            role: {
+                type: "string",
+                enum: ROLES,
+                description: "변경할 역할",
+                "x-message": "INVALID_ROLE",
+            },
+        },
+    },
+    responses: { 200: messageResponse },
+    errors: ["TARGET_USER_NOT_FOUND", "CANNOT_CHANGE_OWN_ROLE"],
+};
+
+const listModerationLogs = {
+    summary: "관리자 조치 기록 조회 API",
+    description: "moderator 이상만 조회할 수 있습니다.",
+    query: {
+        type: "object",
+        properties: {
+            ...pageQuery,
+            moderator: { type: "string", description: "조치한 관리자 닉네임" },
+            targetType: {
+                type: "string",
+                enum: TARGET_TYPES,
+                description: "조치 대상 종류",
+                "x-message": "INVALID_TARGET_TYPE",
+            },
+        },
+    },
+    responses: { 200: pageResponse(moderationLog) },
+    errors: ["INVALID_CURSOR"],
+};
+
+module.exports = { changeRole, listModerationLogs };
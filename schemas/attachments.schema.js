@@ -0,0 +1,43 @@
+/**
+ * @brief 게시글 첨부파일 API 요청/응답 스키마
+ * @note 업로드 요청의 multipart/form-data 형식은 middlewares/upload-middleware.js에서 문서에 싣습니다.
+ */
+const { pathParams, reason, attachment, messageResponse, fileResponse, dataResponse } = require("./common");
+
+const uploadAttachments = {
+    summary: "첨부파일 업로드 API",
+    description: "게시글 작성자 본인 또는 moderator 이상만 가능. 파일 형식은 내용으로 판별하며, 이미지는 썸네일을 만듭니다.",
+    params: pathParams("postId"),
+    responses: { 201: dataResponse({ type: "array", items: attachment }) },
+    errors: ["UNSUPPORTED_ATTACHMENT_TYPE"],
+};
+
+const downloadAttachment = {
+    summary: "첨부파일 다운로드 API",
+    description: "휴지통에 있는 게시글의 첨부파일은 다운로드할 수 없습니다.",
+    params: pathParams("attachmentId"),
+    responses: { 200: fileResponse },
+    errors: ["ATTACHMENT_NOT_FOUND"],
+};
+
+const getAttachmentThumbnail = {
+    summary: "첨부파일 썸네일 API",
+    description: "이미지 첨부파일의 썸네일(WebP)",
+    params: pathParams("attachmentId"),
+    responses: { 200: fileResponse },
+    errors: ["ATTACHMENT_NOT_FOUND", "THUMBNAIL_NOT_FOUND"],
+};
+
+const deleteAttachment = {
+    summary: "첨부파일 삭제 API",
+    description: "게시글 작성자 본인 또는 moderator 이상만 가능",
+    params: pathParams("postId", "attachmentId"),
+    body: {
+        type: "object",
+        properties: { reason },
+    },
+    responses: { 200: messageResponse },
+    errors: ["ATTACHMENT_NOT_FOUND"],
+};
+
+module.exports = { uploadAttachments, downloadAttachment, getAttachmentThumbnail, deleteAttachment };
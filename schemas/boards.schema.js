@@ -0,0 +1,25 @@
+/**
+ * @brief 게시판 API 요청/응답 스키마
+ * @note 게시판별 게시글 목록은 posts.schema.js의 listBoardPosts
+ */
+const { dataResponse } = require("./common");
+
+const board = {
+    type: "object",
+    required: ["slug", "name", "description", "writeRole", "canWrite"],
+    properties: {
+        slug: { type: "string", example: "notice" },
+        name: { type: "string", example: "공지사항" },
+        description: { type: "string", nullable: true },
+        writeRole: { type: "string", enum: ["user", "moderator", "admin"], description: "게시글을 작성할 수 있는 최소 역할" },
+        canWrite: { type: "boolean", description: "현재 사용자가 게시글을 작성할 수 있는지 (비로그인 시 false)" },
+    },
+};
+
+const listBoards = {
+    summary: "게시판 목록 API",
+    description: "모든 게시판과 현재 사용자의 작성 가능 여부를 조회합니다.",
+    responses: { 200: dataResponse({ type: "array", items: board }) },
+};
+
+module.exports = { listBoards };
@@ -0,0 +1,174 @@
+/**
+ * @brief 댓글, 답글, 반응 API 요청/응답 스키마
+ */
+const {
+    id,
+    requiredText,
+    pathParams,
+    reason,
+    timestamp,
+    author,
+    messageResponse,
+    dataResponse,
+} = require("./common");
+
+// models/commentReactions.js의 REACTION_EMOJIS와 같은 목록
+const EMOJIS = ["like", "love", "haha", "wow", "sad", "angry"];
+
+// 댓글(Markdown 일부) 최대 길이
+const COMMENT_MAX_LENGTH = 2000;
+
+const comment = requiredText("COMMENT_REQUIRED", COMMENT_MAX_LENGTH);
+
+// 작성한 댓글 (Comments 테이블의 컬럼)
+const createdComment = {
+    type: "object",
+    required: ["commentId", "UserId", "PostId", "ParentId", "comment", "depth", "createdAt", "updatedAt"],
+    properties: {
+        commentId: { type: "integer" },
+        UserId: { type: "integer" },
+        PostId: { type: "integer" },
+        ParentId: { type: "integer", nullable: true },
+        comment: { type: "string" },
+        depth: { type: "integer" },
+        createdAt: timestamp,
+        updatedAt: timestamp,
+    },
+};
+
+// 댓글 트리의 노드 (replies는 같은 형식의 답글 목록)
+const commentNode = {
+    type: "object",
+    required: [
+        "commentId", "ParentId", "UserId", "comment", "commentHtml", "isDeleted", "depth", "createdAt",
+        "User", "reactions", "myReaction", "replyCount", "replies",
+    ],
+    properties: {
+        commentId: { type: "integer" },
+        ParentId: { type: "integer", nullable: true },
+        UserId: { type: "integer", nullable: true, description: "삭제된 댓글이면 null" },
+        comment: { type: "string", description: "Markdown 원문, 삭제된 댓글이면 \"삭제된 댓글입니다.\"" },
+        commentHtml: {
+            type: "string",
+            nullable: true,
+            description: "강조, 취소선, 인라인 코드, 링크, 줄바꿈만 렌더링한 HTML (삭제된 댓글이면 null)",
+        },
+        isDeleted: { type: "boolean" },
+        depth: { type: "integer" },
+        createdAt: timestamp,
+        User: { ...author, nullable: true, description: "삭제된 댓글이면 null" },
+        reactions: {
+            type: "object",
+            additionalProperties: { type: "integer" },
+            description: "반응 종류별 개수",
+            example: { like: 2, haha: 1 },
+        },
+        myReaction: { type: "string", enum: [...EMOJIS, null], nullable: true, description: "현재 사용자가 남긴 반응" },
+        replyCount: { type: "integer", description: "표시되는 답글 수 (depth로 잘린 답글 포함)" },
+        replies: { type: "array", items: { type: "object" }, description: "답글 목록 (같은 형식)" },
+    },
+};
+
+const listComments = {
+    summary: "댓글 목록 조회 API",
+    description: "해당 게시물의 모든 댓글을 답글 트리 형식으로 조회합니다.",
+    params: pathParams("postId"),
+    query: {
+        type: "object",
+        properties: {
+            depth: {
+                type: "integer",
+                minimum: 0,
+                description: "응답에 포함할 최대 답글 깊이 (기본값 및 최댓값은 서버 설정 COMMENT_MAX_DEPTH)",
+                "x-message": "INVALID_DEPTH",
+            },
+        },
+    },
+    responses: { 200: dataResponse({ type: "array", items: commentNode }) },
+    errors: ["POST_NOT_FOUND"],
+};
+
+const createComment = {
+    summary: "댓글 작성 API",
+    description: "로그인 토큰을 검사하여, 유효한 토큰일 경우에만 댓글 작성 가능",
+    params: pathParams("postId"),
+    body: {
+        type: "object",
+        required: ["comment"],
+        properties: {
+            comment: { ...comment, description: `댓글 내용 (Markdown 일부, ${COMMENT_MAX_LENGTH}자 이하)` },
+            parentId: {
+                ...id,
+                nullable: true,
+                description: "답글을 달 댓글 ID (생략하면 최상위 댓글)",
+            },
+        },
+    },
+    responses: { 201: dataResponse(createdComment) },
+    errors: ["POST_NOT_FOUND", "PARENT_COMMENT_NOT_FOUND", "REPLY_DEPTH_EXCEEDED"],
+};
+
+const updateComment = {
+    summary: "댓글 수정 API",
+    description: "로그인 토큰을 검사하여, 해당 사용자가 작성한 댓글만 수정 가능 (moderator 이상은 모든 댓글 수정 가능)",
+    params: pathParams("postId", "commentId"),
+    body: {
+        type: "object",
+        required: ["comment"],
+        properties: {
+            comment: { ...comment, description: `댓글 내용 (Markdown 일부, ${COMMENT_MAX_LENGTH}자 이하)` },
+            reason,
+        },
+    },
+    responses: { 200: messageResponse },
+};
+
+const deleteComment = {
+    summary: "댓글 삭제 API",
+    description: "로그인 토큰을 검사하여, 해당 사용자가 작성한 댓글만 삭제 가능 (moderator 이상은 모든 댓글 삭제 가능)",
+    params: pathParams("postId", "commentId"),
+    body: {
+        type: "object",
+        properties: { reason },
+    },
+    responses: { 200: messageResponse },
+};
+
+const addReaction = {
+    summary: "댓글 반응 API",
+    description: "로그인 토큰을 검사하여, 댓글마다 하나의 반응만 남길 수 있음 (기존 반응은 교체)",
+    params: pathParams("postId", "commentId"),
+    body: {
+        type: "object",
+        required: ["emoji"],
+        properties: {
+            emoji: {
+                type: "string",
+                enum: EMOJIS,
+                description: "반응 종류",
+                "x-message": "INVALID_EMOJI",
+            },
+        },
+    },
+    responses: {
+        200: dataResponse({
+            type: "object",
+            required: ["commentId", "emoji"],
+            properties: {
+                commentId: { type: "integer" },
+                emoji: { type: "string", enum: EMOJIS },
+            },
+        }),
+    },
+    errors: ["COMMENT_NOT_FOUND"],
+};
+
+const removeReaction = {
+    summary: "댓글 반응 취소 API",
+    description: "로그인 토큰을 검사하여, 해당 사용자가 남긴 반응만 취소 가능",
+    params: pathParams("postId", "commentId"),
+    responses: { 200: messageResponse },
+    errors: ["COMMENT_NOT_FOUND", "REACTION_NOT_FOUND"],
+};
+
+module.exports = { listComments, createComment, updateComment, deleteComment, addReaction, removeReaction };
@@ -0,0 +1,141 @@
+/**
+ * @brief 여러 라우터에서 함께 쓰는 요청/응답 스키마 조각
+ */
+const { DEFAULT_LIMIT, MAX_LIMIT } = require("../utils/pagination");
+
+// 경로 파라미터로 받는 ID (1 이상의 정수)
+const id = { type: "integer", minimum: 1 };
+
+// 공백만 있는 값은 비어 있는 것으로 봅니다.
+function requiredText(messageKey, maxLength) {
+    return {
+        type: "string",
+        minLength: 1,
+        pattern: "\\S",
+        ...(maxLength && { maxLength }),
+        "x-message": messageKey,
+    };
+}
+
+function pathParams(...names) {
+    return {
+        type: "object",
+        required: names,
+        properties: Object.fromEntries(names.map((name) => [name, id])),
+    };
+}
+
+// 커서 기반 목록 조회의 공통 쿼리
+const pageQuery = {
+    limit: {
+        type: "integer",
+        minimum: 1,
+        maximum: MAX_LIMIT,
+        default: DEFAULT_LIMIT,
+        description: `한 번에 조회할 개수 (기본값 ${DEFAULT_LIMIT}, 최대 ${MAX_LIMIT})`,
+        "x-message": "INVALID_LIMIT",
+    },
+    cursor: {
+        type: "string",
+        description: "이전 응답의 nextCursor",
+    },
+};
+
+// 게시판 식별자 (models/boards.js의 slug)
+const boardSlug = {
+    type: "string",
+    pattern: "^[a-z0-9-]{1,30}$",
+    "x-message": "INVALID_BOARD",
+};
+
+// 태그 이름 (한글, 영문, 숫자, _, - 30자 이하, 대소문자 구분 없음)
+const tagName = {
+    type: "string",
+    pattern: "^[0-9A-Za-z가-힣_-]{1,30}$",
+    "x-message": "INVALID_TAG",
+};
+
+// 관리자 조치 사유 (moderator가 다른 사용자의 글을 다루는 경우 기록)
+const reason = {
+    type: "string",
+    maxLength: 255,
+    description: "관리자 조치 사유 (moderator가 다른 사용자의 글을 수정/삭제하는 경우 기록)",
+};
+
+// 응답의 날짜는 ISO 8601 문자열입니다.
+const timestamp = { type: "string", format: "date-time" };
+
+// 작성자 등 다른 사용자 정보 (닉네임만 응답)
+const author = {
+    type: "object",
+    required: ["nickname"],
+    properties: { nickname: { type: "string" } },
+};
+
+// 처리 결과만 알려주는 응답 (요청한 언어의 메세지)
+const messageResponse = {
+    type: "object",
+    required: ["message"],
+    properties: { message: { type: "string", example: "게시글이 수정되었습니다." } },
+};
+
+// 게시글 첨부파일 (models/attachments.js, url은 다운로드 API 경로)
+const attachment = {
+    type: "object",
+    required: ["attachmentId", "originalName", "mimeType", "size", "width", "height", "url", "thumbnailUrl", "createdAt"],
+    properties: {
+        attachmentId: { type: "integer" },
+        originalName: { type: "string", description: "올린 파일 이름" },
+        mimeType: { type: "string", description: "파일 내용으로 판별한 형식", example: "image/png" },
+        size: { type: "integer", description: "파일 크기 (byte)" },
+        width: { type: "integer", nullable: true, description: "이미지 너비 (이미지가 아니면 null)" },
+        height: { type: "integer", nullable: true, description: "이미지 높이 (이미지가 아니면 null)" },
+        url: { type: "string", example: "/api/attachments/1" },
+        thumbnailUrl: { type: "string", nullable: true, example: "/api/attachments/1/thumbnail", description: "이미지가 아니면 null" },
+        createdAt: timestamp,
+    },
+};
+
+// 파일 다운로드 등 JSON이 아닌 응답 (swagger/swagger.js)
+const fileResponse = { type: "string", format: "binary" };
+
+// Server-Sent Events 스트림 응답 (swagger/swagger.js)
+const eventStreamResponse = { type: "string", format: "event-stream" };
+
+function dataResponse(data) {
+    return {
+        type: "object",
+        required: ["data"],
+        properties: { data },
+    };
+}
+
+// 커서 기반 목록 조회 응답
+function pageResponse(item) {
+    return {
+        type: "object",
+        required: ["data", "nextCursor"],
+        properties: {
+            data: { type: "array", items: item },
+            nextCursor: { type: "string", nullable: true, description: "다음 페이지 커서 (마지막 페이지면 null)" },
+        },
+    };
+}
+
+module.exports = {
+    id,
+    requiredText,
+    pathParams,
+    pageQuery,
+    boardSlug,
+    tagName,
+    reason,
+    timestamp,
+    author,
+    attachment,
+    messageResponse,
+    fileResponse,
+    eventStreamResponse,
+    dataResponse,
+    pageResponse,
+};
@@ -0,0 +1,25 @@
+/**
+ * @brief 실시간 이벤트(Server-Sent Events) API 요청/응답 스키마
+ */
+const { id, eventStreamResponse } = require("./common");
+
+const streamEvents = {
+    summary: "실시간 이벤트 API",
+    description: [
+        "게시글/댓글이 작성, 수정, 삭제될 때마다 text/event-stream으로 이벤트를 보냅니다.",
+        "이벤트 종류(event): post.created, post.updated, post.deleted, comment.created, comment.updated, comment.deleted",
+        "이벤트 내용(data): 변경된 게시글/댓글의 ID 등 (JSON), 자세한 내용은 조회 API로 다시 조회합니다.",
+        "다시 연결할 때 Last-Event-ID 헤더(또는 lastEventId)를 보내면 놓친 이벤트부터 받고, 놓친 이벤트가 서버에 남아 있지 않으면 reset 이벤트를 받습니다.",
+    ].join("<br>"),
+    query: {
+        type: "object",
+        properties: {
+            postId: { ...id, description: "이 게시글과 댓글의 이벤트만 받기 (생략하면 전체)" },
+            lastEventId: { type: "string", maxLength: 100, description: "Last-Event-ID 헤더를 보낼 수 없는 클라이언트용" },
+        },
+    },
+    responses: { 200: eventStreamResponse },
+    errors: ["POST_NOT_FOUND"],
+};
+
+module.exports = { streamEvents };
@@ -0,0 +1,73 @@
+/**
+ * @brief 라우터별 요청/응답 스키마 모음
+ * @note 같은 스키마로 요청을 검사하고(validation-middleware), OpenAPI 문서를 만들고(swagger/swagger.js),
+ * 테스트에서 응답을 검사합니다(contract-middleware).
+ */
+const modules = {
+    users: require("./users.schema"),
+    posts: require("./posts.schema"),
+    boards: require("./boards.schema"),
+    tags: require("./tags.schema"),
+    comments: require("./comments.schema"),
+    search: require("./search.schema"),
+    trash: require("./trash.schema"),
+    revisions: require("./revisions.schema"),
+    attachments: require("./attachments.schema"),
+    notifications: require("./notifications.schema"),
+    events: require("./events.schema"),
+    admin: require("./admin.schema"),
+};
+
+// 모듈별 OpenAPI 태그 (수정 이력은 게시글 API로 묶습니다.)
+const TAGS = {
+    users: "Users",
+    posts: "Posts",
+    boards: "Boards",
+    tags: "Tags",
+    comments: "Comments",
+    search: "Search",
+    trash: "Trash",
+    revisions: "Posts",
+    attachments: "Attachments",
+    notifications: "Notifications",
+    events: "Events",
+    admin: "Admin",
+};
+
+// 스키마 객체 -> { name, tag }
+const routes = new Map();
+for (const [module, schemas] of Object.entries(modules)) {
+    for (const [name, schema] of Object.entries(schemas)) {
+        routes.set(schema, { name, tag: TAGS[module] });
+    }
+}
+
+/**
+ * @brief 요청 body 스키마의 components.schemas 이름 (createPost -> CreatePostRequest)
+ */
+function requestBodyName(name) {
+    return `${name[0].toUpperCase()}${name.slice(1)}Request`;
+}
+
+/**
+ * @brief 요청 body 스키마를 OpenAPI components.schemas 형식으로 모읍니다.
+ */
+function requestBodySchemas() {
+    const schemas = {};
+    for (const [schema, { name }] of routes) {
+        if (schema.body) {
+            schemas[requestBodyName(name)] = schema.body;
+        }
+    }
+    return schemas;
+}
+
+/**
+ * @brief validate()에 넘긴 스키마의 이름(operationId로 사용)과 태그를 찾습니다.
+ * @returns { name, tag }, schemas/*.schema.js에서 내보내지 않은 스키마는 undefined
+ */
+function describeSchema(schema) {
+    return routes.get(schema);
+}
+
+module.exports = { ...modules, requestBodyName, requestBodySchemas, describeSchema };
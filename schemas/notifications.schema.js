@@ -0,0 +1,69 @@
+/**
+ * @brief 알림 API 요청/응답 스키마
+ */
+const { pathParams, pageQuery, timestamp, author, messageResponse, dataResponse, pageResponse } = require("./common");
+
+const notification = {
+    type: "object",
+    required: ["notificationId", "type", "PostId", "CommentId", "readAt", "createdAt", "Actor", "Post"],
+    properties: {
+        notificationId: { type: "integer" },
+        type: {
+            type: "string",
+            enum: ["comment", "reply", "mention"],
+            description: "comment: 내 게시글에 댓글, reply: 내 댓글에 답글, mention: 게시글/댓글에서 내 닉네임 멘션",
+        },
+        PostId: { type: "integer" },
+        CommentId: { type: "integer", nullable: true, description: "게시글 본문에서 멘션한 경우 null" },
+        readAt: { ...timestamp, nullable: true, description: "읽지 않은 알림은 null" },
+        createdAt: timestamp,
+        Actor: { ...author, description: "댓글을 작성하거나 멘션한 사용자" },
+        Post: {
+            type: "object",
+            required: ["title"],
+            properties: { title: { type: "string" } },
+        },
+    },
+};
+
+const listNotifications = {
+    summary: "알림 목록 조회 API",
+    description: "로그인 토큰을 검사하여, 해당 사용자가 받은 알림을 최신순으로 조회 (휴지통에 있는 게시글의 알림은 제외)",
+    query: {
+        type: "object",
+        properties: {
+            ...pageQuery,
+            unread: { type: "boolean", default: false, description: "true면 읽지 않은 알림만 조회" },
+        },
+    },
+    responses: { 200: pageResponse(notification) },
+    errors: ["INVALID_CURSOR"],
+};
+
+const countUnreadNotifications = {
+    summary: "읽지 않은 알림 수 조회 API",
+    description: "로그인 토큰을 검사하여, 해당 사용자가 읽지 않은 알림 수를 조회",
+    responses: {
+        200: dataResponse({
+            type: "object",
+            required: ["count"],
+            properties: { count: { type: "integer" } },
+        }),
+    },
+};
+
+const readNotification = {
+    summary: "알림 읽음 표시 API",
+    description: "로그인 토큰을 검사하여, 해당 사용자가 받은 알림만 읽음으로 표시 가능",
+    params: pathParams("notificationId"),
+    responses: { 200: messageResponse },
+    errors: ["NOTIFICATION_NOT_FOUND"],
+};
+
+const readAllNotifications = {
+    summary: "모든 알림 읽음 표시 API",
+    description: "로그인 토큰을 검사하여, 해당 사용자가 읽지 않은 알림을 모두 읽음으로 표시",
+    responses: { 200: messageResponse },
+};
+
+module.exports = { listNotifications, countUnreadNotifications, readNotification, readAllNotifications };
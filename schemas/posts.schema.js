@@ -0,0 +1,260 @@
+/**
+ * @brief 게시글, 좋아요, 게시판/태그별 목록 API 요청/응답 스키마
+ */
+const {
+    requiredText,
+    pathParams,
+    pageQuery,
+    boardSlug,
+    tagName,
+    reason,
+    timestamp,
+    author,
+    attachment,
+    messageResponse,
+    dataResponse,
+    pageResponse,
+} = require("./common");
+
+// 게시글 내용(Markdown) 최대 길이 (글자 수)
+// 글자마다 최대 4 byte(utf8mb4)이므로 MySQL에서는 MEDIUMTEXT 컬럼에 저장합니다. (TEXT는 65,535 byte)
+const CONTENT_MAX_LENGTH = 20000;
+
+const title = requiredText("TITLE_REQUIRED", 255);
+const content = requiredText("CONTENT_REQUIRED", CONTENT_MAX_LENGTH);
+
+// 게시글을 작성할 때 게시판을 생략하면 자유게시판에 작성합니다.
+const DEFAULT_BOARD = "free";
+// 게시글마다 붙일 수 있는 태그 수 (요청 검사에서만 제한합니다.)
+const MAX_TAGS = 10;
+
+const tags = {
+    type: "array",
+    maxItems: MAX_TAGS,
+    items: tagName,
+    "x-message": "INVALID_TAG",
+};
+
+// 응답의 게시판 정보
+const boardRef = {
+    type: "object",
+    required: ["slug", "name"],
+    properties: {
+        slug: { type: "string" },
+        name: { type: "string" },
+    },
+};
+
+const tagNames = { type: "array", items: { type: "string" }, description: "태그 목록 (이름순)" };
+
+// 작성한 게시글 (Posts 테이블의 컬럼)
+const post = {
+    type: "object",
+    required: ["postId", "UserId", "BoardId", "title", "content", "createdAt", "updatedAt", "tags"],
+    properties: {
+        postId: { type: "integer" },
+        UserId: { type: "integer" },
+        BoardId: { type: "integer" },
+        title: { type: "string" },
+        content: { type: "string" },
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        tags: tagNames,
+    },
+};
+
+const likes = {
+    likeCount: { type: "integer" },
+    liked: { type: "boolean", description: "현재 사용자의 좋아요 여부 (비로그인 시 false)" },
+};
+
+// 게시글 목록의 항목
+const postSummary = {
+    type: "object",
+    required: ["postId", "title", "createdAt", "commentCount", "likeCount", "liked", "User", "Board", "tags"],
+    properties: {
+        postId: { type: "integer" },
+        title: { type: "string" },
+        createdAt: timestamp,
+        commentCount: { type: "integer" },
+        ...likes,
+        User: author,
+        Board: boardRef,
+        tags: tagNames,
+    },
+};
+
+// 게시글 상세 조회
+const postDetail = {
+    type: "object",
+    nullable: true,
+    description: "게시글이 없으면 null",
+    required: [
+        "postId", "title", "content", "contentHtml", "createdAt", "updatedAt",
+        "likeCount", "liked", "edited", "revisionCount", "User", "Board", "tags", "attachments",
+    ],
+    properties: {
+        postId: { type: "integer" },
+        title: { type: "string" },
+        content: { type: "string", description: "Markdown 원문" },
+        contentHtml: { type: "string", description: "Markdown을 렌더링한 HTML (허용한 태그와 속성만 남김)" },
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        ...likes,
+        edited: { type: "boolean", description: "수정된 게시글 여부" },
+        revisionCount: { type: "integer", description: "저장된 수정 이력 수 (최초 작성본 포함, 수정된 적 없으면 0)" },
+        User: author,
+        Board: boardRef,
+        tags: tagNames,
+        attachments: { type: "array", items: attachment, description: "첨부파일 목록 (올린 순서)" },
+    },
+};
+
+const likeResult = {
+    type: "object",
+    required: ["likeCount", "liked"],
+    properties: likes,
+};
+
+const createPost = {
+    summary: "게시글 작성 API",
+    description: "토큰을 검사하여, 유효한 토큰일 경우에만 게시글 작성 가능 (게시판마다 작성할 수 있는 역할이 다름)",
+    body: {
+        type: "object",
+        required: ["title", "content"],
+        properties: {
+            title: { ...title, description: "게시글 제목" },
+            content: { ...content, description: `게시글 내용 (Markdown, ${CONTENT_MAX_LENGTH}자 이하)` },
+            board: { ...boardSlug, default: DEFAULT_BOARD, description: `게시판 (생략하면 ${DEFAULT_BOARD})` },
+            tags: { ...tags, description: `태그 목록 (최대 ${MAX_TAGS}개)` },
+        },
+    },
+    responses: { 201: dataResponse(post) },
+    errors: ["BOARD_NOT_FOUND", "BOARD_WRITE_FORBIDDEN"],
+};
+
+// 게시글 목록 조회의 공통 쿼리 (전체, 게시판별, 태그별)
+const listQuery = {
+    type: "object",
+    properties: {
+        ...pageQuery,
+        sort: {
+            type: "string",
+            enum: ["newest", "oldest", "comments", "likes"],
+            default: "newest",
+            description: "정렬 기준 (최신순, 오래된순, 댓글순, 좋아요순)",
+            "x-message": "INVALID_SORT",
+        },
+        nickname: { type: "string", description: "작성자 닉네임" },
+        from: {
+            type: "string",
+            format: "date-time",
+            description: "이 시각 이후에 작성된 게시글만 조회",
+            "x-message": "INVALID_DATE_RANGE",
+        },
+        to: {
+            type: "string",
+            format: "date-time",
+            description: "이 시각 이전에 작성된 게시글만 조회",
+            "x-message": "INVALID_DATE_RANGE",
+        },
+    },
+};
+
+const listPosts = {
+    summary: "전체 게시글 목록 조회 API",
+    description: "게시글 목록을 커서 기반으로 페이지 단위 조회 (기본: 작성 날짜 최신순)",
+    query: listQuery,
+    responses: { 200: pageResponse(postSummary) },
+    errors: ["INVALID_CURSOR"],
+};
+
+const listBoardPosts = {
+    summary: "게시판별 게시글 목록 조회 API",
+    description: "게시판의 게시글 목록을 커서 기반으로 페이지 단위 조회 (정렬, 필터는 전체 목록과 같음)",
+    params: {
+        type: "object",
+        required: ["slug"],
+        properties: { slug: { ...boardSlug, description: "게시판" } },
+    },
+    query: listQuery,
+    responses: { 200: pageResponse(postSummary) },
+    errors: ["BOARD_NOT_FOUND", "INVALID_CURSOR"],
+};
+
+const listTagPosts = {
+    summary: "태그별 게시글 목록 조회 API",
+    description: "태그가 붙은 게시글 목록을 커서 기반으로 페이지 단위 조회 (정렬, 필터는 전체 목록과 같음, 없는 태그는 빈 목록)",
+    params: {
+        type: "object",
+        required: ["tag"],
+        properties: { tag: { ...tagName, description: "태그" } },
+    },
+    query: listQuery,
+    responses: { 200: pageResponse(postSummary) },
+    errors: ["INVALID_CURSOR"],
+};
+
+const getPost = {
+    summary: "게시글 조회 API",
+    description: "해당 게시글을 상세 조회",
+    params: pathParams("postId"),
+    responses: { 200: dataResponse(postDetail) },
+};
+
+const updatePost = {
+    summary: "게시글 수정 API",
+    description: "로그인 토큰을 검사하여, 해당 사용자가 작성한 게시글만 수정 가능 (moderator 이상은 모든 게시글 수정 가능)",
+    params: pathParams("postId"),
+    body: {
+        type: "object",
+        properties: {
+            title: { ...title, description: "게시글 제목 (생략하면 유지)" },
+            content: { ...content, description: `게시글 내용 (Markdown, ${CONTENT_MAX_LENGTH}자 이하, 생략하면 유지)` },
+            board: { ...boardSlug, description: "옮길 게시판 (생략하면 유지)" },
+            tags: { ...tags, description: `태그 목록 (최대 ${MAX_TAGS}개, 보내면 기존 태그를 모두 교체)` },
+            reason,
+        },
+    },
+    responses: { 200: messageResponse },
+    errors: ["BOARD_NOT_FOUND", "BOARD_WRITE_FORBIDDEN"],
+};
+
+const deletePost = {
+    summary: "게시글 삭제 API",
+    description: "로그인 토큰을 검사하여, 해당 사용자가 작성한 게시글만 삭제 가능 (moderator 이상은 모든 게시글 삭제 가능)",
+    params: pathParams("postId"),
+    body: {
+        type: "object",
+        properties: { reason },
+    },
+    responses: { 200: messageResponse },
+};
+
+const likePost = {
+    summary: "게시글 좋아요 API",
+    description: "로그인 토큰을 검사하여, 게시글마다 한 번만 좋아요 가능",
+    params: pathParams("postId"),
+    responses: { 201: dataResponse(likeResult) },
+    errors: ["POST_NOT_FOUND", "ALREADY_LIKED"],
+};
+
+const unlikePost = {
+    summary: "게시글 좋아요 취소 API",
+    description: "로그인 토큰을 검사하여, 해당 사용자가 누른 좋아요만 취소 가능",
+    params: pathParams("postId"),
+    responses: { 200: dataResponse(likeResult) },
+    errors: ["NOT_LIKED"],
+};
+
+module.exports = {
+    createPost,
+    listPosts,
+    listBoardPosts,
+    listTagPosts,
+    getPost,
+    updatePost,
+    deletePost,
+    likePost,
+    unlikePost,
+};
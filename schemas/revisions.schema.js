@@ -0,0 +1,84 @@
+/**
+ * @brief 게시글 수정 이력 API 요청/응답 스키마
+ */
+const { id, pathParams, timestamp, author, dataResponse } = require("./common");
+const { MAX_EDIT_DISTANCE } = require("../utils/diff");
+
+const revision = { ...id, "x-message": "INVALID_REVISION_RANGE" };
+
+const editor = { ...author, nullable: true, description: "수정한 사용자" };
+
+const revisionSummary = {
+    type: "object",
+    required: ["revision", "title", "createdAt", "Editor"],
+    properties: {
+        revision: { type: "integer", description: "버전 번호 (최초 작성본은 1)" },
+        title: { type: "string" },
+        createdAt: timestamp,
+        Editor: editor,
+    },
+};
+
+// utils/diff.js의 diffLines 결과
+const lineDiff = {
+    type: "array",
+    items: {
+        type: "object",
+        required: ["type", "line"],
+        properties: {
+            type: { type: "string", enum: ["equal", "insert", "delete"] },
+            line: { type: "string" },
+        },
+    },
+};
+
+const listRevisions = {
+    summary: "게시글 수정 이력 목록 조회 API",
+    description: "게시글의 수정 이력을 버전 번호 내림차순으로 조회",
+    params: pathParams("postId"),
+    responses: { 200: dataResponse({ type: "array", items: revisionSummary }) },
+    errors: ["POST_NOT_FOUND"],
+};
+
+const diffRevisions = {
+    summary: "게시글 수정 이력 비교 API",
+    description: `두 버전의 제목과 내용을 줄 단위로 비교 (바뀐 줄이 ${MAX_EDIT_DISTANCE}줄보다 많으면 바뀐 부분 전체를 삭제 후 삽입으로 응답)`,
+    params: pathParams("postId"),
+    query: {
+        type: "object",
+        required: ["from", "to"],
+        properties: {
+            from: { ...revision, description: "비교 기준 버전 번호" },
+            to: { ...revision, description: "비교 대상 버전 번호" },
+        },
+    },
+    responses: {
+        200: dataResponse({
+            type: "object",
+            required: ["from", "to", "title", "content"],
+            properties: {
+                from: { type: "integer" },
+                to: { type: "integer" },
+                title: lineDiff,
+                content: lineDiff,
+            },
+        }),
+    },
+    errors: ["POST_NOT_FOUND", "REVISION_NOT_FOUND"],
+};
+
+const getRevision = {
+    summary: "게시글 수정 이력 조회 API",
+    description: "게시글의 특정 버전을 조회",
+    params: pathParams("postId", "revision"),
+    responses: {
+        200: dataResponse({
+            ...revisionSummary,
+            required: [...revisionSummary.required, "content"],
+            properties: { ...revisionSummary.properties, content: { type: "string" } },
+        }),
+    },
+    errors: ["POST_NOT_FOUND", "REVISION_NOT_FOUND"],
+};
+
+module.exports = { listRevisions, diffRevisions, getRevision };
@@ -0,0 +1,45 @@
+/**
+ * @brief 검색 API 요청/응답 스키마
+ */
+const { requiredText, pageQuery, timestamp, author, pageResponse } = require("./common");
+
+// 검색어를 <mark>로 감싼 스니펫 (검색어가 없으면 null)
+const snippet = { type: "string", nullable: true, example: "…오늘 <mark>점심</mark> 메뉴…" };
+
+const searchResult = {
+    type: "object",
+    required: ["postId", "title", "createdAt", "score", "User", "highlights"],
+    properties: {
+        postId: { type: "integer" },
+        title: { type: "string" },
+        createdAt: timestamp,
+        score: { type: "number", description: "관련도 점수" },
+        User: author,
+        highlights: {
+            type: "object",
+            required: ["title", "content", "comments"],
+            properties: {
+                title: snippet,
+                content: snippet,
+                comments: { type: "array", items: { type: "string" }, description: "검색어가 포함된 댓글 스니펫" },
+            },
+        },
+    },
+};
+
+const search = {
+    summary: "게시글 검색 API",
+    description: "게시글 제목, 내용, 댓글에서 검색어를 찾아 관련도 순으로 조회 (앞에서 1000개까지만 이어서 조회할 수 있습니다.)",
+    query: {
+        type: "object",
+        required: ["q"],
+        properties: {
+            q: { ...requiredText("EMPTY_SEARCH_QUERY"), description: "검색어 (공백으로 구분한 단어는 하나라도 일치하면 검색)" },
+            ...pageQuery,
+        },
+    },
+    responses: { 200: pageResponse(searchResult) },
+    errors: ["EMPTY_SEARCH_QUERY", "INVALID_CURSOR"],
+};
+
+module.exports = { search };
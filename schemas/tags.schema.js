@@ -0,0 +1,49 @@
+/**
+ * @brief 태그 API 요청/응답 스키마
+ * @note 태그별 게시글 목록은 posts.schema.js의 listTagPosts
+ */
+const { dataResponse } = require("./common");
+
+// 자동 완성 결과 수
+const DEFAULT_SUGGESTIONS = 10;
+const MAX_SUGGESTIONS = 30;
+
+const suggestTags = {
+    summary: "태그 자동 완성 API",
+    description: "입력한 글자로 시작하는 태그를 사용된 게시글이 많은 순으로 조회합니다.",
+    query: {
+        type: "object",
+        required: ["q"],
+        properties: {
+            q: {
+                type: "string",
+                minLength: 1,
+                maxLength: 30,
+                description: "태그 앞부분 (대소문자 구분 없음)",
+            },
+            limit: {
+                type: "integer",
+                minimum: 1,
+                maximum: MAX_SUGGESTIONS,
+                default: DEFAULT_SUGGESTIONS,
+                description: `조회할 개수 (기본값 ${DEFAULT_SUGGESTIONS}, 최대 ${MAX_SUGGESTIONS})`,
+                "x-message": "INVALID_LIMIT",
+            },
+        },
+    },
+    responses: {
+        200: dataResponse({
+            type: "array",
+            items: {
+                type: "object",
+                required: ["name", "postCount"],
+                properties: {
+                    name: { type: "string" },
+                    postCount: { type: "integer", description: "태그가 붙은 게시글 수 (휴지통 제외)" },
+                },
+            },
+        }),
+    },
+};
+
+module.exports = { suggestTags };
@@ -0,0 +1,71 @@
+/**
+ * @brief 휴지통 API 요청/응답 스키마
+ */
+const { pathParams, pageQuery, timestamp, messageResponse, pageResponse } = require("./common");
+
+const trashed = {
+    deletedAt: timestamp,
+    purgeAt: { ...timestamp, description: "이 시각이 지나면 영구 삭제됩니다." },
+};
+
+const trashedPost = {
+    type: "object",
+    required: ["postId", "title", "createdAt", "deletedAt", "purgeAt"],
+    properties: {
+        postId: { type: "integer" },
+        title: { type: "string" },
+        createdAt: timestamp,
+        ...trashed,
+    },
+};
+
+const trashedComment = {
+    type: "object",
+    required: ["commentId", "PostId", "comment", "createdAt", "deletedAt", "purgeAt"],
+    properties: {
+        commentId: { type: "integer" },
+        PostId: { type: "integer" },
+        comment: { type: "string" },
+        createdAt: timestamp,
+        ...trashed,
+    },
+};
+
+const trashQuery = {
+    type: "object",
+    properties: { ...pageQuery },
+};
+
+const listTrashPosts = {
+    summary: "휴지통 게시글 목록 조회 API",
+    description: "로그인 토큰을 검사하여, 해당 사용자가 삭제한 게시글을 삭제 시각 최신순으로 조회",
+    query: trashQuery,
+    responses: { 200: pageResponse(trashedPost) },
+    errors: ["INVALID_CURSOR"],
+};
+
+const listTrashComments = {
+    summary: "휴지통 댓글 목록 조회 API",
+    description: "로그인 토큰을 검사하여, 해당 사용자가 삭제한 댓글을 삭제 시각 최신순으로 조회",
+    query: trashQuery,
+    responses: { 200: pageResponse(trashedComment) },
+    errors: ["INVALID_CURSOR"],
+};
+
+const restorePost = {
+    summary: "게시글 복원 API",
+    description: "로그인 토큰을 검사하여, 해당 사용자가 삭제한 게시글만 복원 가능",
+    params: pathParams("postId"),
+    responses: { 200: messageResponse },
+    errors: ["TRASHED_POST_NOT_FOUND", "FORBIDDEN", "POST_DELETED_BY_MODERATOR"],
+};
+
+const restoreComment = {
+    summary: "댓글 복원 API",
+    description: "로그인 토큰을 검사하여, 해당 사용자가 삭제한 댓글만 복원 가능",
+    params: pathParams("commentId"),
+    responses: { 200: messageResponse },
+    errors: ["TRASHED_COMMENT_NOT_FOUND", "FORBIDDEN", "COMMENT_DELETED_BY_MODERATOR", "POST_IN_TRASH"],
+};
+
+module.exports = { listTrashPosts, listTrashComments, restorePost, restoreComment };
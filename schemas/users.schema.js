@@ -0,0 +1,306 @@
+/**
+ * @brief 회원가입, 로그인, 토큰, 내 정보, 프로필 API 요청/응답 스키마
+ */
+const { SUPPORTED_LOCALES } = require("../utils/i18n");
+const { pageQuery, timestamp, messageResponse, dataResponse, pageResponse } = require("./common");
+
+// models/users.js의 BIO_MAX_LENGTH와 같은 값
+const BIO_MAX_LENGTH = 300;
+
+// 회원가입, 닉네임 변경에 사용하는 닉네임 규칙
+const nickname = {
+    type: "string",
+    pattern: "^[a-zA-Z0-9]{3,}$",
+    description: "유저 고유 닉네임 (3자 이상, 알파벳 대소문자와 숫자)",
+    "x-message": "INVALID_NICKNAME_FORMAT",
+};
+
+// 회원가입, 비밀번호 변경에 사용하는 비밀번호 규칙 (닉네임 포함 여부는 라우터에서 확인)
+const password = {
+    type: "string",
+    minLength: 4,
+    description: "비밀번호 (4자 이상)",
+    "x-message": "INVALID_PASSWORD_FORMAT",
+};
+
+const confirmPassword = {
+    type: "string",
+    description: "비밀번호 확인",
+    "x-message": "PASSWORD_MISMATCH",
+};
+
+// 계정을 변경할 때 확인하는 현재 비밀번호
+const currentPassword = { type: "string", description: "현재 비밀번호" };
+
+// 프로필 경로의 닉네임
+const nicknameParams = {
+    type: "object",
+    required: ["nickname"],
+    properties: { nickname: { type: "string", description: "사용자 닉네임" } },
+};
+
+// 작성한 게시글/댓글 수
+const activityCounts = {
+    postCount: { type: "integer", description: "작성한 게시글 수 (휴지통 제외)" },
+    commentCount: { type: "integer", description: "작성한 댓글 수 (휴지통 제외)" },
+};
+
+// 공개 프로필
+const profile = {
+    type: "object",
+    required: ["nickname", "bio", "joinedAt", "showActivity", "postCount", "commentCount"],
+    properties: {
+        nickname: { type: "string" },
+        bio: { type: "string", nullable: true },
+        joinedAt: { ...timestamp, description: "가입 날짜" },
+        showActivity: { type: "boolean", description: "게시글/댓글 목록 공개 여부" },
+        ...activityCounts,
+    },
+};
+
+// 내 정보 (공개 프로필 + 계정 설정)
+const me = {
+    type: "object",
+    required: [...profile.required, "userId", "role", "locale"],
+    properties: {
+        userId: { type: "integer" },
+        role: { type: "string" },
+        locale: { type: "string", enum: [...SUPPORTED_LOCALES, null], nullable: true, description: "응답 메세지 언어 (null이면 Accept-Language)" },
+        ...profile.properties,
+    },
+};
+
+// 프로필의 게시글 목록 항목
+const profilePost = {
+    type: "object",
+    required: ["postId", "title", "createdAt"],
+    properties: {
+        postId: { type: "integer" },
+        title: { type: "string" },
+        createdAt: timestamp,
+    },
+};
+
+// 프로필의 댓글 목록 항목 (댓글을 단 게시글 포함)
+const profileComment = {
+    type: "object",
+    required: ["commentId", "comment", "createdAt", "Post"],
+    properties: {
+        commentId: { type: "integer" },
+        comment: { type: "string" },
+        createdAt: timestamp,
+        Post: {
+            type: "object",
+            required: ["postId", "title"],
+            properties: {
+                postId: { type: "integer" },
+                title: { type: "string" },
+            },
+        },
+    },
+};
+
+// 로그인, 토큰 재발급 응답 (쿠키로도 함께 전달)
+const tokenResponse = {
+    type: "object",
+    required: ["message", "accessToken", "refreshToken"],
+    properties: {
+        message: { type: "string" },
+        accessToken: { type: "string", description: "Access Token (authorization 쿠키로도 전달)" },
+        refreshToken: { type: "string", description: "Refresh Token (refreshToken 쿠키로도 전달)" },
+    },
+};
+
+const signup = {
+    summary: "회원 가입 API",
+    description: "새로운 사용자 생성",
+    body: {
+        type: "object",
+        required: ["nickname", "password", "confirmPassword"],
+        properties: { nickname, password, confirmPassword },
+    },
+    responses: { 201: messageResponse },
+    errors: ["PASSWORD_MISMATCH", "PASSWORD_CONTAINS_NICKNAME", "DUPLICATE_NICKNAME"],
+};
+
+const login = {
+    summary: "로그인 API",
+    description: "로그인 합니다.",
+    body: {
+        type: "object",
+        required: ["nickname", "password"],
+        properties: {
+            nickname: { type: "string", description: "닉네임" },
+            password: { type: "string", description: "비밀번호" },
+        },
+    },
+    responses: { 200: tokenResponse },
+    errors: ["LOGIN_FAILED", "LOGIN_LOCKED"],
+};
+
+const refreshToken = {
+    summary: "토큰 재발급 API",
+    description: "Refresh Token을 회전하여 새 Access/Refresh Token을 발급합니다.",
+    body: {
+        type: "object",
+        properties: {
+            refreshToken: {
+                type: "string",
+                description: "Refresh Token (refreshToken 쿠키를 보내지 않는 클라이언트만)",
+            },
+        },
+    },
+    responses: { 200: tokenResponse },
+    errors: ["REFRESH_TOKEN_MISSING", "REFRESH_TOKEN_INVALID", "REFRESH_TOKEN_REUSED", "CSRF_TOKEN_INVALID"],
+};
+
+const logout = {
+    summary: "로그아웃 API",
+    description: "Refresh Token(없으면 Access Token)의 세션을 폐기하고 인증 쿠키를 삭제합니다. "
+        + "Access Token이 만료되어도 로그아웃할 수 있으며, refreshToken 쿠키는 /api/token/logout으로만 전달됩니다.",
+    body: {
+        type: "object",
+        properties: {
+            refreshToken: {
+                type: "string",
+                description: "Refresh Token (refreshToken 쿠키를 보내지 않는 클라이언트만)",
+            },
+        },
+    },
+    responses: { 200: messageResponse },
+    errors: ["REFRESH_TOKEN_MISSING", "CSRF_TOKEN_INVALID"],
+};
+
+const getMe = {
+    summary: "내 정보 조회 API",
+    description: "로그인한 사용자의 프로필과 설정을 조회합니다.",
+    responses: { 200: dataResponse(me) },
+};
+
+const updateMe = {
+    summary: "내 설정 변경 API",
+    description: "응답 메세지 언어, 프로필 소개, 활동 내역 공개 여부를 변경합니다. 설정한 언어는 Accept-Language 헤더보다 우선합니다.",
+    body: {
+        type: "object",
+        minProperties: 1,
+        properties: {
+            locale: {
+                type: "string",
+                enum: SUPPORTED_LOCALES,
+                description: "응답 메세지 언어 (Accept-Language 헤더보다 우선)",
+                "x-message": "INVALID_LOCALE",
+            },
+            bio: {
+                type: "string",
+                nullable: true,
+                maxLength: BIO_MAX_LENGTH,
+                description: `프로필 소개 (${BIO_MAX_LENGTH}자 이하, null이면 삭제)`,
+                "x-message": "BIO_TOO_LONG",
+            },
+            showActivity: {
+                type: "boolean",
+                description: "프로필에 작성한 게시글/댓글 목록 공개 여부",
+            },
+        },
+    },
+    responses: { 200: messageResponse },
+};
+
+const changePassword = {
+    summary: "비밀번호 변경 API",
+    description: "현재 비밀번호를 확인한 뒤 비밀번호를 변경합니다. 현재 세션을 제외한 모든 세션이 로그아웃됩니다.",
+    body: {
+        type: "object",
+        required: ["currentPassword", "newPassword", "confirmPassword"],
+        properties: {
+            currentPassword,
+            newPassword: { ...password, description: "새 비밀번호 (4자 이상, 닉네임 포함 불가)" },
+            confirmPassword: { ...confirmPassword, description: "새 비밀번호 확인" },
+        },
+    },
+    responses: { 200: messageResponse },
+    errors: ["CURRENT_PASSWORD_INCORRECT", "PASSWORD_MISMATCH", "PASSWORD_CONTAINS_NICKNAME"],
+};
+
+const changeNickname = {
+    summary: "닉네임 변경 API",
+    description: "현재 비밀번호를 확인한 뒤 닉네임을 변경합니다.",
+    body: {
+        type: "object",
+        required: ["currentPassword", "nickname"],
+        properties: {
+            currentPassword,
+            nickname: { ...nickname, description: "새 닉네임 (3자 이상, 알파벳 대소문자와 숫자)" },
+        },
+    },
+    responses: { 200: messageResponse },
+    errors: ["CURRENT_PASSWORD_INCORRECT", "PASSWORD_CONTAINS_NICKNAME", "DUPLICATE_NICKNAME"],
+};
+
+const deleteMe = {
+    summary: "회원 탈퇴 API",
+    description: "현재 비밀번호를 확인한 뒤 계정을 삭제하고 모든 세션을 로그아웃합니다. "
+        + "작성한 게시글과 댓글은 content 값에 따라 탈퇴한 사용자의 글로 남기거나 함께 삭제합니다.",
+    body: {
+        type: "object",
+        required: ["currentPassword", "content"],
+        properties: {
+            currentPassword,
+            content: {
+                type: "string",
+                enum: ["anonymize", "remove"],
+                description: "작성한 글 처리 방법 (anonymize: 탈퇴한 사용자의 글로 남기기, remove: 휴지통으로 옮긴 뒤 영구 삭제)",
+                "x-message": "INVALID_CONTENT_OPTION",
+            },
+        },
+    },
+    responses: { 200: messageResponse },
+    errors: ["CURRENT_PASSWORD_INCORRECT"],
+};
+
+const getProfile = {
+    summary: "프로필 조회 API",
+    description: "사용자의 가입 날짜, 소개, 작성한 게시글/댓글 수를 조회합니다.",
+    params: nicknameParams,
+    responses: { 200: dataResponse(profile) },
+    errors: ["PROFILE_NOT_FOUND"],
+};
+
+const listProfilePosts = {
+    summary: "사용자 게시글 목록 API",
+    description: "사용자가 작성한 게시글을 최신순으로 조회합니다. 활동 내역을 공개하지 않은 사용자는 본인만 조회할 수 있습니다.",
+    params: nicknameParams,
+    query: {
+        type: "object",
+        properties: pageQuery,
+    },
+    responses: { 200: pageResponse(profilePost) },
+    errors: ["PROFILE_NOT_FOUND", "ACTIVITY_HIDDEN", "INVALID_CURSOR"],
+};
+
+const listProfileComments = {
+    summary: "사용자 댓글 목록 API",
+    description: "사용자가 작성한 댓글을 최신순으로 조회합니다. 활동 내역을 공개하지 않은 사용자는 본인만 조회할 수 있습니다.",
+    params: nicknameParams,
+    query: {
+        type: "object",
+        properties: pageQuery,
+    },
+    responses: { 200: pageResponse(profileComment) },
+    errors: ["PROFILE_NOT_FOUND", "ACTIVITY_HIDDEN", "INVALID_CURSOR"],
+};
+
+module.exports = {
+    signup,
+    login,
+    refreshToken,
+    logout,
+    getMe,
+    updateMe,
+    changePassword,
+    changeNickname,
+    deleteMe,
+    getProfile,
+    listProfilePosts,
+    listProfileComments,
+};
@@ -0,0 +1,22 @@
+const { sequelize } = require("../models");
+const { purgeTrash } = require("../jobs/purge-trash");
+const { purgeRefreshTokens } = require("../utils/token");
+
+/**
+ * @brief 보관 기간이 지난 휴지통 항목과 만료되었거나 폐기된 Refresh Token을 바로 삭제합니다. (cron 등)
+ * @note 사용법: npm run purge-trash
+ */
+async function main() {
+    const { posts, comments } = await purgeTrash();
+    console.log(`휴지통 정리 완료: 게시글 ${posts}개, 댓글 ${comments}개`);
+
+    const refreshTokens = await purgeRefreshTokens();
+    console.log(`Refresh Token 정리 완료: ${refreshTokens}개`);
+}
+
+main()
+    .then(() => sequelize.close())
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,27 @@
+const { Users, sequelize } = require("../models");
+
+/**
+ * @brief 사용자 역할을 직접 변경합니다. (최초 admin 지정용)
+ * @note 사용법: npm run set-role -- <nickname> <user|moderator|admin>
+ */
+async function setRole(nickname, role) {
+    if (!Users.ROLES.includes(role)) {
+        throw new Error(`역할은 ${Users.ROLES.join(", ")} 중 하나여야 합니다.`);
+    }
+
+    const [updated] = await Users.update({ role }, { where: { nickname } });
+    if (!updated) {
+        throw new Error(`사용자가 존재하지 않습니다: ${nickname}`);
+    }
+}
+
+const [nickname, role] = process.argv.slice(2);
+setRole(nickname, role)
+    .then(() => {
+        console.log(`${nickname}의 역할을 ${role}(으)로 변경했습니다.`);
+        return sequelize.close();
+    })
+    .catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,21 @@
+const config = require("./config"); // 환경 변수가 잘못되었으면 여기서 바로 실패합니다.
+const app = require("./app");
+const { purgeTrash } = require("./jobs/purge-trash");
+const { purgeRefreshTokens } = require("./utils/token");
+
+const PORT = config.port;
+
+// 보관 기간이 지난 휴지통 항목과 만료되었거나 폐기된 Refresh Token을 주기적으로 삭제합니다.
+const PURGE_INTERVAL = 60 * 60 * 1000; // 1시간
+setInterval(() => {
+    purgeTrash()
+        .then(({ posts, comments }) => console.log(`휴지통 정리 완료: 게시글 ${posts}개, 댓글 ${comments}개`))
+        .catch((error) => console.error("휴지통 정리 실패", error));
+    purgeRefreshTokens()
+        .then((count) => console.log(`Refresh Token 정리 완료: ${count}개`))
+        .catch((error) => console.error("Refresh Token 정리 실패", error));
+}, PURGE_INTERVAL).unref();
+
+app.listen(PORT, () => {
+    console.log(PORT, '포트 번호로 서버가 실행되었습니다.');
+});
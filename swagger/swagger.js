@@ -1,26 +1,210 @@
 const swaggerUi = require("swagger-ui-express");
-const swaggerJsdoc = require("swagger-jsdoc");
+const routers = require("../routes");
+const { requestBodyName, requestBodySchemas, describeSchema } = require("../schemas");
+const { ERRORS } = require("../utils/errors");
+const { DEFAULT_LOCALE, translate } = require("../utils/i18n");
+const config = require("../config");
 
-const options = {
-    swaggerDefinition: {
-        openapi: "3.0.0",
+// app.js에서 라우터를 연결하는 경로
+const API_PREFIX = "/api";
+
+// authMiddleware(required), authMiddleware.optional(optional)의 인증 방식
+const SECURITY = {
+    required: [{ bearerAuth: [] }, { cookieAuth: [] }],
+    optional: [{ bearerAuth: [] }, { cookieAuth: [] }, {}],
+};
+
+// 요청 검사에 실패한 필드 목록 (middlewares/error-middleware.js)
+const fieldErrors = {
+    type: "array",
+    items: {
+        type: "object",
+        required: ["in", "field", "message"],
+        properties: {
+            in: { type: "string", enum: ["params", "query", "body"] },
+            field: { type: "string", nullable: true, example: "title" },
+            message: { type: "string", example: "제목을 입력해주세요." },
+        },
+    },
+};
+
+/**
+ * @brief 에러 응답 스키마 { code, message, requestId, errors? }
+ * @param codes 응답할 수 있는 에러 코드 목록 (생략하면 모든 코드)
+ */
+function errorSchema(codes) {
+    return {
+        type: "object",
+        required: ["code", "message", "requestId"],
+        properties: {
+            code: { type: "string", ...(codes && { enum: codes }) },
+            message: { type: "string" },
+            requestId: { type: "string", example: "0f8fad5b-d9cb-469f-a165-70867728950e" },
+            ...((!codes || codes.includes("VALIDATION_FAILED")) && { errors: fieldErrors }),
+        },
+    };
+}
+
+function jsonContent(schema) {
+    return { "application/json": { schema } };
+}
+
+// JSON이 아닌 응답의 format별 형식 (schemas/common.js의 fileResponse, eventStreamResponse)
+const NON_JSON_CONTENT_TYPES = {
+    binary: "application/octet-stream",
+    "event-stream": "text/event-stream",
+};
+
+function responseContent(schema) {
+    const contentType = NON_JSON_CONTENT_TYPES[schema.format];
+    return contentType ? { [contentType]: { schema } } : jsonContent(schema);
+}
+
+/**
+ * @brief 에러 코드를 HTTP 상태 코드별 응답으로 묶습니다.
+ * @note 설명에는 코드별 기본 언어 메세지를 싣습니다.
+ */
+function errorResponses(codes) {
+    const byStatus = {};
+    for (const code of new Set(codes)) {
+        (byStatus[ERRORS[code]] ||= []).push(code);
+    }
+
+    return Object.fromEntries(Object.entries(byStatus).map(([status, list]) => [status, {
+        description: list.map((code) => `\`${code}\` ${translate(DEFAULT_LOCALE, code)}`).join("<br>"),
+        content: jsonContent(errorSchema(list)),
+    }]));
+}
+
+/**
+ * @brief params, query 스키마를 OpenAPI parameters로 바꿉니다.
+ */
+function parameters(location, schema) {
+    if (!schema) {
+        return [];
+    }
+    const required = schema.required || [];
+    return Object.entries(schema.properties).map(([name, { description, ...property }]) => ({
+        in: location,
+        name,
+        required: required.includes(name),
+        ...(description && { description }),
+        schema: property,
+    }));
+}
+
+/**
+ * @brief 라우트에 연결된 미들웨어로 OpenAPI operation을 만듭니다.
+ * @note validate(schema)의 스키마에서 요청/응답 형식과 핸들러의 에러 코드를,
+ * authMiddleware, permission-middleware의 openapi 정보에서 인증 방식과 에러 코드를 가져옵니다.
+ * JSON이 아닌 요청 형식(파일 업로드 등)은 미들웨어의 openapi.requestBody를 그대로 싣습니다.
+ * validate()를 사용하지 않는 라우트는 문서에 싣지 않습니다.
+ */
+function buildOperation(route) {
+    const docs = route.stack.map((layer) => layer.handle.openapi).filter(Boolean);
+    const validation = docs.find((doc) => doc.schema);
+    const described = validation && describeSchema(validation.schema);
+    if (!described) {
+        return null;
+    }
+
+    const { schema } = validation;
+    const auth = docs.find((doc) => doc.security);
+    const upload = docs.find((doc) => doc.requestBody);
+    const errors = [
+        ...docs.flatMap((doc) => doc.errors),
+        ...(schema.errors || []),
+        // express.json()이 body를 읽지 못한 경우
+        ...(schema.body ? ["INVALID_JSON", "PAYLOAD_TOO_LARGE"] : []),
+        "INTERNAL_ERROR",
+    ];
+
+    return {
+        operationId: described.name,
+        tags: [described.tag],
+        summary: schema.summary,
+        description: [schema.description, ...docs.map((doc) => doc.description)].filter(Boolean).join("<br>"),
+        security: auth ? SECURITY[auth.security] : [],
+        parameters: [...parameters("path", schema.params), ...parameters("query", schema.query)],
+        ...(schema.body && {
+            requestBody: {
+                required: Boolean(schema.body.required),
+                content: jsonContent({ $ref: `#/components/schemas/${requestBodyName(described.name)}` }),
+            },
+        }),
+        ...(upload && { requestBody: upload.requestBody }),
+        responses: {
+            ...Object.fromEntries(Object.entries(schema.responses).map(([status, body]) => [status, {
+                description: "성공",
+                content: responseContent(body),
+            }])),
+            ...errorResponses(errors),
+        },
+    };
+}
+
+/**
+ * @brief 라우터에 등록된 라우트로 OpenAPI 문서를 만듭니다.
+ * @note 요청 검사에 쓰는 스키마와 같은 스키마로 문서를 만들기 때문에 문서와 실제 동작이 어긋나지 않습니다.
+ */
+function buildSpec() {
+    const paths = {};
+    for (const router of routers) {
+        for (const { route } of router.stack) {
+            if (!route) {
+                continue;
+            }
+            const operation = buildOperation(route);
+            if (!operation) {
+                continue;
+            }
+            // /posts/:postId -> /api/posts/{postId}
+            const path = API_PREFIX + route.path.replace(/:(\w+)/g, "{$1}");
+            for (const method of Object.keys(route.methods)) {
+                (paths[path] ||= {})[method] = operation;
+            }
+        }
+    }
+
+    return {
+        openapi: "3.0.3",
         info: {
             version: "1.0.0",
             title: "Test API - Jonghyeon",
-            description: "Test API with express"
+            description: "Test API with express",
         },
         servers: [
-            // {
-            //     url: "http://localhost:8000", // Update the URL to include the protocol
-            // },
             {
-                url: "http://52.78.125.48",
+                url: config.publicUrl, // PUBLIC_URL 환경 변수 (기본값 http://localhost:PORT)
             }
         ],
-    },
-    apis: ["./routes/users.route.js", "./routes/posts.route.js", "./routes/comments.route.js"], // Swagger file integration
-};
+        paths,
+        components: {
+            schemas: {
+                // 요청 검사에 사용하는 스키마를 그대로 문서에 싣습니다. (schemas/*.schema.js)
+                ...requestBodySchemas(),
+                // 모든 에러 응답의 형식 (middlewares/error-middleware.js)
+                Error: errorSchema(),
+            },
+            securitySchemes: {
+                // Authorization: Bearer <token> 헤더 (모바일, CLI 클라이언트)
+                bearerAuth: {
+                    type: "http",
+                    scheme: "bearer",
+                    bearerFormat: "JWT",
+                },
+                // authorization 쿠키 (웹 클라이언트)
+                cookieAuth: {
+                    type: "apiKey",
+                    in: "cookie",
+                    name: "authorization",
+                    description: "GET 이외의 요청은 csrfToken 쿠키 값을 X-CSRF-Token 헤더로 함께 보내야 합니다.",
+                },
+            },
+        },
+    };
+}
 
-const specs = swaggerJsdoc(options);
+const specs = buildSpec();
 
-module.exports = { swaggerUi, specs };
+module.exports = { swaggerUi, specs, errorSchema };
@@ -0,0 +1,151 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { createUser, tokenFor, createPost, createComment } = require("./helpers/factories");
+const { Posts, Comments, Users } = require("../models");
+
+describe("계정 관리", () => {
+    let request;
+    let close;
+
+    before(async () => {
+        ({ request, close } = await startServer());
+    });
+    after(() => close());
+
+    const login = (nickname, password) => request("POST", "/api/login", { body: { nickname, password } });
+
+    describe("PUT /api/me/password", () => {
+        it("비밀번호를 변경하면 새 비밀번호로 로그인하고, 다른 세션은 로그아웃됩니다.", async () => {
+            const user = await createUser();
+            const current = await login(user.nickname, user.plainPassword);
+            const other = await login(user.nickname, user.plainPassword);
+
+            const res = await request("PUT", "/api/me/password", {
+                token: current.body.accessToken,
+                body: { currentPassword: user.plainPassword, newPassword: "newpass99", confirmPassword: "newpass99" },
+            });
+            assert.equal(res.status, 200);
+
+            assert.equal((await login(user.nickname, user.plainPassword)).status, 412);
+            assert.equal((await login(user.nickname, "newpass99")).status, 200);
+
+            // 비밀번호를 변경한 세션은 유지됩니다.
+            assert.equal((await request("GET", "/api/me", { token: current.body.accessToken })).status, 200);
+            const revoked = await request("GET", "/api/me", { token: other.body.accessToken });
+            assert.equal(revoked.status, 401);
+            assert.equal(revoked.body.code, "TOKEN_REVOKED");
+        });
+
+        it("현재 비밀번호가 틀리면 CURRENT_PASSWORD_INCORRECT로 응답합니다.", async () => {
+            const user = await createUser();
+            const res = await request("PUT", "/api/me/password", {
+                token: await tokenFor(user),
+                body: { currentPassword: "wrong", newPassword: "newpass99", confirmPassword: "newpass99" },
+            });
+            assert.equal(res.status, 403);
+            assert.equal(res.body.code, "CURRENT_PASSWORD_INCORRECT");
+        });
+
+        it("회원가입과 같은 비밀번호 규칙을 적용합니다.", async () => {
+            const user = await createUser();
+            const token = await tokenFor(user);
+            const change = (newPassword, confirmPassword = newPassword) => request("PUT", "/api/me/password", {
+                token,
+                body: { currentPassword: user.plainPassword, newPassword, confirmPassword },
+            });
+
+            assert.equal((await change("abc")).body.code, "VALIDATION_FAILED");
+            assert.equal((await change("newpass99", "newpass98")).body.code, "PASSWORD_MISMATCH");
+            assert.equal((await change(`x${user.nickname.toUpperCase()}`)).body.code, "PASSWORD_CONTAINS_NICKNAME");
+        });
+    });
+
+    describe("PUT /api/me/nickname", () => {
+        it("닉네임을 변경합니다.", async () => {
+            const user = await createUser();
+            const res = await request("PUT", "/api/me/nickname", {
+                token: await tokenFor(user),
+                body: { currentPassword: user.plainPassword, nickname: "renamed1" },
+            });
+            assert.equal(res.status, 200);
+            assert.equal((await login("renamed1", user.plainPassword)).status, 200);
+        });
+
+        it("이미 있는 닉네임이면 DUPLICATE_NICKNAME으로 응답합니다.", async () => {
+            const user = await createUser();
+            const taken = await createUser();
+            const res = await request("PUT", "/api/me/nickname", {
+                token: await tokenFor(user),
+                body: { currentPassword: user.plainPassword, nickname: taken.nickname },
+            });
+            assert.equal(res.status, 409);
+            assert.equal(res.body.code, "DUPLICATE_NICKNAME");
+        });
+
+        it("닉네임 형식이 잘못되면 VALIDATION_FAILED로 응답합니다.", async () => {
+            const user = await createUser();
+            const res = await request("PUT", "/api/me/nickname", {
+                token: await tokenFor(user),
+                body: { currentPassword: user.plainPassword, nickname: "no_underscore" },
+            });
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body.errors.map((error) => error.field), ["nickname"]);
+        });
+    });
+
+    describe("DELETE /api/me", () => {
+        it("anonymize를 선택하면 작성한 글을 탈퇴한 사용자의 글로 남깁니다.", async () => {
+            const user = await createUser();
+            const post = await createPost({ user });
+            const token = (await login(user.nickname, user.plainPassword)).body.accessToken;
+
+            const res = await request("DELETE", "/api/me", {
+                token,
+                body: { currentPassword: user.plainPassword, content: "anonymize" },
+            });
+            assert.equal(res.status, 200);
+
+            const detail = await request("GET", `/api/posts/${post.postId}`);
+            assert.equal(detail.body.data.User.nickname, `deleted_${user.userId}`);
+
+            // 모든 세션이 로그아웃되고 다시 로그인할 수 없습니다.
+            assert.equal((await request("GET", "/api/me", { token })).body.code, "TOKEN_REVOKED");
+            assert.equal((await login(user.nickname, user.plainPassword)).status, 412);
+            assert.equal((await request("GET", `/api/users/deleted_${user.userId}`)).status, 404);
+
+            // 탈퇴한 닉네임은 다시 사용할 수 있습니다.
+            const signup = await request("POST", "/api/users", {
+                body: { nickname: user.nickname, password: "qwer1234", confirmPassword: "qwer1234" },
+            });
+            assert.equal(signup.status, 201);
+        });
+
+        it("remove를 선택하면 작성한 게시글과 댓글을 휴지통으로 옮깁니다.", async () => {
+            const user = await createUser();
+            const post = await createPost({ user });
+            const comment = await createComment({ user });
+
+            const res = await request("DELETE", "/api/me", {
+                token: await tokenFor(user),
+                body: { currentPassword: user.plainPassword, content: "remove" },
+            });
+            assert.equal(res.status, 200);
+
+            assert.equal(await Posts.findByPk(post.postId), null);
+            assert.equal(await Comments.findByPk(comment.commentId), null);
+            assert.ok((await Users.findByPk(user.userId)).withdrawnAt);
+        });
+
+        it("현재 비밀번호가 틀리면 탈퇴하지 않습니다.", async () => {
+            const user = await createUser();
+            const res = await request("DELETE", "/api/me", {
+                token: await tokenFor(user),
+                body: { currentPassword: "wrong", content: "remove" },
+            });
+            assert.equal(res.status, 403);
+            assert.equal(res.body.code, "CURRENT_PASSWORD_INCORRECT");
+            assert.equal((await Users.findByPk(user.userId)).withdrawnAt, null);
+        });
+    });
+});
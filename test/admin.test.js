@@ -0,0 +1,107 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { createUser, tokenFor, createPost } = require("./helpers/factories");
+const { Users, ModerationLogs } = require("../models");
+
+describe("관리자", () => {
+    let request;
+    let close;
+    let admin;
+    let adminToken;
+
+    before(async () => {
+        ({ request, close } = await startServer());
+        admin = await createUser({ role: "admin" });
+        adminToken = await tokenFor(admin);
+    });
+    after(() => close());
+
+    const changeRole = (userId, role, token = adminToken) =>
+        request("PATCH", `/api/admin/users/${userId}/role`, { token, body: { role } });
+
+    // 대상에 대한 관리자 조치 기록 (오래된 순)
+    const logsFor = (targetType, targetId) =>
+        ModerationLogs.findAll({ where: { targetType, targetId }, order: [["logId", "ASC"]] });
+
+    describe("PATCH /api/admin/users/:userId/role", () => {
+        it("admin은 사용자 역할을 변경하고 조치 기록을 남깁니다.", async () => {
+            const target = await createUser();
+
+            const res = await changeRole(target.userId, "moderator");
+            assert.equal(res.status, 200);
+            assert.equal((await Users.findByPk(target.userId)).role, "moderator");
+
+            const [log] = await logsFor("user", target.userId);
+            assert.deepEqual([log.ModeratorId, log.action, log.detail], [admin.userId, "role", "user -> moderator"]);
+        });
+
+        it("admin도 자신의 역할은 변경할 수 없습니다.", async () => {
+            const res = await changeRole(admin.userId, "user");
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, "CANNOT_CHANGE_OWN_ROLE");
+            assert.equal((await Users.findByPk(admin.userId)).role, "admin");
+        });
+
+        it("admin이 아니면 ROLE_FORBIDDEN(403)으로 응답합니다.", async () => {
+            const target = await createUser();
+
+            for (const role of ["user", "moderator"]) {
+                const res = await changeRole(target.userId, "admin", await tokenFor(await createUser({ role })));
+                assert.equal(res.status, 403);
+                assert.equal(res.body.code, "ROLE_FORBIDDEN");
+            }
+            assert.equal((await Users.findByPk(target.userId)).role, "user");
+        });
+    });
+
+    describe("GET /api/admin/moderation-logs", () => {
+        it("일반 사용자는 조치 기록을 볼 수 없습니다.", async () => {
+            const res = await request("GET", "/api/admin/moderation-logs", { token: await tokenFor(await createUser()) });
+            assert.equal(res.status, 403);
+            assert.equal(res.body.code, "ROLE_FORBIDDEN");
+        });
+    });
+
+    describe("moderator의 게시글 관리", () => {
+        it("다른 사용자의 게시글을 수정, 삭제하면 조치 기록을 남깁니다.", async () => {
+            const moderator = await createUser({ role: "moderator" });
+            const token = await tokenFor(moderator);
+            const post = await createPost();
+
+            const updated = await request("PUT", `/api/posts/${post.postId}`, {
+                token,
+                body: { title: "관리자가 수정한 제목", reason: "제목 정리" },
+            });
+            assert.equal(updated.status, 200);
+
+            const deleted = await request("DELETE", `/api/posts/${post.postId}`, { token, body: { reason: "스팸" } });
+            assert.equal(deleted.status, 200);
+
+            const logs = await logsFor("post", post.postId);
+            assert.deepEqual(logs.map((log) => [log.ModeratorId, log.action, log.detail]), [
+                [moderator.userId, "update", "제목 정리"],
+                [moderator.userId, "delete", "스팸"],
+            ]);
+
+            const list = await request("GET", `/api/admin/moderation-logs?targetType=post&moderator=${moderator.nickname}`, { token });
+            assert.equal(list.status, 200);
+            assert.deepEqual(list.body.data.map((log) => [log.action, log.targetId]), [
+                ["delete", post.postId],
+                ["update", post.postId],
+            ]);
+        });
+
+        it("자신의 게시글을 수정하면 조치 기록을 남기지 않습니다.", async () => {
+            const moderator = await createUser({ role: "moderator" });
+            const post = await createPost({ user: moderator });
+
+            const res = await request("PUT", `/api/posts/${post.postId}`, {
+                token: await tokenFor(moderator),
+                body: { title: "수정한 제목" },
+            });
+            assert.equal(res.status, 200);
+            assert.equal((await logsFor("post", post.postId)).length, 0);
+        });
+    });
+});
@@ -0,0 +1,210 @@
+// 이 파일에서만 첨부파일 크기와 수 제한을 작게 설정합니다. (테스트 파일은 프로세스마다 따로 실행됩니다.)
+process.env.ATTACHMENT_MAX_FILE_SIZE_MB = "1";
+process.env.ATTACHMENT_MAX_FILES_PER_REQUEST = "2";
+process.env.ATTACHMENT_MAX_FILES_PER_POST = "3";
+
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { startServer } = require("./helpers/server");
+const { createUser, tokenFor, createPost } = require("./helpers/factories");
+const { Posts, Attachments } = require("../models");
+const { purgeTrash } = require("../jobs/purge-trash");
+const { storage } = require("../utils/attachment-storage");
+const config = require("../config");
+
+// 저장소(local)에 파일이 남아 있는지 확인합니다.
+const storedFile = (key) => fs.existsSync(path.join(config.attachments.dir, key));
+
+// [{ name, data, type }] -> files 필드에 파일을 담은 FormData
+function filesForm(files) {
+    const form = new FormData();
+    for (const { name, data, type = "application/octet-stream" } of files) {
+        form.append("files", new Blob([data], { type }), name);
+    }
+    return form;
+}
+
+describe("첨부파일", () => {
+    let request;
+    let close;
+    let png;
+
+    before(async () => {
+        ({ request, close } = await startServer());
+        png = await sharp({ create: { width: 800, height: 400, channels: 3, background: "#3366ff" } }).png().toBuffer();
+    });
+    after(() => close());
+
+    // 게시글 작성자와 토큰, 게시글을 새로 만듭니다. (요청 수 제한을 피하기 위해 테스트마다 새 사용자)
+    async function ownPost() {
+        const user = await createUser();
+        return { user, token: await tokenFor(user), post: await createPost({ user }) };
+    }
+
+    const upload = (post, token, files) => request("POST", `/api/posts/${post.postId}/attachments`, {
+        token,
+        body: filesForm(files),
+    });
+
+    describe("POST /api/posts/:postId/attachments", () => {
+        it("이미지를 올리면 크기를 기록하고 썸네일을 만듭니다.", async () => {
+            const { token, post } = await ownPost();
+
+            const res = await upload(post, token, [{ name: "사진.png", data: png, type: "image/png" }]);
+            assert.equal(res.status, 201);
+            const [attachment] = res.body.data;
+            assert.equal(attachment.originalName, "사진.png");
+            assert.equal(attachment.mimeType, "image/png");
+            assert.equal(attachment.size, png.length);
+            assert.deepEqual([attachment.width, attachment.height], [800, 400]);
+            assert.equal(attachment.thumbnailUrl, `${attachment.url}/thumbnail`);
+
+            const detail = await request("GET", `/api/posts/${post.postId}`);
+            assert.deepEqual(detail.body.data.attachments.map((item) => item.attachmentId), [attachment.attachmentId]);
+
+            const thumbnail = await request("GET", attachment.thumbnailUrl);
+            assert.equal(thumbnail.status, 200);
+            assert.equal(thumbnail.headers.get("content-type"), "image/webp");
+            const { width, height, format } = await sharp(thumbnail.body).metadata();
+            assert.deepEqual([format, width, height], ["webp", 320, 160]);
+        });
+
+        it("파일 형식은 클라이언트가 보낸 형식이 아니라 내용으로 판별합니다.", async () => {
+            const { token, post } = await ownPost();
+
+            const text = await upload(post, token, [{ name: "note.png", data: "<script>alert(1)</script>", type: "image/png" }]);
+            assert.equal(text.status, 201);
+            assert.equal(text.body.data[0].mimeType, "text/plain");
+            assert.equal(text.body.data[0].thumbnailUrl, null);
+
+            const binary = Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03, 0x00, 0x00, 0x00]);
+            const res = await upload(post, token, [{ name: "setup.pdf", data: binary, type: "application/pdf" }]);
+            assert.equal(res.status, 415);
+            assert.equal(res.body.code, "UNSUPPORTED_ATTACHMENT_TYPE");
+        });
+
+        it("시그니처만 이미지이고 읽을 수 없는 파일은 저장하지 않습니다.", async () => {
+            const { token, post } = await ownPost();
+
+            const broken = Buffer.concat([png.subarray(0, 16), Buffer.alloc(64)]);
+            const res = await upload(post, token, [
+                { name: "ok.txt", data: "정상 파일" },
+                { name: "broken.png", data: broken },
+            ]);
+            assert.equal(res.status, 415);
+            assert.equal(await Attachments.count({ where: { PostId: post.postId } }), 0);
+        });
+
+        it("파일 크기와 개수 제한을 넘으면 저장하지 않습니다.", async () => {
+            const { token, post } = await ownPost();
+
+            const large = await upload(post, token, [{ name: "large.txt", data: "a".repeat(1024 * 1024 + 1) }]);
+            assert.equal(large.status, 413);
+            assert.equal(large.body.code, "ATTACHMENT_TOO_LARGE");
+
+            const perRequest = await upload(post, token, ["a", "b", "c"].map((name) => ({ name: `${name}.txt`, data: name })));
+            assert.equal(perRequest.status, 400);
+            assert.equal(perRequest.body.code, "TOO_MANY_ATTACHMENTS");
+
+            await upload(post, token, [{ name: "1.txt", data: "1" }, { name: "2.txt", data: "2" }]);
+            const perPost = await upload(post, token, [{ name: "3.txt", data: "3" }, { name: "4.txt", data: "4" }]);
+            assert.equal(perPost.status, 400);
+            assert.equal(perPost.body.code, "TOO_MANY_ATTACHMENTS");
+            assert.equal(await Attachments.count({ where: { PostId: post.postId } }), 2);
+        });
+
+        it("파일이 없거나 다른 사용자의 게시글이면 올릴 수 없습니다.", async () => {
+            const { token, post } = await ownPost();
+
+            const empty = await request("POST", `/api/posts/${post.postId}/attachments`, { token, body: {} });
+            assert.equal(empty.status, 400);
+            assert.equal(empty.body.code, "ATTACHMENT_REQUIRED");
+
+            const other = await upload(post, await tokenFor(await createUser()), [{ name: "a.txt", data: "a" }]);
+            assert.equal(other.status, 401);
+            assert.equal(other.body.code, "FORBIDDEN");
+        });
+    });
+
+    describe("GET /api/attachments/:attachmentId", () => {
+        it("판별한 형식과 올린 파일 이름으로 다운로드합니다.", async () => {
+            const { token, post } = await ownPost();
+            const created = await upload(post, token, [{ name: "보고서.pdf", data: "%PDF-1.4\n%%EOF", type: "text/html" }]);
+
+            const res = await request("GET", created.body.data[0].url);
+            assert.equal(res.status, 200);
+            assert.equal(res.headers.get("content-type"), "application/pdf");
+            assert.match(res.headers.get("content-disposition"), /^attachment; .*filename\*=UTF-8''%EB%B3%B4%EA%B3%A0%EC%84%9C\.pdf$/);
+            assert.equal(res.headers.get("x-content-type-options"), "nosniff");
+            assert.equal(res.body.toString(), "%PDF-1.4\n%%EOF");
+        });
+
+        it("이미지가 아닌 첨부파일의 썸네일은 THUMBNAIL_NOT_FOUND로 응답합니다.", async () => {
+            const { token, post } = await ownPost();
+            const created = await upload(post, token, [{ name: "a.txt", data: "a" }]);
+
+            const res = await request("GET", `${created.body.data[0].url}/thumbnail`);
+            assert.equal(res.status, 404);
+            assert.equal(res.body.code, "THUMBNAIL_NOT_FOUND");
+        });
+
+        it("휴지통에 있는 게시글의 첨부파일은 다운로드할 수 없습니다.", async () => {
+            const { token, post } = await ownPost();
+            const created = await upload(post, token, [{ name: "a.txt", data: "a" }]);
+            await post.destroy();
+
+            const res = await request("GET", created.body.data[0].url);
+            assert.equal(res.status, 404);
+            assert.equal(res.body.code, "ATTACHMENT_NOT_FOUND");
+        });
+
+        it("보내는 도중 저장소에서 에러가 나면 에러 미들웨어로 넘기고 연결을 끊습니다.", async (t) => {
+            const { token, post } = await ownPost();
+            const created = await upload(post, token, [{ name: "a.txt", data: "abcdef" }]);
+
+            const failure = new Error("저장소 읽기 실패");
+            t.mock.method(storage, "open", async () => Readable.from((async function* () {
+                yield Buffer.from("abc");
+                throw failure;
+            })()));
+            const logged = t.mock.method(console, "error", () => {});
+
+            await assert.rejects(request("GET", created.body.data[0].url));
+            assert.ok(logged.mock.calls.some((call) => call.arguments.includes(failure)));
+        });
+    });
+
+    describe("첨부파일 삭제", () => {
+        it("첨부파일을 삭제하면 저장소의 파일도 삭제합니다.", async () => {
+            const { token, post } = await ownPost();
+            const created = await upload(post, token, [{ name: "사진.png", data: png }]);
+            const { attachmentId } = created.body.data[0];
+            const { storageKey, thumbnailKey } = await Attachments.findByPk(attachmentId);
+            assert.ok(storedFile(storageKey) && storedFile(thumbnailKey));
+
+            const res = await request("DELETE", `/api/posts/${post.postId}/attachments/${attachmentId}`, { token });
+            assert.equal(res.status, 200);
+            assert.equal((await request("GET", `/api/attachments/${attachmentId}`)).status, 404);
+            assert.ok(!storedFile(storageKey) && !storedFile(thumbnailKey));
+        });
+
+        it("휴지통의 게시글을 영구 삭제하면 첨부파일도 삭제합니다.", async () => {
+            const { token, post } = await ownPost();
+            const created = await upload(post, token, [{ name: "a.txt", data: "a" }]);
+            const { storageKey } = await Attachments.findByPk(created.body.data[0].attachmentId);
+
+            // 휴지통에 있는 동안에는 복원할 수 있도록 파일을 남겨둡니다.
+            await post.destroy();
+            assert.ok(storedFile(storageKey));
+
+            await Posts.update({ deletedAt: new Date(0) }, { where: { postId: post.postId }, paranoid: false });
+            await purgeTrash();
+            assert.equal(await Attachments.count({ where: { PostId: post.postId } }), 0);
+            assert.ok(!storedFile(storageKey));
+        });
+    });
+});
@@ -0,0 +1,160 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { createUser, tokenFor, findBoard, createPost } = require("./helpers/factories");
+
+describe("게시판/태그", () => {
+    let request;
+    let close;
+    let author;
+    let token;
+
+    before(async () => {
+        ({ request, close } = await startServer());
+        author = await createUser();
+        token = await tokenFor(author);
+    });
+    after(() => close());
+
+    const write = (body, authToken = token) => request("POST", "/api/posts", {
+        token: authToken,
+        body: { title: "제목", content: "내용", ...body },
+    });
+
+    describe("GET /api/boards", () => {
+        it("게시판 목록과 작성 가능 여부를 조회합니다.", async () => {
+            const res = await request("GET", "/api/boards", { token });
+            assert.equal(res.status, 200);
+
+            const boards = Object.fromEntries(res.body.data.map((board) => [board.slug, board]));
+            assert.deepEqual(Object.keys(boards), ["notice", "qna", "free"]);
+            assert.equal(boards.notice.canWrite, false);
+            assert.equal(boards.free.canWrite, true);
+        });
+    });
+
+    describe("POST /api/posts (게시판, 태그)", () => {
+        it("게시판을 생략하면 자유게시판에 작성하고, 태그를 소문자로 중복 없이 저장합니다.", async () => {
+            const res = await write({ tags: ["Node", "node", "express"] });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.data.BoardId, (await findBoard("free")).boardId);
+            assert.deepEqual(res.body.data.tags, ["express", "node"]);
+
+            const detail = await request("GET", `/api/posts/${res.body.data.postId}`);
+            assert.equal(detail.body.data.Board.slug, "free");
+            assert.deepEqual(detail.body.data.tags, ["express", "node"]);
+        });
+
+        it("공지사항은 admin만 작성할 수 있습니다.", async () => {
+            const denied = await write({ board: "notice" });
+            assert.equal(denied.status, 403);
+            assert.equal(denied.body.code, "BOARD_WRITE_FORBIDDEN");
+
+            const admin = await createUser({ role: "admin" });
+            const res = await write({ board: "notice" }, await tokenFor(admin));
+            assert.equal(res.status, 201);
+        });
+
+        it("없는 게시판이면 BOARD_NOT_FOUND로 응답합니다.", async () => {
+            const res = await write({ board: "nowhere" });
+            assert.equal(res.status, 404);
+            assert.equal(res.body.code, "BOARD_NOT_FOUND");
+        });
+
+        it("태그 형식이 잘못되거나 너무 많으면 VALIDATION_FAILED로 응답합니다.", async () => {
+            const invalid = await write({ tags: ["공백 태그"] });
+            assert.equal(invalid.status, 400);
+            assert.deepEqual(invalid.body.errors.map((error) => error.field), ["tags.0"]);
+
+            const tooMany = await write({ tags: Array.from({ length: 11 }, (_, i) => `tag${i}`) });
+            assert.equal(tooMany.status, 400);
+            assert.deepEqual(tooMany.body.errors.map((error) => error.field), ["tags"]);
+        });
+    });
+
+    describe("PUT /api/posts/:postId (게시판, 태그)", () => {
+        it("게시판을 옮기고 태그를 교체합니다.", async () => {
+            const created = await write({ tags: ["before"] });
+            const { postId } = created.body.data;
+
+            const res = await request("PUT", `/api/posts/${postId}`, { token, body: { board: "qna", tags: ["after"] } });
+            assert.equal(res.status, 200);
+
+            const detail = await request("GET", `/api/posts/${postId}`);
+            assert.equal(detail.body.data.Board.slug, "qna");
+            assert.deepEqual(detail.body.data.tags, ["after"]);
+            // 게시판, 태그 변경은 수정 이력에 남기지 않습니다.
+            assert.equal(detail.body.data.edited, false);
+        });
+
+        it("작성 권한이 없는 게시판으로는 옮길 수 없습니다.", async () => {
+            const post = await createPost({ user: author });
+            const res = await request("PUT", `/api/posts/${post.postId}`, { token, body: { board: "notice" } });
+            assert.equal(res.status, 403);
+            assert.equal(res.body.code, "BOARD_WRITE_FORBIDDEN");
+        });
+    });
+
+    describe("GET /api/boards/:slug/posts", () => {
+        it("게시판의 게시글만 조회합니다.", async () => {
+            const qna = await createPost({ board: await findBoard("qna") });
+            const free = await createPost();
+
+            const res = await request("GET", "/api/boards/qna/posts?limit=100");
+            assert.equal(res.status, 200);
+
+            const ids = res.body.data.map((post) => post.postId);
+            assert.ok(ids.includes(qna.postId));
+            assert.ok(!ids.includes(free.postId));
+            assert.ok(res.body.data.every((post) => post.Board.slug === "qna"));
+        });
+
+        it("없는 게시판이면 BOARD_NOT_FOUND로 응답합니다.", async () => {
+            const res = await request("GET", "/api/boards/nowhere/posts");
+            assert.equal(res.status, 404);
+            assert.equal(res.body.code, "BOARD_NOT_FOUND");
+        });
+    });
+
+    describe("GET /api/tags/:tag/posts", () => {
+        it("태그가 붙은 게시글만 대소문자 구분 없이 조회합니다.", async () => {
+            const tagged = await write({ tags: ["listing"] });
+            await write({ tags: ["other"] });
+
+            const res = await request("GET", "/api/tags/LISTING/posts");
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.data.map((post) => post.postId), [tagged.body.data.postId]);
+            assert.deepEqual(res.body.data[0].tags, ["listing"]);
+        });
+
+        it("없는 태그는 빈 목록으로 응답합니다.", async () => {
+            const res = await request("GET", "/api/tags/unknown/posts");
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body, { data: [], nextCursor: null });
+        });
+    });
+
+    describe("GET /api/tags", () => {
+        it("입력한 글자로 시작하는 태그를 게시글이 많은 순으로 조회합니다.", async () => {
+            await write({ tags: ["javascript"] });
+            await write({ tags: ["javascript"] });
+            await write({ tags: ["java"] });
+            await write({ tags: ["kotlin"] });
+
+            const res = await request("GET", "/api/tags?q=Jav");
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.data, [
+                { name: "javascript", postCount: 2 },
+                { name: "java", postCount: 1 },
+            ]);
+        });
+
+        it("LIKE 와일드카드는 글자 그대로 찾고, 삭제된 게시글의 태그는 제외합니다.", async () => {
+            const created = await write({ tags: ["trashed"] });
+            await request("DELETE", `/api/posts/${created.body.data.postId}`, { token });
+
+            assert.deepEqual((await request("GET", "/api/tags?q=%25")).body.data, []);
+            assert.deepEqual((await request("GET", "/api/tags?q=trash")).body.data, []);
+        });
+    });
+});
@@ -0,0 +1,221 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { createUser, tokenFor, createPost, createComment } = require("./helpers/factories");
+
+describe("댓글", () => {
+    let request;
+    let close;
+    let author;
+    let token;
+
+    before(async () => {
+        ({ request, close } = await startServer());
+        author = await createUser();
+        token = await tokenFor(author);
+    });
+    after(() => close());
+
+    describe("POST /api/posts/:postId/comments", () => {
+        it("댓글을 작성합니다.", async () => {
+            const post = await createPost();
+
+            const res = await request("POST", `/api/posts/${post.postId}/comments`, { token, body: { comment: "댓글" } });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.data.comment, "댓글");
+            assert.equal(res.body.data.depth, 0);
+        });
+
+        it("답글은 부모 댓글보다 한 단계 깊게 작성됩니다.", async () => {
+            const parent = await createComment();
+
+            const res = await request("POST", `/api/posts/${parent.PostId}/comments`, {
+                token,
+                body: { comment: "답글", parentId: parent.commentId },
+            });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.data.depth, 1);
+        });
+
+        it("댓글 내용이 없으면 VALIDATION_FAILED로 응답합니다.", async () => {
+            const post = await createPost();
+
+            const res = await request("POST", `/api/posts/${post.postId}/comments`, { token, body: {} });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, "VALIDATION_FAILED");
+        });
+
+        it("없는 게시글이면 POST_NOT_FOUND로 응답합니다.", async () => {
+            const res = await request("POST", "/api/posts/999999/comments", { token, body: { comment: "댓글" } });
+            assert.equal(res.status, 404);
+            assert.equal(res.body.code, "POST_NOT_FOUND");
+        });
+    });
+
+    describe("GET /api/posts/:postId/comments", () => {
+        it("댓글을 답글과 함께 조회합니다.", async () => {
+            const post = await createPost();
+            const parent = await createComment({ post });
+            await createComment({ post, parent });
+
+            const res = await request("GET", `/api/posts/${post.postId}/comments`);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.length, 1);
+            assert.equal(res.body.data[0].commentId, parent.commentId);
+            assert.equal(res.body.data[0].replies.length, 1);
+        });
+
+        it("댓글은 강조, 인라인 코드, 링크, 줄바꿈만 HTML로 렌더링합니다.", async () => {
+            const post = await createPost();
+            await createComment({ post, comment: "# 제목 아님\n*기울임* `코드` ![이미지](https://example.com/a.png) <b>태그</b>" });
+
+            const res = await request("GET", `/api/posts/${post.postId}/comments`);
+            assert.equal(
+                res.body.data[0].commentHtml,
+                "<p># 제목 아님<br />\n<em>기울임</em> <code>코드</code> !<a href=\"https://example.com/a.png\" rel=\"nofollow noopener noreferrer\" target=\"_blank\">이미지</a> &lt;b&gt;태그&lt;/b&gt;</p>\n"
+            );
+        });
+    });
+
+    describe("PUT /api/posts/:postId/comments/:commentId", () => {
+        it("작성자는 댓글을 수정할 수 있습니다.", async () => {
+            const note = await createComment({ user: author });
+
+            const res = await request("PUT", `/api/posts/${note.PostId}/comments/${note.commentId}`, {
+                token,
+                body: { comment: "수정한 댓글" },
+            });
+            assert.equal(res.status, 200);
+
+            const list = await request("GET", `/api/posts/${note.PostId}/comments`);
+            assert.equal(list.body.data[0].comment, "수정한 댓글");
+        });
+
+        it("다른 사용자의 댓글은 수정할 수 없습니다.", async () => {
+            const note = await createComment();
+
+            const res = await request("PUT", `/api/posts/${note.PostId}/comments/${note.commentId}`, {
+                token,
+                body: { comment: "수정한 댓글" },
+            });
+            assert.equal(res.status, 401);
+            assert.equal(res.body.code, "FORBIDDEN");
+        });
+
+        it("다른 게시글의 댓글 번호로는 수정할 수 없습니다.", async () => {
+            const note = await createComment({ user: author });
+            const other = await createPost();
+
+            const res = await request("PUT", `/api/posts/${other.postId}/comments/${note.commentId}`, {
+                token,
+                body: { comment: "수정한 댓글" },
+            });
+            assert.equal(res.status, 404);
+            assert.equal(res.body.code, "COMMENT_NOT_FOUND");
+        });
+    });
+
+    describe("DELETE /api/posts/:postId/comments/:commentId", () => {
+        it("작성자는 댓글을 삭제할 수 있습니다.", async () => {
+            const note = await createComment({ user: author });
+
+            const res = await request("DELETE", `/api/posts/${note.PostId}/comments/${note.commentId}`, { token });
+            assert.equal(res.status, 200);
+
+            const list = await request("GET", `/api/posts/${note.PostId}/comments`);
+            assert.equal(list.body.data.length, 0);
+        });
+
+        it("답글이 남아 있는 댓글은 삭제해도 안내 문구로 표시하고 답글을 유지합니다.", async () => {
+            const post = await createPost();
+            const parent = await createComment({ post, user: author });
+            const reply = await createComment({ post, parent, comment: "답글" });
+
+            const res = await request("DELETE", `/api/posts/${post.postId}/comments/${parent.commentId}`, { token });
+            assert.equal(res.status, 200);
+
+            const list = await request("GET", `/api/posts/${post.postId}/comments`);
+            const [deleted] = list.body.data;
+            assert.equal(deleted.commentId, parent.commentId);
+            assert.equal(deleted.isDeleted, true);
+            assert.equal(deleted.comment, "삭제된 댓글입니다.");
+            assert.equal(deleted.commentHtml, null);
+            assert.equal(deleted.User, null);
+            assert.deepEqual(deleted.replies.map((note) => [note.commentId, note.comment]), [[reply.commentId, "답글"]]);
+
+            const english = await request("GET", `/api/posts/${post.postId}/comments`, { headers: { "Accept-Language": "en" } });
+            assert.equal(english.body.data[0].comment, "This comment has been deleted.");
+        });
+
+        it("답글이 없는 댓글은 삭제하면 스레드에서 사라집니다.", async () => {
+            const post = await createPost();
+            const parent = await createComment({ post });
+            const kept = await createComment({ post, parent });
+            const leaf = await createComment({ post, parent, user: author });
+
+            const res = await request("DELETE", `/api/posts/${post.postId}/comments/${leaf.commentId}`, { token });
+            assert.equal(res.status, 200);
+
+            const list = await request("GET", `/api/posts/${post.postId}/comments`);
+            const [thread] = list.body.data;
+            assert.equal(thread.isDeleted, false);
+            assert.equal(thread.replyCount, 1);
+            assert.deepEqual(thread.replies.map((note) => note.commentId), [kept.commentId]);
+        });
+
+        it("다른 사용자의 댓글은 삭제할 수 없습니다.", async () => {
+            const note = await createComment();
+
+            const res = await request("DELETE", `/api/posts/${note.PostId}/comments/${note.commentId}`, { token });
+            assert.equal(res.status, 401);
+            assert.equal(res.body.code, "FORBIDDEN");
+        });
+
+        it("moderator는 다른 사용자의 댓글을 삭제할 수 있습니다.", async () => {
+            const note = await createComment();
+            const moderator = await createUser({ role: "moderator" });
+
+            const res = await request("DELETE", `/api/posts/${note.PostId}/comments/${note.commentId}`, {
+                token: await tokenFor(moderator),
+                body: { reason: "스팸" },
+            });
+            assert.equal(res.status, 200);
+        });
+    });
+
+    describe("댓글 반응", () => {
+        const reactions = (note, postId = note.PostId) => `/api/posts/${postId}/comments/${note.commentId}/reactions`;
+
+        it("반응을 남기고 취소합니다.", async () => {
+            const note = await createComment();
+
+            const added = await request("POST", reactions(note), { token, body: { emoji: "like" } });
+            assert.equal(added.status, 200);
+            assert.deepEqual(added.body.data, { commentId: note.commentId, emoji: "like" });
+
+            const removed = await request("DELETE", reactions(note), { token });
+            assert.equal(removed.status, 200);
+
+            const again = await request("DELETE", reactions(note), { token });
+            assert.equal(again.status, 404);
+            assert.equal(again.body.code, "REACTION_NOT_FOUND");
+        });
+
+        it("다른 게시글의 경로로는 반응을 남기거나 취소할 수 없습니다.", async () => {
+            const note = await createComment();
+            const other = await createPost();
+            await request("POST", reactions(note), { token, body: { emoji: "love" } });
+
+            const added = await request("POST", reactions(note, other.postId), { token, body: { emoji: "like" } });
+            assert.equal(added.status, 404);
+            assert.equal(added.body.code, "COMMENT_NOT_FOUND");
+
+            const removed = await request("DELETE", reactions(note, other.postId), { token });
+            assert.equal(removed.status, 404);
+            assert.equal(removed.body.code, "COMMENT_NOT_FOUND");
+
+            const list = await request("GET", `/api/posts/${note.PostId}/comments`, { token });
+            assert.equal(list.body.data[0].myReaction, "love");
+        });
+    });
+});
@@ -0,0 +1,193 @@
+// 이 파일에서만 heartbeat 간격을 짧게 설정합니다. (테스트 파일은 프로세스마다 따로 실행됩니다.)
+process.env.EVENTS_HEARTBEAT_SECONDS = "1";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { createUser, tokenFor, createPost } = require("./helpers/factories");
+const { MemoryEventHub } = require("../utils/event-hub");
+
+/**
+ * @brief text/event-stream의 메세지 하나(빈 줄로 끝나는 블록)를 { id, event, data, retry, comment }로 바꿉니다.
+ */
+function parseMessage(block) {
+    const message = {};
+    for (const line of block.split("\n")) {
+        if (line.startsWith(":")) {
+            message.comment = line.slice(1).trim();
+            continue;
+        }
+        const index = line.indexOf(":");
+        const field = line.slice(0, index);
+        const value = line.slice(index + 1).trimStart();
+        message[field] = field === "data" ? JSON.parse(value) : value;
+    }
+    return message;
+}
+
+describe("실시간 이벤트", () => {
+    let request;
+    let close;
+    let baseUrl;
+    let token;
+
+    before(async () => {
+        ({ request, close, baseUrl } = await startServer());
+        token = await tokenFor(await createUser());
+    });
+    after(() => close());
+
+    /**
+     * @brief 이벤트 스트림에 연결합니다.
+     * @returns { response, next, nextEvent, close } next()는 다음 메세지, nextEvent()는 heartbeat 등을 건너뛴 다음 이벤트
+     */
+    async function connect(path, headers = {}) {
+        const controller = new AbortController();
+        const response = await fetch(baseUrl + path, { headers, signal: controller.signal });
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffered = "";
+
+        async function next() {
+            while (!buffered.includes("\n\n")) {
+                const { value, done } = await reader.read();
+                assert.ok(!done, "이벤트를 받기 전에 스트림이 끝났습니다.");
+                buffered += value;
+            }
+            const end = buffered.indexOf("\n\n");
+            const block = buffered.slice(0, end);
+            buffered = buffered.slice(end + 2);
+            return parseMessage(block);
+        }
+
+        async function nextEvent() {
+            let message = await next();
+            while (!message.event) {
+                message = await next();
+            }
+            return message;
+        }
+
+        return { response, next, nextEvent, close: () => controller.abort() };
+    }
+
+    const writeComment = (postId, comment = "댓글") => request("POST", `/api/posts/${postId}/comments`, { token, body: { comment } });
+
+    describe("GET /api/events", () => {
+        it("게시글과 댓글의 작성, 수정, 삭제를 이벤트로 보냅니다.", async () => {
+            const stream = await connect("/api/events");
+            try {
+                assert.equal(stream.response.status, 200);
+                assert.match(stream.response.headers.get("content-type"), /^text\/event-stream/);
+                assert.equal(stream.response.headers.get("cache-control"), "no-cache");
+                assert.equal((await stream.next()).retry, "3000");
+
+                const created = await request("POST", "/api/posts", { token, body: { title: "제목", content: "내용" } });
+                const { postId } = created.body.data;
+                const comment = await writeComment(postId);
+                const { commentId } = comment.body.data;
+                await request("PUT", `/api/posts/${postId}/comments/${commentId}`, { token, body: { comment: "수정" } });
+                await request("DELETE", `/api/posts/${postId}/comments/${commentId}`, { token });
+                await request("PUT", `/api/posts/${postId}`, { token, body: { title: "수정" } });
+                await request("DELETE", `/api/posts/${postId}`, { token });
+
+                const events = [];
+                for (let i = 0; i < 6; i++) {
+                    events.push(await stream.nextEvent());
+                }
+                assert.deepEqual(events.map(({ event }) => event), [
+                    "post.created",
+                    "comment.created",
+                    "comment.updated",
+                    "comment.deleted",
+                    "post.updated",
+                    "post.deleted",
+                ]);
+                assert.deepEqual(events[0].data, { postId, board: "free" });
+                assert.deepEqual(events[1].data, { postId, commentId, ParentId: null });
+                assert.ok(events.every(({ id }) => id));
+            } finally {
+                stream.close();
+            }
+        });
+
+        it("postId를 보내면 그 게시글의 이벤트만 보냅니다.", async () => {
+            const post = await createPost();
+            const other = await createPost();
+
+            const stream = await connect(`/api/events?postId=${post.postId}`);
+            try {
+                await writeComment(other.postId);
+                const comment = await writeComment(post.postId);
+
+                const event = await stream.nextEvent();
+                assert.equal(event.event, "comment.created");
+                assert.equal(event.data.commentId, comment.body.data.commentId);
+            } finally {
+                stream.close();
+            }
+        });
+
+        it("다시 연결하면 Last-Event-ID 다음 이벤트부터 보냅니다.", async () => {
+            const post = await createPost();
+
+            const first = await connect(`/api/events?postId=${post.postId}`);
+            await writeComment(post.postId, "첫 번째");
+            const { id: lastEventId } = await first.nextEvent();
+            first.close();
+
+            const missed = [await writeComment(post.postId, "두 번째"), await writeComment(post.postId, "세 번째")];
+
+            const stream = await connect(`/api/events?postId=${post.postId}`, { "Last-Event-ID": lastEventId });
+            try {
+                const replayed = [await stream.nextEvent(), await stream.nextEvent()];
+                assert.deepEqual(
+                    replayed.map(({ data }) => data.commentId),
+                    missed.map((res) => res.body.data.commentId)
+                );
+            } finally {
+                stream.close();
+            }
+        });
+
+        it("놓친 이벤트를 보낼 수 없으면 reset 이벤트를 보냅니다.", async () => {
+            const stream = await connect("/api/events", { "Last-Event-ID": "old-server:42" });
+            try {
+                const event = await stream.nextEvent();
+                assert.equal(event.event, "reset");
+                assert.ok(event.id);
+            } finally {
+                stream.close();
+            }
+        });
+
+        it("이벤트가 없어도 heartbeat를 보냅니다.", async () => {
+            const post = await createPost();
+            const stream = await connect(`/api/events?postId=${post.postId}`);
+            try {
+                await stream.next(); // retry
+                assert.equal((await stream.next()).comment, "heartbeat");
+            } finally {
+                stream.close();
+            }
+        });
+
+        it("없는 게시글은 구독할 수 없습니다.", async () => {
+            const res = await request("GET", "/api/events?postId=999999");
+            assert.equal(res.status, 404);
+            assert.equal(res.body.code, "POST_NOT_FOUND");
+        });
+    });
+
+    describe("MemoryEventHub", () => {
+        it("replaySize를 넘어 밀려난 이벤트 다음부터는 이어받을 수 없습니다.", () => {
+            const hub = new MemoryEventHub({ replaySize: 2 });
+            const [first, second, third, fourth] = ["a", "b", "c", "d"].map((name) => hub.publish("test", { postId: 1, name }));
+
+            // second가 밀려났으므로 first 다음부터는 보낼 수 없습니다.
+            assert.equal(hub.eventsAfter(first.id), null);
+            assert.deepEqual(hub.eventsAfter(second.id), [third, fourth]);
+            assert.deepEqual(hub.eventsAfter(fourth.id), []);
+            assert.equal(hub.eventsAfter(`${fourth.id}0`), null);
+        });
+    });
+});
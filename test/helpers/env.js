@@ -0,0 +1,13 @@
+const os = require("os");
+const path = require("path");
+
+// 테스트는 메모리 SQLite로 실행합니다. (config/database.js: NODE_ENV=test이면 DB_STORAGE 기본값이 :memory:)
+// config를 불러오기 전에 설정해야 하므로 모든 테스트 헬퍼가 가장 먼저 불러옵니다.
+process.env.NODE_ENV = "test";
+process.env.DB_DIALECT = "sqlite";
+process.env.DB_STORAGE = ":memory:";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+// 모든 응답을 OpenAPI 문서와 대조합니다. (middlewares/contract-middleware.js)
+process.env.CONTRACT_TEST = "true";
+// 첨부파일은 프로세스마다 임시 디렉터리에 저장하고, 서버를 닫을 때 지웁니다. (test/helpers/server.js)
+process.env.ATTACHMENT_DIR = path.join(os.tmpdir(), `express-post-test-${process.pid}`);
@@ -0,0 +1,74 @@
+require("./env");
+const { Users, Posts, Comments, Boards } = require("../../models");
+const { hashPassword } = require("../../utils/password");
+const { issueTokenPair } = require("../../utils/token");
+
+// 닉네임 등 고유해야 하는 값에 붙이는 일련번호
+let sequence = 0;
+const next = () => ++sequence;
+
+/**
+ * @brief 테스트용 사용자를 만듭니다.
+ * @param overrides Users 컬럼 값 (password는 평문으로 넘기면 해시해서 저장합니다.)
+ * @returns 생성한 사용자 (user.plainPassword에 평문 비밀번호)
+ */
+async function createUser({ password = "pass1234", ...overrides } = {}) {
+    const user = await Users.create({
+        nickname: `tester${next()}`,
+        password: await hashPassword(password),
+        ...overrides,
+    });
+    user.plainPassword = password;
+    return user;
+}
+
+/**
+ * @brief 로그인 API를 거치지 않고 사용자의 Access Token을 발급합니다.
+ */
+async function tokenFor(user) {
+    const { accessToken } = await issueTokenPair(user.userId);
+    return accessToken;
+}
+
+/**
+ * @brief 마이그레이션으로 만든 게시판을 찾습니다. (notice, qna, free)
+ */
+function findBoard(slug) {
+    return Boards.findOne({ where: { slug } });
+}
+
+/**
+ * @brief 테스트용 게시글을 만듭니다. 작성자를 넘기지 않으면 새 사용자를 만듭니다.
+ * @note 게시판을 넘기지 않으면 자유게시판(free)에 만듭니다.
+ */
+async function createPost({ user, board, ...overrides } = {}) {
+    const author = user || (await createUser());
+    const target = board || (await findBoard("free"));
+    const n = next();
+    return Posts.create({
+        UserId: author.userId,
+        BoardId: target.boardId,
+        title: `제목 ${n}`,
+        content: `내용 ${n}`,
+        ...overrides,
+    });
+}
+
+/**
+ * @brief 테스트용 댓글을 만듭니다. 게시글, 작성자를 넘기지 않으면 새로 만듭니다.
+ * @note parent를 넘기면 그 댓글의 답글로 만듭니다.
+ */
+async function createComment({ post, user, parent, ...overrides } = {}) {
+    const target = post || (await createPost());
+    const author = user || (await createUser());
+    return Comments.create({
+        PostId: target.postId,
+        UserId: author.userId,
+        ParentId: parent ? parent.commentId : null,
+        depth: parent ? parent.depth + 1 : 0,
+        comment: `댓글 ${next()}`,
+        ...overrides,
+    });
+}
+
+module.exports = { createUser, tokenFor, findBoard, createPost, createComment };
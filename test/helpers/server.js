@@ -0,0 +1,80 @@
+require("./env");
+const fs = require("fs");
+const path = require("path");
+const assert = require("node:assert/strict");
+const { sequelize, Sequelize } = require("../../models");
+const app = require("../../app");
+const { takeViolations } = require("../../middlewares/contract-middleware");
+const config = require("../../config");
+
+const MIGRATIONS_DIR = path.join(__dirname, "../../migrations");
+
+/**
+ * @brief migrations/의 마이그레이션을 파일 이름 순서대로 적용합니다.
+ * @note sequelize-cli db:migrate와 같은 스키마로 테스트합니다. (sequelize.sync()를 사용하지 않습니다.)
+ */
+async function migrate() {
+    const queryInterface = sequelize.getQueryInterface();
+    const files = fs.readdirSync(MIGRATIONS_DIR).filter((file) => file.endsWith(".js")).sort();
+
+    for (const file of files) {
+        await require(path.join(MIGRATIONS_DIR, file)).up(queryInterface, Sequelize);
+    }
+}
+
+/**
+ * @brief 마이그레이션을 적용한 뒤 비어 있는 포트로 app을 실행합니다.
+ * @returns { request, close, baseUrl }
+ * request(method, url, { body, token, headers })는 { status, headers, body }를 반환합니다.
+ * token을 넘기면 Authorization 헤더로 전달합니다. body가 FormData이면 multipart/form-data로 보냅니다.
+ * 응답 body는 JSON이면 객체, 텍스트(text/*)면 문자열, 그 밖의 파일은 Buffer입니다.
+ * 응답이 OpenAPI 문서와 다르면 그 요청에서 테스트가 실패합니다.
+ * 응답이 끝나지 않는 요청(Server-Sent Events)은 baseUrl로 직접 fetch합니다.
+ */
+async function startServer() {
+    await migrate();
+
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    async function request(method, url, { body, token, headers = {} } = {}) {
+        const isForm = body instanceof FormData;
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers: {
+                // FormData는 fetch가 boundary를 포함한 Content-Type을 붙입니다.
+                ...(body !== undefined && !isForm && { "Content-Type": "application/json" }),
+                ...(token && { Authorization: `Bearer ${token}` }),
+                ...headers,
+            },
+            body: body !== undefined && !isForm ? JSON.stringify(body) : body,
+        });
+        const raw = Buffer.from(await response.arrayBuffer());
+        const text = raw.toString("utf8");
+        const contentType = response.headers.get("content-type") || "";
+
+        const violations = takeViolations(response.headers.get("X-Request-Id"));
+        assert.deepEqual(violations, [], `${method} ${url} 응답이 OpenAPI 문서와 다릅니다.`);
+
+        let responseBody = text;
+        if (text && contentType.includes("json")) {
+            responseBody = JSON.parse(text);
+        } else if (raw.length && contentType && !contentType.startsWith("text/")) {
+            responseBody = raw;
+        }
+        return { status: response.status, headers: response.headers, body: responseBody };
+    }
+
+    async function close() {
+        await new Promise((resolve) => server.close(resolve));
+        await sequelize.close();
+        // 테스트에서 올린 첨부파일 (test/helpers/env.js)
+        fs.rmSync(config.attachments.dir, { recursive: true, force: true });
+    }
+
+    return { request, close, baseUrl };
+}
+
+module.exports = { startServer };
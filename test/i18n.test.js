@@ -0,0 +1,50 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { createUser, tokenFor } = require("./helpers/factories");
+
+describe("응답 언어", () => {
+    let request;
+    let close;
+
+    before(async () => {
+        ({ request, close } = await startServer());
+    });
+    after(() => close());
+
+    const failLogin = (headers) => request("POST", "/api/login", { headers, body: { nickname: "nobody", password: "qwer1234" } });
+
+    it("Accept-Language에 맞는 언어로 메세지를 응답합니다.", async () => {
+        const res = await failLogin({ "Accept-Language": "en" });
+        assert.equal(res.status, 412);
+        assert.equal(res.body.code, "LOGIN_FAILED");
+        assert.equal(res.body.message, "Please check your nickname or password.");
+        assert.equal(res.headers.get("content-language"), "en");
+
+        const user = await createUser();
+        const login = await request("POST", "/api/login", {
+            headers: { "Accept-Language": "en-US,en;q=0.9" },
+            body: { nickname: user.nickname, password: user.plainPassword },
+        });
+        assert.equal(login.body.message, "Logged in.");
+    });
+
+    it("지원하지 않는 언어이면 기본 언어(ko)로 응답합니다.", async () => {
+        const res = await failLogin({ "Accept-Language": "fr-FR,fr;q=0.9" });
+        assert.equal(res.body.code, "LOGIN_FAILED");
+        assert.equal(res.body.message, "닉네임 또는 패스워드를 확인해주세요.");
+        assert.equal(res.headers.get("content-language"), "ko");
+    });
+
+    it("로그인한 사용자의 언어 설정을 Accept-Language보다 우선합니다.", async () => {
+        const user = await createUser({ locale: "en" });
+
+        const res = await request("POST", "/api/posts/999999/comments", {
+            token: await tokenFor(user),
+            headers: { "Accept-Language": "ko" },
+            body: { comment: "댓글" },
+        });
+        assert.equal(res.body.code, "POST_NOT_FOUND");
+        assert.equal(res.body.message, "The post does not exist.");
+    });
+});
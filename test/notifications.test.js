@@ -0,0 +1,190 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { createUser, tokenFor, createPost, createComment } = require("./helpers/factories");
+const { parseMentions } = require("../utils/notifications");
+const { Posts, Comments, Notifications } = require("../models");
+
+describe("알림", () => {
+    let request;
+    let close;
+
+    before(async () => {
+        ({ request, close } = await startServer());
+    });
+    after(() => close());
+
+    // 사용자와 토큰을 새로 만듭니다. (알림함이 비어 있는 사용자)
+    async function login() {
+        const user = await createUser();
+        return { user, token: await tokenFor(user) };
+    }
+
+    const inbox = async (token, query = "") => (await request("GET", `/api/notifications${query}`, { token })).body;
+    const unreadCount = async (token) => (await request("GET", "/api/notifications/unread-count", { token })).body.data.count;
+
+    describe("parseMentions", () => {
+        it("@ 뒤의 닉네임을 중복 없이 찾고, 이메일 주소는 멘션으로 보지 않습니다.", () => {
+            assert.deepEqual(parseMentions("@alice 안녕하세요 @bob, @alice! (@carol) mail@dave.com @ab"), ["alice", "bob", "carol"]);
+        });
+    });
+
+    describe("알림 만들기", () => {
+        it("내 게시글에 댓글, 내 댓글에 답글이 달리면 알림을 받습니다.", async () => {
+            const postAuthor = await login();
+            const commenter = await login();
+            const replier = await login();
+            const post = await createPost({ user: postAuthor.user });
+
+            const created = await request("POST", `/api/posts/${post.postId}/comments`, {
+                token: commenter.token,
+                body: { comment: "댓글" },
+            });
+            const commentId = created.body.data.commentId;
+            await request("POST", `/api/posts/${post.postId}/comments`, {
+                token: replier.token,
+                body: { comment: "답글", parentId: commentId },
+            });
+
+            const [reply, comment] = (await inbox(postAuthor.token)).data;
+            assert.deepEqual([reply.type, reply.Actor.nickname], ["comment", replier.user.nickname]);
+            assert.deepEqual([comment.type, comment.Actor.nickname, comment.CommentId], ["comment", commenter.user.nickname, commentId]);
+            assert.equal(comment.Post.title, post.title);
+
+            const [toCommenter] = (await inbox(commenter.token)).data;
+            assert.deepEqual([toCommenter.type, toCommenter.Actor.nickname], ["reply", replier.user.nickname]);
+            assert.equal((await inbox(replier.token)).data.length, 0);
+        });
+
+        it("게시글과 댓글에서 닉네임을 멘션하면 알림을 받고, 같은 사용자에게는 하나만 보냅니다.", async () => {
+            const writer = await login();
+            const friend = await login();
+            const post = await createPost({ user: friend.user });
+
+            const created = await request("POST", "/api/posts", {
+                token: writer.token,
+                body: { title: "멘션", content: `@${friend.user.nickname} @${friend.user.nickname} @nobody123 @${writer.user.nickname}` },
+            });
+            assert.equal(created.status, 201);
+            await request("POST", `/api/posts/${post.postId}/comments`, {
+                token: writer.token,
+                body: { comment: `@${friend.user.nickname} 확인해주세요` },
+            });
+
+            const [comment, mention] = (await inbox(friend.token)).data;
+            assert.deepEqual([mention.type, mention.PostId, mention.CommentId], ["mention", created.body.data.postId, null]);
+            // 게시글 작성자를 멘션한 댓글은 comment 알림 하나만 보냅니다.
+            assert.equal(comment.type, "comment");
+            assert.equal(await unreadCount(friend.token), 2);
+            assert.equal(await unreadCount(writer.token), 0);
+        });
+
+        it("수정하면서 새로 멘션한 사용자에게만 알림을 보냅니다.", async () => {
+            const writer = await login();
+            const first = await login();
+            const second = await login();
+            const note = await createComment({ user: writer.user, comment: `@${first.user.nickname}` });
+
+            const res = await request("PUT", `/api/posts/${note.PostId}/comments/${note.commentId}`, {
+                token: writer.token,
+                body: { comment: `@${first.user.nickname} @${second.user.nickname}` },
+            });
+            assert.equal(res.status, 200);
+
+            assert.equal(await unreadCount(first.token), 0);
+            const [mention] = (await inbox(second.token)).data;
+            assert.deepEqual([mention.type, mention.CommentId], ["mention", note.commentId]);
+        });
+    });
+
+    describe("알림 저장 실패", () => {
+        it("알림을 만들지 못하면 게시글과 댓글도 저장하지 않습니다.", async (t) => {
+            const writer = await login();
+            const friend = await login();
+            const post = await createPost({ user: friend.user });
+            t.mock.method(Notifications, "bulkCreate", async () => {
+                throw new Error("알림 저장 실패");
+            });
+
+            const comment = await request("POST", `/api/posts/${post.postId}/comments`, {
+                token: writer.token,
+                body: { comment: "댓글" },
+            });
+            assert.equal(comment.status, 500);
+            assert.equal(await Comments.count({ where: { PostId: post.postId } }), 0);
+
+            const created = await request("POST", "/api/posts", {
+                token: writer.token,
+                body: { title: "멘션", content: `@${friend.user.nickname}` },
+            });
+            assert.equal(created.status, 500);
+            assert.equal(await Posts.count({ where: { UserId: writer.user.userId } }), 0);
+        });
+    });
+
+    describe("알림함", () => {
+        // 다른 사용자가 count개의 댓글을 달아 알림을 count개 받은 사용자
+        async function withNotifications(count) {
+            const owner = await login();
+            const post = await createPost({ user: owner.user });
+            const commenter = await login();
+            for (let i = 0; i < count; i++) {
+                await request("POST", `/api/posts/${post.postId}/comments`, { token: commenter.token, body: { comment: `댓글 ${i}` } });
+            }
+            return { ...owner, post };
+        }
+
+        it("최신순으로 커서 페이지네이션합니다.", async () => {
+            const { token } = await withNotifications(3);
+
+            const first = await inbox(token, "?limit=2");
+            assert.equal(first.data.length, 2);
+            assert.ok(first.data[0].notificationId > first.data[1].notificationId);
+
+            const second = await inbox(token, `?limit=2&cursor=${first.nextCursor}`);
+            assert.equal(second.data.length, 1);
+            assert.equal(second.nextCursor, null);
+            assert.ok(second.data[0].notificationId < first.data[1].notificationId);
+        });
+
+        it("알림을 읽음으로 표시하고 읽지 않은 알림만 조회합니다.", async () => {
+            const { token } = await withNotifications(3);
+            const [latest] = (await inbox(token)).data;
+
+            const read = await request("POST", `/api/notifications/${latest.notificationId}/read`, { token });
+            assert.equal(read.status, 200);
+            assert.equal(await unreadCount(token), 2);
+            assert.ok(!(await inbox(token, "?unread=true")).data.some((item) => item.notificationId === latest.notificationId));
+
+            const readAll = await request("POST", "/api/notifications/read-all", { token });
+            assert.equal(readAll.status, 200);
+            assert.equal(await unreadCount(token), 0);
+            assert.equal((await inbox(token, "?unread=true")).data.length, 0);
+            assert.ok((await inbox(token)).data.every((item) => item.readAt));
+        });
+
+        it("다른 사용자의 알림은 읽음으로 표시할 수 없습니다.", async () => {
+            const { token } = await withNotifications(1);
+            const [notification] = (await inbox(token)).data;
+
+            const other = await login();
+            const res = await request("POST", `/api/notifications/${notification.notificationId}/read`, { token: other.token });
+            assert.equal(res.status, 404);
+            assert.equal(res.body.code, "NOTIFICATION_NOT_FOUND");
+            assert.equal(await unreadCount(token), 1);
+        });
+
+        it("휴지통에 있는 게시글의 알림은 보이지 않습니다.", async () => {
+            const { token, post } = await withNotifications(1);
+
+            await post.destroy();
+            assert.equal((await inbox(token)).data.length, 0);
+            assert.equal(await unreadCount(token), 0);
+        });
+
+        it("로그인하지 않으면 알림함을 볼 수 없습니다.", async () => {
+            const res = await request("GET", "/api/notifications");
+            assert.equal(res.status, 401);
+        });
+    });
+});
@@ -0,0 +1,52 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const routers = require("../routes");
+
+describe("OpenAPI 문서", () => {
+    let request;
+    let close;
+    let spec;
+
+    before(async () => {
+        ({ request, close } = await startServer());
+        spec = (await request("GET", "/api-docs.json")).body;
+    });
+    after(() => close());
+
+    it("/api-docs.json으로 OpenAPI 문서를 JSON으로 응답합니다.", () => {
+        assert.equal(spec.openapi, "3.0.3");
+        assert.ok(spec.components.schemas.CreatePostRequest);
+    });
+
+    it("요청 검사 스키마가 있는 모든 라우트를 문서에 싣습니다.", () => {
+        const documented = Object.entries(spec.paths).flatMap(([path, methods]) =>
+            Object.keys(methods).map((method) => `${method} ${path}`)
+        );
+        const routes = routers.flatMap((router) => router.stack)
+            .filter(({ route }) => route && route.stack.some((layer) => layer.handle.openapi?.schema))
+            .flatMap(({ route }) => Object.keys(route.methods).map((method) =>
+                `${method} /api${route.path.replace(/:(\w+)/g, "{$1}")}`
+            ));
+
+        assert.deepEqual(documented.sort(), routes.sort());
+    });
+
+    it("미들웨어의 인증, 권한 에러를 문서에 싣습니다.", () => {
+        const { responses, security } = spec.paths["/api/posts/{postId}/comments/{commentId}"].put;
+
+        assert.deepEqual(security, [{ bearerAuth: [] }, { cookieAuth: [] }]);
+        assert.ok(responses[401].content["application/json"].schema.properties.code.enum.includes("TOKEN_MISSING"));
+        assert.ok(responses[401].content["application/json"].schema.properties.code.enum.includes("FORBIDDEN"));
+        assert.deepEqual(responses[404].content["application/json"].schema.properties.code.enum, ["COMMENT_NOT_FOUND"]);
+        assert.ok(responses[400].content["application/json"].schema.properties.errors);
+    });
+
+    it("라우트에서 던지는 에러 코드를 상태 코드별로 싣습니다.", () => {
+        const { responses } = spec.paths["/api/posts/{postId}/likes"].post;
+
+        assert.ok(responses[201]);
+        assert.deepEqual(responses[404].content["application/json"].schema.properties.code.enum, ["POST_NOT_FOUND"]);
+        assert.deepEqual(responses[409].content["application/json"].schema.properties.code.enum, ["ALREADY_LIKED"]);
+    });
+});
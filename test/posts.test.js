@@ -0,0 +1,345 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { createUser, tokenFor, createPost, createComment } = require("./helpers/factories");
+const { Posts, PostLikes } = require("../models");
+const { encodeCursor } = require("../utils/pagination");
+
+describe("게시글", () => {
+    let request;
+    let close;
+    let author;
+    let token;
+
+    before(async () => {
+        ({ request, close } = await startServer());
+        author = await createUser();
+        token = await tokenFor(author);
+    });
+    after(() => close());
+
+    describe("POST /api/posts", () => {
+        it("게시글을 작성합니다.", async () => {
+            const res = await request("POST", "/api/posts", { token, body: { title: "제목", content: "내용" } });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.data.title, "제목");
+            assert.equal(res.body.data.UserId, author.userId);
+        });
+
+        it("로그인하지 않으면 TOKEN_MISSING으로 응답합니다.", async () => {
+            const res = await request("POST", "/api/posts", { body: { title: "제목", content: "내용" } });
+            assert.equal(res.status, 401);
+            assert.equal(res.body.code, "TOKEN_MISSING");
+        });
+
+        it("제목이 비어 있으면 VALIDATION_FAILED로 응답합니다.", async () => {
+            const res = await request("POST", "/api/posts", { token, body: { title: "  ", content: "내용" } });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, "VALIDATION_FAILED");
+            assert.deepEqual(res.body.errors.map((error) => error.field), ["title"]);
+        });
+    });
+
+    describe("GET /api/posts", () => {
+        it("게시글 목록을 최신순으로 조회합니다.", async () => {
+            const older = await createPost({ user: author });
+            const newer = await createPost({ user: author });
+
+            const res = await request("GET", "/api/posts");
+            assert.equal(res.status, 200);
+
+            const ids = res.body.data.map((post) => post.postId);
+            assert.ok(ids.indexOf(newer.postId) < ids.indexOf(older.postId));
+        });
+
+        it("limit, cursor로 다음 페이지를 조회합니다.", async () => {
+            await createPost();
+            await createPost();
+
+            const first = await request("GET", "/api/posts?limit=1");
+            assert.equal(first.body.data.length, 1);
+            assert.ok(first.body.nextCursor);
+
+            const second = await request("GET", `/api/posts?limit=1&cursor=${encodeURIComponent(first.body.nextCursor)}`);
+            assert.equal(second.body.data.length, 1);
+            assert.notEqual(second.body.data[0].postId, first.body.data[0].postId);
+        });
+    });
+
+    describe("GET /api/posts 정렬과 필터", () => {
+        // 작성자 닉네임으로 필터링한 목록을 limit개씩 끝까지 조회합니다.
+        async function listAll(user, query = {}, limit = 1) {
+            const ids = [];
+            let cursor = null;
+            do {
+                const params = new URLSearchParams({ nickname: user.nickname, limit, ...query, ...(cursor && { cursor }) });
+                const res = await request("GET", `/api/posts?${params}`);
+                assert.equal(res.status, 200);
+                ids.push(...res.body.data.map((post) => post.postId));
+                cursor = res.body.nextCursor;
+            } while (cursor);
+            return ids;
+        }
+
+        // 작성 시각을 바꿉니다. (updatedAt은 그대로 둡니다.)
+        const setCreatedAt = (post, createdAt) => Posts.update({ createdAt }, { where: { postId: post.postId }, silent: true });
+
+        // 같은 사용자의 게시글을 count개 만듭니다. (작성 순서)
+        async function createPosts(user, count) {
+            const posts = [];
+            for (let i = 0; i < count; i++) {
+                posts.push(await createPost({ user }));
+            }
+            return posts;
+        }
+
+        it("nickname으로 작성자를 거르고 oldest는 오래된 순으로 조회합니다.", async () => {
+            const user = await createUser();
+            const posts = await createPosts(user, 3);
+            await createPost();
+
+            assert.deepEqual(await listAll(user, { sort: "oldest" }), posts.map((post) => post.postId));
+            assert.deepEqual(await listAll(user, { sort: "newest" }, 2), posts.map((post) => post.postId).reverse());
+        });
+
+        it("comments, likes는 많은 순으로, 같으면 최신 게시글부터 조회합니다.", async () => {
+            const user = await createUser();
+            const [none, two, one, alsoOne] = await createPosts(user, 4);
+            await createComment({ post: two });
+            await createComment({ post: two });
+            await createComment({ post: one });
+            await createComment({ post: alsoOne });
+            // 휴지통에 있는 댓글은 세지 않습니다.
+            await (await createComment({ post: none })).destroy();
+
+            assert.deepEqual(await listAll(user, { sort: "comments" }), [two, alsoOne, one, none].map((post) => post.postId));
+
+            for (const post of [one, one, alsoOne]) {
+                await PostLikes.create({ PostId: post.postId, UserId: (await createUser()).userId });
+            }
+            assert.deepEqual(await listAll(user, { sort: "likes" }), [one, alsoOne, two, none].map((post) => post.postId));
+        });
+
+        it("from, to로 작성 기간을 거릅니다.", async () => {
+            const user = await createUser();
+            const [january, february, march] = await createPosts(user, 3);
+            await setCreatedAt(january, new Date("2024-01-15T00:00:00Z"));
+            await setCreatedAt(february, new Date("2024-02-15T00:00:00Z"));
+            await setCreatedAt(march, new Date("2024-03-15T00:00:00Z"));
+
+            const ids = await listAll(user, { from: "2024-02-01T00:00:00Z", to: "2024-03-15T00:00:00Z" }, 20);
+            assert.deepEqual(ids, [march.postId, february.postId]);
+            assert.deepEqual(await listAll(user, { to: "2024-01-31T00:00:00Z" }, 20), [january.postId]);
+        });
+
+        it("정렬 기준이나 기간 형식이 잘못되면 VALIDATION_FAILED로 응답합니다.", async () => {
+            const sort = await request("GET", "/api/posts?sort=popular");
+            assert.equal(sort.status, 400);
+            assert.equal(sort.body.code, "VALIDATION_FAILED");
+            assert.equal(sort.body.message, "정렬 기준이 올바르지 않습니다.");
+
+            const range = await request("GET", "/api/posts?from=yesterday");
+            assert.equal(range.status, 400);
+            assert.equal(range.body.code, "VALIDATION_FAILED");
+            assert.equal(range.body.message, "조회 기간이 올바르지 않습니다.");
+        });
+
+        it("다른 정렬 기준의 커서나 정렬 기준값이 잘못된 커서는 INVALID_CURSOR로 응답합니다.", async () => {
+            await createPost();
+            await createPost();
+            const newest = await request("GET", "/api/posts?limit=1");
+
+            const cursors = [
+                ["comments", newest.body.nextCursor],
+                ["comments", encodeCursor({ s: "comments", v: "1e400", id: 1 })],
+                ["likes", encodeCursor({ s: "likes", v: null, id: 1 })],
+                ["oldest", encodeCursor({ s: "oldest", v: "not a date", id: 1 })],
+            ];
+            for (const [sort, cursor] of cursors) {
+                const res = await request("GET", `/api/posts?sort=${sort}&cursor=${cursor}`);
+                assert.equal(res.status, 400);
+                assert.equal(res.body.code, "INVALID_CURSOR");
+            }
+        });
+    });
+
+    describe("GET /api/posts/:postId", () => {
+        it("게시글을 조회합니다.", async () => {
+            const post = await createPost({ user: author, title: "조회할 제목" });
+
+            const res = await request("GET", `/api/posts/${post.postId}`);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.title, "조회할 제목");
+            assert.equal(res.body.data.User.nickname, author.nickname);
+            assert.equal(res.body.data.edited, false);
+        });
+
+        it("Markdown 원문과 스크립트 등을 제거한 HTML을 함께 응답합니다.", async () => {
+            const content = [
+                "## 소제목",
+                "**굵게** <script>alert(1)</script>",
+                "[위험한 링크](javascript:alert(1)) [외부 링크](https://example.com)",
+                "<iframe src=\"https://evil.example.com\"></iframe>",
+            ].join("\n\n");
+            const post = await createPost({ user: author, content });
+
+            const res = await request("GET", `/api/posts/${post.postId}`);
+            assert.equal(res.body.data.content, content);
+
+            const html = res.body.data.contentHtml;
+            assert.match(html, /<h2>소제목<\/h2>/);
+            assert.match(html, /<strong>굵게<\/strong> &lt;script&gt;/);
+            assert.doesNotMatch(html, /<script|<iframe|href="javascript:/);
+            assert.match(html, /<a href="https:\/\/example\.com" rel="nofollow noopener noreferrer" target="_blank">/);
+        });
+
+        it("255자보다 긴 내용을 작성할 수 있습니다.", async () => {
+            const content = "가".repeat(5000);
+            const created = await request("POST", "/api/posts", { token, body: { title: "긴 글", content } });
+            assert.equal(created.status, 201);
+
+            const res = await request("GET", `/api/posts/${created.body.data.postId}`);
+            assert.equal(res.body.data.content, content);
+        });
+
+        it("최대 길이는 바이트가 아닌 글자 수로 셉니다.", async () => {
+            // 4 byte 문자 20,000자 (80,000 byte)
+            const content = "😀".repeat(20000);
+            const created = await request("POST", "/api/posts", { token, body: { title: "이모지", content } });
+            assert.equal(created.status, 201);
+            assert.equal((await Posts.findByPk(created.body.data.postId)).content, content);
+
+            const tooLong = await request("POST", "/api/posts", { token, body: { title: "이모지", content: `${content}😀` } });
+            assert.equal(tooLong.status, 400);
+            assert.equal(tooLong.body.code, "VALIDATION_FAILED");
+        });
+    });
+
+    describe("PUT /api/posts/:postId", () => {
+        it("작성자는 게시글을 수정할 수 있습니다.", async () => {
+            const post = await createPost({ user: author });
+
+            const res = await request("PUT", `/api/posts/${post.postId}`, { token, body: { title: "수정한 제목" } });
+            assert.equal(res.status, 200);
+
+            const updated = await request("GET", `/api/posts/${post.postId}`);
+            assert.equal(updated.body.data.title, "수정한 제목");
+            assert.equal(updated.body.data.edited, true);
+        });
+
+        it("다른 사용자의 게시글은 수정할 수 없습니다.", async () => {
+            const post = await createPost();
+
+            const res = await request("PUT", `/api/posts/${post.postId}`, { token, body: { title: "수정한 제목" } });
+            assert.equal(res.status, 401);
+            assert.equal(res.body.code, "FORBIDDEN");
+        });
+
+        it("moderator는 다른 사용자의 게시글을 수정할 수 있습니다.", async () => {
+            const post = await createPost();
+            const moderator = await createUser({ role: "moderator" });
+
+            const res = await request("PUT", `/api/posts/${post.postId}`, {
+                token: await tokenFor(moderator),
+                body: { title: "관리자가 수정한 제목", reason: "제목 정리" },
+            });
+            assert.equal(res.status, 200);
+        });
+
+        it("없는 게시글이면 POST_NOT_FOUND로 응답합니다.", async () => {
+            const res = await request("PUT", "/api/posts/999999", { token, body: { title: "수정한 제목" } });
+            assert.equal(res.status, 404);
+            assert.equal(res.body.code, "POST_NOT_FOUND");
+        });
+    });
+
+    describe("DELETE /api/posts/:postId", () => {
+        it("작성자는 게시글을 삭제할 수 있습니다.", async () => {
+            const post = await createPost({ user: author });
+
+            const res = await request("DELETE", `/api/posts/${post.postId}`, { token });
+            assert.equal(res.status, 200);
+
+            const list = await request("GET", "/api/posts");
+            assert.ok(!list.body.data.some((item) => item.postId === post.postId));
+        });
+
+        it("다른 사용자의 게시글은 삭제할 수 없습니다.", async () => {
+            const post = await createPost();
+
+            const res = await request("DELETE", `/api/posts/${post.postId}`, { token });
+            assert.equal(res.status, 401);
+            assert.equal(res.body.code, "FORBIDDEN");
+        });
+    });
+
+    describe("POST, DELETE /api/posts/:postId/likes", () => {
+        const like = (post, token) => request("POST", `/api/posts/${post.postId}/likes`, { token });
+        const unlike = (post, token) => request("DELETE", `/api/posts/${post.postId}/likes`, { token });
+
+        it("좋아요를 누르고 취소합니다.", async () => {
+            const post = await createPost();
+            const other = await tokenFor(await createUser());
+            await like(post, other);
+
+            const liked = await like(post, token);
+            assert.equal(liked.status, 201);
+            assert.deepEqual(liked.body.data, { likeCount: 2, liked: true });
+
+            const unliked = await unlike(post, token);
+            assert.equal(unliked.status, 200);
+            assert.deepEqual(unliked.body.data, { likeCount: 1, liked: false });
+        });
+
+        it("이미 누른 좋아요는 ALREADY_LIKED, 누르지 않은 좋아요 취소는 NOT_LIKED로 응답합니다.", async () => {
+            const post = await createPost();
+
+            const missing = await unlike(post, token);
+            assert.equal(missing.status, 404);
+            assert.equal(missing.body.code, "NOT_LIKED");
+
+            await like(post, token);
+            const duplicate = await like(post, token);
+            assert.equal(duplicate.status, 409);
+            assert.equal(duplicate.body.code, "ALREADY_LIKED");
+            assert.equal(await PostLikes.count({ where: { PostId: post.postId } }), 1);
+        });
+
+        it("목록과 상세 조회에 좋아요 수와 내 좋아요 여부를 응답합니다.", async () => {
+            const user = await createUser();
+            const post = await createPost({ user });
+            await like(post, token);
+            await like(post, await tokenFor(await createUser()));
+
+            const likesOf = (res) => [res.body.data.likeCount, res.body.data.liked];
+            assert.deepEqual(likesOf(await request("GET", `/api/posts/${post.postId}`, { token })), [2, true]);
+            assert.deepEqual(likesOf(await request("GET", `/api/posts/${post.postId}`)), [2, false]);
+
+            const list = (options) => request("GET", `/api/posts?nickname=${user.nickname}`, options);
+            const [mine] = (await list({ token })).body.data;
+            assert.deepEqual([mine.postId, mine.likeCount, mine.liked], [post.postId, 2, true]);
+            const [anonymous] = (await list()).body.data;
+            assert.deepEqual([anonymous.likeCount, anonymous.liked], [2, false]);
+        });
+
+        it("sort=likes로 좋아요가 많은 순서대로 다음 페이지를 조회합니다.", async () => {
+            const user = await createUser();
+            const [none, two, one] = [await createPost({ user }), await createPost({ user }), await createPost({ user })];
+            const likers = [await tokenFor(await createUser()), await tokenFor(await createUser())];
+            await like(two, likers[0]);
+            await like(two, likers[1]);
+            await like(one, likers[0]);
+
+            const pages = [];
+            let cursor = null;
+            do {
+                const params = new URLSearchParams({ nickname: user.nickname, sort: "likes", limit: 1, ...(cursor && { cursor }) });
+                const res = await request("GET", `/api/posts?${params}`);
+                pages.push(res.body.data.map((post) => [post.postId, post.likeCount]));
+                cursor = res.body.nextCursor;
+            } while (cursor);
+
+            assert.deepEqual(pages, [[[two.postId, 2]], [[one.postId, 1]], [[none.postId, 0]]]);
+        });
+    });
+});
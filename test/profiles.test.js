@@ -0,0 +1,142 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { createUser, tokenFor, createPost, createComment } = require("./helpers/factories");
+
+describe("프로필", () => {
+    let request;
+    let close;
+
+    before(async () => {
+        ({ request, close } = await startServer());
+    });
+    after(() => close());
+
+    describe("GET /api/users/:nickname", () => {
+        it("가입 날짜와 작성한 게시글/댓글 수를 조회합니다.", async () => {
+            const user = await createUser({ bio: "안녕하세요" });
+            const post = await createPost({ user });
+            await createPost({ user });
+            await createComment({ post, user });
+
+            const res = await request("GET", `/api/users/${user.nickname}`);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.nickname, user.nickname);
+            assert.equal(res.body.data.bio, "안녕하세요");
+            assert.equal(res.body.data.postCount, 2);
+            assert.equal(res.body.data.commentCount, 1);
+            assert.equal(res.body.data.joinedAt, user.createdAt.toISOString());
+        });
+
+        it("휴지통에 있는 게시글은 세지 않습니다.", async () => {
+            const user = await createUser();
+            const post = await createPost({ user });
+            await createComment({ post, user });
+            await post.destroy();
+
+            const res = await request("GET", `/api/users/${user.nickname}`);
+            assert.equal(res.body.data.postCount, 0);
+            assert.equal(res.body.data.commentCount, 0);
+        });
+
+        it("없는 닉네임이면 PROFILE_NOT_FOUND로 응답합니다.", async () => {
+            const res = await request("GET", "/api/users/nobody404");
+            assert.equal(res.status, 404);
+            assert.equal(res.body.code, "PROFILE_NOT_FOUND");
+        });
+    });
+
+    describe("GET /api/users/:nickname/posts, comments", () => {
+        it("작성한 게시글을 최신순으로 페이지 단위 조회합니다.", async () => {
+            const user = await createUser();
+            const older = await createPost({ user });
+            const newer = await createPost({ user });
+            await createPost(); // 다른 사용자의 게시글
+
+            const first = await request("GET", `/api/users/${user.nickname}/posts?limit=1`);
+            assert.equal(first.status, 200);
+            assert.deepEqual(first.body.data.map((post) => post.postId), [newer.postId]);
+
+            const second = await request(
+                "GET",
+                `/api/users/${user.nickname}/posts?limit=1&cursor=${encodeURIComponent(first.body.nextCursor)}`
+            );
+            assert.deepEqual(second.body.data.map((post) => post.postId), [older.postId]);
+            assert.equal(second.body.nextCursor, null);
+        });
+
+        it("작성한 댓글을 댓글을 단 게시글과 함께 조회합니다.", async () => {
+            const user = await createUser();
+            const post = await createPost({ title: "댓글 단 게시글" });
+            const comment = await createComment({ post, user });
+
+            const res = await request("GET", `/api/users/${user.nickname}/comments`);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.length, 1);
+            assert.equal(res.body.data[0].commentId, comment.commentId);
+            assert.equal(res.body.data[0].Post.title, "댓글 단 게시글");
+        });
+
+        it("잘못된 커서는 INVALID_CURSOR로 응답합니다.", async () => {
+            const user = await createUser();
+            const res = await request("GET", `/api/users/${user.nickname}/comments?cursor=broken`);
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, "INVALID_CURSOR");
+        });
+
+        it("활동 내역을 공개하지 않은 사용자의 목록은 본인만 조회할 수 있습니다.", async () => {
+            const user = await createUser({ showActivity: false });
+            await createPost({ user });
+
+            const other = await request("GET", `/api/users/${user.nickname}/posts`, {
+                token: await tokenFor(await createUser()),
+            });
+            assert.equal(other.status, 403);
+            assert.equal(other.body.code, "ACTIVITY_HIDDEN");
+
+            const own = await request("GET", `/api/users/${user.nickname}/posts`, { token: await tokenFor(user) });
+            assert.equal(own.status, 200);
+            assert.equal(own.body.data.length, 1);
+        });
+    });
+
+    describe("GET, PATCH /api/me", () => {
+        it("내 정보와 설정을 조회합니다.", async () => {
+            const user = await createUser({ locale: "en" });
+            const res = await request("GET", "/api/me", { token: await tokenFor(user) });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.userId, user.userId);
+            assert.equal(res.body.data.locale, "en");
+            assert.equal(res.body.data.showActivity, true);
+        });
+
+        it("소개와 활동 내역 공개 여부를 변경합니다.", async () => {
+            const user = await createUser();
+            const token = await tokenFor(user);
+
+            const res = await request("PATCH", "/api/me", { token, body: { bio: "  새 소개 ", showActivity: false } });
+            assert.equal(res.status, 200);
+
+            const me = await request("GET", "/api/me", { token });
+            assert.equal(me.body.data.bio, "새 소개");
+            assert.equal(me.body.data.showActivity, false);
+            assert.equal(me.body.data.locale, null);
+
+            await request("PATCH", "/api/me", { token, body: { bio: null } });
+            const cleared = await request("GET", "/api/me", { token });
+            assert.equal(cleared.body.data.bio, null);
+            assert.equal(cleared.body.data.showActivity, false);
+        });
+
+        it("소개가 너무 길면 VALIDATION_FAILED로 응답합니다.", async () => {
+            const user = await createUser();
+            const res = await request("PATCH", "/api/me", {
+                token: await tokenFor(user),
+                body: { bio: "가".repeat(301) },
+            });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, "VALIDATION_FAILED");
+            assert.deepEqual(res.body.errors.map((error) => error.field), ["bio"]);
+        });
+    });
+});
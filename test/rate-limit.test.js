@@ -0,0 +1,140 @@
+// 다른 테스트에 영향을 주지 않도록 이 파일에서만 제한을 낮춥니다. (테스트 파일은 프로세스마다 따로 실행됩니다.)
+process.env.RATE_LIMIT_SIGNUP_MAX = "2";
+process.env.RATE_LIMIT_LOGIN_MAX = "3";
+process.env.RATE_LIMIT_WRITE_MAX = "2";
+process.env.LOGIN_LOCKOUT_THRESHOLD = "2";
+process.env.LOGIN_LOCKOUT_BASE_SECONDS = "60";
+// X-Forwarded-For로 요청 IP를 바꿔가며 테스트합니다.
+process.env.TRUST_PROXY_HOPS = "1";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { createUser, tokenFor, createPost } = require("./helpers/factories");
+
+// 테스트마다 다른 IP에서 요청한 것처럼 보냅니다.
+let ipSequence = 0;
+const fromNewIp = () => ({ "X-Forwarded-For": `10.0.0.${++ipSequence}` });
+
+let request;
+let close;
+
+before(async () => {
+    ({ request, close } = await startServer());
+});
+after(() => close());
+
+describe("요청 수 제한", () => {
+    it("RateLimit-* 헤더로 남은 요청 수를 알려줍니다.", async () => {
+        const res = await request("POST", "/api/users", {
+            headers: fromNewIp(),
+            body: { nickname: "limited1", password: "qwer1234", confirmPassword: "qwer1234" },
+        });
+        assert.equal(res.status, 201);
+        assert.equal(res.headers.get("RateLimit-Limit"), "2");
+        assert.equal(res.headers.get("RateLimit-Remaining"), "1");
+        assert.ok(Number(res.headers.get("RateLimit-Reset")) > 0);
+    });
+
+    it("IP별 회원가입 수를 넘으면 Retry-After와 함께 TOO_MANY_REQUESTS로 응답합니다.", async () => {
+        const headers = fromNewIp();
+        const signup = (nickname) => request("POST", "/api/users", {
+            headers,
+            body: { nickname, password: "qwer1234", confirmPassword: "qwer1234" },
+        });
+
+        assert.equal((await signup("limited2")).status, 201);
+        assert.equal((await signup("limited3")).status, 201);
+
+        const res = await signup("limited4");
+        assert.equal(res.status, 429);
+        assert.equal(res.body.code, "TOO_MANY_REQUESTS");
+        assert.equal(res.headers.get("RateLimit-Remaining"), "0");
+        assert.ok(Number(res.headers.get("Retry-After")) > 0);
+
+        // 다른 IP는 제한되지 않습니다.
+        assert.equal((await request("POST", "/api/users", {
+            headers: fromNewIp(),
+            body: { nickname: "limited5", password: "qwer1234", confirmPassword: "qwer1234" },
+        })).status, 201);
+    });
+
+    it("IP별 로그인 요청 수를 제한합니다.", async () => {
+        const headers = fromNewIp();
+        for (let i = 0; i < 3; i++) {
+            const user = await createUser();
+            const res = await request("POST", "/api/login", { headers, body: { nickname: user.nickname, password: user.plainPassword } });
+            assert.equal(res.status, 200);
+        }
+
+        const user = await createUser();
+        const res = await request("POST", "/api/login", { headers, body: { nickname: user.nickname, password: user.plainPassword } });
+        assert.equal(res.status, 429);
+        assert.equal(res.body.code, "TOO_MANY_REQUESTS");
+    });
+
+    it("게시글, 댓글 작성은 IP가 달라도 사용자별로 함께 제한합니다.", async () => {
+        const token = await tokenFor(await createUser());
+        const post = await createPost();
+
+        assert.equal((await request("POST", "/api/posts", {
+            token,
+            headers: fromNewIp(),
+            body: { title: "제목", content: "내용" },
+        })).status, 201);
+        assert.equal((await request("POST", `/api/posts/${post.postId}/comments`, {
+            token,
+            headers: fromNewIp(),
+            body: { comment: "댓글" },
+        })).status, 201);
+
+        const res = await request("POST", "/api/posts", { token, headers: fromNewIp(), body: { title: "제목", content: "내용" } });
+        assert.equal(res.status, 429);
+
+        // 다른 사용자는 제한되지 않습니다.
+        const other = await tokenFor(await createUser());
+        assert.equal((await request("POST", "/api/posts", {
+            token: other,
+            body: { title: "제목", content: "내용" },
+        })).status, 201);
+    });
+});
+
+describe("로그인 잠금", () => {
+    // IP별 제한과 구분하기 위해 요청마다 다른 IP에서 로그인합니다.
+    const login = (nickname, password) => request("POST", "/api/login", {
+        headers: fromNewIp(),
+        body: { nickname, password },
+    });
+
+    it("연속으로 실패하면 올바른 비밀번호로도 로그인할 수 없습니다.", async () => {
+        const user = await createUser();
+
+        assert.equal((await login(user.nickname, "wrong")).body.code, "LOGIN_FAILED");
+        assert.equal((await login(user.nickname, "wrong")).body.code, "LOGIN_FAILED");
+
+        const res = await login(user.nickname, user.plainPassword);
+        assert.equal(res.status, 429);
+        assert.equal(res.body.code, "LOGIN_LOCKED");
+        assert.ok(Number(res.headers.get("Retry-After")) > 0);
+        assert.ok(Number(res.headers.get("Retry-After")) <= 60);
+    });
+
+    it("잠금 기준보다 적게 실패했으면 로그인에 성공하고 실패 횟수를 지웁니다.", async () => {
+        const user = await createUser();
+
+        assert.equal((await login(user.nickname, "wrong")).status, 412);
+        assert.equal((await login(user.nickname, user.plainPassword)).status, 200);
+        assert.equal((await login(user.nickname, "wrong")).status, 412);
+        assert.equal((await login(user.nickname, user.plainPassword)).status, 200);
+    });
+
+    it("대소문자만 다른 닉네임도 같은 잠금을 사용합니다.", async () => {
+        const user = await createUser();
+
+        await login(user.nickname.toUpperCase(), "wrong");
+        await login(user.nickname, "wrong");
+
+        assert.equal((await login(user.nickname, user.plainPassword)).body.code, "LOGIN_LOCKED");
+    });
+});
@@ -0,0 +1,150 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { createUser, tokenFor, createPost } = require("./helpers/factories");
+const { diffLines, MAX_EDIT_DISTANCE } = require("../utils/diff");
+
+// 줄 목록 -> 줄바꿈으로 이은 문자열
+const lines = (count, line) => Array.from({ length: count }, (_, i) => line(i)).join("\n");
+
+describe("게시글 수정 이력", () => {
+    let request;
+    let close;
+    let author;
+    let token;
+
+    before(async () => {
+        ({ request, close } = await startServer());
+        author = await createUser();
+        token = await tokenFor(author);
+    });
+    after(() => close());
+
+    const edit = (post, body) => request("PUT", `/api/posts/${post.postId}`, { token, body });
+
+    describe("수정 이력 저장", () => {
+        it("수정할 때마다 이력을 하나씩 저장하고, 1번은 최초 작성본입니다.", async () => {
+            const post = await createPost({ user: author, title: "처음 제목", content: "처음 내용" });
+
+            await edit(post, { content: "두 번째 내용" });
+            await edit(post, { title: "세 번째 제목" });
+
+            const list = await request("GET", `/api/posts/${post.postId}/revisions`);
+            assert.equal(list.status, 200);
+            assert.deepEqual(list.body.data.map((row) => [row.revision, row.title]), [
+                [3, "세 번째 제목"],
+                [2, "처음 제목"],
+                [1, "처음 제목"],
+            ]);
+
+            const first = await request("GET", `/api/posts/${post.postId}/revisions/1`);
+            assert.equal(first.body.data.content, "처음 내용");
+            assert.equal(first.body.data.Editor.nickname, author.nickname);
+        });
+
+        it("내용이 바뀌지 않은 수정은 이력을 남기지 않습니다.", async () => {
+            const post = await createPost({ user: author });
+
+            await edit(post, { title: post.title, content: post.content });
+
+            const list = await request("GET", `/api/posts/${post.postId}/revisions`);
+            assert.deepEqual(list.body.data, []);
+        });
+
+        it("없는 버전은 REVISION_NOT_FOUND로 응답합니다.", async () => {
+            const post = await createPost({ user: author });
+            await edit(post, { content: "수정" });
+
+            const single = await request("GET", `/api/posts/${post.postId}/revisions/3`);
+            assert.equal(single.status, 404);
+            assert.equal(single.body.code, "REVISION_NOT_FOUND");
+
+            const diff = await request("GET", `/api/posts/${post.postId}/revisions/diff?from=1&to=3`);
+            assert.equal(diff.status, 404);
+            assert.equal(diff.body.code, "REVISION_NOT_FOUND");
+        });
+    });
+
+    describe("GET /api/posts/:postId/revisions/diff", () => {
+        it("두 버전의 제목과 내용을 줄 단위로 비교합니다.", async () => {
+            const post = await createPost({ user: author, title: "제목", content: "a\nb\nc" });
+            await edit(post, { content: "a\nc\nd" });
+
+            const res = await request("GET", `/api/posts/${post.postId}/revisions/diff?from=1&to=2`);
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.data.title, [{ type: "equal", line: "제목" }]);
+            assert.deepEqual(res.body.data.content, [
+                { type: "equal", line: "a" },
+                { type: "delete", line: "b" },
+                { type: "equal", line: "c" },
+                { type: "insert", line: "d" },
+            ]);
+        });
+
+        it("최대 길이의 게시글을 모두 바꿔도 제한된 시간과 메모리 안에 비교합니다.", async () => {
+            // 한 글자 줄 10,000개 (20,000자 이하), 같은 줄이 많아 편집 경로가 길어지는 경우
+            const post = await createPost({ user: author, content: lines(10000, (i) => String(i % 7)) });
+            const updated = await edit(post, { content: lines(10000, (i) => String(i % 5)) });
+            assert.equal(updated.status, 200);
+
+            const rss = process.memoryUsage().rss;
+            const startedAt = Date.now();
+            const res = await request("GET", `/api/posts/${post.postId}/revisions/diff?from=1&to=2`);
+            assert.equal(res.status, 200);
+            assert.ok(Date.now() - startedAt < 3000, "비교에 3초 넘게 걸렸습니다.");
+            assert.ok(process.memoryUsage().rss - rss < 200 * 1024 * 1024, "비교에 200MB 넘게 사용했습니다.");
+
+            const { content } = res.body.data;
+            assert.equal(content.filter(({ type }) => type !== "insert").length, 10000);
+            assert.equal(content.filter(({ type }) => type !== "delete").length, 10000);
+        });
+    });
+
+    describe("diffLines", () => {
+        it("같은 줄은 equal, 지운 줄은 delete, 추가한 줄은 insert로 표시합니다.", () => {
+            assert.deepEqual(diffLines("a\nb\nc", "a\nx\nc\nd"), [
+                { type: "equal", line: "a" },
+                { type: "delete", line: "b" },
+                { type: "insert", line: "x" },
+                { type: "equal", line: "c" },
+                { type: "insert", line: "d" },
+            ]);
+            assert.deepEqual(diffLines("a\r\nb", "a\nb"), [
+                { type: "equal", line: "a" },
+                { type: "equal", line: "b" },
+            ]);
+        });
+
+        it("빈 문자열은 줄이 없는 것으로 봅니다.", () => {
+            assert.deepEqual(diffLines("", ""), []);
+            assert.deepEqual(diffLines("", "a\nb"), [
+                { type: "insert", line: "a" },
+                { type: "insert", line: "b" },
+            ]);
+            assert.deepEqual(diffLines("a", ""), [{ type: "delete", line: "a" }]);
+        });
+
+        it("최단 편집 경로를 찾습니다.", () => {
+            const before = lines(2000, (i) => `line ${i}`);
+            // 100줄마다 한 줄씩 바꿉니다. (삭제 20줄 + 삽입 20줄)
+            const after = lines(2000, (i) => (i % 100 === 50 ? `changed ${i}` : `line ${i}`));
+
+            const result = diffLines(before, after);
+            assert.equal(result.filter(({ type }) => type === "delete").length, 20);
+            assert.equal(result.filter(({ type }) => type === "insert").length, 20);
+            assert.equal(result.filter(({ type }) => type === "equal").length, 1980);
+        });
+
+        it("바뀐 줄이 너무 많으면 앞뒤의 같은 줄을 빼고 모두 삭제 후 삽입으로 표시합니다.", () => {
+            const count = MAX_EDIT_DISTANCE;
+            const before = ["head", lines(count, (i) => `old ${i}`), "tail"].join("\n");
+            const after = ["head", lines(count, (i) => `new ${i}`), "tail"].join("\n");
+
+            const result = diffLines(before, after);
+            assert.deepEqual(result[0], { type: "equal", line: "head" });
+            assert.deepEqual(result.slice(1, count + 1).map(({ type }) => type), Array(count).fill("delete"));
+            assert.deepEqual(result.slice(count + 1, 2 * count + 1).map(({ type }) => type), Array(count).fill("insert"));
+            assert.deepEqual(result[result.length - 1], { type: "equal", line: "tail" });
+        });
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { createPost, createComment } = require("./helpers/factories");
+const { encodeCursor, decodeCursor } = require("../utils/pagination");
+
+// 테스트에서 사용하는 DB(SQLite)는 FULLTEXT를 지원하지 않으므로 LIKE 검색을 사용합니다.
+describe("검색", () => {
+    let request;
+    let close;
+
+    before(async () => {
+        ({ request, close } = await startServer());
+    });
+    after(() => close());
+
+    const search = (query) => request("GET", `/api/search?${new URLSearchParams(query)}`);
+
+    describe("GET /api/search", () => {
+        it("제목, 내용, 댓글 일치 점수를 더해 관련도 순으로 조회합니다.", async () => {
+            const inContent = await createPost({ content: "오늘은 Kiwiberry 먹는 날" });
+            const inComments = await createPost();
+            await createComment({ post: inComments, comment: "kiwiberry 좋아요" });
+            await createComment({ post: inComments, comment: "저도 kiwiberry" });
+            const inTitle = await createPost({ title: "kiwiberry 후기" });
+            const deleted = await createPost({ title: "kiwiberry" });
+            await deleted.destroy();
+
+            const res = await search({ q: "KIWIBERRY" });
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.data.map((row) => [row.postId, row.score]), [
+                [inTitle.postId, 3],
+                [inComments.postId, 2],
+                [inContent.postId, 1],
+            ]);
+            assert.equal(res.body.data[0].highlights.title, "<mark>kiwiberry</mark> 후기");
+            assert.equal(res.body.data[2].highlights.content, "오늘은 <mark>Kiwiberry</mark> 먹는 날");
+            assert.deepEqual(res.body.data[1].highlights.comments, ["저도 <mark>kiwiberry</mark>", "<mark>kiwiberry</mark> 좋아요"]);
+            assert.equal(res.body.nextCursor, null);
+        });
+
+        it("커서에 검색어와 offset을 담아 다음 페이지를 조회합니다.", async () => {
+            const posts = [];
+            for (let i = 0; i < 3; i++) {
+                posts.push(await createPost({ title: `mangosteen ${i}` }));
+            }
+
+            const first = await search({ q: "mangosteen", limit: 2 });
+            assert.equal(first.status, 200);
+            assert.deepEqual(first.body.data.map((row) => row.postId), [posts[2].postId, posts[1].postId]);
+            assert.deepEqual(decodeCursor(first.body.nextCursor), { q: "mangosteen", o: 2 });
+
+            // 대소문자가 달라도 같은 검색어이면 커서를 이어서 사용할 수 있습니다.
+            const second = await search({ q: "Mangosteen", limit: 2, cursor: first.body.nextCursor });
+            assert.equal(second.status, 200);
+            assert.deepEqual(second.body.data.map((row) => row.postId), [posts[0].postId]);
+            assert.equal(second.body.nextCursor, null);
+        });
+
+        it("다른 검색어로 만든 커서는 INVALID_CURSOR로 응답합니다.", async () => {
+            await createPost({ title: "durian 1" });
+            await createPost({ title: "durian 2" });
+
+            const first = await search({ q: "durian", limit: 1 });
+            assert.ok(first.body.nextCursor);
+
+            const res = await search({ q: "durian rambutan", limit: 1, cursor: first.body.nextCursor });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, "INVALID_CURSOR");
+        });
+
+        it("offset이 정수가 아니거나 너무 크면 INVALID_CURSOR로 응답합니다.", async () => {
+            for (const o of [1e300, 2.5, -1, 1001]) {
+                const res = await search({ q: "durian", cursor: encodeCursor({ q: "durian", o }) });
+                assert.equal(res.status, 400);
+                assert.equal(res.body.code, "INVALID_CURSOR");
+            }
+        });
+
+        it("검색어의 %, _는 와일드카드가 아닌 문자로 찾습니다.", async () => {
+            const post = await createPost({ title: "할인 100% 쿠폰" });
+            await createPost({ title: "할인 1000 쿠폰" });
+
+            const res = await search({ q: "100%" });
+            assert.deepEqual(res.body.data.map((row) => row.postId), [post.postId]);
+        });
+
+        it("검색어가 공백뿐이면 VALIDATION_FAILED로 응답합니다.", async () => {
+            const res = await search({ q: "   " });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, "VALIDATION_FAILED");
+        });
+    });
+});
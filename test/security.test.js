@@ -0,0 +1,213 @@
+// 이 파일에서만 HTTPS 배포 환경처럼 설정합니다. (테스트 파일은 프로세스마다 따로 실행됩니다.)
+process.env.CORS_ORIGINS = "https://board.example.com";
+process.env.COOKIE_SECURE = "true";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { createUser } = require("./helpers/factories");
+
+let request;
+let close;
+
+before(async () => {
+    ({ request, close } = await startServer());
+});
+after(() => close());
+
+// Set-Cookie 헤더를 { name: { value, attributes } }로 바꿉니다.
+function parseSetCookie(res) {
+    return Object.fromEntries(res.headers.getSetCookie().map((header) => {
+        const [pair, ...attributes] = header.split(/;\s*/);
+        const [name, ...value] = pair.split("=");
+        return [name, { value: decodeURIComponent(value.join("=")), attributes }];
+    }));
+}
+
+// 브라우저처럼 쿠키만으로 인증하는 세션
+async function cookieSession() {
+    const user = await createUser();
+    const login = await request("POST", "/api/login", {
+        body: { nickname: user.nickname, password: user.plainPassword },
+    });
+    const cookies = parseSetCookie(login);
+    return {
+        csrfToken: cookies.csrfToken.value,
+        // /api/token 경로의 refreshToken 쿠키는 토큰 재발급 요청에만 보냅니다.
+        cookie: (withRefreshToken = false) => Object.entries(cookies)
+            .filter(([name]) => withRefreshToken || name !== "refreshToken")
+            .map(([name, { value }]) => `${name}=${encodeURIComponent(value)}`)
+            .join("; "),
+    };
+}
+
+describe("CORS", () => {
+    it("허용한 출처에는 쿠키를 포함한 요청을 허용합니다.", async () => {
+        const res = await request("GET", "/api/posts", { headers: { Origin: "https://board.example.com" } });
+        assert.equal(res.headers.get("access-control-allow-origin"), "https://board.example.com");
+        assert.equal(res.headers.get("access-control-allow-credentials"), "true");
+        assert.match(res.headers.get("access-control-expose-headers"), /X-Request-Id/);
+    });
+
+    it("허용하지 않은 출처에는 CORS 헤더를 보내지 않습니다.", async () => {
+        const res = await request("GET", "/api/posts", { headers: { Origin: "https://evil.example.com" } });
+        assert.equal(res.headers.get("access-control-allow-origin"), null);
+    });
+
+    it("사전 요청(preflight)에 X-CSRF-Token 헤더를 허용합니다.", async () => {
+        const res = await request("OPTIONS", "/api/posts", {
+            headers: {
+                Origin: "https://board.example.com",
+                "Access-Control-Request-Method": "POST",
+                "Access-Control-Request-Headers": "content-type,x-csrf-token",
+            },
+        });
+        assert.equal(res.status, 204);
+        assert.equal(res.headers.get("access-control-allow-origin"), "https://board.example.com");
+        assert.match(res.headers.get("access-control-allow-headers"), /x-csrf-token/);
+    });
+});
+
+describe("인증 쿠키", () => {
+    it("로그인하면 보안 속성을 갖춘 쿠키를 발급합니다.", async () => {
+        const user = await createUser();
+        const res = await request("POST", "/api/login", {
+            body: { nickname: user.nickname, password: user.plainPassword },
+        });
+        const { authorization, refreshToken, csrfToken } = parseSetCookie(res);
+
+        for (const cookie of [authorization, refreshToken, csrfToken]) {
+            assert.ok(cookie.attributes.includes("Secure"));
+            assert.ok(cookie.attributes.includes("SameSite=Lax"));
+            assert.ok(cookie.attributes.some((attribute) => attribute.startsWith("Max-Age=")));
+        }
+        assert.ok(authorization.attributes.includes("HttpOnly"));
+        assert.ok(refreshToken.attributes.includes("HttpOnly"));
+        assert.ok(refreshToken.attributes.includes("Path=/api/token"));
+        // 클라이언트가 읽어서 헤더로 보내야 합니다.
+        assert.ok(!csrfToken.attributes.includes("HttpOnly"));
+    });
+
+    it("로그아웃하면 같은 경로의 쿠키를 모두 지웁니다.", async () => {
+        const session = await cookieSession();
+        const res = await request("POST", "/api/logout", {
+            headers: { Cookie: session.cookie(), "X-CSRF-Token": session.csrfToken },
+        });
+        assert.equal(res.status, 200);
+
+        const cleared = parseSetCookie(res);
+        assert.deepEqual(Object.keys(cleared).sort(), ["authorization", "csrfToken", "refreshToken"]);
+        assert.ok(cleared.refreshToken.attributes.includes("Path=/api/token"));
+    });
+
+    it("Access Token이 만료된 브라우저는 refreshToken 쿠키로 로그아웃합니다.", async () => {
+        const session = await cookieSession();
+        // 만료된 authorization 쿠키는 브라우저가 보내지 않습니다.
+        const refreshOnly = session.cookie(true).split("; ").filter((cookie) => !cookie.startsWith("authorization=")).join("; ");
+
+        const forged = await request("POST", "/api/token/logout", { headers: { Cookie: refreshOnly } });
+        assert.equal(forged.status, 403);
+        assert.equal(forged.body.code, "CSRF_TOKEN_INVALID");
+
+        const res = await request("POST", "/api/token/logout", {
+            headers: { Cookie: refreshOnly, "X-CSRF-Token": session.csrfToken },
+        });
+        assert.equal(res.status, 200);
+        assert.deepEqual(Object.keys(parseSetCookie(res)).sort(), ["authorization", "csrfToken", "refreshToken"]);
+
+        const refreshed = await request("POST", "/api/token/refresh", {
+            headers: { Cookie: refreshOnly, "X-CSRF-Token": session.csrfToken },
+        });
+        assert.equal(refreshed.status, 401);
+        assert.equal(refreshed.body.code, "REFRESH_TOKEN_INVALID");
+    });
+});
+
+describe("CSRF", () => {
+    it("쿠키로 인증하는 요청에 X-CSRF-Token 헤더가 없으면 CSRF_TOKEN_INVALID로 응답합니다.", async () => {
+        const session = await cookieSession();
+        const res = await request("POST", "/api/posts", {
+            body: { title: "제목", content: "내용" },
+            headers: { Cookie: session.cookie() },
+        });
+        assert.equal(res.status, 403);
+        assert.equal(res.body.code, "CSRF_TOKEN_INVALID");
+        // 위조된 요청으로 로그아웃되지 않도록 쿠키를 지우지 않습니다.
+        assert.deepEqual(res.headers.getSetCookie(), []);
+    });
+
+    it("X-CSRF-Token 헤더가 쿠키와 다르면 CSRF_TOKEN_INVALID로 응답합니다.", async () => {
+        const session = await cookieSession();
+        const res = await request("POST", "/api/posts", {
+            body: { title: "제목", content: "내용" },
+            headers: { Cookie: session.cookie(), "X-CSRF-Token": "forged" },
+        });
+        assert.equal(res.status, 403);
+        assert.equal(res.body.code, "CSRF_TOKEN_INVALID");
+    });
+
+    it("X-CSRF-Token 헤더가 쿠키와 같으면 요청을 처리합니다.", async () => {
+        const session = await cookieSession();
+        const res = await request("POST", "/api/posts", {
+            body: { title: "제목", content: "내용" },
+            headers: { Cookie: session.cookie(), "X-CSRF-Token": session.csrfToken },
+        });
+        assert.equal(res.status, 201);
+    });
+
+    it("GET 요청은 CSRF 토큰 없이 쿠키로 인증합니다.", async () => {
+        const session = await cookieSession();
+        const res = await request("GET", "/api/posts", { headers: { Cookie: session.cookie() } });
+        assert.equal(res.status, 200);
+    });
+
+    it("Authorization 헤더로 인증하는 요청은 CSRF 토큰을 확인하지 않습니다.", async () => {
+        const user = await createUser();
+        const login = await request("POST", "/api/login", {
+            body: { nickname: user.nickname, password: user.plainPassword },
+        });
+        const res = await request("POST", "/api/posts", {
+            body: { title: "제목", content: "내용" },
+            token: login.body.accessToken,
+        });
+        assert.equal(res.status, 201);
+    });
+
+    it("쿠키의 Refresh Token으로 재발급할 때도 CSRF 토큰을 확인합니다.", async () => {
+        const session = await cookieSession();
+        const forged = await request("POST", "/api/token/refresh", { headers: { Cookie: session.cookie(true) } });
+        assert.equal(forged.status, 403);
+        assert.equal(forged.body.code, "CSRF_TOKEN_INVALID");
+
+        const res = await request("POST", "/api/token/refresh", {
+            headers: { Cookie: session.cookie(true), "X-CSRF-Token": session.csrfToken },
+        });
+        assert.equal(res.status, 200);
+        // 재발급할 때 CSRF 토큰도 새로 발급합니다.
+        assert.notEqual(parseSetCookie(res).csrfToken.value, session.csrfToken);
+    });
+});
+
+describe("보안 헤더", () => {
+    it("API 응답에 보안 헤더를 붙입니다.", async () => {
+        const res = await request("GET", "/api/posts");
+        assert.equal(res.headers.get("x-content-type-options"), "nosniff");
+        assert.equal(res.headers.get("x-frame-options"), "DENY");
+        assert.equal(res.headers.get("referrer-policy"), "no-referrer");
+        assert.equal(res.headers.get("content-security-policy"), "default-src 'none'; frame-ancestors 'none'");
+        assert.match(res.headers.get("strict-transport-security"), /^max-age=\d+/);
+        assert.equal(res.headers.get("x-powered-by"), null);
+    });
+
+    it("에러 응답에도 보안 헤더를 붙입니다.", async () => {
+        const res = await request("GET", "/api/no-such-route");
+        assert.equal(res.status, 404);
+        assert.equal(res.headers.get("x-content-type-options"), "nosniff");
+    });
+
+    it("API 문서 페이지는 같은 출처의 스크립트와 스타일을 허용합니다.", async () => {
+        const res = await request("GET", "/api-docs/");
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get("content-security-policy"), /default-src 'self'/);
+    });
+});
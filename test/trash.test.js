@@ -0,0 +1,177 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { createUser, tokenFor, createPost, createComment } = require("./helpers/factories");
+const { Posts, Comments, ModerationLogs } = require("../models");
+const { purgeTrash, TRASH_RETENTION_DAYS } = require("../jobs/purge-trash");
+
+describe("휴지통", () => {
+    let request;
+    let close;
+
+    before(async () => {
+        ({ request, close } = await startServer());
+    });
+    after(() => close());
+
+    // 사용자와 토큰을 새로 만듭니다. (휴지통이 비어 있는 사용자)
+    async function login(overrides) {
+        const user = await createUser(overrides);
+        return { user, token: await tokenFor(user) };
+    }
+
+    const deletePost = (post, token, body) => request("DELETE", `/api/posts/${post.postId}`, { token, body });
+    const restorePost = (post, token) => request("POST", `/api/trash/posts/${post.postId}/restore`, { token });
+
+    // 보관 기간이 지난 것처럼 삭제 시각을 옮깁니다.
+    const expire = (model, where) => model.update({ deletedAt: new Date(0) }, { where, paranoid: false });
+
+    describe("GET /api/trash/posts, /api/trash/comments", () => {
+        it("내가 삭제한 게시글을 삭제한 순서의 역순으로 조회하고 영구 삭제 예정 시각을 알려줍니다.", async () => {
+            const { user, token } = await login();
+            const first = await createPost({ user });
+            const second = await createPost({ user });
+            await createPost({ user });
+            await deletePost(first, token);
+            await deletePost(second, token);
+            await deletePost(await createPost(), (await login({ role: "moderator" })).token);
+
+            const page = await request("GET", "/api/trash/posts?limit=1", { token });
+            assert.equal(page.status, 200);
+            const [latest] = page.body.data;
+            assert.equal(latest.postId, second.postId);
+            const retention = new Date(latest.purgeAt) - new Date(latest.deletedAt);
+            assert.equal(retention, TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+            const next = await request("GET", `/api/trash/posts?limit=1&cursor=${page.body.nextCursor}`, { token });
+            assert.deepEqual(next.body.data.map((post) => post.postId), [first.postId]);
+            assert.equal(next.body.nextCursor, null);
+        });
+
+        it("삭제한 댓글을 조회하고, 잘못된 커서는 INVALID_CURSOR로 응답합니다.", async () => {
+            const { user, token } = await login();
+            const note = await createComment({ user });
+            await request("DELETE", `/api/posts/${note.PostId}/comments/${note.commentId}`, { token });
+
+            const res = await request("GET", "/api/trash/comments", { token });
+            assert.deepEqual(res.body.data.map((row) => [row.commentId, row.PostId]), [[note.commentId, note.PostId]]);
+
+            const invalid = await request("GET", "/api/trash/comments?cursor=broken", { token });
+            assert.equal(invalid.status, 400);
+            assert.equal(invalid.body.code, "INVALID_CURSOR");
+        });
+    });
+
+    describe("POST /api/trash/posts/:postId/restore", () => {
+        it("작성자는 휴지통의 게시글을 복원할 수 있습니다.", async () => {
+            const { user, token } = await login();
+            const post = await createPost({ user });
+            await deletePost(post, token);
+
+            const res = await restorePost(post, token);
+            assert.equal(res.status, 200);
+            assert.equal((await request("GET", `/api/posts/${post.postId}`)).body.data.postId, post.postId);
+            assert.equal((await request("GET", "/api/trash/posts", { token })).body.data.length, 0);
+
+            const again = await restorePost(post, token);
+            assert.equal(again.status, 404);
+            assert.equal(again.body.code, "TRASHED_POST_NOT_FOUND");
+        });
+
+        it("다른 사용자가 삭제한 게시글은 복원할 수 없습니다.", async () => {
+            const { user, token } = await login();
+            const post = await createPost({ user });
+            await deletePost(post, token);
+
+            const res = await restorePost(post, (await login()).token);
+            assert.equal(res.status, 401);
+            assert.equal(res.body.code, "FORBIDDEN");
+        });
+
+        it("관리자가 삭제한 게시글은 작성자가 복원할 수 없고, 관리자는 복원할 수 있습니다.", async () => {
+            const author = await login();
+            const moderator = await login({ role: "moderator" });
+            const post = await createPost({ user: author.user });
+            await deletePost(post, moderator.token, { reason: "스팸" });
+
+            const denied = await restorePost(post, author.token);
+            assert.equal(denied.status, 401);
+            assert.equal(denied.body.code, "POST_DELETED_BY_MODERATOR");
+
+            const restored = await restorePost(post, moderator.token);
+            assert.equal(restored.status, 200);
+            const logs = await ModerationLogs.findAll({ where: { targetType: "post", targetId: post.postId }, order: [["logId", "ASC"]] });
+            assert.deepEqual(logs.map((log) => log.action), ["delete", "restore"]);
+        });
+    });
+
+    describe("POST /api/trash/comments/:commentId/restore", () => {
+        it("게시글이 휴지통에 있으면 POST_IN_TRASH로 응답하고, 게시글을 복원하면 댓글도 복원할 수 있습니다.", async () => {
+            const { user, token } = await login();
+            const post = await createPost({ user });
+            const note = await createComment({ post, user });
+            await request("DELETE", `/api/posts/${post.postId}/comments/${note.commentId}`, { token });
+            await deletePost(post, token);
+
+            const blocked = await request("POST", `/api/trash/comments/${note.commentId}/restore`, { token });
+            assert.equal(blocked.status, 409);
+            assert.equal(blocked.body.code, "POST_IN_TRASH");
+
+            await restorePost(post, token);
+            const res = await request("POST", `/api/trash/comments/${note.commentId}/restore`, { token });
+            assert.equal(res.status, 200);
+            assert.ok(await Comments.findByPk(note.commentId));
+        });
+    });
+
+    describe("purgeTrash", () => {
+        it("보관 기간이 지난 게시글을 댓글과 답글까지 함께 영구 삭제합니다.", async () => {
+            const post = await createPost();
+            const parent = await createComment({ post });
+            const reply = await createComment({ post, parent });
+            await createComment({ post, parent: reply });
+            await createComment({ post });
+            const kept = await createPost();
+            await createComment({ post: kept });
+            await post.destroy();
+            await kept.destroy();
+            await expire(Posts, { postId: post.postId });
+
+            const result = await purgeTrash();
+            assert.deepEqual(result, { posts: 1, comments: 4 });
+            assert.equal(await Posts.count({ where: { postId: post.postId }, paranoid: false }), 0);
+            assert.equal(await Comments.count({ where: { PostId: post.postId }, paranoid: false }), 0);
+            // 보관 기간이 지나지 않은 게시글은 남겨둡니다.
+            assert.equal(await Comments.count({ where: { PostId: kept.postId }, paranoid: false }), 1);
+        });
+
+        it("답글이 남아 있는 댓글은 답글이 모두 삭제될 때까지 남겨둡니다.", async () => {
+            const post = await createPost();
+            const parent = await createComment({ post });
+            const reply = await createComment({ post, parent });
+            const trashedLeaf = await createComment({ post });
+            await Comments.destroy({ where: { commentId: [parent.commentId, trashedLeaf.commentId] } });
+            await expire(Comments, { commentId: [parent.commentId, trashedLeaf.commentId] });
+
+            assert.deepEqual(await purgeTrash(), { posts: 0, comments: 1 });
+            assert.ok(await Comments.findByPk(parent.commentId, { paranoid: false }));
+
+            await reply.destroy();
+            await expire(Comments, { commentId: reply.commentId });
+            assert.deepEqual(await purgeTrash(), { posts: 0, comments: 2 });
+        });
+
+        it("중간에 실패하면 아무것도 삭제하지 않습니다.", async (t) => {
+            const post = await createPost();
+            await createComment({ post });
+            await post.destroy();
+            await expire(Posts, { postId: post.postId });
+            t.mock.method(Posts, "destroy", async () => {
+                throw new Error("게시글 삭제 실패");
+            });
+
+            await assert.rejects(purgeTrash(), /게시글 삭제 실패/);
+            assert.equal(await Comments.count({ where: { PostId: post.postId } }), 1);
+        });
+    });
+});
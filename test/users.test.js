@@ -0,0 +1,239 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { createUser } = require("./helpers/factories");
+const jwt = require("jsonwebtoken");
+const { Users, RefreshTokens } = require("../models");
+const { isHashedPassword, verifyPassword } = require("../utils/password");
+const { purgeRefreshTokens } = require("../utils/token");
+const config = require("../config");
+
+describe("회원가입/로그인", () => {
+    let request;
+    let close;
+
+    before(async () => {
+        ({ request, close } = await startServer());
+    });
+    after(() => close());
+
+    describe("POST /api/users", () => {
+        it("회원가입에 성공하면 201을 응답합니다.", async () => {
+            const res = await request("POST", "/api/users", {
+                body: { nickname: "newbie", password: "qwer1234", confirmPassword: "qwer1234" },
+            });
+            assert.equal(res.status, 201);
+
+            const login = await request("POST", "/api/login", { body: { nickname: "newbie", password: "qwer1234" } });
+            assert.equal(login.status, 200);
+        });
+
+        it("닉네임 형식이 잘못되면 VALIDATION_FAILED로 응답합니다.", async () => {
+            const res = await request("POST", "/api/users", {
+                body: { nickname: "a!", password: "qwer1234", confirmPassword: "qwer1234" },
+            });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, "VALIDATION_FAILED");
+            assert.deepEqual(res.body.errors.map((error) => error.field), ["nickname"]);
+        });
+
+        it("비밀번호 확인이 다르면 PASSWORD_MISMATCH로 응답합니다.", async () => {
+            const res = await request("POST", "/api/users", {
+                body: { nickname: "mismatch", password: "qwer1234", confirmPassword: "qwer12345" },
+            });
+            assert.equal(res.status, 401);
+            assert.equal(res.body.code, "PASSWORD_MISMATCH");
+        });
+
+        it("비밀번호에 닉네임이 포함되면 PASSWORD_CONTAINS_NICKNAME으로 응답합니다.", async () => {
+            const res = await request("POST", "/api/users", {
+                body: { nickname: "hello", password: "xHELLOx", confirmPassword: "xHELLOx" },
+            });
+            assert.equal(res.status, 409);
+            assert.equal(res.body.code, "PASSWORD_CONTAINS_NICKNAME");
+        });
+
+        it("이미 있는 닉네임이면 DUPLICATE_NICKNAME으로 응답합니다.", async () => {
+            const user = await createUser();
+            const res = await request("POST", "/api/users", {
+                body: { nickname: user.nickname, password: "qwer1234", confirmPassword: "qwer1234" },
+            });
+            assert.equal(res.status, 409);
+            assert.equal(res.body.code, "DUPLICATE_NICKNAME");
+        });
+    });
+
+    describe("POST /api/login", () => {
+        it("로그인에 성공하면 토큰을 응답하고 쿠키로도 전달합니다.", async () => {
+            const user = await createUser();
+            const res = await request("POST", "/api/login", {
+                body: { nickname: user.nickname, password: user.plainPassword },
+            });
+            assert.equal(res.status, 200);
+            assert.ok(res.body.accessToken);
+            assert.ok(res.body.refreshToken);
+
+            const cookies = res.headers.getSetCookie().map((cookie) => cookie.split("=")[0]);
+            assert.deepEqual(cookies.sort(), ["authorization", "csrfToken", "refreshToken"]);
+        });
+
+        it("발급받은 Access Token으로 인증이 필요한 API를 호출할 수 있습니다.", async () => {
+            const user = await createUser();
+            const login = await request("POST", "/api/login", {
+                body: { nickname: user.nickname, password: user.plainPassword },
+            });
+            const res = await request("POST", "/api/posts", {
+                token: login.body.accessToken,
+                body: { title: "제목", content: "내용" },
+            });
+            assert.equal(res.status, 201);
+        });
+
+        it("비밀번호가 틀리면 LOGIN_FAILED로 응답합니다.", async () => {
+            const user = await createUser();
+            const res = await request("POST", "/api/login", {
+                body: { nickname: user.nickname, password: "wrong-password" },
+            });
+            assert.equal(res.status, 412);
+            assert.equal(res.body.code, "LOGIN_FAILED");
+        });
+
+        it("평문으로 저장된 예전 비밀번호는 로그인에 성공하면 해시로 교체합니다.", async () => {
+            // 비밀번호를 해시하기 전에 가입한 사용자
+            const user = await Users.create({ nickname: "legacyuser", password: "legacy1234" });
+
+            const failed = await request("POST", "/api/login", { body: { nickname: user.nickname, password: "legacy12345" } });
+            assert.equal(failed.status, 412);
+            await user.reload();
+            assert.equal(user.password, "legacy1234");
+
+            const res = await request("POST", "/api/login", { body: { nickname: user.nickname, password: "legacy1234" } });
+            assert.equal(res.status, 200);
+            await user.reload();
+            assert.ok(isHashedPassword(user.password));
+            assert.ok(await verifyPassword("legacy1234", user.password));
+
+            const again = await request("POST", "/api/login", { body: { nickname: user.nickname, password: "legacy1234" } });
+            assert.equal(again.status, 200);
+        });
+
+        it("없는 닉네임이면 LOGIN_FAILED로 응답합니다.", async () => {
+            const res = await request("POST", "/api/login", { body: { nickname: "nobody", password: "qwer1234" } });
+            assert.equal(res.status, 412);
+            assert.equal(res.body.code, "LOGIN_FAILED");
+        });
+
+        it("로그아웃한 세션의 토큰은 TOKEN_REVOKED로 거부합니다.", async () => {
+            const user = await createUser();
+            const login = await request("POST", "/api/login", {
+                body: { nickname: user.nickname, password: user.plainPassword },
+            });
+            const token = login.body.accessToken;
+
+            assert.equal((await request("POST", "/api/logout", { token })).status, 200);
+
+            const res = await request("POST", "/api/posts", { token, body: { title: "제목", content: "내용" } });
+            assert.equal(res.status, 401);
+            assert.equal(res.body.code, "TOKEN_REVOKED");
+        });
+    });
+
+    describe("POST /api/token/refresh", () => {
+        const refresh = (refreshToken) => request("POST", "/api/token/refresh", { body: { refreshToken } });
+
+        async function login() {
+            const user = await createUser();
+            const res = await request("POST", "/api/login", {
+                body: { nickname: user.nickname, password: user.plainPassword },
+            });
+            return res.body;
+        }
+
+        it("Refresh Token을 회전하여 새 토큰 쌍을 발급합니다.", async () => {
+            const { refreshToken } = await login();
+
+            const res = await refresh(refreshToken);
+            assert.equal(res.status, 200);
+            assert.notEqual(res.body.refreshToken, refreshToken);
+
+            const next = await refresh(res.body.refreshToken);
+            assert.equal(next.status, 200);
+        });
+
+        it("이미 사용한 Refresh Token을 다시 보내면 REFRESH_TOKEN_REUSED로 응답하고 세션의 토큰을 모두 폐기합니다.", async () => {
+            const { refreshToken } = await login();
+
+            const rotated = await refresh(refreshToken);
+            assert.equal(rotated.status, 200);
+
+            const reused = await refresh(refreshToken);
+            assert.equal(reused.status, 401);
+            assert.equal(reused.body.code, "REFRESH_TOKEN_REUSED");
+
+            // 처음 재발급에서 받은 토큰도 함께 폐기됩니다.
+            const afterReuse = await refresh(rotated.body.refreshToken);
+            assert.equal(afterReuse.status, 401);
+            assert.equal(afterReuse.body.code, "REFRESH_TOKEN_INVALID");
+
+            const res = await request("POST", "/api/posts", {
+                token: rotated.body.accessToken,
+                body: { title: "제목", content: "내용" },
+            });
+            assert.equal(res.status, 401);
+            assert.equal(res.body.code, "TOKEN_REVOKED");
+        });
+
+        it("모르는 Refresh Token은 REFRESH_TOKEN_INVALID로 응답합니다.", async () => {
+            const res = await refresh("unknown-refresh-token");
+            assert.equal(res.status, 401);
+            assert.equal(res.body.code, "REFRESH_TOKEN_INVALID");
+        });
+    });
+
+    describe("POST /api/logout", () => {
+        async function login() {
+            const user = await createUser();
+            const res = await request("POST", "/api/login", {
+                body: { nickname: user.nickname, password: user.plainPassword },
+            });
+            return { user, ...res.body };
+        }
+
+        it("Access Token이 만료되어도 Refresh Token으로 로그아웃합니다.", async () => {
+            const { user, accessToken, refreshToken } = await login();
+            const { sid } = jwt.decode(accessToken);
+            const expired = jwt.sign({ userId: user.userId, sid }, config.jwt.secret, { expiresIn: -1 });
+
+            const res = await request("POST", "/api/logout", { token: expired, body: { refreshToken } });
+            assert.equal(res.status, 200);
+
+            const refreshed = await request("POST", "/api/token/refresh", { body: { refreshToken } });
+            assert.equal(refreshed.status, 401);
+            assert.equal(refreshed.body.code, "REFRESH_TOKEN_INVALID");
+
+            const post = await request("POST", "/api/posts", { token: accessToken, body: { title: "제목", content: "내용" } });
+            assert.equal(post.body.code, "TOKEN_REVOKED");
+        });
+
+        it("Access Token과 Refresh Token이 모두 없으면 REFRESH_TOKEN_MISSING으로 응답합니다.", async () => {
+            const res = await request("POST", "/api/logout");
+            assert.equal(res.status, 401);
+            assert.equal(res.body.code, "REFRESH_TOKEN_MISSING");
+        });
+
+        it("만료되었거나 폐기된 Refresh Token을 정리합니다.", async () => {
+            const revoked = await login();
+            await request("POST", "/api/logout", { body: { refreshToken: revoked.refreshToken } });
+            const expired = await login();
+            await RefreshTokens.update({ expiresAt: new Date(0) }, { where: { UserId: expired.user.userId } });
+            const active = await login();
+
+            assert.ok(await purgeRefreshTokens() >= 2);
+            assert.equal(await RefreshTokens.count({ where: { UserId: [revoked.user.userId, expired.user.userId] } }), 0);
+            assert.equal(await RefreshTokens.count({ where: { UserId: active.user.userId } }), 1);
+
+            const res = await request("POST", "/api/token/refresh", { body: { refreshToken: active.refreshToken } });
+            assert.equal(res.status, 200);
+        });
+    });
+});
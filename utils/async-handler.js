@@ -0,0 +1,11 @@
+/**
+ * @brief async 라우터 핸들러를 감싸 거부된 Promise를 에러 미들웨어로 넘깁니다.
+ * @note Express 4는 async 핸들러의 에러를 잡지 못하므로 모든 async 핸들러에 사용합니다.
+ */
+function asyncHandler(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+module.exports = { asyncHandler };
@@ -0,0 +1,56 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+
+/**
+ * @brief 첨부파일을 서버 디스크(ATTACHMENT_DIR)에 저장합니다.
+ * @note 저장소 인터페이스 (모든 메서드는 Promise를 반환합니다.)
+ * - put(key, buffer, { contentType }): key에 파일을 저장 (같은 key가 있으면 덮어씁니다.)
+ * - open(key): 파일을 읽는 Readable 스트림, 없으면 null
+ * - delete(keys): 파일을 삭제 (없는 key는 무시합니다.)
+ * 서버를 여러 대 실행할 때는 같은 인터페이스로 S3 호환 저장소를 만들어 STORAGES에 추가합니다.
+ */
+class LocalStorage {
+    constructor(dir) {
+        this.root = path.resolve(dir);
+    }
+
+    // key는 서버가 만든 값이지만, 저장 경로 밖을 가리키지 않는지 한 번 더 확인합니다.
+    resolve(key) {
+        const file = path.resolve(this.root, key);
+        if (!file.startsWith(this.root + path.sep)) {
+            throw new Error(`잘못된 첨부파일 key: ${key}`);
+        }
+        return file;
+    }
+
+    async put(key, buffer) {
+        const file = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, buffer);
+    }
+
+    async open(key) {
+        const file = this.resolve(key);
+        try {
+            await fs.promises.access(file);
+        } catch {
+            return null;
+        }
+        return fs.createReadStream(file);
+    }
+
+    async delete(keys) {
+        await Promise.all(keys.map((key) => fs.promises.rm(this.resolve(key), { force: true })));
+    }
+}
+
+// ATTACHMENT_STORAGE 값별 저장소
+const STORAGES = {
+    local: () => new LocalStorage(config.attachments.dir),
+};
+
+// 첨부파일 업로드, 다운로드, 영구 삭제(jobs/purge-trash.js)가 함께 사용하는 저장소
+const storage = STORAGES[config.attachments.storage]();
+
+module.exports = { LocalStorage, storage };
@@ -0,0 +1,137 @@
+/**
+ * @brief 게시글 첨부파일 유틸
+ * @note 파일은 저장소(utils/attachment-storage.js)에, 파일 정보는 Attachments 테이블에 저장합니다.
+ */
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { Attachments, sequelize } = require("../models");
+const { storage } = require("./attachment-storage");
+const { IMAGE_TYPES, sniffMimeType } = require("./mime-sniff");
+const { AppError } = require("./errors");
+
+// 썸네일 최대 크기 (px, 비율을 유지하고 작은 이미지는 키우지 않습니다.)
+const THUMBNAIL_SIZE = 320;
+// 읽을 이미지의 최대 픽셀 수 (작은 파일로 큰 메모리를 쓰게 하는 이미지를 막습니다.)
+const MAX_IMAGE_PIXELS = 50 * 1000 * 1000;
+
+// 파일 이름에서 경로와 제어 문자를 지웁니다.
+function sanitizeFileName(name) {
+    const base = name.split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f]/g, "").trim();
+    return base.slice(0, 255) || "file";
+}
+
+/**
+ * @brief 이미지의 크기를 읽고 썸네일(WebP)을 만듭니다.
+ * @note 애니메이션 GIF/WebP는 첫 프레임으로 만듭니다. EXIF 방향 정보를 적용한 크기를 반환합니다.
+ */
+async function readImage(file) {
+    try {
+        const image = sharp(file.buffer, { limitInputPixels: MAX_IMAGE_PIXELS });
+        const { autoOrient } = await image.metadata();
+        const thumbnail = await image
+            .rotate()
+            .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: "inside", withoutEnlargement: true })
+            .webp()
+            .toBuffer();
+        return { width: autoOrient.width, height: autoOrient.height, thumbnail };
+    } catch {
+        // 시그니처만 이미지이고 내용을 읽을 수 없는 파일
+        throw new AppError("UNSUPPORTED_ATTACHMENT_TYPE", { params: { name: sanitizeFileName(file.originalname) } });
+    }
+}
+
+/**
+ * @brief 업로드한 파일을 저장소에 저장하고 Attachments 테이블에 기록합니다.
+ * @param files multer가 메모리로 읽은 파일 목록 (req.files)
+ * @note 파일 형식은 내용으로 판별하며, 클라이언트가 보낸 Content-Type과 확장자는 사용하지 않습니다.
+ * 하나라도 실패하면 이미 저장한 파일을 지우고 아무것도 기록하지 않습니다.
+ * @returns 저장한 Attachments 목록
+ */
+async function saveAttachments(post, user, files) {
+    // 저장하기 전에 모든 파일을 검사합니다.
+    const prepared = [];
+    for (const file of files) {
+        const mimeType = sniffMimeType(file.buffer);
+        if (!mimeType) {
+            throw new AppError("UNSUPPORTED_ATTACHMENT_TYPE", { params: { name: sanitizeFileName(file.originalname) } });
+        }
+        const image = IMAGE_TYPES.includes(mimeType) ? await readImage(file) : null;
+        prepared.push({ file, mimeType, image });
+    }
+
+    const savedKeys = [];
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            const attachments = [];
+            for (const { file, mimeType, image } of prepared) {
+                const storageKey = `posts/${post.postId}/${crypto.randomUUID()}`;
+                await storage.put(storageKey, file.buffer, { contentType: mimeType });
+                savedKeys.push(storageKey);
+
+                let thumbnailKey = null;
+                if (image) {
+                    thumbnailKey = `${storageKey}.thumbnail.webp`;
+                    await storage.put(thumbnailKey, image.thumbnail, { contentType: "image/webp" });
+                    savedKeys.push(thumbnailKey);
+                }
+
+                attachments.push(await Attachments.create({
+                    PostId: post.postId,
+                    UserId: user.userId,
+                    originalName: sanitizeFileName(file.originalname),
+                    mimeType,
+                    size: file.size,
+                    storageKey,
+                    thumbnailKey,
+                    width: image ? image.width : null,
+                    height: image ? image.height : null,
+                }, { transaction }));
+            }
+            return attachments;
+        });
+    } catch (error) {
+        await storage.delete(savedKeys);
+        throw error;
+    }
+}
+
+/**
+ * @brief 첨부파일의 원본과 썸네일을 저장소에서 삭제합니다.
+ * @note Attachments 행은 지우지 않습니다. (게시글을 영구 삭제하면 외래 키로 함께 삭제됩니다.)
+ */
+async function deleteAttachmentFiles(attachments) {
+    await storage.delete(attachments.flatMap((attachment) =>
+        [attachment.storageKey, attachment.thumbnailKey].filter(Boolean)
+    ));
+}
+
+/**
+ * @brief 첨부파일 응답 형식 (schemas/common.js의 attachment)
+ */
+function toAttachmentResponse(attachment) {
+    const url = `/api/attachments/${attachment.attachmentId}`;
+    return {
+        attachmentId: attachment.attachmentId,
+        originalName: attachment.originalName,
+        mimeType: attachment.mimeType,
+        size: attachment.size,
+        width: attachment.width,
+        height: attachment.height,
+        url,
+        thumbnailUrl: attachment.thumbnailKey ? `${url}/thumbnail` : null,
+        createdAt: attachment.createdAt,
+    };
+}
+
+/**
+ * @brief 게시글의 첨부파일 목록을 올린 순서대로 조회합니다.
+ */
+async function findPostAttachments(postId) {
+    const attachments = await Attachments.findAll({
+        where: { PostId: postId },
+        order: [["attachmentId", "ASC"]],
+    });
+    return attachments.map(toAttachmentResponse);
+}
+
+module.exports = { saveAttachments, deleteAttachmentFiles, toAttachmentResponse, findPostAttachments };
@@ -0,0 +1,79 @@
+/**
+ * @brief 인증 쿠키와 CSRF 토큰 (Double Submit Cookie)
+ * @note 웹 클라이언트는 로그인하면 세 쿠키를 받습니다.
+ * - authorization: Access Token ("Bearer <token>"), 스크립트에서 읽을 수 없습니다.
+ * - refreshToken: Refresh Token, 토큰 재발급 API(/api/token)에만 전달됩니다.
+ * - csrfToken: 임의의 값, 클라이언트가 읽어서 상태를 바꾸는 요청마다 X-CSRF-Token 헤더로 보냅니다.
+ * 다른 사이트는 이 사이트의 쿠키를 읽을 수 없으므로 헤더를 같은 값으로 채울 수 없습니다.
+ */
+const crypto = require("crypto");
+const config = require("../config");
+
+const CSRF_HEADER = "X-CSRF-Token";
+// 서버의 상태를 바꾸지 않는 메서드는 CSRF 토큰을 확인하지 않습니다.
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const { secure, sameSite, domain } = config.cookie;
+const common = { secure, sameSite, ...(domain && { domain }) };
+
+// 쿠키를 지울 때도 같은 path, domain을 지정해야 하므로 쿠키별 속성을 한 곳에 둡니다.
+const COOKIES = {
+    authorization: { ...common, httpOnly: true, path: "/" },
+    refreshToken: { ...common, httpOnly: true, path: "/api/token" },
+    csrfToken: { ...common, httpOnly: false, path: "/" },
+};
+
+// 만료 시각까지 남은 시간 (Max-Age, Expires 속성)
+const maxAgeUntil = (expiresAt) => Math.max(0, expiresAt.getTime() - Date.now());
+
+/**
+ * @brief 발급한 토큰을 쿠키에 담고 새 CSRF 토큰을 발급합니다.
+ * @param tokens utils/token.js의 issueTokenPair, rotateRefreshToken 결과
+ */
+function setAuthCookies(res, { accessToken, accessTokenExpiresAt, refreshToken, refreshTokenExpiresAt }) {
+    res.cookie("authorization", `Bearer ${accessToken}`, {
+        ...COOKIES.authorization,
+        maxAge: maxAgeUntil(accessTokenExpiresAt),
+    });
+    res.cookie("refreshToken", refreshToken, {
+        ...COOKIES.refreshToken,
+        maxAge: maxAgeUntil(refreshTokenExpiresAt),
+    });
+    // Access Token이 만료되어도 재발급 요청에 사용하므로 Refresh Token과 함께 만료됩니다.
+    res.cookie("csrfToken", crypto.randomBytes(32).toString("base64url"), {
+        ...COOKIES.csrfToken,
+        maxAge: maxAgeUntil(refreshTokenExpiresAt),
+    });
+}
+
+function clearAccessTokenCookie(res) {
+    res.clearCookie("authorization", COOKIES.authorization);
+}
+
+function clearAuthCookies(res) {
+    for (const [name, options] of Object.entries(COOKIES)) {
+        res.clearCookie(name, options);
+    }
+}
+
+/**
+ * @brief 쿠키로 인증하는 요청의 CSRF 토큰을 확인합니다.
+ * @returns 안전한 메서드이거나 X-CSRF-Token 헤더가 csrfToken 쿠키와 같으면 true
+ */
+function isCsrfTokenValid(req) {
+    if (SAFE_METHODS.includes(req.method)) {
+        return true;
+    }
+
+    const cookie = req.cookies && req.cookies.csrfToken;
+    const header = req.get(CSRF_HEADER);
+    if (!cookie || !header) {
+        return false;
+    }
+
+    const expected = Buffer.from(cookie);
+    const actual = Buffer.from(header);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { CSRF_HEADER, setAuthCookies, clearAccessTokenCookie, clearAuthCookies, isCsrfTokenValid };
@@ -0,0 +1,114 @@
+/**
+ * @brief 줄 단위 diff 유틸 (Myers 알고리즘)
+ * @note 결과는 { type: "equal" | "insert" | "delete", line } 배열입니다.
+ */
+
+// 최단 편집 경로를 찾을 최대 편집 거리 (바뀐 줄 수), 넘으면 바뀐 부분 전체를 삭제 후 삽입으로 봅니다.
+// 계산 시간은 (N + M) * D, 경로 기록은 D * D / 2에 비례하므로 게시글 최대 길이에서도 수십 MB를 넘지 않도록 제한합니다.
+const MAX_EDIT_DISTANCE = 1000;
+
+function splitLines(text) {
+    return text === "" ? [] : String(text).split(/\r?\n/);
+}
+
+/**
+ * @brief 최단 편집 경로를 찾습니다. (Myers 알고리즘)
+ * @returns 편집 내역, 편집 거리가 maxDistance를 넘으면 null
+ * @note 단계(d)마다 그 단계에서 닿을 수 있는 k(-d..d) 범위의 x만 기록합니다.
+ */
+function shortestEdit(a, b, maxDistance) {
+    const max = Math.min(a.length + b.length, maxDistance);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    // trace[d][(k + d) / 2] = d단계를 마친 뒤 대각선 k에서 닿은 가장 먼 x
+    const trace = [];
+
+    let found = false;
+    for (let d = 0; d <= max && !found; d++) {
+        const reached = new Int32Array(d + 1);
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]          // 아래로 이동 (삽입)
+                : v[offset + k - 1] + 1;     // 오른쪽으로 이동 (삭제)
+            let y = x - k;
+            while (x < a.length && y < b.length && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            reached[(k + d) / 2] = x;
+            if (x >= a.length && y >= b.length) {
+                found = true;
+                break;
+            }
+        }
+        trace.push(reached);
+    }
+    if (!found) {
+        return null;
+    }
+
+    // 기록한 경로를 거꾸로 따라가며 편집 내역을 만듭니다.
+    const result = [];
+    let x = a.length;
+    let y = b.length;
+    for (let d = trace.length - 1; d > 0; d--) {
+        const prev = trace[d - 1];
+        const at = (k) => prev[(k + d - 1) / 2];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            result.push({ type: "equal", line: a[--x] });
+            y--;
+        }
+        if (x === prevX) {
+            result.push({ type: "insert", line: b[--y] });
+        } else {
+            result.push({ type: "delete", line: a[--x] });
+        }
+    }
+    while (x > 0) {
+        result.push({ type: "equal", line: a[--x] });
+    }
+
+    return result.reverse();
+}
+
+/**
+ * @brief 두 문자열을 줄 단위로 비교합니다.
+ * @note 앞뒤의 같은 줄을 먼저 떼어낸 뒤 나머지를 비교합니다.
+ * 바뀐 줄이 MAX_EDIT_DISTANCE보다 많으면 최단 경로 대신 바뀐 부분 전체를 삭제 후 삽입으로 응답합니다.
+ */
+function diffLines(before, after) {
+    const a = splitLines(before);
+    const b = splitLines(after);
+
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const removed = a.slice(start, endA);
+    const added = b.slice(start, endB);
+    const changes = shortestEdit(removed, added, MAX_EDIT_DISTANCE) || [
+        ...removed.map((line) => ({ type: "delete", line })),
+        ...added.map((line) => ({ type: "insert", line })),
+    ];
+
+    return [
+        ...a.slice(0, start).map((line) => ({ type: "equal", line })),
+        ...changes,
+        ...a.slice(endA).map((line) => ({ type: "equal", line })),
+    ];
+}
+
+module.exports = { diffLines, MAX_EDIT_DISTANCE };
@@ -0,0 +1,108 @@
+const { DEFAULT_LOCALE, translate } = require("./i18n");
+
+/**
+ * @brief API 에러 코드별 HTTP 상태 코드
+ * @note 모든 에러 응답은 { code, message, requestId } 형식이며, 클라이언트는 code로 에러를 구분합니다.
+ * 메세지는 locales/*.js에 에러 코드를 키로 정의합니다.
+ */
+const ERRORS = {
+    // 공통
+    VALIDATION_FAILED: 400,
+    INVALID_JSON: 400,
+    PAYLOAD_TOO_LARGE: 413,
+    INVALID_CURSOR: 400,
+    FORBIDDEN: 401,
+    CSRF_TOKEN_INVALID: 403,
+    ROUTE_NOT_FOUND: 404,
+    TOO_MANY_REQUESTS: 429,
+    INTERNAL_ERROR: 500,
+
+    // 인증 (TOKEN_EXPIRED는 토큰 재발급, 나머지는 재로그인 대상)
+    TOKEN_MISSING: 401,
+    TOKEN_MALFORMED: 401,
+    TOKEN_EXPIRED: 401,
+    TOKEN_REVOKED: 401,
+    USER_NOT_FOUND: 401,
+    REFRESH_TOKEN_MISSING: 401,
+    REFRESH_TOKEN_INVALID: 401,
+    REFRESH_TOKEN_REUSED: 401,
+
+    // 회원가입/로그인
+    PASSWORD_MISMATCH: 401,
+    PASSWORD_CONTAINS_NICKNAME: 409,
+    DUPLICATE_NICKNAME: 409,
+    LOGIN_FAILED: 412,
+    LOGIN_LOCKED: 429,
+
+    // 계정 관리
+    CURRENT_PASSWORD_INCORRECT: 403,
+
+    // 사용자 프로필
+    PROFILE_NOT_FOUND: 404,
+    ACTIVITY_HIDDEN: 403,
+
+    // 게시글
+    POST_NOT_FOUND: 404,
+    ALREADY_LIKED: 409,
+    NOT_LIKED: 404,
+    REVISION_NOT_FOUND: 404,
+
+    // 게시판
+    BOARD_NOT_FOUND: 404,
+    BOARD_WRITE_FORBIDDEN: 403,
+
+    // 첨부파일
+    ATTACHMENT_REQUIRED: 400,
+    INVALID_MULTIPART: 400,
+    TOO_MANY_ATTACHMENTS: 400,
+    ATTACHMENT_TOO_LARGE: 413,
+    UNSUPPORTED_ATTACHMENT_TYPE: 415,
+    ATTACHMENT_NOT_FOUND: 404,
+    THUMBNAIL_NOT_FOUND: 404,
+
+    // 댓글
+    COMMENT_NOT_FOUND: 404,
+    PARENT_COMMENT_NOT_FOUND: 404,
+    REPLY_DEPTH_EXCEEDED: 400,
+    REACTION_NOT_FOUND: 404,
+
+    // 알림
+    NOTIFICATION_NOT_FOUND: 404,
+
+    // 검색
+    EMPTY_SEARCH_QUERY: 400,
+
+    // 휴지통
+    TRASHED_POST_NOT_FOUND: 404,
+    TRASHED_COMMENT_NOT_FOUND: 404,
+    POST_DELETED_BY_MODERATOR: 401,
+    COMMENT_DELETED_BY_MODERATOR: 401,
+    POST_IN_TRASH: 409,
+
+    // 관리자
+    ROLE_FORBIDDEN: 403,
+    TARGET_USER_NOT_FOUND: 404,
+    CANNOT_CHANGE_OWN_ROLE: 400,
+};
+
+/**
+ * @brief 에러 코드로 만드는 API 에러
+ * @param code ERRORS의 키
+ * @param options.params 메세지에 채울 값
+ * @param options.errors 함께 응답할 상세 정보 (요청 검사에 실패한 필드 목록 등)
+ * @note 라우터에서 throw하거나 next()로 넘기면 error-middleware에서 요청한 언어의 메세지로 응답합니다.
+ * error.message는 서버 로그용 기본 언어(한국어) 메세지입니다.
+ */
+class AppError extends Error {
+    constructor(code, { params, errors } = {}) {
+        const known = code in ERRORS;
+        super(translate(DEFAULT_LOCALE, known ? code : "INTERNAL_ERROR", params));
+        this.name = "AppError";
+        this.code = known ? code : "INTERNAL_ERROR";
+        this.status = ERRORS[this.code];
+        this.params = params;
+        this.errors = errors;
+    }
+}
+
+module.exports = { ERRORS, AppError };
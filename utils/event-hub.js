@@ -0,0 +1,73 @@
+const { EventEmitter } = require("events");
+const config = require("../config");
+
+/**
+ * @brief 게시글/댓글 변경 이벤트를 구독자(SSE 연결, routes/events.route.js)에게 전달합니다.
+ * @note 최근 이벤트를 서버 메모리에 replaySize개까지 보관하여, 다시 연결한 클라이언트가 Last-Event-ID 다음 이벤트부터 받을 수 있도록 합니다.
+ * 이벤트 ID는 "서버 실행 시각:일련번호" 형식이라 서버를 다시 시작하기 전의 ID는 이어받을 수 없습니다.
+ * 서버를 여러 대 실행할 때는 같은 인터페이스(publish, subscribe, eventsAfter, lastEventId)로 Redis Pub/Sub 등을 사용해야 합니다.
+ */
+class MemoryEventHub {
+    constructor({ replaySize }) {
+        this.replaySize = replaySize;
+        this.epoch = Date.now().toString(36);
+        this.sequence = 0;
+        // 보관 중인 이벤트 (오래된 것부터)
+        this.buffer = [];
+        this.emitter = new EventEmitter();
+        // 연결된 클라이언트 수만큼 구독합니다.
+        this.emitter.setMaxListeners(0);
+    }
+
+    /**
+     * @brief 이벤트를 보관하고 모든 구독자에게 전달합니다.
+     * @param type post.created, post.updated, post.deleted, comment.created, comment.updated, comment.deleted
+     * @param data 이벤트 내용 (postId 필수, 게시글별 구독을 거를 때 사용합니다.)
+     */
+    publish(type, data) {
+        const event = { id: `${this.epoch}:${++this.sequence}`, type, data };
+        this.buffer.push(event);
+        if (this.buffer.length > this.replaySize) {
+            this.buffer.shift();
+        }
+        this.emitter.emit("event", event);
+        return event;
+    }
+
+    /**
+     * @returns 구독을 취소하는 함수
+     */
+    subscribe(listener) {
+        this.emitter.on("event", listener);
+        return () => this.emitter.off("event", listener);
+    }
+
+    /**
+     * @brief 마지막으로 받은 이벤트 다음부터 보관 중인 이벤트를 찾습니다.
+     * @returns 이벤트 목록, 놓친 이벤트를 모두 보낼 수 없으면 null (버퍼에서 밀려났거나, 다른 서버 실행의 ID)
+     */
+    eventsAfter(lastEventId) {
+        const [epoch, sequence] = String(lastEventId).split(":");
+        const lastSequence = Number(sequence);
+        if (epoch !== this.epoch || !Number.isInteger(lastSequence) || lastSequence < 0 || lastSequence > this.sequence) {
+            return null;
+        }
+
+        const oldest = this.sequence - this.buffer.length + 1;
+        if (lastSequence + 1 < oldest) {
+            return null;
+        }
+        return this.buffer.slice(lastSequence + 1 - oldest);
+    }
+
+    /**
+     * @brief 가장 최근 이벤트의 ID (이벤트가 없으면 "서버 실행 시각:0")
+     */
+    lastEventId() {
+        return `${this.epoch}:${this.sequence}`;
+    }
+}
+
+const eventHub = new MemoryEventHub(config.events);
+
+module.exports = { MemoryEventHub, eventHub };
@@ -0,0 +1,56 @@
+/**
+ * @brief 응답 메세지 다국어 처리
+ * @note 언어는 로그인한 사용자의 설정(Users.locale), Accept-Language 헤더, 기본 언어(ko) 순으로 정합니다.
+ */
+const catalogs = {
+    ko: require("../locales/ko"),
+    en: require("../locales/en"),
+};
+
+const DEFAULT_LOCALE = "ko";
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+/**
+ * @brief Accept-Language 헤더에서 지원하는 언어 중 우선순위가 가장 높은 언어를 고릅니다.
+ * @example "en-US,en;q=0.9,ko;q=0.8" -> "en"
+ * @returns 지원하는 언어가 없으면 DEFAULT_LOCALE
+ */
+function negotiateLocale(acceptLanguage) {
+    if (!acceptLanguage) {
+        return DEFAULT_LOCALE;
+    }
+
+    const candidates = acceptLanguage
+        .split(",")
+        .map((part, index) => {
+            const [tag, ...options] = part.trim().split(";");
+            const q = options.map((option) => option.trim()).find((option) => option.startsWith("q="));
+            return { language: tag.toLowerCase().split("-")[0], q: q ? Number(q.slice(2)) : 1, index };
+        })
+        .filter(({ language, q }) => SUPPORTED_LOCALES.includes(language) && q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    return candidates.length ? candidates[0].language : DEFAULT_LOCALE;
+}
+
+/**
+ * @brief 요청에 응답할 언어 (사용자 설정이 Accept-Language보다 우선합니다.)
+ */
+function resolveLocale(req, res) {
+    const { user } = res.locals;
+    if (user && SUPPORTED_LOCALES.includes(user.locale)) {
+        return user.locale;
+    }
+    return negotiateLocale(req.get("Accept-Language"));
+}
+
+/**
+ * @brief 메세지 키를 해당 언어로 바꿉니다.
+ * @note 해당 언어에 없는 키는 한국어로, 한국어에도 없으면 키를 그대로 돌려줍니다.
+ */
+function translate(locale, key, params = {}) {
+    const template = (catalogs[locale] || {})[key] ?? catalogs[DEFAULT_LOCALE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+module.exports = { DEFAULT_LOCALE, SUPPORTED_LOCALES, negotiateLocale, resolveLocale, translate };
@@ -0,0 +1,18 @@
+const Ajv = require("ajv");
+
+/**
+ * @brief schemas/*.schema.js의 스키마를 다루는 Ajv 인스턴스를 만듭니다.
+ * @note 요청 검사(validation-middleware)와 응답 검사(contract-middleware)가 같은 설정을 사용합니다.
+ */
+function createAjv(options = {}) {
+    const ajv = new Ajv({ allErrors: true, verbose: true, ...options });
+
+    // x-message: 필드 검사에 실패했을 때 응답할 메세지 키 (locales/*.js, OpenAPI 확장 필드로도 유효합니다.)
+    ajv.addVocabulary(["x-message", "example"]);
+    // "2023-11-06", "2023-11-06T11:41:33.000Z" 등 Date로 해석할 수 있는 문자열
+    ajv.addFormat("date-time", (value) => !Number.isNaN(new Date(value).getTime()));
+
+    return ajv;
+}
+
+module.exports = { createAjv };
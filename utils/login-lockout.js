@@ -0,0 +1,57 @@
+/**
+ * @brief 닉네임별 로그인 잠금
+ * @note 연속으로 실패한 횟수가 threshold에 이르면 baseSeconds 동안 잠그고,
+ * 그 뒤로 실패할 때마다 잠금 시간을 두 배로 늘립니다. (최대 maxSeconds)
+ * 로그인에 성공하면 실패 횟수를 지웁니다. 없는 닉네임도 똑같이 기록하여 가입 여부를 드러내지 않습니다.
+ */
+const config = require("../config");
+const { store } = require("./rate-limit-store");
+
+const { threshold, baseSeconds, maxSeconds } = config.loginLockout;
+
+// 마지막 실패 후 이 시간이 지나면 실패 횟수를 잊습니다.
+const FAILURE_TTL = 24 * 60 * 60 * 1000; // 1일
+
+// 대소문자만 다른 닉네임으로 잠금을 피하지 못하도록 소문자로 기록합니다.
+const keyOf = (nickname) => `login-lockout:${nickname.toLowerCase()}`;
+
+/**
+ * @brief 잠긴 닉네임이면 남은 잠금 시간(초)을, 잠기지 않았으면 0을 반환합니다.
+ */
+async function getLockRemaining(nickname) {
+    const state = await store.get(keyOf(nickname));
+    if (!state || !state.lockedUntil) {
+        return 0;
+    }
+    return Math.max(0, Math.ceil((state.lockedUntil - Date.now()) / 1000));
+}
+
+/**
+ * @brief 로그인 실패를 기록합니다.
+ * @returns 이번 실패로 잠긴 시간(초), 잠기지 않았으면 0
+ */
+async function recordFailure(nickname) {
+    const key = keyOf(nickname);
+    const state = await store.get(key);
+    const failures = (state ? state.failures : 0) + 1;
+
+    const lockSeconds = failures >= threshold
+        ? Math.min(maxSeconds, baseSeconds * 2 ** (failures - threshold))
+        : 0;
+
+    await store.set(
+        key,
+        { failures, lockedUntil: lockSeconds ? Date.now() + lockSeconds * 1000 : null },
+        Math.max(FAILURE_TTL, lockSeconds * 1000)
+    );
+    return lockSeconds;
+}
+
+/**
+ * @brief 로그인에 성공하면 실패 기록을 지웁니다.
+ */
+async function clearFailures(nickname) {
+    await store.delete(keyOf(nickname));
+}
+
+module.exports = { getLockRemaining, recordFailure, clearFailures };
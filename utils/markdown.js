@@ -0,0 +1,78 @@
+/**
+ * @brief 게시글/댓글 Markdown 렌더링
+ * @note DB에는 작성한 Markdown을 그대로 저장하고, 응답할 때 HTML로 바꿉니다.
+ * Markdown 안의 HTML 태그는 글자로 표시하고(html: false), 만든 HTML을 sanitize-html로 한 번 더 걸러
+ * 허용한 태그, 속성, 주소(http, https, mailto, 상대 경로)만 남깁니다. (script, iframe, on* 속성, javascript: 주소 등 제거)
+ */
+const MarkdownIt = require("markdown-it");
+const sanitizeHtml = require("sanitize-html");
+
+// 게시글: CommonMark 전체 + 표, 취소선, 주소 자동 링크
+const postMarkdown = new MarkdownIt({ html: false, linkify: true });
+
+// 댓글: 한 줄 서식(강조, 취소선, 인라인 코드, 링크)과 줄바꿈만 사용합니다. (제목, 목록, 이미지, 코드 블록 등은 글자 그대로)
+const commentMarkdown = new MarkdownIt("zero", { html: false, linkify: true, breaks: true })
+    .enable(["emphasis", "strikethrough", "backticks", "link", "linkify", "newline", "escape", "entity"]);
+
+/**
+ * @brief 다른 사이트로 가는 링크는 새 창으로 열고, 검색 엔진 순위와 referrer, window.opener를 넘기지 않습니다.
+ */
+function safeLink(tagName, attribs) {
+    if (/^https?:/i.test(attribs.href || "")) {
+        return { tagName, attribs: { ...attribs, rel: "nofollow noopener noreferrer", target: "_blank" } };
+    }
+    return { tagName, attribs };
+}
+
+const LINK_OPTIONS = {
+    allowedSchemes: ["http", "https", "mailto"],
+    allowedSchemesByTag: { img: ["http", "https"] },
+    allowProtocolRelative: false,
+    transformTags: { a: safeLink },
+};
+
+// 게시글에 남기는 태그와 속성
+const POST_HTML = {
+    ...LINK_OPTIONS,
+    allowedTags: [
+        "h1", "h2", "h3", "h4", "h5", "h6", "p", "br", "hr", "blockquote",
+        "ul", "ol", "li", "strong", "em", "s", "code", "pre", "a", "img",
+        "table", "thead", "tbody", "tr", "th", "td",
+    ],
+    allowedAttributes: {
+        a: ["href", "title", "rel", "target"],
+        img: ["src", "alt", "title"],
+        ol: ["start"],
+        th: ["style"],
+        td: ["style"],
+    },
+    // 코드 블록의 언어 (```js), 표의 열 정렬
+    allowedClasses: { code: ["language-*"] },
+    allowedStyles: {
+        th: { "text-align": [/^(left|right|center)$/] },
+        td: { "text-align": [/^(left|right|center)$/] },
+    },
+};
+
+// 댓글에 남기는 태그와 속성
+const COMMENT_HTML = {
+    ...LINK_OPTIONS,
+    allowedTags: ["p", "br", "strong", "em", "s", "code", "a"],
+    allowedAttributes: { a: ["href", "title", "rel", "target"] },
+};
+
+/**
+ * @brief 게시글 내용(Markdown)을 HTML로 바꿉니다.
+ */
+function renderPostHtml(markdown) {
+    return sanitizeHtml(postMarkdown.render(markdown), POST_HTML);
+}
+
+/**
+ * @brief 댓글(Markdown 일부)을 HTML로 바꿉니다.
+ */
+function renderCommentHtml(markdown) {
+    return sanitizeHtml(commentMarkdown.render(markdown), COMMENT_HTML);
+}
+
+module.exports = { renderPostHtml, renderCommentHtml };
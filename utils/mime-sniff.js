@@ -0,0 +1,52 @@
+/**
+ * @brief 파일 앞부분의 시그니처(magic number)로 판별하는 파일 형식
+ * @note offset 위치의 바이트가 모두 같으면 그 형식으로 봅니다.
+ */
+const SIGNATURES = [
+    { mimeType: "image/png", parts: [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]] },
+    { mimeType: "image/jpeg", parts: [[0, [0xff, 0xd8, 0xff]]] },
+    { mimeType: "image/gif", parts: [[0, "GIF87a"]] },
+    { mimeType: "image/gif", parts: [[0, "GIF89a"]] },
+    { mimeType: "image/webp", parts: [[0, "RIFF"], [8, "WEBP"]] },
+    { mimeType: "application/pdf", parts: [[0, "%PDF-"]] },
+    { mimeType: "application/zip", parts: [[0, [0x50, 0x4b, 0x03, 0x04]]] },
+];
+
+// 썸네일을 만드는 이미지 형식
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+
+// 첨부할 수 있는 파일 형식 (시그니처가 없는 형식은 text/plain만 허용합니다.)
+const ALLOWED_TYPES = [...new Set(SIGNATURES.map(({ mimeType }) => mimeType)), "text/plain"];
+
+function matches(buffer, [offset, expected]) {
+    const bytes = typeof expected === "string" ? Buffer.from(expected, "latin1") : Buffer.from(expected);
+    return buffer.length >= offset + bytes.length && buffer.subarray(offset, offset + bytes.length).equals(bytes);
+}
+
+// NUL 문자가 없는 UTF-8 문서만 텍스트로 봅니다. (빈 파일 제외)
+function isPlainText(buffer) {
+    if (!buffer.length || buffer.includes(0)) {
+        return false;
+    }
+    try {
+        new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * @brief 파일 내용으로 MIME 형식을 판별합니다.
+ * @note 클라이언트가 보낸 Content-Type과 파일 이름(확장자)은 믿지 않습니다.
+ * @returns ALLOWED_TYPES 중 하나, 판별할 수 없으면 null
+ */
+function sniffMimeType(buffer) {
+    const signature = SIGNATURES.find(({ parts }) => parts.every((part) => matches(buffer, part)));
+    if (signature) {
+        return signature.mimeType;
+    }
+    return isPlainText(buffer) ? "text/plain" : null;
+}
+
+module.exports = { IMAGE_TYPES, ALLOWED_TYPES, sniffMimeType };
@@ -0,0 +1,33 @@
+const { ModerationLogs } = require("../models");
+
+/**
+ * @brief 관리자 조치를 ModerationLogs 테이블에 기록합니다.
+ * @param moderator 조치를 한 사용자 (res.locals.user)
+ * @param action update | delete | restore | role
+ * @param targetType post | comment | user
+ */
+async function logModeration(moderator, action, targetType, targetId, detail = null, options = {}) {
+    return ModerationLogs.create({
+        ModeratorId: moderator.userId,
+        action,
+        targetType,
+        targetId,
+        detail,
+    }, options);
+}
+
+/**
+ * @brief 대상이 마지막으로 삭제된 것이 관리자 조치인지 확인합니다.
+ * @note 관리자가 삭제한 글은 작성자가 휴지통에서 복원할 수 없습니다.
+ */
+async function isDeletedByModerator(targetType, targetId, deletedAt) {
+    const log = await ModerationLogs.findOne({
+        attributes: ["createdAt"],
+        where: { action: "delete", targetType, targetId },
+        order: [["createdAt", "DESC"], ["logId", "DESC"]],
+    });
+
+    return !!log && !!deletedAt && log.createdAt >= deletedAt;
+}
+
+module.exports = { logModeration, isDeletedByModerator };
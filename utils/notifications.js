@@ -0,0 +1,96 @@
+/**
+ * @brief 알림 유틸
+ * @note 내 게시글에 댓글(comment), 내 댓글에 답글(reply), 게시글/댓글에서 내 닉네임 멘션(mention)을 알림으로 남깁니다.
+ * 한 번의 작성으로 같은 사용자에게 알림을 여러 개 보내지 않고, 자기 자신에게는 보내지 않습니다.
+ * 알림은 게시글/댓글을 저장하는 트랜잭션 안에서 만듭니다. (알림을 만들지 못하면 글도 저장하지 않아, 다시 요청해도 중복되지 않습니다.)
+ */
+const { Users, Notifications } = require("../models");
+
+// 멘션: 닉네임 앞에 @ (이메일 주소처럼 앞에 영문/숫자가 붙어 있으면 멘션이 아닙니다.)
+const MENTION_PATTERN = /(^|[^0-9A-Za-z@])@([0-9A-Za-z]{3,})/g;
+
+// 한 번에 알림을 보낼 수 있는 멘션 수 (닉네임을 나열한 스팸 방지)
+const MAX_MENTIONS = 20;
+
+/**
+ * @brief 글에서 멘션한 닉네임을 찾습니다.
+ * @returns 중복을 제거한 닉네임 목록 (처음 나온 순서, 최대 MAX_MENTIONS개)
+ */
+function parseMentions(text) {
+    const nicknames = new Set();
+    for (const [, , nickname] of String(text ?? "").matchAll(MENTION_PATTERN)) {
+        nicknames.add(nickname);
+    }
+    return [...nicknames].slice(0, MAX_MENTIONS);
+}
+
+/**
+ * @brief 멘션한 닉네임 중 있는 사용자의 userId 목록을 찾습니다.
+ */
+async function findMentionedUserIds(nicknames, { transaction } = {}) {
+    if (!nicknames.length) {
+        return [];
+    }
+    const users = await Users.findAll({ attributes: ["userId"], where: { nickname: nicknames }, transaction });
+    return users.map((user) => user.userId);
+}
+
+/**
+ * @brief 알림을 만듭니다.
+ * @param actor 댓글을 작성하거나 멘션한 사용자 (res.locals.user)
+ * @param target { PostId, CommentId } 알림을 누르면 이동할 게시글/댓글
+ * @param recipients [{ userId, type }] 같은 사용자가 여러 번 있으면 앞에 있는 종류로 하나만 보냅니다.
+ * @note 자기 자신과 탈퇴한 사용자에게는 보내지 않습니다.
+ */
+async function createNotifications(actor, { PostId, CommentId = null }, recipients, { transaction } = {}) {
+    const types = new Map();
+    for (const { userId, type } of recipients) {
+        if (userId !== actor.userId && !types.has(userId)) {
+            types.set(userId, type);
+        }
+    }
+    if (!types.size) {
+        return;
+    }
+
+    const activeUsers = await Users.findAll({
+        attributes: ["userId"],
+        where: { userId: [...types.keys()], withdrawnAt: null },
+        transaction,
+    });
+    await Notifications.bulkCreate(activeUsers.map(({ userId }) => ({
+        UserId: userId,
+        ActorId: actor.userId,
+        type: types.get(userId),
+        PostId,
+        CommentId,
+    })), { transaction });
+}
+
+/**
+ * @brief 새 댓글의 알림을 만듭니다.
+ * @param post 댓글을 작성한 게시글 (UserId 포함)
+ * @param parent 답글인 경우 부모 댓글
+ * @note 부모 댓글 작성자는 reply, 게시글 작성자는 comment, 멘션한 사용자는 mention 알림을 받습니다.
+ */
+async function notifyComment(actor, comment, post, parent = null, options = {}) {
+    const mentioned = await findMentionedUserIds(parseMentions(comment.comment), options);
+    await createNotifications(actor, { PostId: post.postId, CommentId: comment.commentId }, [
+        ...(parent ? [{ userId: parent.UserId, type: "reply" }] : []),
+        { userId: post.UserId, type: "comment" },
+        ...mentioned.map((userId) => ({ userId, type: "mention" })),
+    ], options);
+}
+
+/**
+ * @brief 게시글/댓글을 작성하거나 수정할 때 멘션 알림을 만듭니다.
+ * @param previousText 수정 전 내용 (수정하면서 새로 멘션한 사용자에게만 보냅니다.)
+ */
+async function notifyMentions(actor, target, text, previousText = "", options = {}) {
+    const previous = new Set(parseMentions(previousText));
+    const nicknames = parseMentions(text).filter((nickname) => !previous.has(nickname));
+    const mentioned = await findMentionedUserIds(nicknames, options);
+    await createNotifications(actor, target, mentioned.map((userId) => ({ userId, type: "mention" })), options);
+}
+
+module.exports = { parseMentions, notifyComment, notifyMentions };
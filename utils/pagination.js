@@ -0,0 +1,117 @@
+/**
+ * @brief 커서 기반 페이지네이션 유틸
+ * @note 커서는 마지막으로 조회한 항목의 정렬 키를 JSON으로 만든 뒤 base64url로 인코딩한 불투명한 문자열입니다.
+ */
+const { Op, Sequelize } = require("sequelize");
+const { AppError } = require("./errors");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function encodeCursor(payload) {
+    return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * @returns 디코딩한 객체, 형식이 잘못된 경우 null
+ */
+function decodeCursor(cursor) {
+    try {
+        const payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+        return payload && typeof payload === "object" && !Array.isArray(payload) ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * @brief 날짜 컬럼으로 정렬하는 findKeysetPage의 sortKey
+ */
+function dateSort(column) {
+    return {
+        expr: column,
+        toCursor: (row) => row[column].toISOString(),
+        fromCursor: (value) => new Date(value),
+    };
+}
+
+// 컬럼 이름이면 조회하는 모델의 컬럼으로, 그 밖의 식(sequelize.literal 등)은 그대로 비교합니다.
+function compare(expr, op, value) {
+    return typeof expr === "string" ? { [expr]: { [op]: value } } : Sequelize.where(expr, op, value);
+}
+
+/**
+ * @brief 커서 이후의 항목만 조회하는 조건을 만듭니다.
+ * @note (정렬 기준, 기본 키) 순서쌍 비교: 기준값이 넘어가거나, 같으면서 기본 키가 넘어가는 경우
+ * 정렬 기준이 없으면 기본 키만 비교합니다.
+ */
+function afterCursor(sort, idKey, op, decoded) {
+    const afterId = { [idKey]: { [op]: decoded.id } };
+    if (!sort) {
+        return afterId;
+    }
+
+    const value = sort.fromCursor(decoded.v);
+    return {
+        [Op.or]: [
+            compare(sort.expr, op, value),
+            { [Op.and]: [compare(sort.expr, Op.eq, value), afterId] },
+        ],
+    };
+}
+
+/**
+ * @brief 잘못된 커서이면 INVALID_CURSOR(400) 에러를 냅니다.
+ * @note 다른 scope(정렬 기준 등)로 만든 커서와, 정렬 기준값이 유한한 수나 올바른 날짜가 아닌 커서도 사용할 수 없습니다.
+ */
+function checkCursor(decoded, sort, scope) {
+    if (!decoded || !Number.isInteger(decoded.id) || decoded.s !== scope) {
+        throw new AppError("INVALID_CURSOR");
+    }
+    if (sort) {
+        const value = decoded.v === undefined || decoded.v === null ? NaN : sort.fromCursor(decoded.v);
+        if (!Number.isFinite(value instanceof Date ? value.getTime() : value)) {
+            throw new AppError("INVALID_CURSOR");
+        }
+    }
+}
+
+/**
+ * @brief (정렬 기준, 기본 키) 순서로 커서 이후의 한 페이지를 조회합니다. (keyset pagination)
+ * @param model 조회할 모델
+ * @param options.sortKey 정렬 기준. 날짜 컬럼 이름("createdAt") 또는 { expr, toCursor, fromCursor }, 생략하면 기본 키로만 정렬
+ * @param options.idKey 정렬 기준이 같을 때 순서를 고정하는 기본 키 (postId, commentId 등)
+ * @param options.direction DESC(기본값) | ASC
+ * @param options.scope 커서에 함께 담는 값 (다른 값으로 만든 커서는 INVALID_CURSOR, 게시글 목록의 정렬 이름 등)
+ * @param options.where 조회 조건 (객체 또는 배열)
+ * 그 밖의 옵션(attributes, include, paranoid 등)은 findAll()에 그대로 넘깁니다.
+ * @returns { data, nextCursor }, 커서가 잘못된 경우 INVALID_CURSOR(400)
+ */
+async function findKeysetPage(model, { sortKey, idKey, direction = "DESC", scope, where = [], limit, cursor, ...options }) {
+    const sort = typeof sortKey === "string" ? dateSort(sortKey) : sortKey;
+    const op = direction === "DESC" ? Op.lt : Op.gt;
+
+    const conditions = [].concat(where);
+    if (cursor) {
+        const decoded = decodeCursor(cursor);
+        checkCursor(decoded, sort, scope);
+        conditions.push(afterCursor(sort, idKey, op, decoded));
+    }
+
+    const rows = await model.findAll({
+        ...options,
+        where: { [Op.and]: conditions },
+        order: [...(sort ? [[sort.expr, direction]] : []), [idKey, direction]],
+        limit: limit + 1, // 다음 페이지가 있는지 확인하기 위해 하나 더 조회합니다.
+    });
+
+    const hasNext = rows.length > limit;
+    const data = hasNext ? rows.slice(0, limit) : rows;
+    const last = data[data.length - 1];
+    const nextCursor = hasNext
+        ? encodeCursor({ ...(scope !== undefined && { s: scope }), ...(sort && { v: sort.toCursor(last) }), id: last[idKey] })
+        : null;
+    return { data, nextCursor };
+}
+
+module.exports = { encodeCursor, decodeCursor, findKeysetPage, DEFAULT_LIMIT, MAX_LIMIT };
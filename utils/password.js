@@ -0,0 +1,97 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt 파라미터 (N: CPU/메모리 비용, r: 블록 크기, p: 병렬화)
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const PREFIX = "scrypt";
+
+/**
+ * @brief 비밀번호를 해시합니다.
+ * @note 저장 형식: scrypt$N$r$p$salt(hex)$hash(hex)
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const derivedKey = await scrypt(password, salt, KEY_LENGTH, {
+        N: SCRYPT_N,
+        r: SCRYPT_R,
+        p: SCRYPT_P,
+    });
+
+    return [
+        PREFIX,
+        SCRYPT_N,
+        SCRYPT_R,
+        SCRYPT_P,
+        salt.toString("hex"),
+        derivedKey.toString("hex"),
+    ].join("$");
+}
+
+/**
+ * @brief 저장된 값이 해시된 비밀번호인지 확인합니다.
+ * @note 해시 형식이 아니라면 예전에 평문으로 저장된 비밀번호입니다.
+ */
+function isHashedPassword(stored) {
+    return typeof stored === "string" && stored.startsWith(`${PREFIX}$`) && stored.split("$").length === 6;
+}
+
+/**
+ * @brief 입력한 비밀번호가 저장된 값과 일치하는지 상수 시간으로 비교합니다.
+ * @note 평문으로 저장된 예전 비밀번호도 비교할 수 있습니다. (needsRehash로 확인 후 해시로 교체)
+ */
+async function verifyPassword(password, stored) {
+    if (typeof password !== "string" || typeof stored !== "string") {
+        return false;
+    }
+
+    if (!isHashedPassword(stored)) {
+        // 길이가 달라도 비교 시간이 같도록 양쪽을 같은 길이의 다이제스트로 만든 뒤 비교합니다.
+        const input = crypto.createHash("sha256").update(password).digest();
+        const legacy = crypto.createHash("sha256").update(stored).digest();
+        return crypto.timingSafeEqual(input, legacy);
+    }
+
+    const [, N, r, p, saltHex, hashHex] = stored.split("$");
+    const expected = Buffer.from(hashHex, "hex");
+    const derivedKey = await scrypt(password, Buffer.from(saltHex, "hex"), expected.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p),
+    });
+
+    return crypto.timingSafeEqual(derivedKey, expected);
+}
+
+// 없는 사용자로 로그인할 때 비교할 해시 (처음 사용할 때 한 번 만듭니다.)
+let dummyHash = null;
+
+/**
+ * @brief 없는 사용자로 로그인할 때 비교할 해시를 반환합니다.
+ * @note 가입된 사용자와 같은 파라미터로 해시한 임의의 값이므로 어떤 비밀번호와도 일치하지 않고, 비교에 걸리는 시간도 같습니다.
+ */
+function getDummyHash() {
+    if (!dummyHash) {
+        dummyHash = hashPassword(crypto.randomBytes(SALT_LENGTH).toString("hex"));
+    }
+    return dummyHash;
+}
+
+/**
+ * @brief 저장된 비밀번호를 다시 해시해야 하는지 확인합니다.
+ * @note 평문이거나 현재 파라미터와 다른 파라미터로 해시된 경우 true
+ */
+function needsRehash(stored) {
+    if (!isHashedPassword(stored)) {
+        return true;
+    }
+    const [, N, r, p] = stored.split("$");
+    return Number(N) !== SCRYPT_N || Number(r) !== SCRYPT_R || Number(p) !== SCRYPT_P;
+}
+
+module.exports = { hashPassword, verifyPassword, needsRehash, isHashedPassword, getDummyHash };
@@ -0,0 +1,73 @@
+const config = require("../config");
+
+/**
+ * @brief 요청 수 제한과 로그인 잠금 상태를 서버 메모리에 저장합니다.
+ * @note 저장소 인터페이스 (모든 메서드는 Promise를 반환합니다.)
+ * - increment(key, windowMs): 고정 구간(window) 동안의 요청 수를 1 늘리고 { count, resetAt }을 반환
+ * - get(key): 저장한 값, 없거나 만료되었으면 undefined
+ * - set(key, value, ttlMs): ttlMs 동안 값을 저장
+ * - delete(key)
+ * 서버를 여러 대 실행할 때는 같은 인터페이스로 Redis 저장소를 만들어 STORES에 추가합니다.
+ */
+class MemoryStore {
+    constructor({ sweepInterval = 60 * 1000 } = {}) {
+        // key -> { value, expiresAt }
+        this.entries = new Map();
+
+        // 만료된 항목을 주기적으로 정리합니다. (프로세스 종료를 막지 않습니다.)
+        this.sweeper = setInterval(() => this.sweep(), sweepInterval);
+        this.sweeper.unref();
+    }
+
+    read(key) {
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    async increment(key, windowMs) {
+        const entry = this.read(key);
+        if (!entry) {
+            const resetAt = Date.now() + windowMs;
+            this.entries.set(key, { value: 1, expiresAt: resetAt });
+            return { count: 1, resetAt };
+        }
+        entry.value += 1;
+        return { count: entry.value, resetAt: entry.expiresAt };
+    }
+
+    async get(key) {
+        const entry = this.read(key);
+        return entry && entry.value;
+    }
+
+    async set(key, value, ttlMs) {
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+// RATE_LIMIT_STORE 값별 저장소
+const STORES = {
+    memory: () => new MemoryStore(),
+};
+
+// 요청 수 제한(rate-limit-middleware)과 로그인 잠금(login-lockout)이 함께 사용하는 저장소
+const store = STORES[config.rateLimit.store]();
+
+module.exports = { MemoryStore, store };
@@ -0,0 +1,76 @@
+/**
+ * @brief 검색어 처리와 하이라이트 스니펫 생성 유틸
+ */
+
+const MAX_TERMS = 10;
+const SNIPPET_RADIUS = 40;
+
+/**
+ * @brief 검색어를 공백 기준으로 나눕니다. (중복 제거, 최대 MAX_TERMS개)
+ */
+function tokenize(query) {
+    const terms = String(query || "")
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((term) => term.toLowerCase());
+
+    return [...new Set(terms)].slice(0, MAX_TERMS);
+}
+
+// MySQL과 SQLite에서 같은 의미로 해석되도록 백슬래시 대신 '!'를 이스케이프 문자로 사용합니다.
+const LIKE_ESCAPE = "!";
+
+/**
+ * @brief LIKE 패턴에 들어갈 문자열의 와일드카드(%, _)를 이스케이프합니다. (ESCAPE '!')
+ */
+function escapeLike(value) {
+    return value.replace(/[!%_]/g, (char) => `${LIKE_ESCAPE}${char}`);
+}
+
+function escapeHtml(value) {
+    return value
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * @brief 검색어가 처음 나타나는 위치 주변을 잘라 검색어를 <mark>로 감싼 스니펫을 만듭니다.
+ * @note 원문은 HTML 이스케이프한 뒤 <mark>만 추가하므로 그대로 렌더링해도 안전합니다.
+ * @returns 검색어가 없는 경우 null
+ */
+function buildSnippet(text, terms) {
+    if (!text || !terms.length) {
+        return null;
+    }
+
+    const pattern = new RegExp(terms.map(escapeRegExp).join("|"), "gi");
+    const first = text.search(pattern);
+    if (first === -1) {
+        return null;
+    }
+
+    const start = Math.max(0, first - SNIPPET_RADIUS);
+    const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+    const excerpt = text.slice(start, end);
+
+    let highlighted = "";
+    let lastIndex = 0;
+    for (const match of excerpt.matchAll(pattern)) {
+        highlighted += escapeHtml(excerpt.slice(lastIndex, match.index));
+        highlighted += `<mark>${escapeHtml(match[0])}</mark>`;
+        lastIndex = match.index + match[0].length;
+    }
+    highlighted += escapeHtml(excerpt.slice(lastIndex));
+
+    return (start > 0 ? "…" : "") + highlighted + (end < text.length ? "…" : "");
+}
+
+module.exports = { tokenize, escapeLike, buildSnippet };
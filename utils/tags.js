@@ -0,0 +1,48 @@
+/**
+ * @brief 게시글 태그 유틸
+ * @note 태그는 소문자로 저장하여 대소문자만 다른 태그가 따로 생기지 않도록 합니다.
+ */
+const { Tags, PostTags } = require("../models");
+
+/**
+ * @brief 태그 이름을 소문자로 바꾸고 중복을 제거합니다.
+ */
+function normalizeTags(names) {
+    return [...new Set(names.map((name) => name.trim().toLowerCase()))];
+}
+
+/**
+ * @brief 게시글의 태그를 names로 교체합니다. 없는 태그는 새로 만듭니다.
+ * @returns 저장한 태그 이름 목록 (이름순)
+ */
+async function setPostTags(post, names, { transaction } = {}) {
+    const tags = [];
+    for (const name of normalizeTags(names)) {
+        const [tag] = await Tags.findOrCreate({ where: { name }, transaction });
+        tags.push(tag);
+    }
+    await post.setTags(tags, { transaction });
+    return tags.map((tag) => tag.name).sort();
+}
+
+/**
+ * @brief 게시글별 태그 이름 목록을 조회합니다.
+ * @returns Map(postId -> 태그 이름 목록 (이름순))
+ */
+async function findTagNames(postIds) {
+    const tagNames = new Map(postIds.map((postId) => [postId, []]));
+    if (!postIds.length) {
+        return tagNames;
+    }
+
+    const postTags = await PostTags.findAll({
+        attributes: ["PostId"],
+        include: [{ model: Tags, attributes: ["name"] }],
+        where: { PostId: postIds },
+        order: [[Tags, "name", "ASC"]],
+    });
+    postTags.forEach((postTag) => tagNames.get(postTag.PostId).push(postTag.Tag.name));
+    return tagNames;
+}
+
+module.exports = { normalizeTags, setPostTags, findTagNames };
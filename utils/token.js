@@ -0,0 +1,196 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { Op } = require("sequelize");
+const { RefreshTokens } = require("../models");
+const config = require("../config");
+
+const JWT_SECRET = config.jwt.secret;
+const ACCESS_TOKEN_EXPIRES_IN = config.jwt.accessTokenExpiresIn;
+const REFRESH_TOKEN_EXPIRES_IN_DAYS = config.jwt.refreshTokenExpiresInDays;
+
+/**
+ * @brief Access Token(JWT)을 발급합니다.
+ * @note payload에 세션(토큰 패밀리) ID를 담아 서버에서 세션을 폐기할 수 있도록 합니다.
+ */
+function signAccessToken(userId, sessionId) {
+    return jwt.sign({ userId, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+}
+
+// Access Token의 만료 시각 (authorization 쿠키의 만료 시각으로 사용)
+function accessTokenExpiresAt(token) {
+    return new Date(jwt.decode(token).exp * 1000);
+}
+
+function verifyAccessToken(token) {
+    return jwt.verify(token, JWT_SECRET);
+}
+
+function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * @brief Refresh Token을 발급하고 해시를 RefreshTokens 테이블에 저장합니다.
+ * @note familyId를 넘기지 않으면 새 세션을 시작합니다.
+ */
+async function issueRefreshToken(userId, familyId = crypto.randomUUID()) {
+    const token = crypto.randomBytes(48).toString("base64url");
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRES_IN_DAYS * 24 * 60 * 60 * 1000);
+
+    await RefreshTokens.create({
+        UserId: userId,
+        familyId,
+        tokenHash: hashToken(token),
+        expiresAt,
+    });
+
+    return { token, familyId, expiresAt };
+}
+
+/**
+ * @brief 로그인 시 새 세션의 Access/Refresh Token 쌍을 발급합니다.
+ */
+async function issueTokenPair(userId) {
+    const refresh = await issueRefreshToken(userId);
+    const accessToken = signAccessToken(userId, refresh.familyId);
+
+    return {
+        accessToken,
+        accessTokenExpiresAt: accessTokenExpiresAt(accessToken),
+        refreshToken: refresh.token,
+        refreshTokenExpiresAt: refresh.expiresAt,
+    };
+}
+
+/**
+ * @brief 세션(토큰 패밀리)에 속한 모든 Refresh Token을 폐기합니다.
+ */
+async function revokeSession(familyId) {
+    await RefreshTokens.update(
+        { revokedAt: new Date() },
+        { where: { familyId, revokedAt: null } }
+    );
+}
+
+/**
+ * @brief Refresh Token이 속한 세션(토큰 패밀리)을 폐기합니다. (로그아웃)
+ * @note 만료되었거나 이미 회전된 토큰이어도 같은 세션을 폐기합니다.
+ * @returns 토큰이 존재하면 true
+ */
+async function revokeSessionByRefreshToken(token) {
+    const stored = await RefreshTokens.findOne({
+        attributes: ["familyId"],
+        where: { tokenHash: hashToken(token) },
+    });
+
+    if (!stored) {
+        return false;
+    }
+    await revokeSession(stored.familyId);
+    return true;
+}
+
+/**
+ * @brief 사용자의 모든 세션을 폐기합니다. (비밀번호 변경, 회원 탈퇴)
+ * @param options.except 남겨둘 세션 ID (비밀번호를 변경한 현재 세션)
+ */
+async function revokeUserSessions(userId, { except } = {}) {
+    await RefreshTokens.update(
+        { revokedAt: new Date() },
+        {
+            where: {
+                UserId: userId,
+                revokedAt: null,
+                ...(except && { familyId: { [Op.ne]: except } }),
+            },
+        }
+    );
+}
+
+/**
+ * @brief 세션이 아직 유효한지 확인합니다. (폐기되지 않았고 만료되지 않은 토큰이 남아 있는 경우)
+ */
+async function isSessionActive(familyId) {
+    const token = await RefreshTokens.findOne({
+        attributes: ["tokenId"],
+        where: {
+            familyId,
+            revokedAt: null,
+            expiresAt: { [Op.gt]: new Date() },
+        },
+    });
+
+    return !!token;
+}
+
+/**
+ * @brief Refresh Token을 회전합니다.
+ * @note 이미 회전된 토큰이 다시 사용되면 탈취로 간주하여 세션 전체를 폐기합니다.
+ * @returns 성공 시 { userId, accessToken, accessTokenExpiresAt, refreshToken, refreshTokenExpiresAt }, 실패 시 { error }
+ */
+async function rotateRefreshToken(token) {
+    const stored = await RefreshTokens.findOne({ where: { tokenHash: hashToken(token) } });
+
+    if (!stored) {
+        return { error: "INVALID" };
+    }
+    if (stored.revokedAt) {
+        return { error: "REVOKED" };
+    }
+    if (stored.replacedAt) {
+        await revokeSession(stored.familyId);
+        return { error: "REUSED" };
+    }
+    if (stored.expiresAt <= new Date()) {
+        return { error: "EXPIRED" };
+    }
+
+    // 동시에 같은 토큰으로 두 번 회전되지 않도록 replacedAt이 비어 있는 경우에만 갱신합니다.
+    const [updated] = await RefreshTokens.update(
+        { replacedAt: new Date() },
+        { where: { tokenId: stored.tokenId, replacedAt: null } }
+    );
+    if (!updated) {
+        await revokeSession(stored.familyId);
+        return { error: "REUSED" };
+    }
+
+    const refresh = await issueRefreshToken(stored.UserId, stored.familyId);
+    const accessToken = signAccessToken(stored.UserId, stored.familyId);
+
+    return {
+        userId: stored.UserId,
+        accessToken,
+        accessTokenExpiresAt: accessTokenExpiresAt(accessToken),
+        refreshToken: refresh.token,
+        refreshTokenExpiresAt: refresh.expiresAt,
+    };
+}
+
+/**
+ * @brief 만료되었거나 폐기된 Refresh Token을 삭제합니다. (jobs/purge-trash.js와 함께 주기적으로 실행)
+ * @note 두 경우 모두 다시 사용되어도 재발급할 수 없으므로 행을 남겨둘 필요가 없습니다.
+ * @returns 삭제한 토큰 수
+ */
+async function purgeRefreshTokens() {
+    return RefreshTokens.destroy({
+        where: {
+            [Op.or]: [
+                { expiresAt: { [Op.lte]: new Date() } },
+                { revokedAt: { [Op.ne]: null } },
+            ],
+        },
+    });
+}
+
+module.exports = {
+    signAccessToken,
+    verifyAccessToken,
+    issueTokenPair,
+    rotateRefreshToken,
+    revokeSession,
+    revokeSessionByRefreshToken,
+    revokeUserSessions,
+    isSessionActive,
+    purgeRefreshTokens,
+};